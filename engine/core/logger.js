@@ -0,0 +1,110 @@
+/**
+ * Log level enumeration.
+ * @enum
+ */
+export const LogLevel =
+{
+    /** Detailed information for debugging. */
+    Debug : 1,
+    /** General information. */
+    Info : 2,
+    /** Something unexpected that doesn't stop the operation. */
+    Warning : 3,
+    /** An operation has failed. */
+    Error : 4,
+    /** Nothing is logged. */
+    None : 5
+};
+
+/**
+ * Logger that writes messages to the browser console. Any object with a Log method can be
+ * used as a logger, see {@link SetLogger}.
+ */
+export class ConsoleLogger
+{
+    /**
+     * @param {LogLevel} [logLevel] Messages below this level are dropped, warning if not specified.
+     */
+    constructor (logLevel)
+    {
+        this.logLevel = (logLevel !== undefined ? logLevel : LogLevel.Warning);
+    }
+
+    /**
+     * Sets the minimum level of logged messages.
+     * @param {LogLevel} logLevel Log level.
+     */
+    SetLogLevel (logLevel)
+    {
+        this.logLevel = logLevel;
+    }
+
+    /**
+     * Logs a message.
+     * @param {LogLevel} logLevel Level of the message.
+     * @param {string} message The message.
+     * @param {...any} args Additional objects to log.
+     */
+    Log (logLevel, message, ...args)
+    {
+        if (logLevel < this.logLevel || logLevel === LogLevel.None) {
+            return;
+        }
+        if (logLevel === LogLevel.Error) {
+            console.error (message, ...args);
+        } else if (logLevel === LogLevel.Warning) {
+            console.warn (message, ...args);
+        } else {
+            console.log (message, ...args);
+        }
+    }
+}
+
+let gLogger = new ConsoleLogger ();
+
+/**
+ * Sets the logger used by the engine.
+ * @param {object} logger Object with a Log (logLevel, message, ...args) method, or null to turn
+ * off logging.
+ */
+export function SetLogger (logger)
+{
+    gLogger = logger;
+}
+
+/**
+ * Returns the logger used by the engine.
+ * @returns {object}
+ */
+export function GetLogger ()
+{
+    return gLogger;
+}
+
+export function Log (logLevel, message, ...args)
+{
+    if (gLogger === null) {
+        return;
+    }
+    gLogger.Log (logLevel, message, ...args);
+}
+
+export function LogDebug (message, ...args)
+{
+    Log (LogLevel.Debug, message, ...args);
+}
+
+export function LogInfo (message, ...args)
+{
+    Log (LogLevel.Info, message, ...args);
+}
+
+export function LogWarning (message, ...args)
+{
+    Log (LogLevel.Warning, message, ...args);
+}
+
+export function LogError (message, ...args)
+{
+    Log (LogLevel.Error, message, ...args);
+}
@@ -1,12 +1,28 @@
 import { Exporter3dm } from './exporter3dm.js';
 import { ExporterBim } from './exporterbim.js';
 import { ExporterGltf } from './exportergltf.js';
+import { ExporterIfc } from './exporterifc.js';
 import { ExporterModel } from './exportermodel.js';
 import { ExporterObj } from './exporterobj.js';
 import { ExporterOff } from './exporteroff.js';
 import { ExporterPly } from './exporterply.js';
 import { ExporterStl } from './exporterstl.js';
 
+export const ExportErrorCode =
+{
+    UnsupportedFormat : 1,
+    ExportFailed : 2,
+    Aborted : 3
+};
+
+export class ExportError
+{
+    constructor (code)
+    {
+        this.code = code;
+    }
+}
+
 export class Exporter
 {
     constructor ()
@@ -18,7 +34,8 @@ export class Exporter
             new ExporterOff (),
             new ExporterGltf (),
             new Exporter3dm (),
-            new ExporterBim ()
+            new ExporterBim (),
+            new ExporterIfc ()
         ];
     }
 
@@ -38,17 +55,51 @@ export class Exporter
             }
         }
         if (exporter === null) {
-            callbacks.onError ();
+            callbacks.onError (new ExportError (ExportErrorCode.UnsupportedFormat));
             return;
         }
 
         let exporterModel = new ExporterModel (model, settings);
         exporter.Export (exporterModel, format, (files) => {
             if (files.length === 0) {
-                callbacks.onError ();
+                callbacks.onError (new ExportError (ExportErrorCode.ExportFailed));
             } else {
                 callbacks.onSuccess (files);
             }
         });
     }
+
+    ExportAsync (model, settings, format, extension, options)
+    {
+        let signal = (options && options.signal) ? options.signal : null;
+        return new Promise ((resolve, reject) => {
+            if (signal !== null && signal.aborted) {
+                reject (new ExportError (ExportErrorCode.Aborted));
+                return;
+            }
+
+            // Exporters can't be interrupted, the result is dropped after an abort
+            const onAbort = () => {
+                reject (new ExportError (ExportErrorCode.Aborted));
+            };
+            if (signal !== null) {
+                signal.addEventListener ('abort', onAbort, { once : true });
+            }
+
+            this.Export (model, settings, format, extension, {
+                onSuccess : (files) => {
+                    if (signal !== null) {
+                        signal.removeEventListener ('abort', onAbort);
+                    }
+                    resolve (files);
+                },
+                onError : (exportError) => {
+                    if (signal !== null) {
+                        signal.removeEventListener ('abort', onAbort);
+                    }
+                    reject (exportError);
+                }
+            });
+        });
+    }
 }
@@ -1,6 +1,7 @@
 import { FileFormat } from '../io/fileutils.js';
 import { ColorComponentFromFloat } from '../model/color.js';
-import { PropertyToString } from '../model/property.js';
+import { ConvertPropertyUnit, DateToIsoString, GetMeasureUnitSymbol, IsMeasurePropertyType, PropertyToString, PropertyType } from '../model/property.js';
+import { Unit } from '../model/unit.js';
 import { ExportedFile, ExporterBase } from './exporterbase.js';
 
 function GenerateGuid ()
@@ -14,6 +15,24 @@ function GenerateGuid ()
     });
 }
 
+function PropertyToBimString (property, modelUnit)
+{
+    // values are written in a format that the importer can parse back to typed properties
+    if (IsMeasurePropertyType (property.type)) {
+        let unit = property.unit;
+        if (property.type !== PropertyType.Mass && property.type !== PropertyType.Angle && (unit === null || unit === Unit.Unknown)) {
+            unit = modelUnit;
+        }
+        let symbol = GetMeasureUnitSymbol (property.type, unit);
+        return property.value.toString () + (symbol !== null ? ' ' + symbol : '');
+    } else if (property.type === PropertyType.Date) {
+        return DateToIsoString (property.value);
+    } else if (property.type === PropertyType.Url) {
+        return property.value;
+    }
+    return PropertyToString (property);
+}
+
 export class ExporterBim extends ExporterBase
 {
     constructor ()
@@ -35,7 +54,8 @@ export class ExporterBim extends ExporterBase
             info : {}
         };
 
-        this.ExportProperties (exporterModel.GetModel (), bimContent.info);
+        let model = exporterModel.GetModel ();
+        this.ExportProperties (model, model.GetUnit (), exporterModel.GetUnit (), bimContent.info);
 
         let meshId = 0;
         exporterModel.EnumerateTransformedMeshInstances ((mesh) => {
@@ -108,7 +128,7 @@ export class ExporterBim extends ExporterBase
             }
 
             bimElement.info['Name'] = mesh.GetName ();
-            this.ExportProperties (mesh, bimElement.info);
+            this.ExportProperties (mesh, model.GetUnit (), exporterModel.GetUnit (), bimElement.info);
 
             bimContent.meshes.push (bimMesh);
             bimContent.elements.push (bimElement);
@@ -121,13 +141,14 @@ export class ExporterBim extends ExporterBase
         onFinish ();
     }
 
-    ExportProperties (element, targetObject)
+    ExportProperties (element, modelUnit, targetUnit, targetObject)
     {
         for (let groupIndex = 0; groupIndex < element.PropertyGroupCount (); groupIndex++) {
             let group = element.GetPropertyGroup (groupIndex);
             for (let propertyIndex = 0; propertyIndex < group.PropertyCount (); propertyIndex++) {
-                let property = group.GetProperty (propertyIndex);
-                targetObject[property.name] = PropertyToString (property);
+                let property = group.GetProperty (propertyIndex).Clone ();
+                ConvertPropertyUnit (property, modelUnit, targetUnit);
+                targetObject[property.name] = PropertyToBimString (property, targetUnit);
             }
         }
     }
@@ -1,14 +1,18 @@
+import { IsEqual } from '../geometry/geometry.js';
+import { Transformation } from '../geometry/transformation.js';
 import { BinaryWriter } from '../io/binarywriter.js';
 import { Utf8StringToArrayBuffer } from '../io/bufferutils.js';
 import { FileFormat, GetFileExtension, GetFileName } from '../io/fileutils.js';
 import { MeshInstanceId } from '../model/meshinstance.js';
-import { RGBColor, SRGBToLinear } from '../model/color.js';
+import { RGBColor, RGBColorIsEqual, SRGBToLinear } from '../model/color.js';
 import { MaterialType } from '../model/material.js';
 import { ConvertMeshToMeshBuffer } from '../model/meshbuffer.js';
+import { ScaleTransformationTranslation } from '../model/modelutils.js';
 import { ExportedFile, ExporterBase } from './exporterbase.js';
 
 const GltfComponentType =
 {
+    UNSIGNED_SHORT : 5123,
     UNSIGNED_INT : 5125,
     FLOAT : 5126
 };
@@ -19,6 +23,43 @@ const GltfBufferType =
     ELEMENT_ARRAY_BUFFER : 34963
 };
 
+function AddUsedExtension (mainJson, extensionName, required)
+{
+    if (mainJson.extensionsUsed === undefined) {
+        mainJson.extensionsUsed = [];
+    }
+    if (mainJson.extensionsUsed.indexOf (extensionName) === -1) {
+        mainJson.extensionsUsed.push (extensionName);
+    }
+    if (required) {
+        if (mainJson.extensionsRequired === undefined) {
+            mainJson.extensionsRequired = [];
+        }
+        if (mainJson.extensionsRequired.indexOf (extensionName) === -1) {
+            mainJson.extensionsRequired.push (extensionName);
+        }
+    }
+}
+
+function CreateTextureJson (mainJson, texture, imageIndex)
+{
+    // KTX2 images can be referenced only through the basisu extension
+    let extension = (texture.mimeType === 'image/ktx2' ? 'ktx2' : GetFileExtension (texture.name));
+    if (extension !== 'ktx2') {
+        return {
+            source : imageIndex
+        };
+    }
+    AddUsedExtension (mainJson, 'KHR_texture_basisu', true);
+    return {
+        extensions : {
+            KHR_texture_basisu : {
+                source : imageIndex
+            }
+        }
+    };
+}
+
 export class ExporterGltf extends ExporterBase
 {
 	constructor ()
@@ -32,6 +73,10 @@ export class ExporterGltf extends ExporterBase
             number : {
                 type : GltfComponentType.FLOAT,
                 size : 4
+            },
+            joint : {
+                type : GltfComponentType.UNSIGNED_SHORT,
+                size : 2
             }
         };
 	}
@@ -59,8 +104,9 @@ export class ExporterGltf extends ExporterBase
         files.push (binFile);
 
         let meshDataArr = this.GetMeshData (exporterModel);
-        let mainBuffer = this.GetMainBuffer (meshDataArr);
-        let mainJson = this.GetMainJson (exporterModel, meshDataArr);
+        let skinDataArr = this.GetSkinData (exporterModel);
+        let mainBuffer = this.GetMainBuffer (meshDataArr, skinDataArr);
+        let mainJson = this.GetMainJson (exporterModel, meshDataArr, skinDataArr);
         mainJson.buffers.push ({
             uri : binFile.GetName (),
             byteLength : mainBuffer.byteLength
@@ -83,9 +129,7 @@ export class ExporterGltf extends ExporterBase
                     uri : fileName
                 });
 
-                mainJson.textures.push ({
-                    source : textureIndex
-                });
+                mainJson.textures.push (CreateTextureJson (mainJson, texture, textureIndex));
 
                 return textureIndex;
             }
@@ -117,8 +161,9 @@ export class ExporterGltf extends ExporterBase
         files.push (glbFile);
 
         let meshDataArr = this.GetMeshData (exporterModel);
-        let mainBuffer = this.GetMainBuffer (meshDataArr);
-        let mainJson = this.GetMainJson (exporterModel, meshDataArr);
+        let skinDataArr = this.GetSkinData (exporterModel);
+        let mainBuffer = this.GetMainBuffer (meshDataArr, skinDataArr);
+        let mainJson = this.GetMainJson (exporterModel, meshDataArr, skinDataArr);
 
         let textureBuffers = [];
         let textureOffset = mainBuffer.byteLength;
@@ -145,9 +190,7 @@ export class ExporterGltf extends ExporterBase
                     bufferView : bufferViewIndex,
                     mimeType : 'image/' + extension
                 });
-                mainJson.textures.push ({
-                    source : textureIndex
-                });
+                mainJson.textures.push (CreateTextureJson (mainJson, texture, textureIndex));
 
                 return textureIndex;
             }
@@ -199,9 +242,15 @@ export class ExporterGltf extends ExporterBase
 
         exporterModel.EnumerateMeshes ((mesh) => {
             let buffer = ConvertMeshToMeshBuffer (mesh);
+            let morphTargetNames = [];
+            for (let i = 0; i < mesh.MorphTargetCount (); i++) {
+                morphTargetNames.push (mesh.GetMorphTarget (i).GetName ());
+            }
             meshDataArr.push ({
                 name : mesh.GetName (),
                 buffer : buffer,
+                morphTargetNames : morphTargetNames,
+                morphWeights : mesh.GetMorphWeights (),
                 offsets : [],
                 sizes : []
             });
@@ -210,11 +259,42 @@ export class ExporterGltf extends ExporterBase
         return meshDataArr;
     }
 
-    GetMainBuffer (meshDataArr)
+    GetSkinData (exporterModel)
+    {
+        let skinDataArr = [];
+
+        let model = exporterModel.GetModel ();
+        for (let skinIndex = 0; skinIndex < model.SkinCount (); skinIndex++) {
+            let skin = model.GetSkin (skinIndex);
+            let joints = [];
+            let inverseBindMatrices = [];
+            for (let i = 0; i < skin.JointCount (); i++) {
+                let inverseBindTransformation = new Transformation (skin.GetInverseBindMatrix (i));
+                if (exporterModel.GetUnitScale () !== 1.0) {
+                    inverseBindTransformation = ScaleTransformationTranslation (inverseBindTransformation, exporterModel.GetUnitScale ());
+                }
+                joints.push (skin.GetJointNodeId (i));
+                inverseBindMatrices.push (inverseBindTransformation.GetMatrix ().Get ());
+            }
+            skinDataArr.push ({
+                name : skin.GetName (),
+                joints : joints,
+                inverseBindMatrices : inverseBindMatrices,
+                offset : null
+            });
+        }
+
+        return skinDataArr;
+    }
+
+    GetMainBuffer (meshDataArr, skinDataArr)
     {
         let mainBufferSize = 0;
         for (let meshData of meshDataArr) {
-            mainBufferSize += meshData.buffer.GetByteLength (this.components.index.size, this.components.number.size);
+            mainBufferSize += meshData.buffer.GetByteLength (this.components.index.size, this.components.number.size, this.components.joint.size);
+        }
+        for (let skinData of skinDataArr) {
+            mainBufferSize += skinData.inverseBindMatrices.length * 16 * this.components.number.size;
         }
 
         let writer = new BinaryWriter (mainBufferSize, true);
@@ -241,15 +321,37 @@ export class ExporterGltf extends ExporterBase
                     }
                     writer.WriteFloat32 (texCoord);
                 }
+                for (let i = 0; i < primitive.joints.length; i++) {
+                    writer.WriteUnsignedInteger16 (primitive.joints[i]);
+                }
+                for (let i = 0; i < primitive.weights.length; i++) {
+                    writer.WriteFloat32 (primitive.weights[i]);
+                }
+                for (let morphTarget of primitive.morphTargets) {
+                    for (let i = 0; i < morphTarget.vertices.length; i++) {
+                        writer.WriteFloat32 (morphTarget.vertices[i]);
+                    }
+                    for (let i = 0; i < morphTarget.normals.length; i++) {
+                        writer.WriteFloat32 (morphTarget.normals[i]);
+                    }
+                }
                 meshData.offsets.push (offset);
                 meshData.sizes.push (writer.GetPosition () - offset);
             }
         }
+        for (let skinData of skinDataArr) {
+            skinData.offset = writer.GetPosition ();
+            for (let matrix of skinData.inverseBindMatrices) {
+                for (let i = 0; i < matrix.length; i++) {
+                    writer.WriteFloat32 (matrix[i]);
+                }
+            }
+        }
 
         return writer.GetBuffer ();
     }
 
-    GetMainJson (exporterModel, meshDataArr)
+    GetMainJson (exporterModel, meshDataArr, skinDataArr)
     {
         class BufferViewCreator
         {
@@ -275,6 +377,10 @@ export class ExporterGltf extends ExporterBase
 
         function NodeHasVisibleChildren (model, node)
         {
+            // joints of skins are exported even if they don't contain visible meshes
+            if (jointNodeIds.has (node.GetId ())) {
+                return true;
+            }
             for (let meshIndex of node.GetMeshIndices ()) {
                 let meshInstanceId = new MeshInstanceId (node.GetId (), meshIndex);
                 if (model.IsMeshInstanceVisible (meshInstanceId)) {
@@ -291,7 +397,7 @@ export class ExporterGltf extends ExporterBase
 
         function AddNode (model, jsonParent, jsonNodes, node)
         {
-            if (node.IsMeshNode ()) {
+            if (node.IsMeshNode () && !jointNodeIds.has (node.GetId ())) {
                 for (let meshIndex of node.GetMeshIndices ()) {
                     AddMeshNode (model, jsonParent, jsonNodes, node, meshIndex, true);
                 }
@@ -303,13 +409,14 @@ export class ExporterGltf extends ExporterBase
                     nodeJson.name = nodeName;
                 }
 
-                let transformation = node.GetTransformation ();
+                let transformation = model.GetNodeTransformation (node);
                 if (!transformation.IsIdentity ()) {
-                    nodeJson.matrix = node.GetTransformation ().GetMatrix ().Get ();
+                    nodeJson.matrix = transformation.GetMatrix ().Get ();
                 }
 
                 jsonNodes.push (nodeJson);
                 jsonParent.push (jsonNodes.length - 1);
+                nodeIdToJsonIndex.set (node.GetId (), jsonNodes.length - 1);
 
                 nodeJson.children = [];
                 AddChildNodes (model, nodeJson.children, jsonNodes, node);
@@ -327,14 +434,21 @@ export class ExporterGltf extends ExporterBase
                 mesh : model.MapMeshIndex (meshIndex)
             };
             if (isStandaloneNode) {
-                let transformation = node.GetTransformation ();
+                let transformation = model.GetNodeTransformation (node);
                 if (!transformation.IsIdentity ()) {
-                    nodeJson.matrix = node.GetTransformation ().GetMatrix ().Get ();
+                    nodeJson.matrix = transformation.GetMatrix ().Get ();
                 }
             }
+            let mesh = model.GetModel ().GetMesh (meshIndex);
+            if (node.GetSkinIndex () !== null && mesh.HasSkinWeights ()) {
+                nodeJson.skin = node.GetSkinIndex ();
+            }
 
             jsonNodes.push (nodeJson);
             jsonParent.push (jsonNodes.length - 1);
+            if (isStandaloneNode) {
+                nodeIdToJsonIndex.set (node.GetId (), jsonNodes.length - 1);
+            }
         }
 
         function AddChildNodes (model, jsonParent, jsonNodes, node)
@@ -366,9 +480,43 @@ export class ExporterGltf extends ExporterBase
             accessors : []
         };
 
+        let jointNodeIds = new Set ();
+        for (let skinData of skinDataArr) {
+            for (let nodeId of skinData.joints) {
+                jointNodeIds.add (nodeId);
+            }
+        }
+
+        let nodeIdToJsonIndex = new Map ();
         let rootNode = exporterModel.GetModel ().GetRootNode ();
         AddChildNodes (exporterModel, mainJson.scenes[0].nodes, mainJson.nodes, rootNode);
 
+        if (skinDataArr.length > 0) {
+            mainJson.skins = [];
+        }
+        for (let skinData of skinDataArr) {
+            mainJson.bufferViews.push ({
+                buffer : 0,
+                byteOffset : skinData.offset,
+                byteLength : skinData.inverseBindMatrices.length * 16 * this.components.number.size
+            });
+            mainJson.accessors.push ({
+                bufferView : mainJson.bufferViews.length - 1,
+                byteOffset : 0,
+                componentType : this.components.number.type,
+                count : skinData.inverseBindMatrices.length,
+                type : 'MAT4'
+            });
+            let jsonSkin = {
+                inverseBindMatrices : mainJson.accessors.length - 1,
+                joints : skinData.joints.map ((nodeId) => nodeIdToJsonIndex.get (nodeId))
+            };
+            if (skinData.name.length > 0) {
+                jsonSkin.name = skinData.name;
+            }
+            mainJson.skins.push (jsonSkin);
+        }
+
         for (let meshData of meshDataArr) {
             let jsonMesh = {
                 name : this.GetExportedMeshName (meshData.name),
@@ -391,6 +539,19 @@ export class ExporterGltf extends ExporterBase
                 if (primitive.uvs.length > 0) {
                     uvsBufferView = bufferViewCreator.AddBufferView (primitive.uvs.length * this.components.number.size, GltfBufferType.ARRAY_BUFFER);
                 }
+                let jointsBufferView = null;
+                let weightsBufferView = null;
+                if (primitive.joints.length > 0) {
+                    jointsBufferView = bufferViewCreator.AddBufferView (primitive.joints.length * this.components.joint.size, GltfBufferType.ARRAY_BUFFER);
+                    weightsBufferView = bufferViewCreator.AddBufferView (primitive.weights.length * this.components.number.size, GltfBufferType.ARRAY_BUFFER);
+                }
+                let morphTargetBufferViews = [];
+                for (let morphTarget of primitive.morphTargets) {
+                    morphTargetBufferViews.push ({
+                        vertices : bufferViewCreator.AddBufferView (morphTarget.vertices.length * this.components.number.size, GltfBufferType.ARRAY_BUFFER),
+                        normals : bufferViewCreator.AddBufferView (morphTarget.normals.length * this.components.number.size, GltfBufferType.ARRAY_BUFFER)
+                    });
+                }
 
                 let jsonPrimitive = {
                     attributes : {},
@@ -451,9 +612,67 @@ export class ExporterGltf extends ExporterBase
                     jsonPrimitive.attributes.TEXCOORD_0 = mainJson.accessors.length - 1;
                 }
 
+                if (jointsBufferView !== null) {
+                    mainJson.accessors.push ({
+                        bufferView : jointsBufferView,
+                        byteOffset : 0,
+                        componentType : this.components.joint.type,
+                        count : primitive.joints.length / 4,
+                        type : 'VEC4'
+                    });
+                    jsonPrimitive.attributes.JOINTS_0 = mainJson.accessors.length - 1;
+
+                    mainJson.accessors.push ({
+                        bufferView : weightsBufferView,
+                        byteOffset : 0,
+                        componentType : this.components.number.type,
+                        count : primitive.weights.length / 4,
+                        type : 'VEC4'
+                    });
+                    jsonPrimitive.attributes.WEIGHTS_0 = mainJson.accessors.length - 1;
+                }
+
+                if (morphTargetBufferViews.length > 0) {
+                    jsonPrimitive.targets = [];
+                }
+                for (let morphTargetIndex = 0; morphTargetIndex < morphTargetBufferViews.length; morphTargetIndex++) {
+                    let morphTarget = primitive.morphTargets[morphTargetIndex];
+                    let morphTargetBounds = primitive.GetMorphTargetBounds (morphTargetIndex);
+                    mainJson.accessors.push ({
+                        bufferView : morphTargetBufferViews[morphTargetIndex].vertices,
+                        byteOffset : 0,
+                        componentType : this.components.number.type,
+                        count : morphTarget.vertices.length / 3,
+                        min : morphTargetBounds.min,
+                        max : morphTargetBounds.max,
+                        type : 'VEC3'
+                    });
+                    let positionAccessor = mainJson.accessors.length - 1;
+                    mainJson.accessors.push ({
+                        bufferView : morphTargetBufferViews[morphTargetIndex].normals,
+                        byteOffset : 0,
+                        componentType : this.components.number.type,
+                        count : morphTarget.normals.length / 3,
+                        type : 'VEC3'
+                    });
+                    jsonPrimitive.targets.push ({
+                        POSITION : positionAccessor,
+                        NORMAL : mainJson.accessors.length - 1
+                    });
+                }
+
                 jsonMesh.primitives.push (jsonPrimitive);
             }
 
+            if (meshData.morphTargetNames.length > 0) {
+                jsonMesh.weights = meshData.morphTargetNames.map ((name, index) => {
+                    return (index < meshData.morphWeights.length ? meshData.morphWeights[index] : 0.0);
+                });
+                jsonMesh.extras = {
+                    targetNames : meshData.morphTargetNames
+                };
+            }
+
             mainJson.meshes.push (jsonMesh);
         }
 
@@ -462,7 +681,7 @@ export class ExporterGltf extends ExporterBase
 
     ExportMaterials (exporterModel, mainJson, addTexture)
     {
-        function ExportMaterial (obj, mainJson, material, addTexture)
+        function ExportMaterial (obj, mainJson, material, unitScale, addTexture)
         {
             function ColorToRGBA (color, opacity)
             {
@@ -502,13 +721,7 @@ export class ExporterGltf extends ExporterBase
                 };
 
                 if (texture.HasTransformation ()) {
-                    let extensionName = 'KHR_texture_transform';
-                    if (mainJson.extensionsUsed === undefined) {
-                        mainJson.extensionsUsed = [];
-                    }
-                    if (mainJson.extensionsUsed.indexOf (extensionName) === -1) {
-                        mainJson.extensionsUsed.push (extensionName);
-                    }
+                    AddUsedExtension (mainJson, 'KHR_texture_transform', false);
                     textureParams.extensions = {
                         KHR_texture_transform : {
                             offset : [texture.offset.x, -texture.offset.y],
@@ -521,6 +734,83 @@ export class ExporterGltf extends ExporterBase
                 return textureParams;
             }
 
+            function ExportPhysicalExtensions (mainJson, jsonMaterial, material, unitScale, addTexture)
+            {
+                function AddMaterialExtension (mainJson, jsonMaterial, extensionName, extensionParams)
+                {
+                    AddUsedExtension (mainJson, extensionName, false);
+                    if (jsonMaterial.extensions === undefined) {
+                        jsonMaterial.extensions = {};
+                    }
+                    jsonMaterial.extensions[extensionName] = extensionParams;
+                }
+
+                function AddTextureParam (mainJson, extensionParams, paramName, texture, addTexture)
+                {
+                    let textureParams = GetTextureParams (mainJson, texture, addTexture);
+                    if (textureParams !== null) {
+                        extensionParams[paramName] = textureParams;
+                    }
+                }
+
+                if (material.unlit) {
+                    AddMaterialExtension (mainJson, jsonMaterial, 'KHR_materials_unlit', {});
+                }
+
+                if (!IsEqual (material.emissiveStrength, 1.0)) {
+                    AddMaterialExtension (mainJson, jsonMaterial, 'KHR_materials_emissive_strength', {
+                        emissiveStrength : material.emissiveStrength
+                    });
+                }
+
+                if (!IsEqual (material.ior, 1.5)) {
+                    AddMaterialExtension (mainJson, jsonMaterial, 'KHR_materials_ior', {
+                        ior : material.ior
+                    });
+                }
+
+                if (material.transmission > 0.0 || material.transmissionMap !== null) {
+                    let transmissionParams = {
+                        transmissionFactor : material.transmission
+                    };
+                    AddTextureParam (mainJson, transmissionParams, 'transmissionTexture', material.transmissionMap, addTexture);
+                    AddMaterialExtension (mainJson, jsonMaterial, 'KHR_materials_transmission', transmissionParams);
+                }
+
+                if (material.clearcoat > 0.0 || material.clearcoatMap !== null) {
+                    let clearcoatParams = {
+                        clearcoatFactor : material.clearcoat,
+                        clearcoatRoughnessFactor : material.clearcoatRoughness
+                    };
+                    AddTextureParam (mainJson, clearcoatParams, 'clearcoatTexture', material.clearcoatMap, addTexture);
+                    AddTextureParam (mainJson, clearcoatParams, 'clearcoatRoughnessTexture', material.clearcoatRoughnessMap, addTexture);
+                    AddTextureParam (mainJson, clearcoatParams, 'clearcoatNormalTexture', material.clearcoatNormalMap, addTexture);
+                    AddMaterialExtension (mainJson, jsonMaterial, 'KHR_materials_clearcoat', clearcoatParams);
+                }
+
+                if (!RGBColorIsEqual (material.sheenColor, new RGBColor (0, 0, 0)) || material.sheenColorMap !== null) {
+                    let sheenParams = {
+                        sheenColorFactor : ColorToRGB (material.sheenColor),
+                        sheenRoughnessFactor : material.sheenRoughness
+                    };
+                    AddTextureParam (mainJson, sheenParams, 'sheenColorTexture', material.sheenColorMap, addTexture);
+                    AddTextureParam (mainJson, sheenParams, 'sheenRoughnessTexture', material.sheenRoughnessMap, addTexture);
+                    AddMaterialExtension (mainJson, jsonMaterial, 'KHR_materials_sheen', sheenParams);
+                }
+
+                if (material.thickness > 0.0 || material.thicknessMap !== null) {
+                    let volumeParams = {
+                        thicknessFactor : material.thickness * unitScale,
+                        attenuationColor : ColorToRGB (material.attenuationColor)
+                    };
+                    if (Number.isFinite (material.attenuationDistance)) {
+                        volumeParams.attenuationDistance = material.attenuationDistance * unitScale;
+                    }
+                    AddTextureParam (mainJson, volumeParams, 'thicknessTexture', material.thicknessMap, addTexture);
+                    AddMaterialExtension (mainJson, jsonMaterial, 'KHR_materials_volume', volumeParams);
+                }
+            }
+
             let jsonMaterial = {
                 name : obj.GetExportedMaterialName (material.name),
                 pbrMetallicRoughness : {
@@ -560,13 +850,16 @@ export class ExporterGltf extends ExporterBase
             if (emissiveTexture !== null) {
                 jsonMaterial.emissiveTexture = emissiveTexture;
             }
+            if (material.type === MaterialType.Physical) {
+                ExportPhysicalExtensions (mainJson, jsonMaterial, material, unitScale, addTexture);
+            }
 
             mainJson.materials.push (jsonMaterial);
         }
 
         for (let materialIndex = 0; materialIndex < exporterModel.MaterialCount (); materialIndex++) {
             let material = exporterModel.GetMaterial (materialIndex);
-            ExportMaterial (this, mainJson, material, addTexture);
+            ExportMaterial (this, mainJson, material, exporterModel.GetUnitScale (), addTexture);
         }
     }
 }
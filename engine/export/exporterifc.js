@@ -0,0 +1,374 @@
+import { FileFormat } from '../io/fileutils.js';
+import { RGBColorToHexString } from '../model/color.js';
+import { ConvertPropertyUnit, DateToIsoString, PropertyType } from '../model/property.js';
+import { Unit, GetUnitMeters, GetMassUnitKilograms, GetAngleUnitRadians } from '../model/unit.js';
+import { ExportedFile, ExporterBase } from './exporterbase.js';
+import { Loc } from '../core/localization.js';
+
+const IfcGuidCharacters = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz_$';
+
+function CreateIfcGuid ()
+{
+    // 128 random bits in the compressed 22 character form, the first character holds only two bits
+    let guid = IfcGuidCharacters[Math.floor (Math.random () * 4)];
+    for (let i = 0; i < 21; i++) {
+        guid += IfcGuidCharacters[Math.floor (Math.random () * 64)];
+    }
+    return guid;
+}
+
+function IsIfcGuid (str)
+{
+    if (str.length !== 22 || IfcGuidCharacters.indexOf (str[0]) > 3) {
+        return false;
+    }
+    for (let i = 0; i < str.length; i++) {
+        if (IfcGuidCharacters.indexOf (str[i]) === -1) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function EncodeIfcString (str)
+{
+    let encoded = '';
+    for (let i = 0; i < str.length; i++) {
+        let char = str[i];
+        let code = str.charCodeAt (i);
+        if (char === '\'') {
+            encoded += '\'\'';
+        } else if (char === '\\') {
+            encoded += '\\\\';
+        } else if (code < 32 || code > 126) {
+            encoded += '\\X2\\' + code.toString (16).toUpperCase ().padStart (4, '0') + '\\X0\\';
+        } else {
+            encoded += char;
+        }
+    }
+    return '\'' + encoded + '\'';
+}
+
+function FormatIfcReal (value)
+{
+    let str = value.toString ();
+    let exponentIndex = str.indexOf ('e');
+    let mantissa = (exponentIndex === -1 ? str : str.substring (0, exponentIndex));
+    if (mantissa.indexOf ('.') === -1) {
+        mantissa += '.';
+    }
+    if (exponentIndex === -1) {
+        return mantissa;
+    }
+    return mantissa + 'E' + str.substring (exponentIndex + 1);
+}
+
+function FormatIfcList (items)
+{
+    return '(' + items.join (',') + ')';
+}
+
+const IfcConversionBasedUnitNames = new Map ([
+    [Unit.Inch, 'INCH'],
+    [Unit.Foot, 'FOOT'],
+    [Unit.Yard, 'YARD'],
+    [Unit.Mile, 'MILE']
+]);
+
+function AddIfcLengthUnit (writer, unit)
+{
+    if (unit === Unit.Millimeter) {
+        return writer.AddEntity ('IFCSIUNIT(*,.LENGTHUNIT.,.MILLI.,.METRE.)');
+    } else if (unit === Unit.Centimeter) {
+        return writer.AddEntity ('IFCSIUNIT(*,.LENGTHUNIT.,.CENTI.,.METRE.)');
+    } else if (unit === Unit.Micrometer) {
+        return writer.AddEntity ('IFCSIUNIT(*,.LENGTHUNIT.,.MICRO.,.METRE.)');
+    } else if (unit === Unit.Kilometer) {
+        return writer.AddEntity ('IFCSIUNIT(*,.LENGTHUNIT.,.KILO.,.METRE.)');
+    } else if (IfcConversionBasedUnitNames.has (unit)) {
+        let name = IfcConversionBasedUnitNames.get (unit);
+        let factor = GetUnitMeters (unit);
+        let exponents = writer.AddEntity ('IFCDIMENSIONALEXPONENTS(1,0,0,0,0,0,0)');
+        let metre = writer.AddEntity ('IFCSIUNIT(*,.LENGTHUNIT.,$,.METRE.)');
+        let conversion = writer.AddEntity ('IFCMEASUREWITHUNIT(IFCLENGTHMEASURE(' + FormatIfcReal (factor) + '),' + metre + ')');
+        return writer.AddEntity ('IFCCONVERSIONBASEDUNIT(' + exponents + ',.LENGTHUNIT.,\'' + name + '\',' + conversion + ')');
+    }
+    return writer.AddEntity ('IFCSIUNIT(*,.LENGTHUNIT.,$,.METRE.)');
+}
+
+function ConvertIfcMeasureValue (property, projectUnit)
+{
+    // measures are written in the units of the project: the length unit of the model (meter if
+    // it's unknown), square and cubic meter, kilogram and radian
+    let factor = null;
+    if (property.type === PropertyType.Length || property.type === PropertyType.Area || property.type === PropertyType.Volume) {
+        let unit = (property.unit !== null && property.unit !== Unit.Unknown ? property.unit : projectUnit);
+        let unitMeters = GetUnitMeters (unit);
+        if (unitMeters !== null) {
+            if (property.type === PropertyType.Length) {
+                let projectUnitMeters = GetUnitMeters (projectUnit);
+                factor = unitMeters / (projectUnitMeters !== null ? projectUnitMeters : 1.0);
+            } else if (property.type === PropertyType.Area) {
+                factor = Math.pow (unitMeters, 2);
+            } else {
+                factor = Math.pow (unitMeters, 3);
+            }
+        }
+    } else if (property.type === PropertyType.Mass) {
+        factor = GetMassUnitKilograms (property.unit);
+    } else if (property.type === PropertyType.Angle) {
+        factor = GetAngleUnitRadians (property.unit);
+    }
+    return (factor !== null ? property.value * factor : property.value);
+}
+
+function GetIfcPropertyValue (property, projectUnit)
+{
+    if (property.type === PropertyType.Text) {
+        let ifcType = (property.value.length > 255 ? 'IFCTEXT' : 'IFCLABEL');
+        return ifcType + '(' + EncodeIfcString (property.value) + ')';
+    } else if (property.type === PropertyType.Integer) {
+        return 'IFCINTEGER(' + Math.round (property.value).toString () + ')';
+    } else if (property.type === PropertyType.Number) {
+        return 'IFCREAL(' + FormatIfcReal (property.value) + ')';
+    } else if (property.type === PropertyType.Boolean) {
+        return 'IFCBOOLEAN(' + (property.value ? '.T.' : '.F.') + ')';
+    } else if (property.type === PropertyType.Percent) {
+        return 'IFCRATIOMEASURE(' + FormatIfcReal (property.value) + ')';
+    } else if (property.type === PropertyType.Color) {
+        return 'IFCLABEL(' + EncodeIfcString ('#' + RGBColorToHexString (property.value)) + ')';
+    } else if (property.type === PropertyType.Length) {
+        return 'IFCLENGTHMEASURE(' + FormatIfcReal (ConvertIfcMeasureValue (property, projectUnit)) + ')';
+    } else if (property.type === PropertyType.Area) {
+        return 'IFCAREAMEASURE(' + FormatIfcReal (ConvertIfcMeasureValue (property, projectUnit)) + ')';
+    } else if (property.type === PropertyType.Volume) {
+        return 'IFCVOLUMEMEASURE(' + FormatIfcReal (ConvertIfcMeasureValue (property, projectUnit)) + ')';
+    } else if (property.type === PropertyType.Mass) {
+        return 'IFCMASSMEASURE(' + FormatIfcReal (ConvertIfcMeasureValue (property, projectUnit)) + ')';
+    } else if (property.type === PropertyType.Angle) {
+        return 'IFCPLANEANGLEMEASURE(' + FormatIfcReal (ConvertIfcMeasureValue (property, projectUnit)) + ')';
+    } else if (property.type === PropertyType.Date) {
+        let dateString = DateToIsoString (property.value);
+        let ifcType = (dateString.length > 10 ? 'IFCDATETIME' : 'IFCDATE');
+        return ifcType + '(' + EncodeIfcString (dateString) + ')';
+    } else if (property.type === PropertyType.Url) {
+        return 'IFCURIREFERENCE(' + EncodeIfcString (property.value) + ')';
+    }
+    return 'IFCLABEL(' + EncodeIfcString (String (property.value)) + ')';
+}
+
+class IfcStepWriter
+{
+    constructor ()
+    {
+        this.lines = [];
+        this.nextId = 1;
+    }
+
+    AddEntity (entity)
+    {
+        let id = '#' + this.nextId.toString ();
+        this.lines.push (id + '=' + entity + ';');
+        this.nextId += 1;
+        return id;
+    }
+
+    GetContent (fileName)
+    {
+        let timeStamp = new Date ().toISOString ().substring (0, 19);
+        let header = [
+            'ISO-10303-21;',
+            'HEADER;',
+            'FILE_DESCRIPTION((\'ViewDefinition [ReferenceView_V1.2]\'),\'2;1\');',
+            'FILE_NAME(' + EncodeIfcString (fileName) + ',\'' + timeStamp + '\',(\'\'),(\'\'),\'Online 3D Viewer\',\'Online 3D Viewer\',\'\');',
+            'FILE_SCHEMA((\'IFC4\'));',
+            'ENDSEC;',
+            'DATA;'
+        ];
+        let footer = [
+            'ENDSEC;',
+            'END-ISO-10303-21;'
+        ];
+        return header.concat (this.lines, footer).join ('\n') + '\n';
+    }
+}
+
+/**
+ * IFC4 exporter. Every mesh instance is written as an IfcBuildingElementProxy with triangulated
+ * geometry, and its property groups as property sets. The model is expected to be Y up (like the
+ * result of the IFC importer), it is rotated to the Z up coordinate system of IFC.
+ */
+export class ExporterIfc extends ExporterBase
+{
+    constructor ()
+    {
+        super ();
+    }
+
+    CanExport (format, extension)
+    {
+        return format === FileFormat.Text && extension === 'ifc';
+    }
+
+    ExportContent (exporterModel, format, files, onFinish)
+    {
+        let model = exporterModel.GetModel ();
+        let writer = new IfcStepWriter ();
+
+        let origin = writer.AddEntity ('IFCCARTESIANPOINT((0.,0.,0.))');
+        let zAxis = writer.AddEntity ('IFCDIRECTION((0.,0.,1.))');
+        let xAxis = writer.AddEntity ('IFCDIRECTION((1.,0.,0.))');
+        let worldPlacement = writer.AddEntity ('IFCAXIS2PLACEMENT3D(' + origin + ',' + zAxis + ',' + xAxis + ')');
+        let context = writer.AddEntity ('IFCGEOMETRICREPRESENTATIONCONTEXT($,\'Model\',3,1.E-05,' + worldPlacement + ',$)');
+        let bodyContext = writer.AddEntity ('IFCGEOMETRICREPRESENTATIONSUBCONTEXT(\'Body\',\'Model\',*,*,*,*,' + context + ',$,.MODEL_VIEW.,$)');
+
+        let units = [
+            AddIfcLengthUnit (writer, exporterModel.GetUnit ()),
+            writer.AddEntity ('IFCSIUNIT(*,.AREAUNIT.,$,.SQUARE_METRE.)'),
+            writer.AddEntity ('IFCSIUNIT(*,.VOLUMEUNIT.,$,.CUBIC_METRE.)'),
+            writer.AddEntity ('IFCSIUNIT(*,.MASSUNIT.,.KILO.,.GRAM.)'),
+            writer.AddEntity ('IFCSIUNIT(*,.PLANEANGLEUNIT.,$,.RADIAN.)')
+        ];
+        let unitAssignment = writer.AddEntity ('IFCUNITASSIGNMENT(' + FormatIfcList (units) + ')');
+
+        let project = writer.AddEntity ('IFCPROJECT(\'' + CreateIfcGuid () + '\',$,\'Project\',$,$,$,$,(' + context + '),' + unitAssignment + ')');
+        let sitePlacement = writer.AddEntity ('IFCLOCALPLACEMENT($,' + worldPlacement + ')');
+        let site = writer.AddEntity ('IFCSITE(\'' + CreateIfcGuid () + '\',$,\'Site\',$,$,' + sitePlacement + ',$,$,.ELEMENT.,$,$,$,$,$)');
+        let buildingPlacement = writer.AddEntity ('IFCLOCALPLACEMENT(' + sitePlacement + ',' + worldPlacement + ')');
+        let building = writer.AddEntity ('IFCBUILDING(\'' + CreateIfcGuid () + '\',$,\'Building\',$,$,' + buildingPlacement + ',$,$,.ELEMENT.,$,$,$)');
+        let storeyPlacement = writer.AddEntity ('IFCLOCALPLACEMENT(' + buildingPlacement + ',' + worldPlacement + ')');
+        let storey = writer.AddEntity ('IFCBUILDINGSTOREY(\'' + CreateIfcGuid () + '\',$,\'Storey\',$,$,' + storeyPlacement + ',$,$,.ELEMENT.,0.)');
+        writer.AddEntity ('IFCRELAGGREGATES(\'' + CreateIfcGuid () + '\',$,$,$,' + project + ',(' + site + '))');
+        writer.AddEntity ('IFCRELAGGREGATES(\'' + CreateIfcGuid () + '\',$,$,$,' + site + ',(' + building + '))');
+        writer.AddEntity ('IFCRELAGGREGATES(\'' + CreateIfcGuid () + '\',$,$,$,' + building + ',(' + storey + '))');
+
+        // the importer stores the properties of the building on the model
+        this.ExportPropertySets (writer, model, building, model.GetUnit (), exporterModel.GetUnit ());
+
+        let usedGuids = new Set ();
+        let surfaceStyles = new Map ();
+        let elements = [];
+        exporterModel.EnumerateTransformedMeshInstances ((mesh) => {
+            let representationItems = this.ExportMeshGeometry (writer, exporterModel, mesh, surfaceStyles);
+            if (representationItems.length === 0) {
+                return;
+            }
+            let shapeRepresentation = writer.AddEntity ('IFCSHAPEREPRESENTATION(' + bodyContext + ',\'Body\',\'Tessellation\',' + FormatIfcList (representationItems) + ')');
+            let productShape = writer.AddEntity ('IFCPRODUCTDEFINITIONSHAPE($,$,(' + shapeRepresentation + '))');
+            let placement = writer.AddEntity ('IFCLOCALPLACEMENT(' + storeyPlacement + ',' + worldPlacement + ')');
+            let guid = this.GetMeshGuid (mesh, usedGuids);
+            let element = writer.AddEntity ('IFCBUILDINGELEMENTPROXY(\'' + guid + '\',$,' + EncodeIfcString (mesh.GetName ()) + ',$,$,' + placement + ',' + productShape + ',$,$)');
+            this.ExportPropertySets (writer, mesh, element, model.GetUnit (), exporterModel.GetUnit ());
+            elements.push (element);
+        });
+
+        if (elements.length > 0) {
+            writer.AddEntity ('IFCRELCONTAINEDINSPATIALSTRUCTURE(\'' + CreateIfcGuid () + '\',$,$,$,' + FormatIfcList (elements) + ',' + storey + ')');
+        }
+
+        let ifcFile = new ExportedFile ('model.ifc');
+        ifcFile.SetTextContent (writer.GetContent (ifcFile.GetName ()));
+        files.push (ifcFile);
+        onFinish ();
+    }
+
+    ExportMeshGeometry (writer, exporterModel, mesh, surfaceStyles)
+    {
+        // one face set per material, so every face set can have its own style
+        let materialToTriangles = new Map ();
+        for (let i = 0; i < mesh.TriangleCount (); i++) {
+            let triangle = mesh.GetTriangle (i);
+            if (!materialToTriangles.has (triangle.mat)) {
+                materialToTriangles.set (triangle.mat, []);
+            }
+            materialToTriangles.get (triangle.mat).push (triangle);
+        }
+
+        let faceSets = [];
+        for (let [materialIndex, triangles] of materialToTriangles) {
+            let vertexIndexMap = new Map ();
+            let coordinates = [];
+            let indices = [];
+            let GetVertexIndex = (vertexIndex) => {
+                if (!vertexIndexMap.has (vertexIndex)) {
+                    let vertex = mesh.GetVertex (vertexIndex);
+                    coordinates.push ('(' + FormatIfcReal (vertex.x) + ',' + FormatIfcReal (-vertex.z) + ',' + FormatIfcReal (vertex.y) + ')');
+                    vertexIndexMap.set (vertexIndex, coordinates.length);
+                }
+                return vertexIndexMap.get (vertexIndex);
+            };
+            for (let triangle of triangles) {
+                let v0 = GetVertexIndex (triangle.v0);
+                let v1 = GetVertexIndex (triangle.v1);
+                let v2 = GetVertexIndex (triangle.v2);
+                indices.push ('(' + v0 + ',' + v1 + ',' + v2 + ')');
+            }
+
+            let pointList = writer.AddEntity ('IFCCARTESIANPOINTLIST3D(' + FormatIfcList (coordinates) + ')');
+            let faceSet = writer.AddEntity ('IFCTRIANGULATEDFACESET(' + pointList + ',$,$,' + FormatIfcList (indices) + ',$)');
+            let surfaceStyle = this.GetSurfaceStyle (writer, exporterModel, materialIndex, surfaceStyles);
+            writer.AddEntity ('IFCSTYLEDITEM(' + faceSet + ',(' + surfaceStyle + '),$)');
+            faceSets.push (faceSet);
+        }
+        return faceSets;
+    }
+
+    GetSurfaceStyle (writer, exporterModel, materialIndex, surfaceStyles)
+    {
+        if (surfaceStyles.has (materialIndex)) {
+            return surfaceStyles.get (materialIndex);
+        }
+        let material = exporterModel.GetMaterial (materialIndex);
+        let colour = writer.AddEntity ('IFCCOLOURRGB($,' +
+            FormatIfcReal (material.color.r / 255.0) + ',' +
+            FormatIfcReal (material.color.g / 255.0) + ',' +
+            FormatIfcReal (material.color.b / 255.0) + ')');
+        let transparency = (material.transparent ? 1.0 - material.opacity : 0.0);
+        let shading = writer.AddEntity ('IFCSURFACESTYLESHADING(' + colour + ',' + FormatIfcReal (transparency) + ')');
+        let styleName = (material.name.length > 0 ? EncodeIfcString (material.name) : '$');
+        let surfaceStyle = writer.AddEntity ('IFCSURFACESTYLE(' + styleName + ',.BOTH.,(' + shading + '))');
+        surfaceStyles.set (materialIndex, surfaceStyle);
+        return surfaceStyle;
+    }
+
+    GetMeshGuid (mesh, usedGuids)
+    {
+        // keep the original guid of imported elements, but only for the first instance, the
+        // names are localized the same way as in the ifc importer
+        for (let groupIndex = 0; groupIndex < mesh.PropertyGroupCount (); groupIndex++) {
+            let group = mesh.GetPropertyGroup (groupIndex);
+            for (let propertyIndex = 0; propertyIndex < group.PropertyCount (); propertyIndex++) {
+                let property = group.GetProperty (propertyIndex);
+                if (property.type === PropertyType.Text && property.name === Loc ('Guid') && IsIfcGuid (property.value) && !usedGuids.has (property.value)) {
+                    usedGuids.add (property.value);
+                    return property.value;
+                }
+            }
+        }
+        let guid = CreateIfcGuid ();
+        usedGuids.add (guid);
+        return guid;
+    }
+
+    ExportPropertySets (writer, element, ifcElement, modelUnit, projectUnit)
+    {
+        for (let groupIndex = 0; groupIndex < element.PropertyGroupCount (); groupIndex++) {
+            let group = element.GetPropertyGroup (groupIndex);
+            // the info group of the ifc importer holds attributes of the element, not a property set
+            if (group.name === Loc ('Info')) {
+                continue;
+            }
+            let properties = [];
+            for (let propertyIndex = 0; propertyIndex < group.PropertyCount (); propertyIndex++) {
+                let property = group.GetProperty (propertyIndex).Clone ();
+                ConvertPropertyUnit (property, modelUnit, projectUnit);
+                properties.push (writer.AddEntity ('IFCPROPERTYSINGLEVALUE(' + EncodeIfcString (property.name) + ',$,' + GetIfcPropertyValue (property, projectUnit) + ',$)'));
+            }
+            if (properties.length === 0) {
+                continue;
+            }
+            let propertySet = writer.AddEntity ('IFCPROPERTYSET(\'' + CreateIfcGuid () + '\',$,' + EncodeIfcString (group.name) + ',$,' + FormatIfcList (properties) + ')');
+            writer.AddEntity ('IFCRELDEFINESBYPROPERTIES(\'' + CreateIfcGuid () + '\',$,$,$,(' + ifcElement + '),' + propertySet + ')');
+        }
+    }
+}
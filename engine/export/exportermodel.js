@@ -1,6 +1,8 @@
 import { CopyObjectAttributes } from '../core/core.js';
 import { Transformation } from '../geometry/transformation.js';
-import { CalculateTriangleNormal, TransformMesh } from '../model/meshutils.js';
+import { CalculateTriangleNormal, ScaleMesh, TransformMesh } from '../model/meshutils.js';
+import { ScaleTransformationTranslation } from '../model/modelutils.js';
+import { GetUnitScale, Unit } from '../model/unit.js';
 
 export class ExporterSettings
 {
@@ -10,6 +12,8 @@ export class ExporterSettings
         this.isMeshVisible = (meshInstanceId) => {
             return true;
         };
+        // the exported geometry is converted to this unit if the unit of the model is known
+        this.targetUnit = Unit.Unknown;
 
         CopyObjectAttributes (settings, this);
     }
@@ -23,6 +27,12 @@ export class ExporterModel
         this.settings = settings || new ExporterSettings ();
         this.visibleMeshes = null;
         this.meshToVisibleMeshIndex = null;
+        this.unit = this.model.GetUnit ();
+        this.unitScale = 1.0;
+        if (this.unit !== Unit.Unknown && this.settings.targetUnit !== Unit.Unknown) {
+            this.unitScale = GetUnitScale (this.unit, this.settings.targetUnit);
+            this.unit = this.settings.targetUnit;
+        }
     }
 
     GetModel ()
@@ -30,6 +40,25 @@ export class ExporterModel
         return this.model;
     }
 
+    GetUnit ()
+    {
+        return this.unit;
+    }
+
+    GetUnitScale ()
+    {
+        return this.unitScale;
+    }
+
+    GetNodeTransformation (node)
+    {
+        let transformation = node.GetTransformation ();
+        if (this.unitScale === 1.0) {
+            return transformation;
+        }
+        return ScaleTransformationTranslation (transformation, this.unitScale);
+    }
+
     MaterialCount ()
     {
         return this.model.MaterialCount ();
@@ -73,6 +102,10 @@ export class ExporterModel
         for (let meshIndex = 0; meshIndex < this.model.MeshCount (); meshIndex++) {
             if (this.visibleMeshes.has (meshIndex)) {
                 let mesh = this.model.GetMesh (meshIndex);
+                if (this.unitScale !== 1.0) {
+                    mesh = mesh.Clone ();
+                    ScaleMesh (mesh, this.unitScale);
+                }
                 onMesh (mesh);
             }
         }
@@ -120,6 +153,9 @@ export class ExporterModel
             if (!transformation.IsIdentity ()) {
                 TransformMesh (transformed, transformation);
             }
+            if (this.unitScale !== 1.0) {
+                ScaleMesh (transformed, this.unitScale);
+            }
 
             onMesh (transformed);
         });
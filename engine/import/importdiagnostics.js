@@ -0,0 +1,66 @@
+import { LogLevel } from '../core/logger.js';
+
+/**
+ * Severity of an import diagnostic.
+ * @enum
+ */
+export const DiagnosticSeverity =
+{
+    /** Informational message, the model is complete. */
+    Info : 1,
+    /** Something is missing or was changed, the model may differ from the original. */
+    Warning : 2,
+    /** The import has failed. */
+    Error : 3
+};
+
+/**
+ * Code of an import diagnostic.
+ * @enum
+ */
+export const DiagnosticCode =
+{
+    /** The import has failed, the message contains the reason. */
+    ImportFailed : 1,
+    /** A referenced file (texture, material library etc.) is not found. */
+    MissingFile : 2,
+    /** The file uses a format extension that the importer doesn't support. */
+    UnsupportedExtension : 3,
+    /** The model contains degenerate triangles, they are kept in the model. */
+    DegenerateTriangles : 4,
+    /** The file references a material that is not defined. */
+    UnknownMaterial : 5,
+    /** A property value of an unsupported type was skipped. */
+    UnsupportedPropertyValue : 6
+};
+
+/**
+ * A single message about an import.
+ */
+export class ImportDiagnostic
+{
+    /**
+     * @param {DiagnosticSeverity} severity Severity of the diagnostic.
+     * @param {DiagnosticCode} code Code of the diagnostic.
+     * @param {string} message Human readable message.
+     */
+    constructor (severity, code, message)
+    {
+        this.severity = severity;
+        this.code = code;
+        this.message = message;
+        this.sourceFile = null;
+        this.context = {};
+    }
+}
+
+export function DiagnosticSeverityToLogLevel (severity)
+{
+    if (severity === DiagnosticSeverity.Error) {
+        return LogLevel.Error;
+    } else if (severity === DiagnosticSeverity.Warning) {
+        return LogLevel.Warning;
+    } else {
+        return LogLevel.Info;
+    }
+}
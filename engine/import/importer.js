@@ -1,6 +1,12 @@
+import { FLoc } from '../core/localization.js';
+import { LogDebug, LogError } from '../core/logger.js';
 import { RunTaskAsync } from '../core/taskrunner.js';
 import { FileSource, GetFileName } from '../io/fileutils.js';
 import { RGBColor } from '../model/color.js';
+import { Model } from '../model/model.js';
+import { AddModelToNode, ConvertModelUnit } from '../model/modelutils.js';
+import { GetUnitMeters, Unit } from '../model/unit.js';
+import { DiagnosticCode, DiagnosticSeverity, ImportDiagnostic } from './importdiagnostics.js';
 import { ImporterFile, ImporterFileList } from './importerfiles.js';
 import { Importer3dm } from './importer3dm.js';
 import { Importer3ds } from './importer3ds.js';
@@ -12,8 +18,9 @@ import { ImporterPly } from './importerply.js';
 import { ImporterOcct } from './importerocct.js';
 import { ImporterStl } from './importerstl.js';
 import { ImporterBim } from './importerbim.js';
-import { ImporterThreeAmf, ImporterThree3mf, ImporterThreeDae, ImporterThreeFbx, ImporterThreeWrl } from './importerthree.js';
+import { ImporterThreeAmf, ImporterThree3mf, ImporterThreeDae, ImporterThreeFbx, ImporterThreeLDraw, ImporterThreePcd, ImporterThreeUsdz, ImporterThreeWrl, ImporterThreeXyz } from './importerthree.js';
 import { ImporterFcstd } from './importerfcstd.js';
+import { TessellationSettings } from './tessellation.js';
 import { WaitWhile } from '../core/taskrunner.js';
 import { Direction } from '../geometry/geometry.js';
 import { Matrix } from '../geometry/matrix.js';
@@ -33,10 +40,42 @@ const THREE = window.THREE;
 const TGALoader = window.TGALoader;
 const FBXLoader = window.FBXLoader;
 
+function GetArchiveFiles(fileList) {
+    return fileList.GetFiles().filter(file => file.extension === 'zip');
+}
+
+function GetUpDirectionTransformation(direction) {
+    // rotates the model to the Y up coordinate system of the federated model
+    let matrix = new Matrix().CreateIdentity();
+    if (direction === Direction.X) {
+        matrix.Set([
+            0.0, 1.0, 0.0, 0.0,
+            -1.0, 0.0, 0.0, 0.0,
+            0.0, 0.0, 1.0, 0.0,
+            0.0, 0.0, 0.0, 1.0
+        ]);
+    } else if (direction === Direction.Z) {
+        matrix.Set([
+            1.0, 0.0, 0.0, 0.0,
+            0.0, 0.0, -1.0, 0.0,
+            0.0, 1.0, 0.0, 0.0,
+            0.0, 0.0, 0.0, 1.0
+        ]);
+    }
+    return new Transformation(matrix);
+}
+
 export class ImportSettings {
     constructor() {
         this.defaultLineColor = new RGBColor(100, 100, 100);
         this.defaultColor = new RGBColor(200, 200, 200);
+        this.tessellationSettings = new TessellationSettings();
+        // the model is converted to this unit if its own unit is known
+        this.targetUnit = Unit.Unknown;
+        // every importable file is imported as a top level node of one model
+        this.federated = false;
+        // names of the files to import in federated mode, null means all of the importable files
+        this.federatedFiles = null;
     }
 }
 
@@ -44,7 +83,8 @@ export const ImportErrorCode = {
     NoImportableFile: 1,
     FailedToLoadFile: 2,
     ImportFailed: 3,
-    UnknownError: 4
+    UnknownError: 4,
+    Aborted: 5
 };
 
 export class ImportError {
@@ -52,6 +92,7 @@ export class ImportError {
         this.code = code;
         this.mainFile = null;
         this.message = null;
+        this.diagnostics = [];
     }
 }
 
@@ -60,8 +101,23 @@ export class ImportResult {
         this.model = null;
         this.mainFile = null;
         this.upVector = null;
+        this.unit = Unit.Unknown;
+        this.metersPerUnit = null;
         this.usedFiles = null;
         this.missingFiles = null;
+        this.diagnostics = null;
+        this.federatedModels = null;
+    }
+}
+
+export class FederatedModel {
+    constructor(fileName, nodeId) {
+        this.fileName = fileName;
+        this.nodeId = nodeId;
+        this.upVector = null;
+        this.unit = Unit.Unknown;
+        // transformation of the node without the placement of the model
+        this.baseTransformation = null;
     }
 }
 
@@ -72,12 +128,12 @@ export class ImporterFileAccessor {
     }
 
     GetFileBuffer(filePath) {
-        let fileName = GetFileName(filePath);
-        if (this.fileBuffers.has(fileName)) {
-            return this.fileBuffers.get(fileName);
+        let fileKey = filePath.replace(/\\/g, '/').toLowerCase();
+        if (this.fileBuffers.has(fileKey)) {
+            return this.fileBuffers.get(fileKey);
         }
-        let buffer = this.getBufferCallback(fileName);
-        this.fileBuffers.set(fileName, buffer);
+        let buffer = this.getBufferCallback(filePath);
+        this.fileBuffers.set(fileKey, buffer);
         return buffer;
     }
 }
@@ -100,13 +156,17 @@ export class Importer {
             new ImporterThreeDae(),
             new ImporterThreeWrl(),
             new ImporterThree3mf(),
-            new ImporterThreeAmf()
+            new ImporterThreeAmf(),
+            new ImporterThreeUsdz(),
+            new ImporterThreePcd(),
+            new ImporterThreeXyz(),
+            new ImporterThreeLDraw()
         ];
-        console.log(this.importers[0]);
         this.fileList = new ImporterFileList();
         this.model = null;
         this.usedFiles = [];
         this.missingFiles = [];
+        this.importState = null;
     }
 
     AddImporter(importer) {
@@ -114,29 +174,144 @@ export class Importer {
     }
 
     ImportFiles(inputFiles, settings, callbacks) {
-        console.log('ImportFiles called');
+        LogDebug('ImportFiles called');
+        // Callbacks of an aborted import are never called, every step checks the state
+        // of its own import, so a new import can start right after an abort.
+        let importState = {
+            aborted: false,
+            abortController: new AbortController(),
+            activeImporter: null,
+            activeImporterState: null
+        };
+        this.importState = importState;
+        callbacks = this.CreateAbortableCallbacks(callbacks, importState);
         callbacks.onLoadStart();
         this.LoadFiles(inputFiles, {
+            abortSignal: importState.abortController.signal,
             onReady: () => {
-                console.log('Files loaded, starting import ', inputFiles);
-                callbacks.onImportStart();
+                if (importState.aborted) {
+                    return;
+                }
+                LogDebug('Files loaded, starting import ', inputFiles);
+                if (callbacks.onDecompressStart && GetArchiveFiles(this.fileList).length > 0) {
+                    callbacks.onDecompressStart();
+                }
                 RunTaskAsync(() => {
+                    if (importState.aborted) {
+                        return;
+                    }
                     this.DecompressArchives(this.fileList, () => {
-                        console.log('Archives decompressed, importing loaded files ', this.fileList);
-                        this.ImportLoadedFiles(settings, callbacks);
+                        LogDebug('Archives decompressed, importing loaded files ', this.fileList);
+                        callbacks.onImportStart();
+                        RunTaskAsync(() => {
+                            if (importState.aborted) {
+                                return;
+                            }
+                            this.ImportLoadedFiles(importState, settings, callbacks);
+                        });
                     });
                 });
             },
             onFileListProgress: callbacks.onFileListProgress,
             onFileLoadProgress: callbacks.onFileLoadProgress
         });
+        return importState;
+    }
+
+    ImportFilesAsync(inputFiles, settings, options) {
+        let signal = (options && options.signal) ? options.signal : null;
+        return new Promise((resolve, reject) => {
+            if (signal !== null && signal.aborted) {
+                reject(new ImportError(ImportErrorCode.Aborted));
+                return;
+            }
+
+            let importState = null;
+            const onAbort = () => {
+                if (importState !== null) {
+                    this.AbortImport(importState);
+                }
+                reject(new ImportError(ImportErrorCode.Aborted));
+            };
+            const removeAbortListener = () => {
+                if (signal !== null) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+            if (signal !== null) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            const GetCallback = (name) => {
+                if (options && options[name]) {
+                    return options[name];
+                }
+                return () => {};
+            };
+
+            importState = this.ImportFiles(inputFiles, settings, {
+                onLoadStart: GetCallback('onLoadStart'),
+                onFileListProgress: GetCallback('onFileListProgress'),
+                onFileLoadProgress: GetCallback('onFileLoadProgress'),
+                onDecompressStart: GetCallback('onDecompressStart'),
+                onImportStart: GetCallback('onImportStart'),
+                onSelectMainFile: (options && options.onSelectMainFile) ? options.onSelectMainFile : null,
+                onImportSuccess: (importResult) => {
+                    removeAbortListener();
+                    resolve(importResult);
+                },
+                onImportError: (importError) => {
+                    removeAbortListener();
+                    reject(importError);
+                }
+            });
+        });
+    }
+
+    Abort() {
+        if (this.importState !== null) {
+            this.AbortImport(this.importState);
+        }
+    }
+
+    AbortImport(importState) {
+        if (importState.aborted) {
+            return;
+        }
+        importState.aborted = true;
+        importState.abortController.abort();
+        if (importState.activeImporter !== null) {
+            importState.activeImporter.Abort(importState.activeImporterState);
+            importState.activeImporter = null;
+            importState.activeImporterState = null;
+        }
+        if (this.importState === importState) {
+            this.importState = null;
+        }
+    }
+
+    CreateAbortableCallbacks(callbacks, importState) {
+        let abortableCallbacks = {};
+        for (let name of Object.keys(callbacks)) {
+            let callback = callbacks[name];
+            if (typeof callback !== 'function') {
+                abortableCallbacks[name] = callback;
+                continue;
+            }
+            abortableCallbacks[name] = (...args) => {
+                if (!importState.aborted) {
+                    callback(...args);
+                }
+            };
+        }
+        return abortableCallbacks;
     }
 
     LoadFiles(inputFiles, callbacks) {
-        console.log('LoadFiles called', inputFiles);
+        LogDebug('LoadFiles called', inputFiles);
         let newFileList = new ImporterFileList();
         newFileList.FillFromInputFiles(inputFiles);
-        console.log("New filelist", newFileList);
+        LogDebug("New filelist", newFileList);
         let reset = false;
         if (this.HasImportableFile(newFileList)) {
             reset = true;
@@ -158,62 +333,93 @@ export class Importer {
         if (reset) {
             this.fileList = newFileList;
         }
-        console.log('Final file list:', this.fileList);
+        LogDebug('Final file list:', this.fileList);
         this.fileList.GetContent({
+            abortSignal: callbacks.abortSignal,
             onReady: () => {
-                console.log('File content ready');
+                LogDebug('File content ready');
                 callbacks.onReady();
             },
-            onFileListProgress: (progress) => {
-                console.log('File list progress:', progress);
-                callbacks.onFileListProgress(progress);
+            onFileListProgress: (current, total) => {
+                LogDebug('File list progress:', current, total);
+                callbacks.onFileListProgress(current, total);
             },
-            onFileLoadProgress: (progress) => {
-                console.log('File load progress:', progress);
-                callbacks.onFileLoadProgress(progress);
+            onFileLoadProgress: (loaded, total) => {
+                LogDebug('File load progress:', loaded, total);
+                callbacks.onFileLoadProgress(loaded, total);
             }
         });
     }
 
-    ImportLoadedFiles(settings, callbacks) {
-        console.log('ImportLoadedFiles called');
+    ImportLoadedFiles(importState, settings, callbacks) {
+        LogDebug('ImportLoadedFiles called');
         let importableFiles = this.GetImportableFiles(this.fileList);
         if (importableFiles.length === 0) {
-            console.error('No importable files found');
+            LogError('No importable files found');
             callbacks.onImportError(new ImportError(ImportErrorCode.NoImportableFile));
             return;
         }
 
+        if (settings.federated) {
+            if (settings.federatedFiles !== null) {
+                let federatedFiles = settings.federatedFiles.map(fileName => fileName.toLowerCase());
+                importableFiles = importableFiles.filter(importableFile => federatedFiles.includes(importableFile.file.name.toLowerCase()));
+                if (importableFiles.length === 0) {
+                    LogError('None of the selected files can be imported');
+                    callbacks.onImportError(new ImportError(ImportErrorCode.NoImportableFile));
+                    return;
+                }
+            } else {
+                let directFiles = importableFiles.filter(importableFile => importableFile.file.source !== FileSource.Decompressed);
+                if (directFiles.length > 0) {
+                    importableFiles = directFiles;
+                }
+            }
+            LogDebug('Importing files into a federated model:', importableFiles.map(importableFile => importableFile.file.name));
+            this.ImportLoadedFederatedFiles(importState, importableFiles, settings, callbacks);
+            return;
+        }
+
+        // Files coming from archives (e.g. a parts library next to the model) are only
+        // considered as the main file if nothing else can be imported.
+        let directFiles = importableFiles.filter(importableFile => importableFile.file.source !== FileSource.Decompressed);
+        if (directFiles.length > 0) {
+            importableFiles = directFiles;
+        }
+
         if (importableFiles.length === 1 || !callbacks.onSelectMainFile) {
             let mainFile = importableFiles[0];
-            console.log('Single importable file found, importing:', mainFile.file.name);
-            this.ImportLoadedMainFile(mainFile, settings, callbacks);
+            LogDebug('Single importable file found, importing:', mainFile.file.name);
+            this.ImportLoadedMainFile(importState, mainFile, settings, callbacks);
         } else {
             let fileNames = importableFiles.map(importableFile => importableFile.file.name);
-            console.log('Multiple importable files found, prompting user to select main file');
+            LogDebug('Multiple importable files found, prompting user to select main file');
             callbacks.onSelectMainFile(fileNames, (mainFileIndex) => {
                 if (mainFileIndex === null) {
-                    console.error('No main file selected');
+                    LogError('No main file selected');
                     callbacks.onImportError(new ImportError(ImportErrorCode.NoImportableFile));
                     return;
                 }
                 RunTaskAsync(() => {
+                    if (importState.aborted) {
+                        return;
+                    }
                     let mainFile = importableFiles[mainFileIndex];
-                    console.log('User selected main file:', mainFile.file.name);
-                    this.ImportLoadedMainFile(mainFile, settings, callbacks);
+                    LogDebug('User selected main file:', mainFile.file.name);
+                    this.ImportLoadedMainFile(importState, mainFile, settings, callbacks);
                 });
             });
         }
     }
 
-    ImportLoadedMainFile(mainFile, settings, callbacks) {
-        console.log('ImportLoadedMainFile called for file:', mainFile.file.name);
+    ImportLoadedMainFile(importState, mainFile, settings, callbacks) {
+        LogDebug('ImportLoadedMainFile called for file:', mainFile.file.name);
         if (mainFile === null || mainFile.file === null || mainFile.file.content === null) {
             let error = new ImportError(ImportErrorCode.FailedToLoadFile);
             if (mainFile !== null && mainFile.file !== null) {
                 error.mainFile = mainFile.file.name;
             }
-            console.error('Failed to load main file:', error.mainFile);
+            LogError('Failed to load main file:', error.mainFile);
             callbacks.onImportError(error);
             return;
         }
@@ -221,68 +427,234 @@ export class Importer {
         this.model = null;
         this.usedFiles = [];
         this.missingFiles = [];
-        this.usedFiles.push(mainFile.file.name);
+        this.ImportLoadedFile(importState, mainFile, settings, {
+            onSuccess: (importer) => {
+                LogDebug('Import successful for file:', mainFile.file.name);
+                this.model = importer.GetModel();
+                ConvertModelUnit(this.model, settings.targetUnit);
+                let result = new ImportResult();
+                result.mainFile = mainFile.file.name;
+                result.model = this.model;
+                result.usedFiles = this.usedFiles;
+                result.missingFiles = this.missingFiles;
+                result.upVector = importer.GetUpDirection();
+                result.unit = this.model.GetUnit();
+                result.metersPerUnit = GetUnitMeters(this.model.GetUnit());
+                result.diagnostics = importer.GetDiagnostics();
+                callbacks.onImportSuccess(result);
+            },
+            onError: (importer) => {
+                let error = new ImportError(ImportErrorCode.ImportFailed);
+                error.mainFile = mainFile.file.name;
+                error.message = importer.GetErrorMessage();
+                error.diagnostics = importer.GetDiagnostics();
+                LogDebug('Import failed for file:', error.mainFile, 'Error message:', error.message);
+                callbacks.onImportError(error);
+            },
+            onComplete: () => {
+                LogDebug('Import complete for file:', mainFile.file.name);
+            }
+        });
+    }
+
+    ImportLoadedFederatedFiles(importState, importableFiles, settings, callbacks) {
+        LogDebug('ImportLoadedFederatedFiles called');
+        this.model = null;
+        this.usedFiles = [];
+        this.missingFiles = [];
+
+        // The files are imported one by one. When all of them are imported, each of them is converted
+        // to the common unit and the Y up coordinate system, and added to the model under its own top
+        // level node. The common unit is the target unit, or the first known unit of the files.
+        let model = new Model();
+        let unit = settings.targetUnit;
+        let importedFiles = [];
+        let federatedModels = [];
+        let diagnostics = [];
+        let errorMessage = null;
+
+        const FinishImport = () => {
+            if (importedFiles.length === 0) {
+                let error = new ImportError(ImportErrorCode.ImportFailed);
+                error.message = errorMessage;
+                error.diagnostics = diagnostics;
+                LogError('Failed to import any of the federated files');
+                callbacks.onImportError(error);
+                return;
+            }
+            if (unit === Unit.Unknown) {
+                let knownUnitFile = importedFiles.find((importedFile) => importedFile.model.GetUnit() !== Unit.Unknown);
+                if (knownUnitFile !== undefined) {
+                    unit = knownUnitFile.model.GetUnit();
+                }
+            }
+            for (let importedFile of importedFiles) {
+                AddFederatedModel(importedFile.fileName, importedFile.model, importedFile.upVector);
+            }
+            model.SetUnit(unit);
+            this.model = model;
+            let result = new ImportResult();
+            result.model = this.model;
+            result.usedFiles = this.usedFiles;
+            result.missingFiles = this.missingFiles;
+            result.upVector = Direction.Y;
+            result.unit = unit;
+            result.metersPerUnit = GetUnitMeters(unit);
+            result.diagnostics = diagnostics;
+            result.federatedModels = federatedModels;
+            callbacks.onImportSuccess(result);
+        };
+
+        const AddFederatedModel = (fileName, fileModel, upVector) => {
+            let fileUnit = fileModel.GetUnit();
+            ConvertModelUnit(fileModel, unit);
+
+            // the source root goes to a child node, so its transformation and animation tracks
+            // don't interfere with the up direction correction and the placement of the model
+            let node = new Node();
+            node.SetName(fileName);
+            model.GetRootNode().AddChildNode(node);
+            let contentNode = new Node();
+            contentNode.SetName(fileModel.GetRootNode().GetName());
+            node.AddChildNode(contentNode);
+            AddModelToNode(model, contentNode, fileModel);
+            node.SetTransformation(GetUpDirectionTransformation(upVector));
+            for (let i = 0; i < fileModel.PropertyGroupCount(); i++) {
+                let propertyGroup = fileModel.GetPropertyGroup(i).Clone();
+                propertyGroup.name = propertyGroup.name + ' (' + fileName + ')';
+                model.AddPropertyGroup(propertyGroup);
+            }
 
-        let importer = mainFile.importer;
-        let fileAccessor = new ImporterFileAccessor((fileName) => {
+            let federatedModel = new FederatedModel(fileName, node.GetId());
+            federatedModel.upVector = upVector;
+            federatedModel.unit = fileUnit;
+            federatedModel.baseTransformation = node.GetTransformation().Clone();
+            federatedModels.push(federatedModel);
+        };
+
+        const ImportNextFile = (fileIndex) => {
+            if (importState.aborted) {
+                return;
+            }
+            if (fileIndex === importableFiles.length) {
+                FinishImport();
+                return;
+            }
+            let importableFile = importableFiles[fileIndex];
+            let fileName = importableFile.file.name;
+            if (importableFile.file.content === null) {
+                LogError('Failed to load federated file:', fileName);
+                let diagnostic = new ImportDiagnostic(DiagnosticSeverity.Error, DiagnosticCode.ImportFailed, FLoc('Failed to load file: {0}.', fileName));
+                diagnostic.sourceFile = fileName;
+                diagnostics.push(diagnostic);
+                ImportNextFile(fileIndex + 1);
+                return;
+            }
+            this.ImportLoadedFile(importState, importableFile, settings, {
+                onSuccess: (importer) => {
+                    LogDebug('Import successful for federated file:', fileName);
+                    importedFiles.push({
+                        fileName: fileName,
+                        model: importer.GetModel(),
+                        upVector: importer.GetUpDirection()
+                    });
+                    diagnostics.push(...importer.GetDiagnostics());
+                },
+                onError: (importer) => {
+                    LogDebug('Import failed for federated file:', fileName);
+                    errorMessage = importer.GetErrorMessage();
+                    diagnostics.push(...importer.GetDiagnostics());
+                },
+                onComplete: () => {
+                    RunTaskAsync(() => {
+                        ImportNextFile(fileIndex + 1);
+                    });
+                }
+            });
+        };
+
+        ImportNextFile(0);
+    }
+
+    ImportLoadedFile(importState, importableFile, settings, callbacks) {
+        let file = importableFile.file;
+        if (!this.usedFiles.includes(file.name)) {
+            this.usedFiles.push(file.name);
+        }
+
+        let importer = importableFile.importer;
+        importState.activeImporter = importer;
+        // Only importers resolving files by their relative path use the folders of the requested path,
+        // the others find referenced files by name wherever they are.
+        let findFile = (filePath) => {
+            if (importer.ResolvesFilesByRelativePath()) {
+                return this.fileList.FindFileByRelativePath(filePath);
+            }
+            return this.fileList.FindFileByPath(filePath);
+        };
+        let fileAccessor = new ImporterFileAccessor((filePath) => {
             let fileBuffer = null;
-            let file = this.fileList.FindFileByPath(fileName);
+            let fileName = GetFileName(filePath);
+            let file = findFile(filePath);
             if (file === null || file.content === null) {
-                this.missingFiles.push(fileName);
+                if (!this.missingFiles.includes(fileName)) {
+                    this.missingFiles.push(fileName);
+                    importer.AddDiagnostic(DiagnosticSeverity.Warning, DiagnosticCode.MissingFile, FLoc('Missing file: {0}.', fileName), {
+                        filePath: filePath
+                    });
+                }
                 fileBuffer = null;
             } else {
-                this.usedFiles.push(fileName);
+                if (!this.usedFiles.includes(file.name)) {
+                    this.usedFiles.push(file.name);
+                }
                 fileBuffer = file.content;
             }
             return fileBuffer;
         });
 
-        importer.Import(mainFile.file.name, mainFile.file.extension, mainFile.file.content, {
+        let importerState = importer.Import(file.name, file.extension, file.content, {
             getDefaultLineMaterialColor: () => {
                 return settings.defaultLineColor;
             },
             getDefaultMaterialColor: () => {
                 return settings.defaultColor;
             },
+            getTessellationSettings: () => {
+                return settings.tessellationSettings;
+            },
             getFileBuffer: (filePath) => {
                 return fileAccessor.GetFileBuffer(filePath);
             },
+            hasFile: (filePath) => {
+                let file = findFile(filePath);
+                return file !== null && file.content !== null;
+            },
             onSuccess: () => {
-                console.log('Import successful for file:', mainFile.file.name);
-                this.model = importer.GetModel();
-                let result = new ImportResult();
-                result.mainFile = mainFile.file.name;
-                result.model = this.model;
-                result.usedFiles = this.usedFiles;
-                result.missingFiles = this.missingFiles;
-                result.upVector = importer.GetUpDirection();
-                callbacks.onImportSuccess(result);
+                callbacks.onSuccess(importer);
             },
             onError: () => {
-                let error = new ImportError(ImportErrorCode.ImportFailed);
-                error.mainFile = mainFile.file.name;
-                error.message = importer.GetErrorMessage();
-                console.error('Import failed for file:', error.mainFile, 'Error message:', error.message);
-                callbacks.onImportError(error);
+                callbacks.onError(importer);
             },
             onComplete: () => {
-                console.log('Import complete for file:', mainFile.file.name);
+                if (importState.activeImporter === importer) {
+                    importState.activeImporter = null;
+                    importState.activeImporterState = null;
+                }
                 importer.Clear();
+                callbacks.onComplete();
             }
         });
+        if (importState.activeImporter === importer) {
+            importState.activeImporterState = importerState;
+        }
     }
 
     DecompressArchives(fileList, onReady) {
-        console.log('DecompressArchives called');
-        let files = fileList.GetFiles();
-        let archives = [];
-        for (let file of files) {
-            if (file.extension === 'zip') {
-                archives.push(file);
-            }
-        }
+        LogDebug('DecompressArchives called');
+        let archives = GetArchiveFiles(fileList);
         if (archives.length === 0) {
-            console.log('No archives to decompress');
+            LogDebug('No archives to decompress');
             onReady();
             return;
         }
@@ -298,23 +670,20 @@ export class Importer {
                 }
             }
         }
-        console.log('Archives decompressed');
+        LogDebug('Archives decompressed');
         onReady();
     }
 
     GetFileList() {
-        console.log('GetFileList called');
         return this.fileList;
     }
 
     HasImportableFile(fileList) {
-        console.log('HasImportableFile called');
         let importableFiles = this.GetImportableFiles(fileList);
         return importableFiles.length > 0;
     }
 
     GetImportableFiles(fileList) {
-        console.log('GetImportableFiles called');
         function FindImporter(file, importers) {
             for (let importerIndex = 0; importerIndex < importers.length; importerIndex++) {
                 let importer = importers[importerIndex];
@@ -1,4 +1,4 @@
-import { Direction } from '../geometry/geometry.js';
+import { Direction, IsPositive } from '../geometry/geometry.js';
 import { Matrix } from '../geometry/matrix.js';
 import { Transformation } from '../geometry/transformation.js';
 import { GetFileName } from '../io/fileutils.js';
@@ -9,10 +9,11 @@ import { Property, PropertyGroup, PropertyType } from '../model/property.js';
 import { ConvertThreeGeometryToMesh } from '../threejs/threeutils.js';
 import { ImporterBase } from './importerbase.js';
 import { LoadExternalLibrary, UpdateMaterialTransparency } from './importerutils.js';
+import { TessellationQuality } from './tessellation.js';
 import { TextureMap } from '../model/material.js';
 import { Mesh } from '../model/mesh.js';
 import { Line } from '../model/line.js';
-import { ArrayToCoord3D } from '../geometry/coord3d.js';
+import { ArrayToCoord3D, CoordDistance3D } from '../geometry/coord3d.js';
 import { Loc } from '../core/localization.js';
 
 export class Importer3dm extends ImporterBase
@@ -48,14 +49,19 @@ export class Importer3dm extends ImporterBase
     ImportContent (fileContent, onFinish)
     {
         if (this.rhino === null) {
+            let isAborted = this.CreateAbortCheck ();
             LoadExternalLibrary ('rhino3dm').then (() => {
                 rhino3dm ().then ((rhino) => {
                     this.rhino = rhino;
-                    this.ImportRhinoContent (fileContent);
+                    if (!isAborted ()) {
+                        this.ImportRhinoContent (fileContent);
+                    }
                     onFinish ();
                 });
             }).catch (() => {
-                this.SetError (Loc ('Failed to load rhino3dm.'));
+                if (!isAborted ()) {
+                    this.SetError (Loc ('Failed to load rhino3dm.'));
+                }
                 onFinish ();
             });
         } else {
@@ -142,19 +148,22 @@ export class Importer3dm extends ImporterBase
                 rhinoMesh.delete ();
             }
         } else if (objectType === this.rhino.ObjectType.Brep) {
-            let rhinoMesh = new this.rhino.Mesh ();
-            let faces = rhinoGeometry.faces ();
-            for (let i = 0; i < faces.count; i++) {
-                let face = faces.get (i);
-                let mesh = face.getMesh (this.rhino.MeshType.Any);
-                if (mesh) {
-                    rhinoMesh.append (mesh);
-                    mesh.delete ();
+            let rhinoMesh = this.TessellateRhinoBrep (rhinoGeometry);
+            if (rhinoMesh === null) {
+                rhinoMesh = new this.rhino.Mesh ();
+                let faces = rhinoGeometry.faces ();
+                for (let i = 0; i < faces.count; i++) {
+                    let face = faces.get (i);
+                    let mesh = face.getMesh (this.rhino.MeshType.Any);
+                    if (mesh) {
+                        rhinoMesh.append (mesh);
+                        mesh.delete ();
+                    }
+                    face.delete ();
                 }
-                face.delete ();
+                faces.delete ();
+                rhinoMesh.compact ();
             }
-            faces.delete ();
-            rhinoMesh.compact ();
             this.ImportRhinoGeometryAsMesh (rhinoDoc, rhinoMesh, rhinoObject, rhinoInstanceReferences);
             rhinoMesh.delete ();
         } else if (objectType === this.rhino.ObjectType.SubD) {
@@ -184,6 +193,61 @@ export class Importer3dm extends ImporterBase
         }
     }
 
+    TessellateRhinoBrep (rhinoBrep)
+    {
+        // Breps are imported from the render meshes saved in the file by default, they are
+        // only meshed again when a different quality is requested and rhino3dm supports it.
+        let tessellationSettings = this.GetTessellationSettings ();
+        if (tessellationSettings.IsDefault ()) {
+            return null;
+        }
+        if (this.rhino.MeshingParameters === undefined || this.rhino.Mesh.createFromBrep === undefined) {
+            return null;
+        }
+
+        let density = 0.5;
+        if (tessellationSettings.quality === TessellationQuality.Coarse) {
+            density = 0.0;
+        } else if (tessellationSettings.quality === TessellationQuality.Fine) {
+            density = 1.0;
+        }
+
+        let meshingParameters = null;
+        let rhinoMeshes = null;
+        try {
+            meshingParameters = new this.rhino.MeshingParameters (density);
+            if (tessellationSettings.linearDeflection !== null) {
+                // the linear deflection is relative to the size of the brep, the tolerance of rhino is absolute
+                let boundingBox = rhinoBrep.getBoundingBox ();
+                let size = CoordDistance3D (ArrayToCoord3D (boundingBox.min), ArrayToCoord3D (boundingBox.max));
+                boundingBox.delete ();
+                if (IsPositive (size)) {
+                    meshingParameters.tolerance = tessellationSettings.linearDeflection * size;
+                }
+            }
+            if (tessellationSettings.angularDeflection !== null) {
+                meshingParameters.refineAngle = tessellationSettings.angularDeflection;
+            }
+            rhinoMeshes = this.rhino.Mesh.createFromBrep (rhinoBrep, meshingParameters);
+        } catch (err) {
+            rhinoMeshes = null;
+        }
+        if (meshingParameters !== null) {
+            meshingParameters.delete ();
+        }
+        if (rhinoMeshes === null || rhinoMeshes === undefined || rhinoMeshes.length === 0) {
+            return null;
+        }
+
+        let rhinoMesh = new this.rhino.Mesh ();
+        for (let i = 0; i < rhinoMeshes.length; i++) {
+            rhinoMesh.append (rhinoMeshes[i]);
+            rhinoMeshes[i].delete ();
+        }
+        rhinoMesh.compact ();
+        return rhinoMesh;
+    }
+
     ImportRhinoGeometryAsMesh (rhinoDoc, rhinoGeometry, rhinoObject, rhinoInstanceReferences)
     {
         function GetSegmentedCurveLine (curveGeometry)
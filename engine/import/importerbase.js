@@ -2,35 +2,80 @@ import { Direction } from '../geometry/geometry.js';
 import { Model } from '../model/model.js';
 import { FinalizeModel } from '../model/modelfinalization.js';
 import { IsModelEmpty } from '../model/modelutils.js';
-import { Loc } from '../core/localization.js';
+import { Loc, FLoc } from '../core/localization.js';
+import { Log } from '../core/logger.js';
+import { DiagnosticCode, DiagnosticSeverity, DiagnosticSeverityToLogLevel, ImportDiagnostic } from './importdiagnostics.js';
+import { TessellationSettings } from './tessellation.js';
 
 export class ImporterBase
 {
     constructor ()
     {
-        console.log('baseeee');
         this.name = null;
         this.extension = null;
         this.callbacks = null;
         this.model = null;
         this.error = null;
         this.message = null;
+        this.diagnostics = [];
+        this.importState = null;
     }
 
+    // The importer instance is reused for every import, so the returned state identifies the
+    // started import. It can be passed to Abort to make sure that only this import is aborted.
     Import (name, extension, content, callbacks)
     {
         this.Clear ();
 
+        let importState = {
+            aborted : false
+        };
+        this.importState = importState;
         this.name = name;
         this.extension = extension;
         this.callbacks = callbacks;
         this.model = new Model ();
         this.error = false;
         this.message = null;
+        this.diagnostics = [];
         this.ResetContent ();
         this.ImportContent (content, () => {
+            if (this.importState !== importState) {
+                return;
+            }
+            if (importState.aborted) {
+                this.Clear ();
+                return;
+            }
             this.CreateResult (callbacks);
         });
+        return importState;
+    }
+
+    Abort (importState)
+    {
+        // No callback is called for an aborted import, importers can stop their
+        // workers or pending loads in AbortContent to finish earlier.
+        if (importState === undefined) {
+            importState = this.importState;
+        }
+        if (importState === null || importState.aborted) {
+            return;
+        }
+        importState.aborted = true;
+        if (importState === this.importState) {
+            this.AbortContent ();
+        }
+    }
+
+    // Async continuations of the import must check the returned function before they touch
+    // the importer, because the import may have been aborted or replaced by a new one.
+    CreateAbortCheck ()
+    {
+        let importState = this.importState;
+        return () => {
+            return importState === null || importState.aborted || importState !== this.importState;
+        };
     }
 
     Clear ()
@@ -41,6 +86,8 @@ export class ImporterBase
         this.model = null;
         this.error = null;
         this.message = null;
+        this.diagnostics = [];
+        this.importState = null;
         this.ClearContent ();
     }
 
@@ -59,10 +106,20 @@ export class ImporterBase
             return;
         }
 
-        FinalizeModel (this.model, {
+        let finalizationResult = FinalizeModel (this.model, {
             defaultLineMaterialColor : this.callbacks.getDefaultLineMaterialColor (),
             defaultMaterialColor : this.callbacks.getDefaultMaterialColor ()
         });
+        if (finalizationResult.degenerateTriangles.length > 0) {
+            let triangleCount = 0;
+            for (let degenerateTriangles of finalizationResult.degenerateTriangles) {
+                triangleCount += degenerateTriangles.triangleCount;
+            }
+            this.AddDiagnostic (DiagnosticSeverity.Warning, DiagnosticCode.DegenerateTriangles, FLoc ('{0} degenerate triangles found.', triangleCount), {
+                triangleCount : triangleCount,
+                meshes : finalizationResult.degenerateTriangles
+            });
+        }
 
         callbacks.onSuccess ();
         callbacks.onComplete ();
@@ -73,11 +130,32 @@ export class ImporterBase
         return false;
     }
 
+    GetTessellationSettings ()
+    {
+        if (this.callbacks === null || this.callbacks.getTessellationSettings === undefined) {
+            return new TessellationSettings ();
+        }
+        return this.callbacks.getTessellationSettings ();
+    }
+
+    HasFile (filePath)
+    {
+        if (this.callbacks === null || this.callbacks.hasFile === undefined) {
+            return false;
+        }
+        return this.callbacks.hasFile (filePath);
+    }
+
     GetUpDirection ()
     {
         return Direction.Z;
     }
 
+    ResolvesFilesByRelativePath ()
+    {
+        return false;
+    }
+
     ClearContent ()
     {
 
@@ -93,6 +171,11 @@ export class ImporterBase
 
     }
 
+    AbortContent ()
+    {
+
+    }
+
     GetModel ()
     {
         return this.model;
@@ -104,6 +187,24 @@ export class ImporterBase
         if (message !== undefined && message !== null) {
             this.message = message;
         }
+        this.AddDiagnostic (DiagnosticSeverity.Error, DiagnosticCode.ImportFailed, this.message);
+    }
+
+    AddDiagnostic (severity, code, message, context)
+    {
+        let diagnostic = new ImportDiagnostic (severity, code, message);
+        diagnostic.sourceFile = this.name;
+        if (context !== undefined) {
+            diagnostic.context = context;
+        }
+        this.diagnostics.push (diagnostic);
+        Log (DiagnosticSeverityToLogLevel (severity), message, diagnostic);
+        return diagnostic;
+    }
+
+    GetDiagnostics ()
+    {
+        return this.diagnostics;
     }
 
     WasError ()
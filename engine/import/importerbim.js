@@ -10,10 +10,58 @@ import { Quaternion } from '../geometry/quaternion.js';
 import { Matrix } from '../geometry/matrix.js';
 import { Transformation } from '../geometry/transformation.js';
 import { ColorToMaterialConverter } from './importerutils.js';
-import { Property, PropertyGroup, PropertyType } from '../model/property.js';
-import { Unit } from '../model/unit.js';
+import { ParseDateString, Property, PropertyGroup, PropertyType } from '../model/property.js';
+import { Unit, MassUnit, AngleUnit } from '../model/unit.js';
 import { Loc } from '../core/localization.js';
 
+const MeasureUnitSymbols = new Map ([
+    ['\u00b5m', { type : PropertyType.Length, unit : Unit.Micrometer }],
+    ['mm', { type : PropertyType.Length, unit : Unit.Millimeter }],
+    ['cm', { type : PropertyType.Length, unit : Unit.Centimeter }],
+    ['m', { type : PropertyType.Length, unit : Unit.Meter }],
+    ['in', { type : PropertyType.Length, unit : Unit.Inch }],
+    ['km', { type : PropertyType.Length, unit : Unit.Kilometer }],
+    ['ft', { type : PropertyType.Length, unit : Unit.Foot }],
+    ['yd', { type : PropertyType.Length, unit : Unit.Yard }],
+    ['mi', { type : PropertyType.Length, unit : Unit.Mile }],
+    ['mm\u00b2', { type : PropertyType.Area, unit : Unit.Millimeter }],
+    ['cm\u00b2', { type : PropertyType.Area, unit : Unit.Centimeter }],
+    ['m\u00b2', { type : PropertyType.Area, unit : Unit.Meter }],
+    ['m2', { type : PropertyType.Area, unit : Unit.Meter }],
+    ['km\u00b2', { type : PropertyType.Area, unit : Unit.Kilometer }],
+    ['ft\u00b2', { type : PropertyType.Area, unit : Unit.Foot }],
+    ['mm\u00b3', { type : PropertyType.Volume, unit : Unit.Millimeter }],
+    ['cm\u00b3', { type : PropertyType.Volume, unit : Unit.Centimeter }],
+    ['m\u00b3', { type : PropertyType.Volume, unit : Unit.Meter }],
+    ['m3', { type : PropertyType.Volume, unit : Unit.Meter }],
+    ['ft\u00b3', { type : PropertyType.Volume, unit : Unit.Foot }],
+    ['g', { type : PropertyType.Mass, unit : MassUnit.Gram }],
+    ['kg', { type : PropertyType.Mass, unit : MassUnit.Kilogram }],
+    ['t', { type : PropertyType.Mass, unit : MassUnit.Tonne }],
+    ['lb', { type : PropertyType.Mass, unit : MassUnit.Pound }],
+    ['rad', { type : PropertyType.Angle, unit : AngleUnit.Radian }],
+    ['\u00b0', { type : PropertyType.Angle, unit : AngleUnit.Degree }],
+    ['deg', { type : PropertyType.Angle, unit : AngleUnit.Degree }]
+]);
+
+function CreatePropertyFromString (name, value)
+{
+    // dotbim stores every value as a string, so measures, dates and links are recognized by their format
+    let measureMatch = value.match (/^\s*([-+]?\d+(?:\.\d+)?(?:[eE][-+]?\d+)?)\s*(\S+)\s*$/);
+    if (measureMatch !== null && MeasureUnitSymbols.has (measureMatch[2])) {
+        let measure = MeasureUnitSymbols.get (measureMatch[2]);
+        return new Property (measure.type, name, parseFloat (measureMatch[1]), measure.unit);
+    }
+    if (/^https?:\/\/\S+$/i.test (value)) {
+        return new Property (PropertyType.Url, name, value);
+    }
+    let date = ParseDateString (value);
+    if (date !== null) {
+        return new Property (PropertyType.Date, name, date);
+    }
+    return new Property (PropertyType.Text, name, value);
+}
+
 export class ImporterBim extends ImporterBase
 {
     constructor ()
@@ -162,7 +210,7 @@ export class ImporterBim extends ImporterBase
             if (value === undefined || value === null) {
                 return;
             }
-            let property = new Property (PropertyType.Text, name, value);
+            let property = CreatePropertyFromString (name, value);
             group.AddProperty (property);
         }
 
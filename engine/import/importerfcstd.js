@@ -5,12 +5,23 @@ import { ConvertThreeGeometryToMesh } from '../threejs/threeutils.js';
 import { ArrayBufferToUtf8String } from '../io/bufferutils.js';
 import { Node } from '../model/node.js';
 import { ColorToMaterialConverter, CreateOcctWorker } from './importerutils.js';
+import { CreateOcctTessellationParams } from './tessellation.js';
 import { RGBAColor } from '../model/color.js';
 import { Property, PropertyGroup, PropertyType } from '../model/property.js';
+import { Unit, AngleUnit } from '../model/unit.js';
 import { Loc } from '../core/localization.js';
 
 const fflate = window.fflate;
 
+// FreeCAD stores quantities in millimeters and degrees
+const MeasurePropertyTypes = new Map ([
+    ['App::PropertyLength', { type : PropertyType.Length, unit : Unit.Millimeter }],
+    ['App::PropertyDistance', { type : PropertyType.Length, unit : Unit.Millimeter }],
+    ['App::PropertyArea', { type : PropertyType.Area, unit : Unit.Millimeter }],
+    ['App::PropertyVolume', { type : PropertyType.Volume, unit : Unit.Millimeter }],
+    ['App::PropertyAngle', { type : PropertyType.Angle, unit : AngleUnit.Degree }]
+]);
+
 const DocumentInitResult =
 {
     Success : 0,
@@ -251,11 +262,17 @@ class FreeCadDocument
                 if (propertyValue !== null && propertyValue.length > 0) {
                     property = new Property (PropertyType.Text, propertyName, propertyValue);
                 }
-            } else if (propertyType === 'App::PropertyFloat' || propertyType === 'App::PropertyLength' || propertyType === 'App::PropertyDistance' || propertyType === 'App::PropertyArea' || propertyType === 'App::PropertyVolume') {
+            } else if (propertyType === 'App::PropertyFloat') {
                 let propertyValue = this.GetFirstChildValue (propertyElement, 'Float', 'value');
                 if (propertyValue !== null && propertyValue.length > 0) {
                     property = new Property (PropertyType.Number, propertyName, parseFloat (propertyValue));
                 }
+            } else if (MeasurePropertyTypes.has (propertyType)) {
+                let propertyValue = this.GetFirstChildValue (propertyElement, 'Float', 'value');
+                if (propertyValue !== null && propertyValue.length > 0) {
+                    let measure = MeasurePropertyTypes.get (propertyType);
+                    property = new Property (measure.type, propertyName, parseFloat (propertyValue), measure.unit);
+                }
             }
             if (property !== null) {
                 propertyGroup.AddProperty (property);
@@ -318,6 +335,14 @@ export class ImporterFcstd extends ImporterBase
         this.document = new FreeCadDocument ();
     }
 
+    AbortContent ()
+    {
+        if (this.worker !== null) {
+            this.worker.terminate ();
+            this.worker = null;
+        }
+    }
+
     ImportContent (fileContent, onFinish)
     {
         let result = this.document.Init (fileContent);
@@ -343,7 +368,12 @@ export class ImporterFcstd extends ImporterBase
 
     ConvertObjects (objects, onFinish)
     {
+        let isAborted = this.CreateAbortCheck ();
         CreateOcctWorker ().then ((worker) => {
+            if (isAborted ()) {
+                worker.terminate ();
+                return;
+            }
             this.worker = worker;
             this.worker.addEventListener ('message', (ev) => {
                 onFileConverted (ev.data);
@@ -353,6 +383,7 @@ export class ImporterFcstd extends ImporterBase
                 onFileConverted (null);
             });
 
+            let params = CreateOcctTessellationParams (this.GetTessellationSettings ());
             let convertedObjectCount = 0;
             let colorToMaterial = new ColorToMaterialConverter (this.model);
             let onFileConverted = (resultContent) => {
@@ -367,7 +398,8 @@ export class ImporterFcstd extends ImporterBase
                     let currentObject = objects[convertedObjectCount];
                     this.worker.postMessage ({
                         format : 'brep',
-                        buffer : currentObject.fileContent
+                        buffer : currentObject.fileContent,
+                        params : params
                     });
                 }
             };
@@ -375,10 +407,13 @@ export class ImporterFcstd extends ImporterBase
             let currentObject = objects[convertedObjectCount];
             this.worker.postMessage ({
                 format : 'brep',
-                buffer : currentObject.fileContent
+                buffer : currentObject.fileContent,
+                params : params
             });
         }).catch (() => {
-            this.SetError (Loc ('Failed to load occt-import-js.'));
+            if (!isAborted ()) {
+                this.SetError (Loc ('Failed to load occt-import-js.'));
+            }
             onFinish ();
         });
     }
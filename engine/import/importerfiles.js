@@ -1,3 +1,4 @@
+import { LogDebug, LogWarning } from '../core/logger.js';
 import { RunTasks } from '../core/taskrunner.js';
 import { FileSource, GetFileExtension, GetFileName, ReadFile, RequestUrl } from '../io/fileutils.js';
 
@@ -12,7 +13,6 @@ export class InputFile {
      * is file, this must be a {@link File} object.
      */
     constructor(name, source, data) {
-        console.log("data", data);
         this.name = name;
         this.source = source;
         this.data = data;
@@ -37,9 +37,37 @@ export function InputFilesFromFileObjects(fileObjects) {
     return inputFiles;
 }
 
+function GetFilePathParts(filePath) {
+    let path = filePath;
+    let firstParamIndex = path.indexOf('?');
+    if (firstParamIndex !== -1) {
+        path = path.substring(0, firstParamIndex);
+    }
+    let parts = [];
+    for (let part of path.split(/[\\/]/)) {
+        if (part.length === 0 || part === '.') {
+            continue;
+        }
+        parts.push(decodeURI(part).toLowerCase());
+    }
+    return parts;
+}
+
+function GetCommonTrailingPartCount(aParts, bParts) {
+    let count = 0;
+    while (count < aParts.length && count < bParts.length) {
+        if (aParts[aParts.length - count - 1] !== bParts[bParts.length - count - 1]) {
+            break;
+        }
+        count += 1;
+    }
+    return count;
+}
+
 export class ImporterFile {
     constructor(name, source, data) {
         this.name = GetFileName(name);
+        this.path = name.replace(/\\/g, '/');
         this.extension = GetFileExtension(name);
         this.source = source;
         this.data = data;
@@ -59,9 +87,7 @@ export class ImporterFileList {
     FillFromInputFiles(inputFiles) {
         this.files = [];
         for (let inputFile of inputFiles) {
-            console.log("inputFile", inputFile);
             let file = new ImporterFile(inputFile.name, inputFile.source, inputFile.data);
-            console.log("Created ImporterFile", file);
             this.files.push(file);
         }
     }
@@ -86,7 +112,8 @@ export class ImporterFileList {
                 callbacks.onFileListProgress(index, this.files.length);
                 this.GetFileContent(this.files[index], {
                     onReady: onTaskComplete,
-                    onProgress: callbacks.onFileLoadProgress
+                    onProgress: callbacks.onFileLoadProgress,
+                    abortSignal: callbacks.abortSignal
                 });
             },
             onReady: callbacks.onReady
@@ -108,6 +135,33 @@ export class ImporterFileList {
         return null;
     }
 
+    FindFileByRelativePath(filePath) {
+        // Files with the same name can live in different folders (e.g. inside a decompressed
+        // archive), so among the files with a matching name the one sharing the most trailing
+        // folders with the requested path wins, and on a tie the least nested one.
+        let requestedParts = GetFilePathParts(filePath);
+        if (requestedParts.length === 0) {
+            return null;
+        }
+        let foundFile = null;
+        let foundCommonCount = 0;
+        let foundPartCount = 0;
+        for (let fileIndex = 0; fileIndex < this.files.length; fileIndex++) {
+            let file = this.files[fileIndex];
+            let fileParts = GetFilePathParts(file.path);
+            let commonCount = GetCommonTrailingPartCount(requestedParts, fileParts);
+            if (commonCount === 0) {
+                continue;
+            }
+            if (commonCount > foundCommonCount || (commonCount === foundCommonCount && fileParts.length < foundPartCount)) {
+                foundFile = file;
+                foundCommonCount = commonCount;
+                foundPartCount = fileParts.length;
+            }
+        }
+        return foundFile;
+    }
+
     IsOnlyUrlSource() {
         if (this.files.length === 0) {
             return false;
@@ -126,29 +180,29 @@ export class ImporterFileList {
     }
 
     GetFileContent(file, callbacks) {
-        console.log('GetFileContent called for file:', file.name);
+        LogDebug('GetFileContent called for file:', file.name);
         if (file.content !== null) {
-            console.log('File content already set for file:', file.name);
+            LogDebug('File content already set for file:', file.name);
             callbacks.onReady();
             return;
         }
         let loaderPromise = null;
         if (file.source === FileSource.Url) {
-            console.log('Requesting URL for file:', file.name);
-            loaderPromise = RequestUrl(file.data, callbacks.onProgress);
+            LogDebug('Requesting URL for file:', file.name);
+            loaderPromise = RequestUrl(file.data, callbacks.onProgress, callbacks.abortSignal);
         } else if (file.source === FileSource.File) {
-            console.log('Reading file for file:', file.name);
-            loaderPromise = ReadFile(file.data, callbacks.onProgress);
+            LogDebug('Reading file for file:', file.name);
+            loaderPromise = ReadFile(file.data, callbacks.onProgress, callbacks.abortSignal);
         } else {
-            console.log('Unknown file source for file:', file.name);
+            LogDebug('Unknown file source for file:', file.name);
             callbacks.onReady();
             return;
         }
         loaderPromise.then((content) => {
-            console.log('File content loaded for file:', file.name);
+            LogDebug('File content loaded for file:', file.name);
             file.SetContent(content);
         }).catch((error) => {
-            console.error('Error loading file content for file:', file.name, error);
+            LogWarning('Error loading file content for file:', file.name, error);
         }).finally(() => {
             callbacks.onReady();
         });
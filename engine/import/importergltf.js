@@ -7,13 +7,18 @@ import { ArrayToQuaternion } from '../geometry/quaternion.js';
 import { Transformation } from '../geometry/transformation.js';
 import { BinaryReader } from '../io/binaryreader.js';
 import { ArrayBufferToUtf8String, Base64DataURIToArrayBuffer, GetFileExtensionFromMimeType } from '../io/bufferutils.js';
+import { GetFileExtension } from '../io/fileutils.js';
+import { AnimationClip, AnimationInterpolation, AnimationPath, AnimationTrack } from '../model/animation.js';
 import { RGBColor, ColorComponentFromFloat, RGBColorFromFloatComponents, LinearToSRGB } from '../model/color.js';
 import { PhongMaterial, PhysicalMaterial, TextureMap } from '../model/material.js';
 import { Mesh } from '../model/mesh.js';
+import { MorphTarget } from '../model/morphtarget.js';
 import { Node } from '../model/node.js';
 import { Property, PropertyGroup, PropertyType } from '../model/property.js';
+import { Skin, VertexSkinWeight } from '../model/skin.js';
 import { Triangle } from '../model/triangle.js';
 import { ImporterBase } from './importerbase.js';
+import { DiagnosticCode, DiagnosticSeverity } from './importdiagnostics.js';
 import { Loc, FLoc } from '../core/localization.js';
 import { LoadExternalLibrary } from './importerutils.js';
 
@@ -49,6 +54,19 @@ const GltfRenderMode =
     TRIANGLE_FAN : 6
 };
 
+const GltfAnimationPaths = new Map ([
+    ['translation', AnimationPath.Translation],
+    ['rotation', AnimationPath.Rotation],
+    ['scale', AnimationPath.Scale],
+    ['weights', AnimationPath.Weights]
+]);
+
+const GltfAnimationInterpolations = new Map ([
+    ['STEP', AnimationInterpolation.Step],
+    ['LINEAR', AnimationInterpolation.Linear],
+    ['CUBICSPLINE', AnimationInterpolation.CubicSpline]
+]);
+
 const GltfConstants =
 {
     GLTF_STRING : 0x46546C67,
@@ -56,6 +74,20 @@ const GltfConstants =
     BINARY_CHUNK_TYPE : 0x004E4942
 };
 
+function NormalizeGltfComponent (value, componentType)
+{
+    if (componentType === GltfComponentType.BYTE) {
+        return Math.max (value / 127.0, -1.0);
+    } else if (componentType === GltfComponentType.UNSIGNED_BYTE) {
+        return value / 255.0;
+    } else if (componentType === GltfComponentType.SHORT) {
+        return Math.max (value / 32767.0, -1.0);
+    } else if (componentType === GltfComponentType.UNSIGNED_SHORT) {
+        return value / 65535.0;
+    }
+    return value;
+}
+
 function GetGltfColor (color)
 {
     return RGBColorFromFloatComponents (
@@ -176,6 +208,13 @@ class GltfBufferReader
             let w = this.ReadComponent ();
             this.SkipBytesByStride (4);
             return new Coord4D (x, y, z, w);
+        } else if (this.dataType === GltfDataType.MAT4) {
+            let values = [];
+            for (let i = 0; i < 16; i++) {
+                values.push (this.ReadComponent ());
+            }
+            this.SkipBytesByStride (16);
+            return new Matrix (values);
         }
         return null;
     }
@@ -270,7 +309,15 @@ class GltfExtensions
         this.supportedExtensions = [
             'KHR_draco_mesh_compression',
             'KHR_materials_pbrSpecularGlossiness',
+            'KHR_materials_transmission',
+            'KHR_materials_clearcoat',
+            'KHR_materials_sheen',
+            'KHR_materials_ior',
+            'KHR_materials_volume',
+            'KHR_materials_emissive_strength',
+            'KHR_materials_unlit',
             'KHR_texture_transform',
+            'KHR_texture_basisu',
         ];
         this.draco = null;
     }
@@ -316,6 +363,8 @@ class GltfExtensions
             return null;
         }
 
+        this.ProcessPhysicalMaterial (gltfMaterial.extensions, material, imporTextureFn);
+
         let khrSpecularGlossiness = gltfMaterial.extensions.KHR_materials_pbrSpecularGlossiness;
         if (khrSpecularGlossiness === undefined) {
             return null;
@@ -347,6 +396,78 @@ class GltfExtensions
         return phongMaterial;
     }
 
+    ProcessPhysicalMaterial (extensions, material, imporTextureFn)
+    {
+        function ImportTexture (textureRef)
+        {
+            return (textureRef !== undefined ? imporTextureFn (textureRef) : null);
+        }
+
+        let khrUnlit = extensions.KHR_materials_unlit;
+        if (khrUnlit !== undefined) {
+            material.unlit = true;
+        }
+
+        let khrEmissiveStrength = extensions.KHR_materials_emissive_strength;
+        if (khrEmissiveStrength !== undefined && khrEmissiveStrength.emissiveStrength !== undefined) {
+            material.emissiveStrength = khrEmissiveStrength.emissiveStrength;
+        }
+
+        let khrIor = extensions.KHR_materials_ior;
+        if (khrIor !== undefined && khrIor.ior !== undefined) {
+            material.ior = khrIor.ior;
+        }
+
+        let khrTransmission = extensions.KHR_materials_transmission;
+        if (khrTransmission !== undefined) {
+            material.transmission = khrTransmission.transmissionFactor || 0.0;
+            material.transmissionMap = ImportTexture (khrTransmission.transmissionTexture);
+        }
+
+        let khrClearcoat = extensions.KHR_materials_clearcoat;
+        if (khrClearcoat !== undefined) {
+            material.clearcoat = khrClearcoat.clearcoatFactor || 0.0;
+            material.clearcoatRoughness = khrClearcoat.clearcoatRoughnessFactor || 0.0;
+            material.clearcoatMap = ImportTexture (khrClearcoat.clearcoatTexture);
+            material.clearcoatRoughnessMap = ImportTexture (khrClearcoat.clearcoatRoughnessTexture);
+            material.clearcoatNormalMap = ImportTexture (khrClearcoat.clearcoatNormalTexture);
+        }
+
+        let khrSheen = extensions.KHR_materials_sheen;
+        if (khrSheen !== undefined) {
+            if (khrSheen.sheenColorFactor !== undefined) {
+                material.sheenColor = GetGltfColor (khrSheen.sheenColorFactor);
+            }
+            material.sheenRoughness = khrSheen.sheenRoughnessFactor || 0.0;
+            material.sheenColorMap = ImportTexture (khrSheen.sheenColorTexture);
+            material.sheenRoughnessMap = ImportTexture (khrSheen.sheenRoughnessTexture);
+        }
+
+        let khrVolume = extensions.KHR_materials_volume;
+        if (khrVolume !== undefined) {
+            material.thickness = khrVolume.thicknessFactor || 0.0;
+            material.thicknessMap = ImportTexture (khrVolume.thicknessTexture);
+            if (khrVolume.attenuationDistance !== undefined) {
+                material.attenuationDistance = khrVolume.attenuationDistance;
+            }
+            if (khrVolume.attenuationColor !== undefined) {
+                material.attenuationColor = GetGltfColor (khrVolume.attenuationColor);
+            }
+        }
+    }
+
+    GetTextureImageIndex (gltfTexture)
+    {
+        // basisu textures can have a fallback image for viewers that can't decode them
+        if (gltfTexture.source !== undefined) {
+            return gltfTexture.source;
+        }
+        if (gltfTexture.extensions !== undefined && gltfTexture.extensions.KHR_texture_basisu !== undefined) {
+            return gltfTexture.extensions.KHR_texture_basisu.source;
+        }
+        return null;
+    }
+
     ProcessTexture (gltfTexture, texture)
     {
         if (gltfTexture.extensions === undefined) {
@@ -506,12 +627,18 @@ export class ImporterGltf extends ImporterBase
     {
         this.bufferContents = null;
         this.imageIndexToTextureParams = null;
+        this.nodeIndexToNodeId = null;
+        this.jointNodeIndices = null;
+        this.ktx2TextureFound = false;
     }
 
     ResetContent ()
     {
         this.bufferContents = [];
         this.imageIndexToTextureParams = new Map ();
+        this.nodeIndexToNodeId = new Map ();
+        this.jointNodeIndices = new Set ();
+        this.ktx2TextureFound = false;
     }
 
     ImportContent (fileContent, onFinish)
@@ -609,18 +736,37 @@ export class ImporterGltf extends ImporterBase
     {
         let unsupportedExtensions = this.gltfExtensions.GetUnsupportedExtensions (gltf.extensionsRequired);
         if (unsupportedExtensions.length > 0) {
+            for (let extension of unsupportedExtensions) {
+                this.AddDiagnostic (DiagnosticSeverity.Error, DiagnosticCode.UnsupportedExtension, FLoc ('Unsupported extension: {0}.', extension), {
+                    extension : extension,
+                    required : true
+                });
+            }
             this.SetError (FLoc ('Unsupported extension: {0}.', unsupportedExtensions.join (', ')));
             onFinish ();
             return;
         }
 
+        let ignoredExtensions = this.gltfExtensions.GetUnsupportedExtensions (gltf.extensionsUsed);
+        for (let extension of ignoredExtensions) {
+            this.AddDiagnostic (DiagnosticSeverity.Warning, DiagnosticCode.UnsupportedExtension, FLoc ('Unsupported extension: {0}.', extension), {
+                extension : extension,
+                required : false
+            });
+        }
+
+        let isAborted = this.CreateAbortCheck ();
         this.gltfExtensions.LoadLibraries (gltf.extensionsRequired, {
             onSuccess : () => {
-                this.ImportModel (gltf);
+                if (!isAborted ()) {
+                    this.ImportModel (gltf);
+                }
                 onFinish ();
             },
             onError : (message) => {
-                this.SetError (message);
+                if (!isAborted ()) {
+                    this.SetError (message);
+                }
                 onFinish ();
             }
         });
@@ -642,8 +788,19 @@ export class ImporterGltf extends ImporterBase
             }
         }
 
+        let skins = gltf.skins;
+        if (skins !== undefined) {
+            for (let skin of skins) {
+                for (let jointIndex of skin.joints) {
+                    this.jointNodeIndices.add (jointIndex);
+                }
+            }
+        }
+
         this.ImportProperties (this.model, gltf.asset, Loc ('Asset properties'));
         this.ImportScene (gltf);
+        this.ImportSkins (gltf);
+        this.ImportAnimations (gltf);
     }
 
     ImportProperties (modelObject, gltfObject, propertyGroupName)
@@ -751,7 +908,10 @@ export class ImporterGltf extends ImporterBase
 
         let texture = new TextureMap ();
         let gltfTexture = gltf.textures[gltfTextureRef.index];
-        let gltfImageIndex = gltfTexture.source;
+        let gltfImageIndex = this.gltfExtensions.GetTextureImageIndex (gltfTexture);
+        if (gltfImageIndex === null) {
+            return null;
+        }
         let gltfImage = gltf.images[gltfImageIndex];
 
         let textureParams = null;
@@ -791,6 +951,14 @@ export class ImporterGltf extends ImporterBase
         texture.name = textureParams.name;
         texture.mimeType = textureParams.mimeType;
         texture.buffer = textureParams.buffer;
+        let isKtx2Texture = (texture.mimeType === 'image/ktx2' || (texture.name !== null && GetFileExtension (texture.name) === 'ktx2'));
+        if (isKtx2Texture && !this.ktx2TextureFound) {
+            this.ktx2TextureFound = true;
+            this.AddDiagnostic (DiagnosticSeverity.Warning, DiagnosticCode.UnsupportedExtension, Loc ('KTX2 textures are kept in the model, but they are not displayed.'), {
+                extension : 'KHR_texture_basisu',
+                required : false
+            });
+        }
 
         this.gltfExtensions.ProcessTexture (gltfTextureRef, texture);
         return texture;
@@ -810,6 +978,25 @@ export class ImporterGltf extends ImporterBase
             this.ImportPrimitive (gltf, primitive, mesh);
         }
 
+        if (mesh.MorphTargetCount () > 0) {
+            let targetNames = null;
+            if (gltfMesh.extras !== undefined && Array.isArray (gltfMesh.extras.targetNames)) {
+                targetNames = gltfMesh.extras.targetNames;
+            }
+            let morphWeights = [];
+            for (let i = 0; i < mesh.MorphTargetCount (); i++) {
+                if (targetNames !== null && i < targetNames.length) {
+                    mesh.GetMorphTarget (i).SetName (targetNames[i]);
+                }
+                let weight = 0.0;
+                if (gltfMesh.weights !== undefined && i < gltfMesh.weights.length) {
+                    weight = gltfMesh.weights[i];
+                }
+                morphWeights.push (weight);
+            }
+            mesh.SetMorphWeights (morphWeights);
+        }
+
         this.ImportProperties (mesh, gltfMesh.extras, Loc ('Mesh properties'));
     }
 
@@ -840,6 +1027,7 @@ export class ImporterGltf extends ImporterBase
         let hasVertexColors = HasAttribute (gltf, primitive, 'COLOR_0');
         let hasNormals = HasAttribute (gltf, primitive, 'NORMAL');
         let hasUVs = HasAttribute (gltf, primitive, 'TEXCOORD_0');
+        let hasSkinWeights = HasAttribute (gltf, primitive, 'JOINTS_0') && HasAttribute (gltf, primitive, 'WEIGHTS_0');
         let hasIndices = (primitive.indices !== undefined);
 
         let mode = GltfRenderMode.TRIANGLES;
@@ -914,6 +1102,14 @@ export class ImporterGltf extends ImporterBase
             }
         }
 
+        if (hasSkinWeights) {
+            this.ImportPrimitiveSkinWeights (gltf, primitive, mesh, vertexOffset);
+        }
+
+        if (primitive.targets !== undefined) {
+            this.ImportPrimitiveMorphTargets (gltf, primitive, mesh, hasNormals, vertexOffset, normalOffset);
+        }
+
         let vertexIndices = [];
         if (hasIndices) {
             let accessor = gltf.accessors[primitive.indices];
@@ -960,6 +1156,100 @@ export class ImporterGltf extends ImporterBase
         }
     }
 
+    ImportPrimitiveSkinWeights (gltf, primitive, mesh, vertexOffset)
+    {
+        // skin weights are kept only if every primitive of the mesh has them
+        if (mesh.SkinWeightCount () !== vertexOffset) {
+            return;
+        }
+
+        let jointsAccessor = gltf.accessors[primitive.attributes.JOINTS_0];
+        let weightsAccessor = gltf.accessors[primitive.attributes.WEIGHTS_0];
+        let jointsReader = this.GetReaderFromAccessor (gltf, jointsAccessor);
+        let weightsReader = this.GetReaderFromAccessor (gltf, weightsAccessor);
+        if (jointsReader === null || weightsReader === null) {
+            return;
+        }
+
+        let vertexCount = mesh.VertexCount () - vertexOffset;
+        if (jointsAccessor.count !== vertexCount || weightsAccessor.count !== vertexCount) {
+            return;
+        }
+
+        let joints = [];
+        jointsReader.EnumerateData ((data) => {
+            joints.push ([data.x, data.y, data.z, data.w]);
+        });
+        let weights = [];
+        weightsReader.EnumerateData ((data) => {
+            let components = [data.x, data.y, data.z, data.w];
+            weights.push (components.map ((component) => NormalizeGltfComponent (component, weightsAccessor.componentType)));
+        });
+        for (let i = 0; i < vertexCount; i++) {
+            mesh.AddSkinWeight (new VertexSkinWeight (joints[i], weights[i]));
+        }
+    }
+
+    ImportPrimitiveMorphTargets (gltf, primitive, mesh, hasNormals, vertexOffset, normalOffset)
+    {
+        function ReadTargetAttribute (importer, gltf, target, attributeName, expectedCount)
+        {
+            let accessorIndex = target[attributeName];
+            if (accessorIndex === undefined) {
+                return null;
+            }
+            let accessor = gltf.accessors[accessorIndex];
+            if (accessor === undefined || accessor.count !== expectedCount) {
+                return null;
+            }
+            let reader = importer.GetReaderFromAccessor (gltf, accessor);
+            if (reader === null) {
+                return null;
+            }
+            let result = [];
+            reader.EnumerateData ((data) => {
+                if (accessor.normalized) {
+                    data.x = NormalizeGltfComponent (data.x, accessor.componentType);
+                    data.y = NormalizeGltfComponent (data.y, accessor.componentType);
+                    data.z = NormalizeGltfComponent (data.z, accessor.componentType);
+                }
+                result.push (data);
+            });
+            return result;
+        }
+
+        function AddDisplacements (coords, offset, count, displacements, addCoord)
+        {
+            // morph target arrays are parallel to the mesh, so missing parts are filled with zeros
+            while (coords.length < offset) {
+                addCoord (new Coord3D (0.0, 0.0, 0.0));
+            }
+            for (let i = 0; i < count; i++) {
+                addCoord (displacements !== null ? displacements[i] : new Coord3D (0.0, 0.0, 0.0));
+            }
+        }
+
+        let vertexCount = mesh.VertexCount () - vertexOffset;
+        let normalCount = mesh.NormalCount () - normalOffset;
+        for (let targetIndex = 0; targetIndex < primitive.targets.length; targetIndex++) {
+            let target = primitive.targets[targetIndex];
+            if (targetIndex >= mesh.MorphTargetCount ()) {
+                mesh.AddMorphTarget (new MorphTarget (''));
+            }
+            let morphTarget = mesh.GetMorphTarget (targetIndex);
+            let vertices = ReadTargetAttribute (this, gltf, target, 'POSITION', vertexCount);
+            AddDisplacements (morphTarget.vertices, vertexOffset, vertexCount, vertices, (coord) => {
+                morphTarget.AddVertex (coord);
+            });
+            if (hasNormals) {
+                let normals = ReadTargetAttribute (this, gltf, target, 'NORMAL', normalCount);
+                AddDisplacements (morphTarget.normals, normalOffset, normalCount, normals, (coord) => {
+                    morphTarget.AddNormal (coord);
+                });
+            }
+        }
+    }
+
     AddTriangle (primitive, mesh, v0, v1, v2, hasVertexColors, hasNormals, hasUVs, vertexOffset, vertexColorOffset, normalOffset, uvOffset)
     {
         let triangle = new Triangle (
@@ -1003,14 +1293,13 @@ export class ImporterGltf extends ImporterBase
 
         let rootNode = this.model.GetRootNode ();
         for (let nodeIndex of scene.nodes) {
-            let gltfNode = gltf.nodes[nodeIndex];
-            this.ImportNode (gltf, gltfNode, rootNode);
+            this.ImportNode (gltf, nodeIndex, rootNode);
         }
 
         this.ImportProperties (this.model, scene.extras, Loc ('Scene properties'));
     }
 
-    ImportNode (gltf, gltfNode, parentNode)
+    ImportNode (gltf, nodeIndex, parentNode)
     {
         function GetNodeTransformation (gltfNode)
         {
@@ -1039,7 +1328,8 @@ export class ImporterGltf extends ImporterBase
             return new Transformation (matrix);
         }
 
-        if (gltfNode.children === undefined && gltfNode.mesh === undefined) {
+        let gltfNode = gltf.nodes[nodeIndex];
+        if (gltfNode.children === undefined && gltfNode.mesh === undefined && !this.jointNodeIndices.has (nodeIndex)) {
             return;
         }
 
@@ -1049,11 +1339,11 @@ export class ImporterGltf extends ImporterBase
         }
         node.SetTransformation (GetNodeTransformation (gltfNode));
         parentNode.AddChildNode (node);
+        this.nodeIndexToNodeId.set (nodeIndex, node.GetId ());
 
         if (gltfNode.children !== undefined) {
             for (let childIndex of gltfNode.children) {
-                let childGltfNode = gltf.nodes[childIndex];
-                this.ImportNode (gltf, childGltfNode, node);
+                this.ImportNode (gltf, childIndex, node);
             }
         }
 
@@ -1061,7 +1351,156 @@ export class ImporterGltf extends ImporterBase
             let mesh = this.model.GetMesh (gltfNode.mesh);
             this.ImportProperties (mesh, gltfNode.extras, Loc ('Node properties'));
             node.AddMeshIndex (gltfNode.mesh);
+            if (gltfNode.skin !== undefined) {
+                // the glTF skin index is replaced with the model skin index in ImportSkins
+                node.SetSkinIndex (gltfNode.skin);
+            }
+        }
+    }
+
+    ImportSkins (gltf)
+    {
+        let skinIndexToModelSkinIndex = new Map ();
+        let skins = gltf.skins;
+        if (skins !== undefined) {
+            for (let skinIndex = 0; skinIndex < skins.length; skinIndex++) {
+                let skin = this.ImportSkin (gltf, skins[skinIndex]);
+                if (skin !== null) {
+                    skinIndexToModelSkinIndex.set (skinIndex, this.model.AddSkin (skin));
+                }
+            }
+        }
+
+        this.model.GetRootNode ().Enumerate ((node) => {
+            let skinIndex = node.GetSkinIndex ();
+            if (skinIndex === null) {
+                return;
+            }
+            if (skinIndexToModelSkinIndex.has (skinIndex)) {
+                node.SetSkinIndex (skinIndexToModelSkinIndex.get (skinIndex));
+            } else {
+                node.SetSkinIndex (null);
+            }
+        });
+    }
+
+    ImportSkin (gltf, gltfSkin)
+    {
+        // skins with joints outside of the imported scene are not imported
+        for (let jointIndex of gltfSkin.joints) {
+            if (!this.nodeIndexToNodeId.has (jointIndex)) {
+                return null;
+            }
+        }
+
+        let inverseBindMatrices = [];
+        if (gltfSkin.inverseBindMatrices !== undefined) {
+            let accessor = gltf.accessors[gltfSkin.inverseBindMatrices];
+            let reader = this.GetReaderFromAccessor (gltf, accessor);
+            if (reader === null || accessor.count < gltfSkin.joints.length) {
+                return null;
+            }
+            reader.EnumerateData ((data) => {
+                inverseBindMatrices.push (data);
+            });
+        }
+
+        let skin = new Skin (gltfSkin.name !== undefined ? gltfSkin.name : '');
+        for (let i = 0; i < gltfSkin.joints.length; i++) {
+            let inverseBindMatrix = null;
+            if (i < inverseBindMatrices.length) {
+                inverseBindMatrix = inverseBindMatrices[i];
+            } else {
+                inverseBindMatrix = new Matrix ().CreateIdentity ();
+            }
+            skin.AddJoint (this.nodeIndexToNodeId.get (gltfSkin.joints[i]), inverseBindMatrix);
+        }
+        return skin;
+    }
+
+    ImportAnimations (gltf)
+    {
+        let animations = gltf.animations;
+        if (animations === undefined) {
+            return;
+        }
+
+        for (let animationIndex = 0; animationIndex < animations.length; animationIndex++) {
+            let gltfAnimation = animations[animationIndex];
+            let name = gltfAnimation.name;
+            if (name === undefined || name.length === 0) {
+                name = FLoc ('Animation {0}', animationIndex + 1);
+            }
+            let animation = new AnimationClip (name);
+            for (let channel of gltfAnimation.channels) {
+                let track = this.ImportAnimationChannel (gltf, gltfAnimation, channel);
+                if (track !== null) {
+                    animation.AddTrack (track);
+                }
+            }
+            if (animation.TrackCount () > 0) {
+                this.model.AddAnimation (animation);
+            }
+        }
+    }
+
+    ImportAnimationChannel (gltf, gltfAnimation, channel)
+    {
+        // Channels of nodes without meshes or joints in their subtree are not imported
+        let target = channel.target;
+        if (target.node === undefined || !this.nodeIndexToNodeId.has (target.node) || !GltfAnimationPaths.has (target.path)) {
+            return null;
+        }
+
+        let sampler = gltfAnimation.samplers[channel.sampler];
+        let interpolation = AnimationInterpolation.Linear;
+        if (sampler.interpolation !== undefined && GltfAnimationInterpolations.has (sampler.interpolation)) {
+            interpolation = GltfAnimationInterpolations.get (sampler.interpolation);
+        }
+
+        let inputAccessor = gltf.accessors[sampler.input];
+        let outputAccessor = gltf.accessors[sampler.output];
+        let inputReader = this.GetReaderFromAccessor (gltf, inputAccessor);
+        let outputReader = this.GetReaderFromAccessor (gltf, outputAccessor);
+        if (inputReader === null || outputReader === null || inputAccessor.count === 0) {
+            return null;
+        }
+
+        let times = [];
+        inputReader.EnumerateData ((data) => {
+            times.push (data);
+        });
+
+        let values = [];
+        outputReader.EnumerateData ((data) => {
+            let components = null;
+            if (outputAccessor.type === 'SCALAR') {
+                components = [data];
+            } else if (outputAccessor.type === 'VEC3') {
+                components = [data.x, data.y, data.z];
+            } else if (outputAccessor.type === 'VEC4') {
+                components = [data.x, data.y, data.z, data.w];
+            } else {
+                return;
+            }
+            for (let component of components) {
+                if (outputAccessor.normalized) {
+                    component = NormalizeGltfComponent (component, outputAccessor.componentType);
+                }
+                values.push (component);
+            }
+        });
+        if (values.length % times.length !== 0) {
+            return null;
+        }
+
+        let nodeId = this.nodeIndexToNodeId.get (target.node);
+        let track = new AnimationTrack (nodeId, GltfAnimationPaths.get (target.path), interpolation);
+        let keyframeSize = values.length / times.length;
+        for (let i = 0; i < times.length; i++) {
+            track.AddKeyframe (times[i], values.slice (i * keyframeSize, (i + 1) * keyframeSize));
         }
+        return track;
     }
 
     GetReaderFromBufferView (bufferView)
@@ -4,12 +4,185 @@ import { Matrix } from '../geometry/matrix.js';
 import { Transformation } from '../geometry/transformation.js';
 import { RGBColorFromFloatComponents } from '../model/color.js';
 import { Mesh } from '../model/mesh.js';
-import { Property, PropertyGroup, PropertyType } from '../model/property.js';
+import { Node } from '../model/node.js';
+import { ParseDateString, Property, PropertyGroup, PropertyToString, PropertyType } from '../model/property.js';
 import { Triangle } from '../model/triangle.js';
+import { Unit, MassUnit, AngleUnit } from '../model/unit.js';
 import { ImporterBase } from './importerbase.js';
+import { DiagnosticCode, DiagnosticSeverity } from './importdiagnostics.js';
 import { ColorToMaterialConverter, LoadExternalLibrary } from './importerutils.js';
 import { Loc, FLoc } from '../core/localization.js';
 
+const IfcSIPrefixSymbols = new Map ([
+    ['EXA', 'E'], ['PETA', 'P'], ['TERA', 'T'], ['GIGA', 'G'], ['MEGA', 'M'], ['KILO', 'k'], ['HECTO', 'h'], ['DECA', 'da'],
+    ['DECI', 'd'], ['CENTI', 'c'], ['MILLI', 'm'], ['MICRO', '\u00b5'], ['NANO', 'n'], ['PICO', 'p'], ['FEMTO', 'f'], ['ATTO', 'a']
+]);
+
+const IfcSIUnitSymbols = new Map ([
+    ['METRE', 'm'], ['SQUARE_METRE', 'm\u00b2'], ['CUBIC_METRE', 'm\u00b3'], ['GRAM', 'g'], ['SECOND', 's'],
+    ['RADIAN', 'rad'], ['STERADIAN', 'sr'], ['KELVIN', 'K'], ['DEGREE_CELSIUS', '\u00b0C'], ['NEWTON', 'N'],
+    ['PASCAL', 'Pa'], ['JOULE', 'J'], ['WATT', 'W'], ['VOLT', 'V'], ['AMPERE', 'A'], ['HERTZ', 'Hz'],
+    ['LUMEN', 'lm'], ['LUX', 'lx'], ['CANDELA', 'cd'], ['MOLE', 'mol']
+]);
+
+const IfcMeasureUnitTypes = new Map ([
+    ['IfcLengthMeasure', 'LENGTHUNIT'],
+    ['IfcPositiveLengthMeasure', 'LENGTHUNIT'],
+    ['IfcNonNegativeLengthMeasure', 'LENGTHUNIT'],
+    ['IfcAreaMeasure', 'AREAUNIT'],
+    ['IfcVolumeMeasure', 'VOLUMEUNIT'],
+    ['IfcMassMeasure', 'MASSUNIT'],
+    ['IfcPlaneAngleMeasure', 'PLANEANGLEUNIT'],
+    ['IfcPositivePlaneAngleMeasure', 'PLANEANGLEUNIT'],
+    ['IfcTimeMeasure', 'TIMEUNIT'],
+    ['IfcThermodynamicTemperatureMeasure', 'THERMODYNAMICTEMPERATUREUNIT']
+]);
+
+const IfcUnitTypePropertyTypes = new Map ([
+    ['LENGTHUNIT', PropertyType.Length],
+    ['AREAUNIT', PropertyType.Area],
+    ['VOLUMEUNIT', PropertyType.Volume],
+    ['MASSUNIT', PropertyType.Mass],
+    ['PLANEANGLEUNIT', PropertyType.Angle]
+]);
+
+const IfcSILengthUnits = new Map ([
+    ['', Unit.Meter], ['KILO', Unit.Kilometer], ['CENTI', Unit.Centimeter], ['MILLI', Unit.Millimeter], ['MICRO', Unit.Micrometer]
+]);
+
+const IfcSIMassUnits = new Map ([
+    ['', MassUnit.Gram], ['KILO', MassUnit.Kilogram], ['MEGA', MassUnit.Tonne]
+]);
+
+const IfcConversionBasedUnits = new Map ([
+    ['inch', Unit.Inch], ['square inch', Unit.Inch], ['cubic inch', Unit.Inch],
+    ['foot', Unit.Foot], ['square foot', Unit.Foot], ['cubic foot', Unit.Foot],
+    ['yard', Unit.Yard], ['square yard', Unit.Yard], ['cubic yard', Unit.Yard], ['mile', Unit.Mile], ['square mile', Unit.Mile],
+    ['pound', MassUnit.Pound], ['degree', AngleUnit.Degree]
+]);
+
+function GetIFCEnumValue (ifcEnum)
+{
+    return ifcEnum.value.replace (/\./g, '');
+}
+
+function GetIFCUnitSymbol (ifcUnit)
+{
+    if (!ifcUnit.Name) {
+        return null;
+    }
+    if (ifcUnit.ConversionFactor !== undefined) {
+        let name = ifcUnit.Name.value.toLowerCase ();
+        return (name === 'degree' ? '\u00b0' : name);
+    }
+    let unitName = GetIFCEnumValue (ifcUnit.Name);
+    if (!IfcSIUnitSymbols.has (unitName)) {
+        return null;
+    }
+    let prefix = '';
+    if (ifcUnit.Prefix) {
+        let prefixName = GetIFCEnumValue (ifcUnit.Prefix);
+        if (IfcSIPrefixSymbols.has (prefixName)) {
+            prefix = IfcSIPrefixSymbols.get (prefixName);
+        }
+    }
+    return prefix + IfcSIUnitSymbols.get (unitName);
+}
+
+function GetIFCMeasureUnit (ifcUnit)
+{
+    if (!ifcUnit.Name) {
+        return null;
+    }
+    if (ifcUnit.ConversionFactor !== undefined) {
+        let name = ifcUnit.Name.value.toLowerCase ();
+        return IfcConversionBasedUnits.has (name) ? IfcConversionBasedUnits.get (name) : null;
+    }
+    let unitName = GetIFCEnumValue (ifcUnit.Name);
+    let prefixName = (ifcUnit.Prefix ? GetIFCEnumValue (ifcUnit.Prefix) : '');
+    if (unitName === 'METRE' || unitName === 'SQUARE_METRE' || unitName === 'CUBIC_METRE') {
+        return IfcSILengthUnits.has (prefixName) ? IfcSILengthUnits.get (prefixName) : null;
+    } else if (unitName === 'GRAM') {
+        return IfcSIMassUnits.has (prefixName) ? IfcSIMassUnits.get (prefixName) : null;
+    } else if (unitName === 'RADIAN' && prefixName === '') {
+        return AngleUnit.Radian;
+    }
+    return null;
+}
+
+function GetIFCMeasureUnitType (valueType)
+{
+    if (!IfcMeasureUnitTypes.has (valueType)) {
+        return null;
+    }
+    return IfcMeasureUnitTypes.get (valueType);
+}
+
+function GetIFCQuantityInfo (quantityType)
+{
+    if (quantityType === WebIFC.IFCQUANTITYLENGTH) {
+        return { valueName : 'LengthValue', unitType : 'LENGTHUNIT' };
+    } else if (quantityType === WebIFC.IFCQUANTITYAREA) {
+        return { valueName : 'AreaValue', unitType : 'AREAUNIT' };
+    } else if (quantityType === WebIFC.IFCQUANTITYVOLUME) {
+        return { valueName : 'VolumeValue', unitType : 'VOLUMEUNIT' };
+    } else if (quantityType === WebIFC.IFCQUANTITYWEIGHT) {
+        return { valueName : 'WeightValue', unitType : 'MASSUNIT' };
+    } else if (quantityType === WebIFC.IFCQUANTITYTIME) {
+        return { valueName : 'TimeValue', unitType : 'TIMEUNIT' };
+    } else if (quantityType === WebIFC.IFCQUANTITYCOUNT) {
+        return { valueName : 'CountValue', unitType : null };
+    }
+    return null;
+}
+
+function AddTypePropertyGroup (element, typePropertyGroup)
+{
+    let existingGroup = null;
+    for (let i = 0; i < element.PropertyGroupCount (); i++) {
+        let propertyGroup = element.GetPropertyGroup (i);
+        if (propertyGroup.name === typePropertyGroup.name) {
+            existingGroup = propertyGroup;
+            break;
+        }
+    }
+    if (existingGroup === null) {
+        element.AddPropertyGroup (typePropertyGroup.Clone ());
+        return;
+    }
+    let existingNames = new Set ();
+    for (let i = 0; i < existingGroup.PropertyCount (); i++) {
+        existingNames.add (existingGroup.GetProperty (i).name);
+    }
+    for (let i = 0; i < typePropertyGroup.PropertyCount (); i++) {
+        let property = typePropertyGroup.GetProperty (i);
+        if (!existingNames.has (property.name)) {
+            existingGroup.AddProperty (property.Clone ());
+        }
+    }
+}
+
+let ifcSchemaClassNames = null;
+
+function GetIFCSchemaClassNames ()
+{
+    if (ifcSchemaClassNames === null) {
+        ifcSchemaClassNames = new Map ();
+        for (let schemaName of ['IFC2X3', 'IFC4', 'IFC4X3']) {
+            let schema = WebIFC[schemaName];
+            if (schema === undefined) {
+                continue;
+            }
+            for (let className of Object.keys (schema)) {
+                if (className.startsWith ('Ifc')) {
+                    ifcSchemaClassNames.set (className.toUpperCase (), className);
+                }
+            }
+        }
+    }
+    return ifcSchemaClassNames;
+}
+
 export class ImporterIfc extends ImporterBase
 {
     constructor ()
@@ -31,26 +204,42 @@ export class ImporterIfc extends ImporterBase
     ClearContent ()
     {
         this.expressIDToMesh = null;
+        this.expressIDToMeshIndex = null;
         this.colorToMaterial = null;
+        this.unsupportedValueTypes = null;
+        this.unitSymbols = null;
+        this.measureUnits = null;
     }
 
     ResetContent ()
     {
         this.expressIDToMesh = new Map ();
+        this.expressIDToMeshIndex = new Map ();
         this.colorToMaterial = new ColorToMaterialConverter (this.model);
+        this.unsupportedValueTypes = new Set ();
+        this.unitSymbols = new Map ();
+        this.measureUnits = new Map ();
     }
 
     ImportContent (fileContent, onFinish)
     {
         if (this.ifc === null) {
+            let isAborted = this.CreateAbortCheck ();
             LoadExternalLibrary ('webifc').then (() => {
-                this.ifc = new WebIFC.IfcAPI ();
-                this.ifc.Init ().then (() => {
-                    this.ImportIfcContent (fileContent);
+                let ifc = new WebIFC.IfcAPI ();
+                ifc.Init ().then (() => {
+                    if (this.ifc === null) {
+                        this.ifc = ifc;
+                    }
+                    if (!isAborted ()) {
+                        this.ImportIfcContent (fileContent);
+                    }
                     onFinish ();
                 });
             }).catch (() => {
-                this.SetError (Loc ('Failed to load web-ifc.'));
+                if (!isAborted ()) {
+                    this.SetError (Loc ('Failed to load web-ifc.'));
+                }
                 onFinish ();
             });
         } else {
@@ -61,6 +250,8 @@ export class ImporterIfc extends ImporterBase
 
     ImportIfcContent (fileContent)
     {
+        // web-ifc converts the geometry to meters regardless of the units of the project
+        this.model.SetUnit (Unit.Meter);
         const fileBuffer = new Uint8Array (fileContent);
         const modelID = this.ifc.OpenModel (fileBuffer, {
             COORDINATE_TO_ORIGIN : true
@@ -72,14 +263,17 @@ export class ImporterIfc extends ImporterBase
                 this.ImportIfcMesh (modelID, ifcMesh);
             }
         }
+        this.ImportSpatialStructure (modelID);
         this.ImportProperties (modelID);
         this.ifc.CloseModel (modelID);
     }
 
     ImportIfcMesh (modelID, ifcMesh)
     {
+        const ifcElement = this.ifc.GetLine (modelID, ifcMesh.expressID);
         let mesh = new Mesh ();
-        mesh.SetName (FLoc ('Mesh {0}', ifcMesh.expressID.toString ()));
+        mesh.SetName (this.GetIFCElementName (ifcElement));
+        this.ImportElementInfo (ifcElement, mesh);
 
         let vertexOffset = 0;
         const ifcGeometries = ifcMesh.geometries;
@@ -117,100 +311,438 @@ export class ImporterIfc extends ImporterBase
         }
 
         this.expressIDToMesh.set (ifcMesh.expressID, mesh);
-        this.model.AddMeshToRootNode (mesh);
+        this.expressIDToMeshIndex.set (ifcMesh.expressID, this.model.AddMesh (mesh));
+    }
+
+    ImportSpatialStructure (modelID)
+    {
+        function GetRelations (ifc, modelID, relationType, relatingName, relatedName, relations)
+        {
+            const lines = ifc.GetLineIDsWithType (modelID, relationType);
+            for (let i = 0; i < lines.size (); i++) {
+                const rel = ifc.GetLine (modelID, lines.get (i));
+                const relatingID = rel[relatingName].value;
+                if (!relations.has (relatingID)) {
+                    relations.set (relatingID, []);
+                }
+                let relatedIDs = relations.get (relatingID);
+                for (const related of rel[relatedName]) {
+                    relatedIDs.push (related.value);
+                }
+            }
+        }
+
+        // decomposition and spatial containment are both represented as child nodes
+        let structure = {
+            relations : new Map (),
+            spatialTypes : new Set ([WebIFC.IFCPROJECT, WebIFC.IFCSITE, WebIFC.IFCBUILDING, WebIFC.IFCBUILDINGSTOREY, WebIFC.IFCSPACE]),
+            placedMeshIndices : new Set (),
+            visitedIDs : new Set ()
+        };
+        GetRelations (this.ifc, modelID, WebIFC.IFCRELAGGREGATES, 'RelatingObject', 'RelatedObjects', structure.relations);
+        GetRelations (this.ifc, modelID, WebIFC.IFCRELCONTAINEDINSPATIALSTRUCTURE, 'RelatingStructure', 'RelatedElements', structure.relations);
+
+        let rootNode = this.model.GetRootNode ();
+        const projects = this.ifc.GetLineIDsWithType (modelID, WebIFC.IFCPROJECT);
+        for (let i = 0; i < projects.size (); i++) {
+            this.ImportSpatialElement (modelID, projects.get (i), rootNode, structure);
+        }
+
+        for (const meshIndex of this.expressIDToMeshIndex.values ()) {
+            if (!structure.placedMeshIndices.has (meshIndex)) {
+                rootNode.AddMeshIndex (meshIndex);
+            }
+        }
+    }
+
+    ImportSpatialElement (modelID, expressID, parentNode, structure)
+    {
+        if (structure.visitedIDs.has (expressID)) {
+            return;
+        }
+        structure.visitedIDs.add (expressID);
+
+        const ifcElement = this.ifc.GetLine (modelID, expressID);
+        const childIDs = structure.relations.has (expressID) ? structure.relations.get (expressID) : [];
+        const meshIndex = this.expressIDToMeshIndex.has (expressID) ? this.expressIDToMeshIndex.get (expressID) : null;
+        if (!structure.spatialTypes.has (ifcElement.type) && childIDs.length === 0) {
+            if (meshIndex !== null) {
+                parentNode.AddMeshIndex (meshIndex);
+                structure.placedMeshIndices.add (meshIndex);
+            }
+            return;
+        }
+
+        let node = new Node ();
+        node.SetName (this.GetIFCElementName (ifcElement));
+        parentNode.AddChildNode (node);
+        if (meshIndex !== null) {
+            node.AddMeshIndex (meshIndex);
+            structure.placedMeshIndices.add (meshIndex);
+        }
+        for (const childID of childIDs) {
+            this.ImportSpatialElement (modelID, childID, node, structure);
+        }
+    }
+
+    ImportElementInfo (ifcElement, mesh)
+    {
+        let propertyGroup = new PropertyGroup (Loc ('Info'));
+        if (ifcElement.GlobalId && ifcElement.GlobalId.value) {
+            propertyGroup.AddProperty (new Property (PropertyType.Text, Loc ('Guid'), ifcElement.GlobalId.value));
+        }
+        propertyGroup.AddProperty (new Property (PropertyType.Text, Loc ('Type'), this.GetIFCEntityName (ifcElement)));
+        if (ifcElement.ObjectType && ifcElement.ObjectType.value) {
+            propertyGroup.AddProperty (new Property (PropertyType.Text, Loc ('Object type'), this.GetIFCString (ifcElement.ObjectType.value)));
+        }
+        mesh.AddPropertyGroup (propertyGroup);
     }
 
     ImportProperties (modelID)
     {
-        const lines = this.ifc.GetLineIDsWithType (modelID, WebIFC.IFCRELDEFINESBYPROPERTIES);
-        for (let i = 0; i < lines.size (); i++) {
-            const relID = lines.get (i);
-            const rel = this.ifc.GetLine (modelID, relID);
-            if (Array.isArray (rel.RelatingPropertyDefinition)) {
-                continue;
+        this.ImportUnits (modelID);
+
+        // property sets are shared between elements, so they are converted only once
+        let propertySetGroups = new Map ();
+
+        const propertyRels = this.ifc.GetLineIDsWithType (modelID, WebIFC.IFCRELDEFINESBYPROPERTIES);
+        for (let i = 0; i < propertyRels.size (); i++) {
+            const rel = this.ifc.GetLine (modelID, propertyRels.get (i));
+            let propertySetDefs = rel.RelatingPropertyDefinition;
+            if (!Array.isArray (propertySetDefs)) {
+                propertySetDefs = [propertySetDefs];
             }
             rel.RelatedObjects.forEach ((objectRelID) => {
-                let element = null;
-                if (this.expressIDToMesh.has (objectRelID.value)) {
-                    element = this.expressIDToMesh.get (objectRelID.value);
-                } else {
-                    let propSetOwner = this.ifc.GetLine (modelID, objectRelID.value, true);
-                    if (propSetOwner.type === WebIFC.IFCBUILDING) {
-                        element = this.model;
-                    }
-                }
+                let element = this.GetPropertyOwner (modelID, objectRelID.value);
                 if (element === null) {
                     return;
                 }
-                let propSetDef = rel.RelatingPropertyDefinition;
-                let propSet = this.ifc.GetLine (modelID, propSetDef.value, true);
-                if (!propSet || !propSet.HasProperties) {
+                for (const propertySetDef of propertySetDefs) {
+                    let propertyGroup = this.GetPropertySetGroup (modelID, propertySetDef.value, propertySetGroups);
+                    if (propertyGroup !== null) {
+                        element.AddPropertyGroup (propertyGroup.Clone ());
+                    }
+                }
+            });
+        }
+
+        // type properties are added after the occurrence properties, because the
+        // values defined on the occurrence override the values of the type
+        const typeRels = this.ifc.GetLineIDsWithType (modelID, WebIFC.IFCRELDEFINESBYTYPE);
+        for (let i = 0; i < typeRels.size (); i++) {
+            const rel = this.ifc.GetLine (modelID, typeRels.get (i));
+            const ifcType = this.ifc.GetLine (modelID, rel.RelatingType.value);
+            if (!ifcType || !ifcType.HasPropertySets) {
+                continue;
+            }
+            rel.RelatedObjects.forEach ((objectRelID) => {
+                let element = this.GetPropertyOwner (modelID, objectRelID.value);
+                if (element === null) {
                     return;
                 }
-                let propertyGroup = new PropertyGroup (propSet.Name.value);
-                propSet.HasProperties.forEach ((property) => {
-                    if (!property || !property.Name) {
-                        return;
-                    }
-                    if (!property.NominalValue || !property.NominalValue.constructor) {
-                        return;
-                    }
-                    if (property.type !== WebIFC.IFCPROPERTYSINGLEVALUE) {
-                        return;
+                for (const propertySetDef of ifcType.HasPropertySets) {
+                    let propertyGroup = this.GetPropertySetGroup (modelID, propertySetDef.value, propertySetGroups);
+                    if (propertyGroup !== null) {
+                        AddTypePropertyGroup (element, propertyGroup);
                     }
-                    let propertyName = this.GetIFCString (property.Name.value);
-                    let elemProperty = null;
-                    let strValue = null;
-                    switch (property.NominalValue.constructor.name) {
-                        case 'IfcText':
-                        case 'IfcLabel':
-                        case 'IfcIdentifier':
-                        case WebIFC.IFCLABEL:
-                            elemProperty = new Property (PropertyType.Text, propertyName, this.GetIFCString (property.NominalValue.value));
-                            break;
-                        case 'IfcBoolean':
-                        case 'IfcLogical':
-                            strValue = Loc ('Unknown');
-                            if (property.NominalValue.value === 'T') {
-                                strValue = Loc ('True');
-                            } else if (property.NominalValue.value === 'F') {
-                                strValue = Loc ('False');
-                            }
-                            elemProperty = new Property (PropertyType.Text, propertyName, strValue);
-                            break;
-                        case 'IfcInteger':
-                        case 'IfcCountMeasure':
-                            elemProperty = new Property (PropertyType.Integer, propertyName, property.NominalValue.value);
-                            break;
-                        case 'IfcReal':
-                        case 'IfcLengthMeasure':
-                        case 'IfcPositiveLengthMeasure':
-                        case 'IfcAreaMeasure':
-                        case 'IfcVolumeMeasure':
-                        case 'IfcRatioMeasure':
-                        case 'IfcPositiveRatioMeasure':
-                        case 'IfcMassMeasure':
-                        case 'IfcMassPerLengthMeasure':
-                        case 'IfcPlaneAngleMeasure':
-                        case 'IfcThermalTransmittanceMeasure':
-                            elemProperty = new Property (PropertyType.Number, propertyName, property.NominalValue.value);
-                            break;
-                        default:
-                            // TODO
-                            console.log (property);
-                            break;
-                    }
-                    if (elemProperty !== null) {
-                        propertyGroup.AddProperty (elemProperty);
-                    }
-                });
-                if (propertyGroup.PropertyCount () > 0) {
-                    element.AddPropertyGroup (propertyGroup);
                 }
             });
         }
     }
 
+    GetPropertySetGroup (modelID, propertySetID, propertySetGroups)
+    {
+        if (!propertySetGroups.has (propertySetID)) {
+            propertySetGroups.set (propertySetID, this.ImportPropertySet (modelID, propertySetID));
+        }
+        return propertySetGroups.get (propertySetID);
+    }
+
+    GetPropertyOwner (modelID, expressID)
+    {
+        if (this.expressIDToMesh.has (expressID)) {
+            return this.expressIDToMesh.get (expressID);
+        }
+        let propSetOwner = this.ifc.GetLine (modelID, expressID);
+        if (propSetOwner.type === WebIFC.IFCBUILDING) {
+            return this.model;
+        }
+        return null;
+    }
+
+    ImportUnits (modelID)
+    {
+        const projects = this.ifc.GetLineIDsWithType (modelID, WebIFC.IFCPROJECT);
+        if (projects.size () === 0) {
+            return;
+        }
+        const project = this.ifc.GetLine (modelID, projects.get (0), true);
+        if (!project.UnitsInContext || !project.UnitsInContext.Units) {
+            return;
+        }
+        for (const ifcUnit of project.UnitsInContext.Units) {
+            if (!ifcUnit || !ifcUnit.UnitType) {
+                continue;
+            }
+            let unitType = GetIFCEnumValue (ifcUnit.UnitType);
+            let unitSymbol = GetIFCUnitSymbol (ifcUnit);
+            if (unitSymbol !== null) {
+                this.unitSymbols.set (unitType, unitSymbol);
+            }
+            let measureUnit = GetIFCMeasureUnit (ifcUnit);
+            if (measureUnit !== null) {
+                this.measureUnits.set (unitType, measureUnit);
+            }
+        }
+    }
+
+    ImportPropertySet (modelID, propertySetID)
+    {
+        let propSet = this.ifc.GetLine (modelID, propertySetID, true);
+        if (!propSet || !propSet.Name) {
+            return null;
+        }
+        let propertyGroup = new PropertyGroup (this.GetIFCString (propSet.Name.value));
+        if (propSet.type === WebIFC.IFCELEMENTQUANTITY) {
+            if (!propSet.Quantities) {
+                return null;
+            }
+            for (const quantity of propSet.Quantities) {
+                let elemProperty = this.ImportQuantity (quantity);
+                if (elemProperty !== null) {
+                    propertyGroup.AddProperty (elemProperty);
+                }
+            }
+        } else {
+            if (!propSet.HasProperties) {
+                return null;
+            }
+            for (const property of propSet.HasProperties) {
+                let elemProperty = this.ImportProperty (property);
+                if (elemProperty !== null) {
+                    propertyGroup.AddProperty (elemProperty);
+                }
+            }
+        }
+        if (propertyGroup.PropertyCount () === 0) {
+            return null;
+        }
+        return propertyGroup;
+    }
+
+    ImportProperty (property)
+    {
+        if (!property || !property.Name) {
+            return null;
+        }
+
+        let propertyName = this.GetIFCString (property.Name.value);
+        if (property.type === WebIFC.IFCPROPERTYSINGLEVALUE) {
+            if (!property.NominalValue || !property.NominalValue.constructor) {
+                return null;
+            }
+            return this.ConvertIFCValue (propertyName, property.NominalValue, property.Unit);
+        } else if (property.type === WebIFC.IFCPROPERTYENUMERATEDVALUE) {
+            return this.ConvertIFCValueList (propertyName, property.EnumerationValues, null);
+        } else if (property.type === WebIFC.IFCPROPERTYLISTVALUE) {
+            return this.ConvertIFCValueList (propertyName, property.ListValues, property.Unit);
+        } else if (property.type === WebIFC.IFCPROPERTYBOUNDEDVALUE) {
+            return this.ConvertIFCBoundedValue (propertyName, property);
+        }
+        return null;
+    }
+
+    ImportQuantity (quantity)
+    {
+        if (!quantity || !quantity.Name) {
+            return null;
+        }
+
+        let quantityInfo = GetIFCQuantityInfo (quantity.type);
+        if (quantityInfo === null) {
+            return null;
+        }
+        let value = quantity[quantityInfo.valueName];
+        if (value === undefined || value === null) {
+            return null;
+        }
+        if (value.value !== undefined) {
+            value = value.value;
+        }
+
+        let propertyName = this.GetIFCString (quantity.Name.value);
+        if (quantityInfo.unitType === null && Number.isInteger (value)) {
+            return new Property (PropertyType.Integer, propertyName, value);
+        }
+        return this.CreateMeasureProperty (propertyName, value, quantityInfo.unitType, quantity.Unit);
+    }
+
+    ConvertIFCValue (propertyName, ifcValue, ifcUnit)
+    {
+        let elemProperty = null;
+        let strValue = null;
+        let dateValue = null;
+        let valueType = ifcValue.constructor.name;
+        switch (valueType) {
+            case 'IfcText':
+            case 'IfcLabel':
+            case 'IfcIdentifier':
+            case 'IfcTime':
+            case WebIFC.IFCLABEL:
+                elemProperty = new Property (PropertyType.Text, propertyName, this.GetIFCString (ifcValue.value));
+                break;
+            case 'IfcDate':
+            case 'IfcDateTime':
+                strValue = this.GetIFCString (ifcValue.value);
+                dateValue = ParseDateString (strValue);
+                if (dateValue !== null) {
+                    elemProperty = new Property (PropertyType.Date, propertyName, dateValue);
+                } else {
+                    elemProperty = new Property (PropertyType.Text, propertyName, strValue);
+                }
+                break;
+            case 'IfcURIReference':
+                elemProperty = new Property (PropertyType.Url, propertyName, this.GetIFCString (ifcValue.value));
+                break;
+            case 'IfcBoolean':
+            case 'IfcLogical':
+                strValue = Loc ('Unknown');
+                if (ifcValue.value === 'T' || ifcValue.value === true) {
+                    strValue = Loc ('True');
+                } else if (ifcValue.value === 'F' || ifcValue.value === false) {
+                    strValue = Loc ('False');
+                }
+                elemProperty = new Property (PropertyType.Text, propertyName, strValue);
+                break;
+            case 'IfcInteger':
+            case 'IfcCountMeasure':
+                elemProperty = new Property (PropertyType.Integer, propertyName, ifcValue.value);
+                break;
+            case 'IfcReal':
+            case 'IfcLengthMeasure':
+            case 'IfcPositiveLengthMeasure':
+            case 'IfcNonNegativeLengthMeasure':
+            case 'IfcAreaMeasure':
+            case 'IfcVolumeMeasure':
+            case 'IfcRatioMeasure':
+            case 'IfcPositiveRatioMeasure':
+            case 'IfcNormalisedRatioMeasure':
+            case 'IfcMassMeasure':
+            case 'IfcMassPerLengthMeasure':
+            case 'IfcPlaneAngleMeasure':
+            case 'IfcPositivePlaneAngleMeasure':
+            case 'IfcTimeMeasure':
+            case 'IfcThermodynamicTemperatureMeasure':
+            case 'IfcThermalTransmittanceMeasure':
+                elemProperty = this.CreateMeasureProperty (propertyName, ifcValue.value, GetIFCMeasureUnitType (valueType), ifcUnit);
+                break;
+            default:
+                this.AddUnsupportedValueDiagnostic (propertyName, valueType);
+                break;
+        }
+        return elemProperty;
+    }
+
+    ConvertIFCValueList (propertyName, ifcValues, ifcUnit)
+    {
+        if (!ifcValues || ifcValues.length === 0) {
+            return null;
+        }
+        let strValues = [];
+        for (const ifcValue of ifcValues) {
+            let strValue = this.ConvertIFCValueToString (propertyName, ifcValue, ifcUnit);
+            if (strValue !== null) {
+                strValues.push (strValue);
+            }
+        }
+        if (strValues.length === 0) {
+            return null;
+        }
+        return new Property (PropertyType.Text, propertyName, strValues.join (', '));
+    }
+
+    ConvertIFCBoundedValue (propertyName, property)
+    {
+        let lowerValue = this.ConvertIFCValueToString (propertyName, property.LowerBoundValue, property.Unit);
+        let upperValue = this.ConvertIFCValueToString (propertyName, property.UpperBoundValue, property.Unit);
+        let setPointValue = this.ConvertIFCValueToString (propertyName, property.SetPointValue, property.Unit);
+        let strValue = null;
+        if (lowerValue !== null && upperValue !== null) {
+            strValue = lowerValue + ' - ' + upperValue;
+        } else if (lowerValue !== null) {
+            strValue = '>= ' + lowerValue;
+        } else if (upperValue !== null) {
+            strValue = '<= ' + upperValue;
+        }
+        if (setPointValue !== null) {
+            strValue = (strValue !== null ? strValue + ' (' + setPointValue + ')' : setPointValue);
+        }
+        if (strValue === null) {
+            return null;
+        }
+        return new Property (PropertyType.Text, propertyName, strValue);
+    }
+
+    ConvertIFCValueToString (propertyName, ifcValue, ifcUnit)
+    {
+        if (!ifcValue || !ifcValue.constructor) {
+            return null;
+        }
+        let elemProperty = this.ConvertIFCValue (propertyName, ifcValue, ifcUnit);
+        if (elemProperty === null) {
+            return null;
+        }
+        if (elemProperty.type === PropertyType.Text || elemProperty.type === PropertyType.Url) {
+            return elemProperty.value;
+        }
+        return PropertyToString (elemProperty);
+    }
+
+    CreateMeasureProperty (propertyName, value, unitType, ifcUnit)
+    {
+        // typed measure if the unit is known, otherwise a number with the symbol of the unit
+        let propertyType = (unitType !== null && IfcUnitTypePropertyTypes.has (unitType) ? IfcUnitTypePropertyTypes.get (unitType) : null);
+        if (propertyType !== null) {
+            let measureUnit = null;
+            if (ifcUnit) {
+                measureUnit = GetIFCMeasureUnit (ifcUnit);
+            } else if (this.measureUnits.has (unitType)) {
+                measureUnit = this.measureUnits.get (unitType);
+            }
+            if (measureUnit !== null) {
+                return new Property (propertyType, propertyName, value, measureUnit);
+            }
+        }
+        return new Property (PropertyType.Number, propertyName, value, this.GetUnitSymbol (unitType, ifcUnit));
+    }
+
+    GetUnitSymbol (unitType, ifcUnit)
+    {
+        if (ifcUnit) {
+            let unitSymbol = GetIFCUnitSymbol (ifcUnit);
+            if (unitSymbol !== null) {
+                return unitSymbol;
+            }
+        }
+        if (unitType === null || !this.unitSymbols.has (unitType)) {
+            return null;
+        }
+        return this.unitSymbols.get (unitType);
+    }
+
+    AddUnsupportedValueDiagnostic (propertyName, valueType)
+    {
+        // reported only once per value type, large models would produce thousands of them
+        if (this.unsupportedValueTypes.has (valueType)) {
+            return;
+        }
+        this.unsupportedValueTypes.add (valueType);
+        this.AddDiagnostic (DiagnosticSeverity.Info, DiagnosticCode.UnsupportedPropertyValue, FLoc ('Unsupported property value type: {0}.', valueType), {
+            propertyName : propertyName,
+            valueType : valueType
+        });
+    }
+
     GetMaterialIndexByColor (ifcColor)
     {
         const color = RGBColorFromFloatComponents (ifcColor.x, ifcColor.y, ifcColor.z);
@@ -218,6 +750,31 @@ export class ImporterIfc extends ImporterBase
         return this.colorToMaterial.GetMaterialIndex (color.r, color.g, color.b, alpha);
     }
 
+    GetIFCElementName (ifcElement)
+    {
+        if (ifcElement.Name && ifcElement.Name.value) {
+            let name = this.DecodeIFCString (ifcElement.Name.value);
+            if (name.length > 0) {
+                return name;
+            }
+        }
+        return this.GetIFCEntityName (ifcElement);
+    }
+
+    GetIFCEntityName (ifcElement)
+    {
+        if (ifcElement.constructor && ifcElement.constructor.name.startsWith ('Ifc')) {
+            return ifcElement.constructor.name;
+        }
+        // the type code name can be upper case (IFCWALL), the schema classes have the original name (IfcWall)
+        let typeName = this.ifc.GetNameFromTypeCode (ifcElement.type);
+        if (!typeName) {
+            return '-';
+        }
+        let entityName = GetIFCSchemaClassNames ().get (typeName.toUpperCase ());
+        return (entityName !== undefined ? entityName : typeName);
+    }
+
     GetIFCString (ifcString)
     {
         let decoded = this.DecodeIFCString (ifcString);
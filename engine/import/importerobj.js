@@ -9,7 +9,8 @@ import { Mesh } from '../model/mesh.js';
 import { Triangle } from '../model/triangle.js';
 import { ImporterBase } from './importerbase.js';
 import { NameFromLine, ParametersFromLine, ReadLines, UpdateMaterialTransparency } from './importerutils.js';
-import { Loc } from '../core/localization.js';
+import { DiagnosticCode, DiagnosticSeverity } from './importdiagnostics.js';
+import { Loc, FLoc } from '../core/localization.js';
 
 class ObjMeshConverter
 {
@@ -90,7 +91,6 @@ export class ImporterObj extends ImporterBase
     constructor ()
     {
         super ();
-        console.log("IUHUIHUIHUHUIHUI");
     }
 
     CanImportExtension (extension)
@@ -116,6 +116,7 @@ export class ImporterObj extends ImporterBase
 
         this.meshNameToConverter = null;
         this.materialNameToIndex = null;
+        this.unknownMaterialNames = null;
     }
 
     ResetContent ()
@@ -131,6 +132,7 @@ export class ImporterObj extends ImporterBase
 
         this.meshNameToConverter = new Map ();
         this.materialNameToIndex = new Map ();
+        this.unknownMaterialNames = new Set ();
     }
 
     ImportContent (fileContent, onFinish)
@@ -309,6 +311,13 @@ export class ImporterObj extends ImporterBase
             let materialName = NameFromLine (line, keyword.length, '#');
             if (this.materialNameToIndex.has (materialName)) {
                 this.currentMaterialIndex = this.materialNameToIndex.get (materialName);
+            } else {
+                if (!this.unknownMaterialNames.has (materialName)) {
+                    this.unknownMaterialNames.add (materialName);
+                    this.AddDiagnostic (DiagnosticSeverity.Warning, DiagnosticCode.UnknownMaterial, FLoc ('Unknown material: {0}.', materialName), {
+                        materialName : materialName
+                    });
+                }
             }
             return true;
         } else if (keyword === 'mtllib') {
@@ -1,12 +1,180 @@
-import { Direction } from '../geometry/geometry.js';
+import { Direction, BigEps, IsEqualEps } from '../geometry/geometry.js';
+import { Coord3D, CrossVector3D, SubCoord3D, CoordDistance3D } from '../geometry/coord3d.js';
+import { Matrix } from '../geometry/matrix.js';
+import { Transformation } from '../geometry/transformation.js';
 import { Node } from '../model/node.js';
 import { RGBColorFromFloatComponents } from '../model/color.js';
 import { ConvertThreeGeometryToMesh } from '../threejs/threeutils.js';
 import { ImporterBase } from './importerbase.js';
 import { ColorToMaterialConverter, CreateOcctWorker } from './importerutils.js';
+import { CreateOcctTessellationParams } from './tessellation.js';
 import { Unit } from '../model/unit.js';
 import { Loc } from '../core/localization.js';
 
+function GetOcctMeshVertex (occtMesh, index)
+{
+    let positions = occtMesh.attributes.position.array;
+    return new Coord3D (positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]);
+}
+
+function GetOcctMeshSignature (occtMesh)
+{
+    let indices = occtMesh.index.array;
+    let indexHash = 0;
+    for (let i = 0; i < indices.length; i++) {
+        indexHash = (indexHash * 31 + indices[i]) | 0;
+    }
+    let signature = [
+        occtMesh.attributes.position.array.length,
+        indices.length,
+        indexHash
+    ];
+    for (let brepFace of occtMesh.brep_faces) {
+        signature.push (brepFace.first, brepFace.last);
+    }
+    return signature.join (':');
+}
+
+function IsEqualOcctColor (a, b)
+{
+    if (a === undefined || a === null || b === undefined || b === null) {
+        return (a === undefined || a === null) && (b === undefined || b === null);
+    }
+    if (a.length !== b.length) {
+        return false;
+    }
+    for (let i = 0; i < a.length; i++) {
+        if (!IsEqualEps (a[i], b[i], BigEps)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function HasSameOcctColors (a, b)
+{
+    if (!IsEqualOcctColor (a.color, b.color)) {
+        return false;
+    }
+    for (let i = 0; i < a.brep_faces.length; i++) {
+        if (!IsEqualOcctColor (a.brep_faces[i].color, b.brep_faces[i].color)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function CreateFrameFromPoints (p0, p1, p2)
+{
+    let u = SubCoord3D (p1, p0).Normalize ();
+    let w = CrossVector3D (u, SubCoord3D (p2, p0)).Normalize ();
+    let v = CrossVector3D (w, u);
+    return [u, v, w];
+}
+
+function GetFrameVertexIndices (occtMesh)
+{
+    // The first vertex, the farthest vertex from it, and the vertex farthest from the line
+    // of the two define a stable frame for comparing two copies of the same mesh.
+    let vertexCount = occtMesh.attributes.position.array.length / 3;
+    if (vertexCount < 3) {
+        return null;
+    }
+    let p0 = GetOcctMeshVertex (occtMesh, 0);
+    let index1 = -1;
+    let maxDistance = 0.0;
+    for (let i = 1; i < vertexCount; i++) {
+        let distance = CoordDistance3D (p0, GetOcctMeshVertex (occtMesh, i));
+        if (distance > maxDistance) {
+            maxDistance = distance;
+            index1 = i;
+        }
+    }
+    if (index1 === -1) {
+        return null;
+    }
+    let direction = SubCoord3D (GetOcctMeshVertex (occtMesh, index1), p0);
+    let index2 = -1;
+    let maxArea = 0.0;
+    for (let i = 1; i < vertexCount; i++) {
+        let area = CrossVector3D (direction, SubCoord3D (GetOcctMeshVertex (occtMesh, i), p0)).Length ();
+        if (area > maxArea) {
+            maxArea = area;
+            index2 = i;
+        }
+    }
+    if (index2 === -1 || maxArea < BigEps * maxDistance * maxDistance) {
+        return null;
+    }
+    return [0, index1, index2];
+}
+
+function CalculateRigidTransformation (sourceMesh, targetMesh, frameIndices)
+{
+    function GetFrame (occtMesh, frameIndices)
+    {
+        return CreateFrameFromPoints (
+            GetOcctMeshVertex (occtMesh, frameIndices[0]),
+            GetOcctMeshVertex (occtMesh, frameIndices[1]),
+            GetOcctMeshVertex (occtMesh, frameIndices[2])
+        );
+    }
+
+    let sourceFrame = GetFrame (sourceMesh, frameIndices);
+    let targetFrame = GetFrame (targetMesh, frameIndices);
+
+    // Row i of the matrix is the image of the i-th unit vector
+    let matrixValues = [];
+    let axes = ['x', 'y', 'z'];
+    for (let i = 0; i < 3; i++) {
+        let image = new Coord3D (0.0, 0.0, 0.0);
+        for (let k = 0; k < 3; k++) {
+            let weight = sourceFrame[k][axes[i]];
+            image.x += weight * targetFrame[k].x;
+            image.y += weight * targetFrame[k].y;
+            image.z += weight * targetFrame[k].z;
+        }
+        matrixValues.push (image.x, image.y, image.z, 0.0);
+    }
+
+    let source0 = GetOcctMeshVertex (sourceMesh, frameIndices[0]);
+    let target0 = GetOcctMeshVertex (targetMesh, frameIndices[0]);
+    matrixValues.push (
+        target0.x - (source0.x * matrixValues[0] + source0.y * matrixValues[4] + source0.z * matrixValues[8]),
+        target0.y - (source0.x * matrixValues[1] + source0.y * matrixValues[5] + source0.z * matrixValues[9]),
+        target0.z - (source0.x * matrixValues[2] + source0.y * matrixValues[6] + source0.z * matrixValues[10]),
+        1.0
+    );
+    let transformation = new Transformation (new Matrix (matrixValues));
+
+    let maxCoordinate = 0.0;
+    let targetPositions = targetMesh.attributes.position.array;
+    for (let i = 0; i < targetPositions.length; i++) {
+        maxCoordinate = Math.max (maxCoordinate, Math.abs (targetPositions[i]));
+    }
+    let tolerance = BigEps + maxCoordinate * 0.00001;
+    let vertexCount = targetPositions.length / 3;
+    for (let i = 0; i < vertexCount; i++) {
+        let transformed = transformation.TransformCoord3D (GetOcctMeshVertex (sourceMesh, i));
+        if (CoordDistance3D (transformed, GetOcctMeshVertex (targetMesh, i)) > tolerance) {
+            return null;
+        }
+    }
+    return transformation;
+}
+
+function IsEqualOcctTransformation (a, b)
+{
+    let aMatrix = a.GetMatrix ().Get ();
+    let bMatrix = b.GetMatrix ().Get ();
+    for (let i = 0; i < 16; i++) {
+        if (!IsEqualEps (aMatrix[i], bMatrix[i], BigEps)) {
+            return false;
+        }
+    }
+    return true;
+}
+
 export class ImporterOcct extends ImporterBase
 {
     constructor ()
@@ -31,16 +199,33 @@ export class ImporterOcct extends ImporterBase
             this.worker.terminate ();
             this.worker = null;
         }
+        this.meshPrototypes = null;
+        this.meshInstances = null;
 	}
 
     ResetContent ()
     {
         this.worker = null;
+        this.meshPrototypes = new Map ();
+        this.meshInstances = new Map ();
+    }
+
+    AbortContent ()
+    {
+        if (this.worker !== null) {
+            this.worker.terminate ();
+            this.worker = null;
+        }
     }
 
     ImportContent (fileContent, onFinish)
     {
+        let isAborted = this.CreateAbortCheck ();
         CreateOcctWorker ().then ((worker) => {
+            if (isAborted ()) {
+                worker.terminate ();
+                return;
+            }
             this.worker = worker;
             this.worker.addEventListener ('message', (ev) => {
                 this.ImportResultJson (ev.data, onFinish);
@@ -66,12 +251,8 @@ export class ImporterOcct extends ImporterBase
                 this.model.SetUnit (Unit.Millimeter);
             }
 
-            let params = {
-                linearUnit: 'millimeter',
-                linearDeflectionType: 'bounding_box_ratio',
-                linearDeflection: 0.001,
-                angularDeflection: 0.5
-            };
+            let params = CreateOcctTessellationParams (this.GetTessellationSettings ());
+            params.linearUnit = 'millimeter';
             let fileBuffer = new Uint8Array (fileContent);
             this.worker.postMessage ({
                 format : format,
@@ -79,7 +260,9 @@ export class ImporterOcct extends ImporterBase
                 params : params
             });
         }).catch (() => {
-            this.SetError (Loc ('Failed to load occt-import-js.'));
+            if (!isAborted ()) {
+                this.SetError (Loc ('Failed to load occt-import-js.'));
+            }
             onFinish ();
         });
     }
@@ -98,12 +281,47 @@ export class ImporterOcct extends ImporterBase
 
     ImportNode (resultContent, occtNode, parentNode, colorToMaterial)
     {
+        // occt-import-js returns every occurrence as a separate mesh in world coordinates without
+        // the shape identity or the location of the occurrence, so instances are keyed on the occt
+        // mesh index first, then on the geometry, and the found transformation is applied on a node.
+        let meshInstances = [];
         for (let nodeMeshIndex of occtNode.meshes) {
-            let occtMesh = resultContent.meshes[nodeMeshIndex];
-            let mesh = this.ImportMesh (occtMesh, colorToMaterial);
-            let meshIndex = this.model.AddMesh (mesh);
-            parentNode.AddMeshIndex (meshIndex);
+            meshInstances.push (this.ImportMeshInstance (resultContent, nodeMeshIndex, colorToMaterial));
+        }
+
+        let nodeTransformation = null;
+        if (meshInstances.length > 0 && occtNode.children.length === 0) {
+            nodeTransformation = meshInstances[0].transformation;
+            for (let meshInstance of meshInstances) {
+                if (!IsEqualOcctTransformation (meshInstance.transformation, nodeTransformation)) {
+                    nodeTransformation = null;
+                    break;
+                }
+            }
+        }
+
+        if (nodeTransformation !== null) {
+            if (!nodeTransformation.IsIdentity ()) {
+                parentNode.SetTransformation (nodeTransformation);
+            }
+            for (let meshInstance of meshInstances) {
+                parentNode.AddMeshIndex (meshInstance.meshIndex);
+            }
+        } else {
+            // the transformation of the node would move the children too, so instances
+            // placed differently get their own node referencing the shared mesh
+            for (let meshInstance of meshInstances) {
+                if (meshInstance.transformation.IsIdentity ()) {
+                    parentNode.AddMeshIndex (meshInstance.meshIndex);
+                } else {
+                    let instanceNode = new Node ();
+                    instanceNode.SetTransformation (meshInstance.transformation);
+                    instanceNode.AddMeshIndex (meshInstance.meshIndex);
+                    parentNode.AddChildNode (instanceNode);
+                }
+            }
         }
+
         for (let childOcctNode of occtNode.children) {
             let childNode = new Node ();
             childNode.SetName (childOcctNode.name);
@@ -112,23 +330,80 @@ export class ImporterOcct extends ImporterBase
         }
     }
 
+    ImportMeshInstance (resultContent, occtMeshIndex, colorToMaterial)
+    {
+        let meshInstance = this.meshInstances.get (occtMeshIndex);
+        if (meshInstance !== undefined) {
+            return meshInstance;
+        }
+
+        let occtMesh = resultContent.meshes[occtMeshIndex];
+        meshInstance = this.FindMeshInstance (occtMesh);
+        if (meshInstance === null) {
+            let mesh = this.ImportMesh (occtMesh, colorToMaterial);
+            meshInstance = {
+                meshIndex : this.model.AddMesh (mesh),
+                transformation : new Transformation ()
+            };
+            this.meshPrototypes.get (GetOcctMeshSignature (occtMesh)).push ({
+                occtMesh : occtMesh,
+                meshIndex : meshInstance.meshIndex,
+                frameIndices : GetFrameVertexIndices (occtMesh)
+            });
+        }
+        this.meshInstances.set (occtMeshIndex, meshInstance);
+        return meshInstance;
+    }
+
+    FindMeshInstance (occtMesh)
+    {
+        let signature = GetOcctMeshSignature (occtMesh);
+        let prototypes = this.meshPrototypes.get (signature);
+        if (prototypes === undefined) {
+            this.meshPrototypes.set (signature, []);
+            return null;
+        }
+
+        for (let prototype of prototypes) {
+            if (prototype.frameIndices === null || !HasSameOcctColors (prototype.occtMesh, occtMesh)) {
+                continue;
+            }
+            let transformation = CalculateRigidTransformation (prototype.occtMesh, occtMesh, prototype.frameIndices);
+            if (transformation !== null) {
+                return {
+                    meshIndex : prototype.meshIndex,
+                    transformation : transformation
+                };
+            }
+        }
+        return null;
+    }
+
     ImportMesh (occtMesh, colorToMaterial)
     {
+        function GetMaterialIndex (occtColor, colorToMaterial)
+        {
+            let color = RGBColorFromFloatComponents (occtColor[0], occtColor[1], occtColor[2]);
+            let alpha = null;
+            if (occtColor.length > 3) {
+                alpha = parseInt (Math.round (occtColor[3] * 255.0), 10);
+            }
+            return colorToMaterial.GetMaterialIndex (color.r, color.g, color.b, alpha);
+        }
+
         let materialIndex = null;
         if (occtMesh.color) {
-            let color = RGBColorFromFloatComponents (occtMesh.color[0], occtMesh.color[1], occtMesh.color[2]);
-            materialIndex = colorToMaterial.GetMaterialIndex (color.r, color.g, color.b, null);
+            materialIndex = GetMaterialIndex (occtMesh.color, colorToMaterial);
         }
         let mesh = ConvertThreeGeometryToMesh (occtMesh, materialIndex, null);
         if (occtMesh.name) {
             mesh.SetName (occtMesh.name);
         }
         for (let brepFace of occtMesh.brep_faces) {
-            if (brepFace.color === null) {
+            if (brepFace.color === undefined || brepFace.color === null) {
                 continue;
             }
-            let faceColor = RGBColorFromFloatComponents (brepFace.color[0], brepFace.color[1], brepFace.color[2]);
-            let faceMaterialIndex = colorToMaterial.GetMaterialIndex (faceColor.r, faceColor.g, faceColor.b, null);
+            let faceMaterialIndex = GetMaterialIndex (brepFace.color, colorToMaterial);
             for (let i = brepFace.first; i <= brepFace.last; i++) {
                 let triangle = mesh.GetTriangle (i);
                 triangle.SetMaterial (faceMaterialIndex);
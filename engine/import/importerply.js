@@ -5,6 +5,7 @@ import { ArrayBufferToUtf8String } from '../io/bufferutils.js';
 import { RGBColor, IntegerToHexString } from '../model/color.js';
 import { PhongMaterial } from '../model/material.js';
 import { Mesh } from '../model/mesh.js';
+import { Point } from '../model/point.js';
 import { Triangle } from '../model/triangle.js';
 import { ImporterBase } from './importerbase.js';
 import { ParametersFromLine, ReadLines, UpdateMaterialTransparency } from './importerutils.js';
@@ -14,10 +15,23 @@ const PlyHeaderCheckResult =
 {
     Ok : 1,
     NoVertices : 2,
-    NoFaces : 3,
-    UnknownError : 4
+    UnknownError : 3
 };
 
+function IsFloatPlyType (type)
+{
+    return type === 'float' || type === 'float32' || type === 'double' || type === 'double64';
+}
+
+function GetPlyColorComponent (value, type)
+{
+    // float colors are in the 0..1 range, integer colors in the 0..255 range
+    if (IsFloatPlyType (type)) {
+        return Math.min (Math.max (Math.round (value * 255.0), 0), 255);
+    }
+    return value;
+}
+
 class PlyHeader
 {
     constructor ()
@@ -84,19 +98,7 @@ class PlyHeader
             return PlyHeaderCheckResult.NoVertices;
         }
 
-        let face = this.GetElement ('face');
-        if (this.format === 'ascii') {
-            if (face === null || face.count === 0 || face.format.length < 0) {
-                return PlyHeaderCheckResult.NoFaces;
-            }
-        } else if (this.format === 'binary_little_endian' || this.format === 'binary_big_endian') {
-            let triStrips = this.GetElement ('tristrips');
-            let hasFaces = (face !== null && face.count > 0 && face.format.length > 0);
-            let hasTriStrips = (triStrips !== null && triStrips.count > 0 && triStrips.format.length > 0);
-            if (!hasFaces && !hasTriStrips) {
-                return PlyHeaderCheckResult.NoFaces;
-            }
-        } else {
+        if (this.format !== 'ascii' && this.format !== 'binary_little_endian' && this.format !== 'binary_big_endian') {
             return PlyHeaderCheckResult.UnknownError;
         }
 
@@ -176,11 +178,13 @@ export class ImporterPly extends ImporterBase
             } else if (header.format === 'binary_little_endian' || header.format === 'binary_big_endian') {
                 this.ReadBinaryContent (header, fileContent, headerString.length);
             }
+            // only files without faces are point clouds, files with faces stay meshes even without triangles
+            if (header.GetElement ('face') === null) {
+                this.AddVerticesAsPoints ();
+            }
         } else {
             if (checkResult === PlyHeaderCheckResult.NoVertices) {
                 this.SetError (Loc ('The model contains no vertices.'));
-            } else if (checkResult === PlyHeaderCheckResult.NoFaces) {
-                this.SetError (Loc ('The model contains no faces.'));
             } else {
                 this.SetError (Loc ('Invalid header information.'));
             }
@@ -188,6 +192,18 @@ export class ImporterPly extends ImporterBase
         onFinish ();
     }
 
+    AddVerticesAsPoints ()
+    {
+        let hasVertexColors = (this.mesh.VertexColorCount () === this.mesh.VertexCount ());
+        for (let i = 0; i < this.mesh.VertexCount (); i++) {
+            let point = new Point (i);
+            if (hasVertexColors) {
+                point.SetVertexColor (i);
+            }
+            this.mesh.AddPoint (point);
+        }
+    }
+
     GetHeaderContent (fileContent)
     {
         let headerContent = '';
@@ -242,6 +258,29 @@ export class ImporterPly extends ImporterBase
     {
         let vertex = header.GetElement ('vertex');
         let face = header.GetElement ('face');
+        let colorFormats = {
+            red : null,
+            green : null,
+            blue : null
+        };
+        for (let i = 0; i < vertex.format.length; i++) {
+            let format = vertex.format[i];
+            if (format.isSingle && format.name in colorFormats) {
+                colorFormats[format.name] = {
+                    index : i,
+                    type : format.elemType
+                };
+            }
+        }
+
+        // vertex colors are only used for point clouds, triangles keep their material
+        function GetColorComponent (parameters, colorFormat)
+        {
+            return GetPlyColorComponent (parseFloat (parameters[colorFormat.index]), colorFormat.type);
+        }
+
+        let isPointCloud = (face === null);
+        let hasVertexColors = isPointCloud && (colorFormats.red !== null && colorFormats.green !== null && colorFormats.blue !== null);
         let foundVertex = 0;
         let foundFace = 0;
         ReadLines (fileContent, (line) => {
@@ -261,6 +300,13 @@ export class ImporterPly extends ImporterBase
                         parseFloat (parameters[1]),
                         parseFloat (parameters[2])
                     ));
+                    if (hasVertexColors) {
+                        this.mesh.AddVertexColor (new RGBColor (
+                            GetColorComponent (parameters, colorFormats.red),
+                            GetColorComponent (parameters, colorFormats.green),
+                            GetColorComponent (parameters, colorFormats.blue)
+                        ));
+                    }
                     foundVertex += 1;
                 }
                 return;
@@ -342,13 +388,13 @@ export class ImporterPly extends ImporterBase
                 let currFormat = format[i];
                 let val = ReadByFormat (reader, currFormat);
                 if (currFormat.name === 'red') {
-                    r = val;
+                    r = GetPlyColorComponent (val, currFormat.elemType);
                 } else if (currFormat.name === 'green') {
-                    g = val;
+                    g = GetPlyColorComponent (val, currFormat.elemType);
                 } else if (currFormat.name === 'blue') {
-                    b = val;
+                    b = GetPlyColorComponent (val, currFormat.elemType);
                 } else if (currFormat.name === 'alpha') {
-                    a = val;
+                    a = GetPlyColorComponent (val, currFormat.elemType);
                 }
             }
 
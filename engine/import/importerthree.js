@@ -2,23 +2,36 @@ import { WaitWhile } from '../core/taskrunner.js';
 import { Direction } from '../geometry/geometry.js';
 import { Matrix } from '../geometry/matrix.js';
 import { Transformation } from '../geometry/transformation.js';
-import { Base64DataURIToArrayBuffer, CreateObjectUrl, GetFileExtensionFromMimeType } from '../io/bufferutils.js';
+import { ArrayBufferToUtf8String, Base64DataURIToArrayBuffer, CreateObjectUrl, GetFileExtensionFromMimeType, RevokeObjectUrl } from '../io/bufferutils.js';
 import { GetFileExtension, GetFileName } from '../io/fileutils.js';
-import { PhongMaterial, TextureMap } from '../model/material.js';
+import { AnimationClip, AnimationInterpolation, AnimationPath, AnimationTrack } from '../model/animation.js';
+import { PhongMaterial, PhysicalMaterial, TextureMap } from '../model/material.js';
 import { Node } from '../model/node.js';
-import { ConvertThreeColorToColor, ConvertThreeGeometryToMesh, ThreeLinearToSRGBColorConverter, ThreeSRGBToLinearColorConverter } from '../threejs/threeutils.js';
+import { ConvertThreeColorToColor, ConvertThreeGeometryToMesh, ConvertThreePointsGeometryToMesh, ThreeLinearToSRGBColorConverter, ThreeSRGBToLinearColorConverter } from '../threejs/threeutils.js';
 import { ImporterBase } from './importerbase.js';
+import { FLoc } from '../core/localization.js';
 import { TGALoader } from '../loaders/TGALoader.js';
 import { FBXLoader } from '../loaders/FBXLoader.js';
 import { ColladaLoader } from '../loaders/ColladaLoader.js';
 import { VRMLLoader } from '../loaders/VRMLLoader.js';
 import { AMFLoader } from '../loaders/AMFLoader.js';
+import { USDZLoader } from '../loaders/USDZLoader.js';
+import { PCDLoader } from '../loaders/PCDLoader.js';
+import { XYZLoader } from '../loaders/XYZLoader.js';
+import { LDrawLoader } from '../loaders/LDrawLoader.js';
 
 // Access THREE and loaders from the global scope
 const THREE = window.THREE;
 
 const ThreeMFLoader = window.ThreeMFLoader;
 
+const ThreeAnimationPaths = new Map([
+    ['position', AnimationPath.Translation],
+    ['quaternion', AnimationPath.Rotation],
+    ['scale', AnimationPath.Scale],
+    ['morphTargetInfluences', AnimationPath.Weights]
+]);
+
 
 export class ImporterThreeBase extends ImporterBase {
     constructor() {
@@ -34,20 +47,49 @@ export class ImporterThreeBase extends ImporterBase {
         return loadedObject;
     }
 
+    GetAnimations(loadedObject) {
+        if (loadedObject.animations === undefined || loadedObject.animations === null) {
+            return [];
+        }
+        return loadedObject.animations;
+    }
+
     IsMeshVisible(mesh) {
         return true;
     }
 
+    GetUnresolvedFileUrl(url) {
+        return url;
+    }
+
     ClearContent() {
+        this.RevokeObjectUrls();
         this.loader = null;
         this.materialIdToIndex = null;
         this.objectUrlToFileName = null;
+        this.objectUrls = null;
     }
 
     ResetContent() {
         this.loader = null;
         this.materialIdToIndex = new Map();
         this.objectUrlToFileName = new Map();
+        this.objectUrls = [];
+    }
+
+    AbortContent() {
+        // Pending loads fail on the revoked urls and finish the import
+        this.RevokeObjectUrls();
+    }
+
+    RevokeObjectUrls() {
+        if (this.objectUrls === undefined || this.objectUrls === null) {
+            return;
+        }
+        for (let objectUrl of this.objectUrls) {
+            RevokeObjectUrl(objectUrl);
+        }
+        this.objectUrls = [];
     }
 
     ImportContent(fileContent, onFinish) {
@@ -55,14 +97,16 @@ export class ImporterThreeBase extends ImporterBase {
     }
 
     LoadModel(fileContent, onFinish) {
+        let isAborted = this.CreateAbortCheck();
         let isAllLoadersDone = false;
         let loadingManager = new THREE.LoadingManager(() => {
             isAllLoadersDone = true;
         });
 
         const mainFileUrl = CreateObjectUrl(fileContent);
+        this.objectUrls.push(mainFileUrl);
         loadingManager.setURLModifier((url) => {
-            if (url === mainFileUrl) {
+            if (url === mainFileUrl || isAborted()) {
                 return url;
             }
             const name = GetFileName(url);
@@ -71,11 +115,12 @@ export class ImporterThreeBase extends ImporterBase {
                 const buffer = this.callbacks.getFileBuffer(url);
                 if (buffer !== null) {
                     let objectUrl = CreateObjectUrl(buffer);
+                    this.objectUrls.push(objectUrl);
                     this.objectUrlToFileName.set(objectUrl, name);
                     return objectUrl;
                 }
             }
-            return url;
+            return this.GetUnresolvedFileUrl(url);
         });
 
         const threeLoader = this.CreateLoader(loadingManager);
@@ -87,6 +132,10 @@ export class ImporterThreeBase extends ImporterBase {
         threeLoader.load(mainFileUrl,
             (object) => {
                 WaitWhile(() => {
+                    if (isAborted()) {
+                        onFinish();
+                        return false;
+                    }
                     if (isAllLoadersDone) {
                         this.OnThreeObjectsLoaded(object, onFinish);
                         return false;
@@ -97,7 +146,9 @@ export class ImporterThreeBase extends ImporterBase {
             () => {
             },
             (err) => {
-                this.SetError(err);
+                if (!isAborted()) {
+                    this.SetError(err);
+                }
                 onFinish();
             }
         );
@@ -113,34 +164,79 @@ export class ImporterThreeBase extends ImporterBase {
             return new Transformation(matrix);
         }
 
-        function AddObject(importer, model, threeObject, parentNode) {
+        function AddObject(importer, model, threeObject, parentNode, objectToNodeId) {
             let node = new Node();
             if (threeObject.name !== undefined) {
                 node.SetName(threeObject.name);
             }
             node.SetTransformation(GetObjectTransformation(threeObject));
             parentNode.AddChildNode(node);
+            objectToNodeId.set(threeObject, node.GetId());
 
             for (let childObject of threeObject.children) {
-                AddObject(importer, model, childObject, node);
+                AddObject(importer, model, childObject, node, objectToNodeId);
             }
             if (threeObject.isMesh && importer.IsMeshVisible(threeObject)) {
                 let mesh = importer.ConvertThreeMesh(threeObject);
                 let meshIndex = model.AddMesh(mesh);
                 node.AddMeshIndex(meshIndex);
+            } else if (threeObject.isPoints) {
+                let mesh = importer.ConvertThreePoints(threeObject);
+                let meshIndex = model.AddMesh(mesh);
+                node.AddMeshIndex(meshIndex);
             }
         }
 
         let mainObject = this.GetMainObject(loadedObject);
         let rootNode = this.model.GetRootNode();
         rootNode.SetTransformation(GetObjectTransformation(mainObject));
+        let objectToNodeId = new Map();
+        objectToNodeId.set(mainObject, rootNode.GetId());
         for (let childObject of mainObject.children) {
-            AddObject(this, this.model, childObject, rootNode);
+            AddObject(this, this.model, childObject, rootNode, objectToNodeId);
+        }
+
+        let threeClips = this.GetAnimations(loadedObject);
+        for (let clipIndex = 0; clipIndex < threeClips.length; clipIndex++) {
+            let animation = this.ConvertThreeAnimationClip(threeClips[clipIndex], mainObject, objectToNodeId);
+            if (animation.GetName().length === 0) {
+                animation.SetName(FLoc('Animation {0}', clipIndex + 1));
+            }
+            if (animation.TrackCount() > 0) {
+                this.model.AddAnimation(animation);
+            }
         }
 
         onFinish();
     }
 
+    ConvertThreeAnimationClip(threeClip, mainObject, objectToNodeId) {
+        let animation = new AnimationClip(threeClip.name || '');
+        for (let threeTrack of threeClip.tracks) {
+            // Tracks of single morph targets and of other properties can't be represented
+            let trackName = THREE.PropertyBinding.parseTrackName(threeTrack.name);
+            if (!ThreeAnimationPaths.has(trackName.propertyName) || trackName.propertyIndex !== undefined) {
+                continue;
+            }
+            let threeObject = THREE.PropertyBinding.findNode(mainObject, trackName.nodeName);
+            if (threeObject === null || threeObject === undefined || !objectToNodeId.has(threeObject)) {
+                continue;
+            }
+
+            let interpolation = AnimationInterpolation.Linear;
+            if (threeTrack.getInterpolation() === THREE.InterpolateDiscrete) {
+                interpolation = AnimationInterpolation.Step;
+            }
+            let track = new AnimationTrack(objectToNodeId.get(threeObject), ThreeAnimationPaths.get(trackName.propertyName), interpolation);
+            let valueSize = threeTrack.getValueSize();
+            for (let i = 0; i < threeTrack.times.length; i++) {
+                track.AddKeyframe(threeTrack.times[i], Array.from(threeTrack.values.subarray(i * valueSize, (i + 1) * valueSize)));
+            }
+            animation.AddTrack(track);
+        }
+        return animation;
+    }
+
     ConvertThreeMesh(threeMesh) {
         let mesh = null;
         if (Array.isArray(threeMesh.material)) {
@@ -176,6 +272,14 @@ export class ImporterThreeBase extends ImporterBase {
         return mesh;
     }
 
+    ConvertThreePoints(threePoints) {
+        let mesh = ConvertThreePointsGeometryToMesh(threePoints.geometry, null, this.colorConverter);
+        if (threePoints.name !== undefined && threePoints.name !== null) {
+            mesh.SetName(threePoints.name);
+        }
+        return mesh;
+    }
+
     FindOrCreateMaterial(threeMaterial) {
         if (this.materialIdToIndex.has(threeMaterial.id)) {
             return this.materialIdToIndex.get(threeMaterial.id);
@@ -190,54 +294,6 @@ export class ImporterThreeBase extends ImporterBase {
     }
 
     ConvertThreeMaterial(threeMaterial) {
-        function CreateTexture(threeMap, objectUrlToFileName) {
-            function GetDataUrl(img) {
-                if (img.data !== undefined && img.data !== null) {
-                    let imageData = new ImageData(img.width, img.height);
-                    let imageSize = img.width * img.height * 4;
-                    for (let i = 0; i < imageSize; i++) {
-                        imageData.data[i] = img.data[i];
-                    }
-                    return THREE.ImageUtils.getDataURL(imageData);
-                } else {
-                    return THREE.ImageUtils.getDataURL(img);
-                }
-            }
-
-            if (threeMap === undefined || threeMap === null) {
-                return null;
-            }
-
-            if (threeMap.image === undefined || threeMap.image === null) {
-                return null;
-            }
-
-            try {
-                const dataUrl = GetDataUrl(threeMap.image);
-                const base64Buffer = Base64DataURIToArrayBuffer(dataUrl);
-                let texture = new TextureMap();
-                let textureName = null;
-                if (objectUrlToFileName.has(threeMap.image.src)) {
-                    textureName = objectUrlToFileName.get(threeMap.image.src);
-                } else if (threeMap.name !== undefined && threeMap.name !== null) {
-                    textureName = threeMap.name + '.' + GetFileExtensionFromMimeType(base64Buffer.mimeType);
-                } else {
-                    textureName = 'Embedded_' + threeMap.id.toString() + '.' + GetFileExtensionFromMimeType(base64Buffer.mimeType);
-                }
-                texture.name = textureName;
-                texture.mimeType = base64Buffer.mimeType;
-                texture.buffer = base64Buffer.buffer;
-                texture.rotation = threeMap.rotation;
-                texture.offset.x = threeMap.offset.x;
-                texture.offset.y = threeMap.offset.y;
-                texture.scale.x = threeMap.repeat.x;
-                texture.scale.y = threeMap.repeat.y;
-                return texture;
-            } catch (err) {
-                return null;
-            }
-        }
-
         if (threeMaterial.name === THREE.Loader.DEFAULT_MATERIAL_NAME) {
             return null;
         }
@@ -252,13 +308,65 @@ export class ImporterThreeBase extends ImporterBase {
             material.specular = this.ConvertThreeColor(threeMaterial.specular);
             material.shininess = threeMaterial.shininess / 100.0;
         }
-        material.diffuseMap = CreateTexture(threeMaterial.map, this.objectUrlToFileName);
-        material.normalMap = CreateTexture(threeMaterial.normalMap, this.objectUrlToFileName);
-        material.bumpMap = CreateTexture(threeMaterial.bumpMap, this.objectUrlToFileName);
+        material.diffuseMap = this.ConvertThreeTexture(threeMaterial.map);
+        material.normalMap = this.ConvertThreeTexture(threeMaterial.normalMap);
+        material.bumpMap = this.ConvertThreeTexture(threeMaterial.bumpMap);
 
         return material;
     }
 
+    ConvertThreeTexture(threeMap) {
+        function GetDataUrl(img) {
+            if (img.data !== undefined && img.data !== null) {
+                let imageData = new ImageData(img.width, img.height);
+                let imageSize = img.width * img.height * 4;
+                for (let i = 0; i < imageSize; i++) {
+                    imageData.data[i] = img.data[i];
+                }
+                return THREE.ImageUtils.getDataURL(imageData);
+            } else {
+                return THREE.ImageUtils.getDataURL(img);
+            }
+        }
+
+        if (threeMap === undefined || threeMap === null) {
+            return null;
+        }
+
+        if (threeMap.image === undefined || threeMap.image === null) {
+            return null;
+        }
+
+        try {
+            const dataUrl = GetDataUrl(threeMap.image);
+            const base64Buffer = Base64DataURIToArrayBuffer(dataUrl);
+            let texture = new TextureMap();
+            let textureName = null;
+            if (this.objectUrlToFileName.has(threeMap.image.src)) {
+                textureName = this.objectUrlToFileName.get(threeMap.image.src);
+            } else if (threeMap.name !== undefined && threeMap.name !== null && threeMap.name.length > 0) {
+                if (GetFileExtension(threeMap.name).length > 0) {
+                    textureName = GetFileName(threeMap.name);
+                } else {
+                    textureName = threeMap.name + '.' + GetFileExtensionFromMimeType(base64Buffer.mimeType);
+                }
+            } else {
+                textureName = 'Embedded_' + threeMap.id.toString() + '.' + GetFileExtensionFromMimeType(base64Buffer.mimeType);
+            }
+            texture.name = textureName;
+            texture.mimeType = base64Buffer.mimeType;
+            texture.buffer = base64Buffer.buffer;
+            texture.rotation = threeMap.rotation;
+            texture.offset.x = threeMap.offset.x;
+            texture.offset.y = threeMap.offset.y;
+            texture.scale.x = threeMap.repeat.x;
+            texture.scale.y = threeMap.repeat.y;
+            return texture;
+        } catch (err) {
+            return null;
+        }
+    }
+
     ConvertThreeColor(threeColor) {
         if (this.colorConverter !== null) {
             threeColor = this.colorConverter.Convert(threeColor);
@@ -396,3 +504,163 @@ export class ImporterThreeAmf extends ImporterThreeBase {
         return loadedObject;
     }
 }
+
+export class ImporterThreeUsdz extends ImporterThreeBase {
+    constructor() {
+        super();
+        this.colorConverter = new ThreeLinearToSRGBColorConverter();
+    }
+
+    CanImportExtension(extension) {
+        return extension === 'usdz';
+    }
+
+    GetUpDirection() {
+        return Direction.Y;
+    }
+
+    CreateLoader(manager) {
+        return new USDZLoader(manager);
+    }
+
+    GetMainObject(loadedObject) {
+        return loadedObject;
+    }
+
+    ConvertThreeMaterial(threeMaterial) {
+        if (threeMaterial.name === THREE.Loader.DEFAULT_MATERIAL_NAME) {
+            return null;
+        }
+
+        let material = new PhysicalMaterial();
+        material.name = threeMaterial.name;
+        material.color = this.ConvertThreeColor(threeMaterial.color);
+        material.emissive = this.ConvertThreeColor(threeMaterial.emissive);
+        material.opacity = threeMaterial.opacity;
+        material.transparent = threeMaterial.transparent;
+        material.alphaTest = threeMaterial.alphaTest;
+        material.metalness = threeMaterial.metalness;
+        material.roughness = threeMaterial.roughness;
+        material.diffuseMap = this.ConvertThreeTexture(threeMaterial.map);
+        material.normalMap = this.ConvertThreeTexture(threeMaterial.normalMap);
+        material.emissiveMap = this.ConvertThreeTexture(threeMaterial.emissiveMap);
+        material.metalnessMap = this.ConvertThreeTexture(threeMaterial.metalnessMap);
+
+        return material;
+    }
+}
+
+export class ImporterThreePcd extends ImporterThreeBase {
+    constructor() {
+        super();
+        this.colorConverter = new ThreeLinearToSRGBColorConverter();
+    }
+
+    CanImportExtension(extension) {
+        return extension === 'pcd';
+    }
+
+    GetUpDirection() {
+        return Direction.Z;
+    }
+
+    CreateLoader(manager) {
+        return new PCDLoader(manager);
+    }
+
+    GetMainObject(loadedObject) {
+        let mainObject = new THREE.Object3D();
+        mainObject.add(loadedObject);
+        return mainObject;
+    }
+}
+
+export class ImporterThreeXyz extends ImporterThreeBase {
+    constructor() {
+        super();
+        this.colorConverter = new ThreeLinearToSRGBColorConverter();
+    }
+
+    CanImportExtension(extension) {
+        return extension === 'xyz';
+    }
+
+    GetUpDirection() {
+        return Direction.Z;
+    }
+
+    CreateLoader(manager) {
+        return new XYZLoader(manager);
+    }
+
+    GetMainObject(loadedObject) {
+        let mainObject = new THREE.Object3D();
+        mainObject.add(new THREE.Points(loadedObject));
+        return mainObject;
+    }
+}
+
+export class ImporterThreeLDraw extends ImporterThreeBase {
+    constructor() {
+        super();
+        this.colorConverter = new ThreeLinearToSRGBColorConverter();
+    }
+
+    CanImportExtension(extension) {
+        return extension === 'ldr' || extension === 'mpd';
+    }
+
+    GetUpDirection() {
+        return Direction.Y;
+    }
+
+    CreateLoader(manager) {
+        // Conditional lines are not imported, so a basic line material is enough for them.
+        let loader = new LDrawLoader(manager);
+        loader.setConditionalLineMaterial(THREE.LineBasicMaterial);
+
+        // Sub-parts are requested with parts/, p/ and models/ prefixes and resolved by the url modifier
+        // from the loaded files, the color table of the library is applied when it's available.
+        if (this.HasFile('LDConfig.ldr')) {
+            const configBuffer = this.callbacks.getFileBuffer('LDConfig.ldr');
+            if (configBuffer !== null) {
+                loader.setMaterials(loader.parseMaterials(ArrayBufferToUtf8String(configBuffer)));
+            }
+        }
+        return loader;
+    }
+
+    ResolvesFilesByRelativePath() {
+        return true;
+    }
+
+    GetUnresolvedFileUrl(url) {
+        // The loader tries several folders for every sub-part. Files are found by name in any folder,
+        // so an unresolved path is not among the loaded files at all, and it's loaded as an empty
+        // file instead of fetching it from the network.
+        return 'data:text/plain,';
+    }
+
+    GetMainObject(loadedObject) {
+        // LDraw uses a negative y axis as up direction
+        loadedObject.rotation.x = Math.PI;
+        return loadedObject;
+    }
+
+    ConvertThreeMaterial(threeMaterial) {
+        if (threeMaterial.name === THREE.Loader.DEFAULT_MATERIAL_NAME) {
+            return null;
+        }
+
+        let material = new PhysicalMaterial();
+        material.name = threeMaterial.name;
+        material.color = this.ConvertThreeColor(threeMaterial.color);
+        material.emissive = this.ConvertThreeColor(threeMaterial.emissive);
+        material.opacity = threeMaterial.opacity;
+        material.transparent = threeMaterial.transparent;
+        material.metalness = threeMaterial.metalness;
+        material.roughness = threeMaterial.roughness;
+
+        return material;
+    }
+}
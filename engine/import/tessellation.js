@@ -0,0 +1,99 @@
+/**
+ * Tessellation quality profiles for B-rep (STEP, IGES, BREP, 3DM, FCStd) imports.
+ * @enum
+ */
+export const TessellationQuality =
+{
+    /** Fast preview with visible faceting. */
+    Coarse : 1,
+    /** Default quality. */
+    Normal : 2,
+    /** Smooth surfaces at the cost of import time and memory. */
+    Fine : 3
+};
+
+const TessellationProfiles = new Map ([
+    [TessellationQuality.Coarse, { linearDeflection : 0.005, angularDeflection : 1.0 }],
+    [TessellationQuality.Normal, { linearDeflection : 0.001, angularDeflection : 0.5 }],
+    [TessellationQuality.Fine, { linearDeflection : 0.0002, angularDeflection : 0.2 }]
+]);
+
+// invalid values (not a number, zero or negative) fall back to the value of the profile
+function GetDeflectionParameter (value)
+{
+    if (typeof value !== 'number' || !Number.isFinite (value) || value <= 0.0) {
+        return null;
+    }
+    return value;
+}
+
+/**
+ * Tessellation settings object.
+ */
+export class TessellationSettings
+{
+    /**
+     * @param {TessellationQuality} [quality] Quality profile, normal if not specified.
+     * @param {number} [linearDeflection] Explicit linear deflection relative to the size of the bounding
+     * box of the model. If specified and positive, it overrides the value of the profile.
+     * @param {number} [angularDeflection] Explicit angular deflection in radians. If specified and
+     * positive, it overrides the value of the profile.
+     */
+    constructor (quality, linearDeflection, angularDeflection)
+    {
+        this.quality = TessellationProfiles.has (quality) ? quality : TessellationQuality.Normal;
+        this.linearDeflection = GetDeflectionParameter (linearDeflection);
+        this.angularDeflection = GetDeflectionParameter (angularDeflection);
+    }
+
+    /**
+     * Returns the linear deflection relative to the size of the bounding box of the model.
+     * @returns {number}
+     */
+    GetLinearDeflection ()
+    {
+        if (this.linearDeflection !== null) {
+            return this.linearDeflection;
+        }
+        return TessellationProfiles.get (this.quality).linearDeflection;
+    }
+
+    /**
+     * Returns the angular deflection in radians.
+     * @returns {number}
+     */
+    GetAngularDeflection ()
+    {
+        if (this.angularDeflection !== null) {
+            return this.angularDeflection;
+        }
+        return TessellationProfiles.get (this.quality).angularDeflection;
+    }
+
+    /**
+     * Returns true if the settings are the same as the default quality profile.
+     * @returns {boolean}
+     */
+    IsDefault ()
+    {
+        return this.quality === TessellationQuality.Normal && this.linearDeflection === null && this.angularDeflection === null;
+    }
+
+    /**
+     * Creates a clone of the object.
+     * @returns {TessellationSettings}
+     */
+    Clone ()
+    {
+        return new TessellationSettings (this.quality, this.linearDeflection, this.angularDeflection);
+    }
+}
+
+export function CreateOcctTessellationParams (tessellationSettings)
+{
+    return {
+        linearDeflectionType : 'bounding_box_ratio',
+        linearDeflection : tessellationSettings.GetLinearDeflection (),
+        angularDeflection : tessellationSettings.GetAngularDeflection ()
+    };
+}
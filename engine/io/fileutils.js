@@ -49,17 +49,36 @@ export function GetFileExtension (filePath)
 	return extension.toLowerCase ();
 }
 
-export function RequestUrl (url, onProgress)
+export function RequestUrl (url, onProgress, abortSignal)
 {
 	return new Promise ((resolve, reject) => {
+		if (abortSignal && abortSignal.aborted) {
+			reject ();
+			return;
+		}
+
 		let request = new XMLHttpRequest ();
 		request.open ('GET', url, true);
 
+		let onAbort = () => {
+			request.abort ();
+			reject ();
+		};
+		let removeAbortListener = () => {
+			if (abortSignal) {
+				abortSignal.removeEventListener ('abort', onAbort);
+			}
+		};
+		if (abortSignal) {
+			abortSignal.addEventListener ('abort', onAbort, { once : true });
+		}
+
 		request.onprogress = (event) => {
 			onProgress (event.loaded, event.total);
 		};
 
 		request.onload = () => {
+			removeAbortListener ();
 			if (request.status === 200) {
 				resolve (request.response);
 			} else {
@@ -68,6 +87,7 @@ export function RequestUrl (url, onProgress)
 		};
 
 		request.onerror = () => {
+			removeAbortListener ();
 			reject ();
 		};
 
@@ -76,22 +96,42 @@ export function RequestUrl (url, onProgress)
 	});
 }
 
-export function ReadFile (file, onProgress)
+export function ReadFile (file, onProgress, abortSignal)
 {
 	return new Promise ((resolve, reject) => {
+		if (abortSignal && abortSignal.aborted) {
+			reject ();
+			return;
+		}
+
 		let reader = new FileReader ();
 
+		let onAbort = () => {
+			reader.abort ();
+			reject ();
+		};
+		let removeAbortListener = () => {
+			if (abortSignal) {
+				abortSignal.removeEventListener ('abort', onAbort);
+			}
+		};
+		if (abortSignal) {
+			abortSignal.addEventListener ('abort', onAbort, { once : true });
+		}
+
 		reader.onprogress = (event) => {
 			onProgress (event.loaded, event.total);
 		};
 
 		reader.onloadend = (event) => {
-			if (event.target.readyState === FileReader.DONE) {
+			removeAbortListener ();
+			if (event.target.readyState === FileReader.DONE && event.target.error === null) {
 				resolve (event.target.result);
 			}
 		};
 
 		reader.onerror = () => {
+			removeAbortListener ();
 			reject ();
 		};
 
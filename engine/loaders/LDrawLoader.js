@@ -1807,6 +1807,12 @@ class LDrawLoader extends Loader {
 		fileLoader.setWithCredentials( this.withCredentials );
 
 		const text = await fileLoader.loadAsync( url );
+		this.setMaterials( this.parseMaterials( text ) );
+
+	}
+
+	parseMaterials( text ) {
+
 		const colorLineRegex = /^0 !COLOUR/;
 		const lines = text.split( /[\n\r]/g );
 		const materials = [];
@@ -1823,7 +1829,7 @@ class LDrawLoader extends Loader {
 
 		}
 
-		this.setMaterials( materials );
+		return materials;
 
 	}
 
@@ -1835,8 +1841,12 @@ class LDrawLoader extends Loader {
 		fileLoader.setWithCredentials( this.withCredentials );
 		fileLoader.load( url, text => {
 
-			// Initializes the materials library with default materials
-			this.setMaterials( [] );
+			// Initializes the materials library with default materials if nothing was preloaded
+			if ( this.materials.length === 0 ) {
+
+				this.setMaterials( [] );
+
+			}
 
 			this.partsCache
 				.parseModel( text, this.materialLibrary )
@@ -161,6 +161,7 @@ class USDZLoader extends Loader {
 
 	parse( buffer ) {
 
+		const scope = this;
 		const parser = new USDAParser();
 
 		function parseAssets( zip ) {
@@ -173,7 +174,14 @@ class USDZLoader extends Loader {
 
 				if ( filename.endsWith( 'png' ) ) {
 
-					const blob = new Blob( [ zip[ filename ] ], { type: { type: 'image/png' } } );
+					const blob = new Blob( [ zip[ filename ] ], { type: 'image/png' } );
+					data[ filename ] = URL.createObjectURL( blob );
+
+				}
+
+				if ( filename.endsWith( 'jpg' ) || filename.endsWith( 'jpeg' ) ) {
+
+					const blob = new Blob( [ zip[ filename ] ], { type: 'image/jpeg' } );
 					data[ filename ] = URL.createObjectURL( blob );
 
 				}
@@ -253,6 +261,28 @@ class USDZLoader extends Loader {
 
 		const assets = parseAssets( zip );
 
+		// the object urls of the packed images are revoked when every texture using them is loaded
+
+		const assetUsers = {};
+
+		function useAsset( path ) {
+
+			assetUsers[ path ] = ( assetUsers[ path ] || 0 ) + 1;
+
+		}
+
+		function releaseAsset( path ) {
+
+			assetUsers[ path ] -= 1;
+
+			if ( assetUsers[ path ] === 0 ) {
+
+				URL.revokeObjectURL( assets[ path ] );
+
+			}
+
+		}
+
 		// console.log( assets )
 
 		const file = findUSD( zip );
@@ -779,9 +809,24 @@ class USDZLoader extends Loader {
 
 				const path = data[ 'asset inputs:file' ].replace( /@*/g, '' ).trim();
 
-				const loader = new TextureLoader();
+				// textures that are not packed into the archive are resolved by the manager
+
+				const loader = new TextureLoader( scope.manager );
+
+				let texture = null;
+
+				if ( path in assets ) {
+
+					useAsset( path );
+					texture = loader.load( assets[ path ], () => releaseAsset( path ), undefined, () => releaseAsset( path ) );
+
+				} else {
+
+					texture = loader.load( path );
 
-				const texture = loader.load( assets[ path ] );
+				}
+
+				texture.name = path;
 
 				const map = {
 					'"clamp"': ClampToEdgeWrapping,
@@ -861,6 +906,16 @@ class USDZLoader extends Loader {
 
 		buildHierarchy( root, group );
 
+		for ( const path in assets ) {
+
+			if ( typeof assets[ path ] === 'string' && assetUsers[ path ] === undefined ) {
+
+				URL.revokeObjectURL( assets[ path ] );
+
+			}
+
+		}
+
 		return group;
 
 	}
@@ -1,12 +1,14 @@
 import { IsDefined, ValueOrDefault, CopyObjectAttributes, IsObjectEmpty, FormatString, EscapeHtmlChars } from './core/core.js';
 import { EventNotifier } from './core/eventnotifier.js';
 import { SetLocalizedStrings, SetLanguageCode, Loc, FLoc } from './core/localization.js';
+import { LogLevel, ConsoleLogger, SetLogger, GetLogger, Log, LogDebug, LogInfo, LogWarning, LogError } from './core/logger.js';
 import { TaskRunner, RunTaskAsync, RunTasks, RunTasksBatch, WaitWhile } from './core/taskrunner.js';
-import { Exporter } from './export/exporter.js';
+import { Exporter, ExportError, ExportErrorCode } from './export/exporter.js';
 import { Exporter3dm } from './export/exporter3dm.js';
 import { ExportedFile, ExporterBase } from './export/exporterbase.js';
 import { ExporterBim } from './export/exporterbim.js';
 import { ExporterGltf } from './export/exportergltf.js';
+import { ExporterIfc } from './export/exporterifc.js';
 import { ExporterSettings, ExporterModel } from './export/exportermodel.js';
 import { ExporterObj } from './export/exporterobj.js';
 import { ExporterOff } from './export/exporteroff.js';
@@ -23,10 +25,11 @@ import { OctreeNode, Octree } from './geometry/octree.js';
 import { Quaternion, QuaternionIsEqual, ArrayToQuaternion, QuaternionFromAxisAngle, QuaternionFromXYZ } from './geometry/quaternion.js';
 import { Transformation, TransformationIsEqual } from './geometry/transformation.js';
 import { BezierTweenFunction, LinearTweenFunction, ParabolicTweenFunction, TweenCoord3D } from './geometry/tween.js';
-import { ImportSettings, ImportError, ImportResult, ImporterFileAccessor, Importer, ImportErrorCode } from './import/importer.js';
+import { ImportSettings, ImportError, ImportResult, FederatedModel, ImporterFileAccessor, Importer, ImportErrorCode } from './import/importer.js';
 import { Importer3dm } from './import/importer3dm.js';
 import { Importer3ds } from './import/importer3ds.js';
 import { ImporterBase } from './import/importerbase.js';
+import { DiagnosticSeverity, DiagnosticCode, ImportDiagnostic } from './import/importdiagnostics.js';
 import { ImporterBim } from './import/importerbim.js';
 import { ImporterFcstd } from './import/importerfcstd.js';
 import { InputFile, ImporterFile, ImporterFileList, InputFilesFromUrls, InputFilesFromFileObjects } from './import/importerfiles.js';
@@ -38,7 +41,8 @@ import { ImporterOff } from './import/importeroff.js';
 import { ImporterPly } from './import/importerply.js';
 import { ImporterStl } from './import/importerstl.js';
 import { ImporterThreeSvg } from './import/importersvg.js';
-import { ImporterThreeBase, ImporterThreeFbx, ImporterThreeDae, ImporterThreeWrl, ImporterThree3mf, ImporterThreeAmf } from './import/importerthree.js';
+import { ImporterThreeBase, ImporterThreeFbx, ImporterThreeDae, ImporterThreeWrl, ImporterThree3mf, ImporterThreeAmf, ImporterThreeUsdz, ImporterThreePcd, ImporterThreeXyz, ImporterThreeLDraw } from './import/importerthree.js';
+import { TessellationQuality, TessellationSettings, CreateOcctTessellationParams } from './import/tessellation.js';
 import { ColorToMaterialConverter, NameFromLine, ParametersFromLine, ReadLines, IsPowerOfTwo, NextPowerOfTwo, UpdateMaterialTransparency, CreateOcctWorker, LoadExternalLibrary } from './import/importerutils.js';
 import { BinaryReader } from './io/binaryreader.js';
 import { BinaryWriter } from './io/binarywriter.js';
@@ -46,34 +50,45 @@ import { ArrayBufferToUtf8String, ArrayBufferToAsciiString, AsciiStringToArrayBu
 import { LoadExternalLibraryFromUrl } from './io/externallibs.js';
 import { GetFileName, GetFileExtension, RequestUrl, ReadFile, TransformFileHostUrls, IsUrl, FileSource, FileFormat } from './io/fileutils.js';
 import { TextWriter } from './io/textwriter.js';
+import { AnimationPath, AnimationInterpolation, AnimationTrack, AnimationClip } from './model/animation.js';
 import { RGBColor, RGBAColor, ColorComponentFromFloat, ColorComponentToFloat, RGBColorFromFloatComponents, SRGBToLinear, LinearToSRGB, IntegerToHexString, RGBColorToHexString, RGBAColorToHexString, HexStringToRGBColor, HexStringToRGBAColor, ArrayToRGBColor, RGBColorIsEqual } from './model/color.js';
 import { GeneratorParams, Generator, GeneratorHelper, GenerateCuboid, GenerateCone, GenerateCylinder, GenerateSphere, GeneratePlatonicSolid } from './model/generator.js';
 import { Line } from './model/line.js';
 import { TextureMap, MaterialBase, FaceMaterial, PhongMaterial, PhysicalMaterial, TextureMapIsEqual, TextureIsEqual, MaterialType, MaterialSource } from './model/material.js';
 import { Mesh } from './model/mesh.js';
+import { MorphTarget } from './model/morphtarget.js';
+import { Point } from './model/point.js';
 import { MeshPrimitiveBuffer, MeshBuffer, ConvertMeshToMeshBuffer } from './model/meshbuffer.js';
 import { MeshInstanceId, MeshInstance } from './model/meshinstance.js';
-import { IsEmptyMesh, CalculateTriangleNormal, TransformMesh, FlipMeshTrianglesOrientation } from './model/meshutils.js';
+import { IsEmptyMesh, CalculateTriangleNormal, TransformMesh, ScaleMesh, FlipMeshTrianglesOrientation } from './model/meshutils.js';
 import { Model } from './model/model.js';
 import { FinalizeModel, CheckModel } from './model/modelfinalization.js';
-import { IsModelEmpty, GetBoundingBox, GetTopology, IsTwoManifold, GetDefaultMaterials, ReplaceDefaultMaterialsColor } from './model/modelutils.js';
+import { IsModelEmpty, GetBoundingBox, GetTopology, IsTwoManifold, GetDefaultMaterials, ReplaceDefaultMaterialsColor, ReplaceNodeMeshesFromModel, ScaleTransformationTranslation, ConvertModelUnit, AddModelToNode } from './model/modelutils.js';
 import { Node } from './model/node.js';
 import { Object3D, ModelObject3D } from './model/object.js';
-import { Property, PropertyGroup, PropertyToString, PropertyType } from './model/property.js';
+import { Property, PropertyGroup, PropertyDisplaySettings, PropertyToString, PropertyType, IsNumericPropertyType, IsMeasurePropertyType, GetMeasureUnitSymbol, DateToIsoString, ParseDateString, ConvertPropertyUnit } from './model/property.js';
+import { PropertyQueryOperator, PropertyQuery } from './model/propertyquery.js';
 import { GetTriangleArea, GetTetrahedronSignedVolume, CalculateVolume, CalculateSurfaceArea } from './model/quantities.js';
+import { Skin, VertexSkinWeight } from './model/skin.js';
 import { TopologyVertex, TopologyEdge, TopologyTriangleEdge, TopologyTriangle, Topology } from './model/topology.js';
 import { Triangle } from './model/triangle.js';
-import { Unit } from './model/unit.js';
+import { Unit, MassUnit, AngleUnit, UnitSystem, GetUnitSymbol, GetUnitMeters, GetUnitScale, IsMetricUnit, GetMassUnitSymbol, GetMassUnitKilograms, IsMetricMassUnit, GetAngleUnitSymbol, GetAngleUnitRadians } from './model/unit.js';
 import { ParameterListBuilder, ParameterListParser, CreateUrlBuilder, CreateUrlParser, CreateModelUrlParameters, ParameterConverter } from './parameters/parameterlist.js';
-import { ModelToThreeConversionParams, ModelToThreeConversionOutput, ThreeConversionStateHandler, ThreeNodeTree, ThreeMaterialHandler, ThreeMeshMaterialHandler, ConvertModelToThreeObject, MaterialGeometryType } from './threejs/threeconverter.js';
-import { ThreeModelLoader } from './threejs/threemodelloader.js';
-import { ThreeColorConverter, ThreeLinearToSRGBColorConverter, ThreeSRGBToLinearColorConverter, HasHighpDriverIssue, GetShadingType, ConvertThreeColorToColor, ConvertColorToThreeColor, ConvertThreeGeometryToMesh, CreateHighlightMaterial, CreateHighlightMaterials, DisposeThreeObjects, GetLineSegmentsProjectedDistance, ShadingType } from './threejs/threeutils.js';
+import { ModelToThreeConversionParams, ModelToThreeConversionOutput, ThreeConversionStateHandler, ThreeNodeTree, ThreeMaterialHandler, ThreeMeshMaterialHandler, ConvertModelToThreeObject, ConvertModelAnimationsToThreeClips, MaterialGeometryType } from './threejs/threeconverter.js';
+import { ModelLoadPhase, FileLoadProgress, ModelLoadProgress } from './threejs/modelloadprogress.js';
+import { ModelLoadPolicy, ThreeModelLoader } from './threejs/threemodelloader.js';
+import { ThreeColorConverter, ThreeLinearToSRGBColorConverter, ThreeSRGBToLinearColorConverter, HasHighpDriverIssue, GetShadingType, ConvertThreeColorToColor, ConvertColorToThreeColor, ConvertThreeGeometryToMesh, ConvertThreePointsGeometryToMesh, CreateHighlightMaterial, CreateHighlightMaterials, DisposeThreeObjects, GetLineSegmentsProjectedDistance, ShadingType } from './threejs/threeutils.js';
+import { AnimationPlayer } from './viewer/animationplayer.js';
 import { Camera, CameraIsEqual3D, NavigationMode, ProjectionMode } from './viewer/camera.js';
 import { GetIntegerFromStyle, GetDomElementExternalWidth, GetDomElementExternalHeight, GetDomElementInnerDimensions, GetDomElementClientCoordinates, CreateDomElement, AddDomElement, AddDiv, ClearDomElement, InsertDomElementBefore, InsertDomElementAfter, ShowDomElement, IsDomElementVisible, SetDomElementWidth, SetDomElementHeight, GetDomElementOuterWidth, GetDomElementOuterHeight, SetDomElementOuterWidth, SetDomElementOuterHeight, CreateDiv } from './viewer/domutils.js';
 import { EmbeddedViewer, Init3DViewerFromUrlList, Init3DViewerFromFileList, Init3DViewerElements } from './viewer/embeddedviewer.js';
+import { IsFirstPersonNavigationMode, FirstPersonSettings, FirstPersonNavigation } from './viewer/firstpersonnavigation.js';
+import { MeasurementType, SnapType, MeasurementPoint, Measurement, GetMeasurementPointCount, CalculateCircleFromPoints, CalculateMeasurement, MeasurementToString, GetSnappedMeasurementPoint, Measurer } from './viewer/measurement.js';
 import { MouseInteraction, TouchInteraction, ClickDetector, Navigation, NavigationType } from './viewer/navigation.js';
+import { MaxSectionPlaneCount, SectionMode, SectionPlane, SectionBox, SectionState, Sectioning } from './viewer/sectioning.js';
 import { EnvironmentSettings, ShadingModel } from './viewer/shadingmodel.js';
-import { CameraValidator, UpVector, Viewer, GetDefaultCamera, TraverseThreeObject, GetShadingTypeOfObject } from './viewer/viewer.js';
+import { ViewCube } from './viewer/viewcube.js';
+import { CameraValidator, UpVector, StandardView, Viewer, GetDefaultCamera, TraverseThreeObject, GetShadingTypeOfObject } from './viewer/viewer.js';
 import { ViewerModel, EdgeSettings, ViewerMainModel, SetThreeMeshPolygonOffset, IntersectionMode } from './viewer/viewermodel.js';
 
 // Access THREE and loaders from the global scope
@@ -98,17 +113,29 @@ export {
     SetLanguageCode,
     Loc,
     FLoc,
+    LogLevel,
+    ConsoleLogger,
+    SetLogger,
+    GetLogger,
+    Log,
+    LogDebug,
+    LogInfo,
+    LogWarning,
+    LogError,
     TaskRunner,
     RunTaskAsync,
     RunTasks,
     RunTasksBatch,
     WaitWhile,
     Exporter,
+    ExportError,
+    ExportErrorCode,
     Exporter3dm,
     ExportedFile,
     ExporterBase,
     ExporterBim,
     ExporterGltf,
+    ExporterIfc,
     ExporterSettings,
     ExporterModel,
     ExporterObj,
@@ -169,12 +196,16 @@ export {
     ImportSettings,
     ImportError,
     ImportResult,
+    FederatedModel,
     ImporterFileAccessor,
     Importer,
     ImportErrorCode,
     Importer3dm,
     Importer3ds,
     ImporterBase,
+    DiagnosticSeverity,
+    DiagnosticCode,
+    ImportDiagnostic,
     ImporterBim,
     ImporterFcstd,
     InputFile,
@@ -196,6 +227,13 @@ export {
     ImporterThreeWrl,
     ImporterThree3mf,
     ImporterThreeAmf,
+    ImporterThreeUsdz,
+    ImporterThreePcd,
+    ImporterThreeXyz,
+    ImporterThreeLDraw,
+    TessellationQuality,
+    TessellationSettings,
+    CreateOcctTessellationParams,
     ColorToMaterialConverter,
     NameFromLine,
     ParametersFromLine,
@@ -226,6 +264,10 @@ export {
     FileSource,
     FileFormat,
     TextWriter,
+    AnimationPath,
+    AnimationInterpolation,
+    AnimationTrack,
+    AnimationClip,
     RGBColor,
     RGBAColor,
     ColorComponentFromFloat,
@@ -259,6 +301,8 @@ export {
     MaterialType,
     MaterialSource,
     Mesh,
+    MorphTarget,
+    Point,
     MeshPrimitiveBuffer,
     MeshBuffer,
     ConvertMeshToMeshBuffer,
@@ -267,6 +311,7 @@ export {
     IsEmptyMesh,
     CalculateTriangleNormal,
     TransformMesh,
+    ScaleMesh,
     FlipMeshTrianglesOrientation,
     Model,
     FinalizeModel,
@@ -277,17 +322,32 @@ export {
     IsTwoManifold,
     GetDefaultMaterials,
     ReplaceDefaultMaterialsColor,
+    ReplaceNodeMeshesFromModel,
+    ScaleTransformationTranslation,
+    ConvertModelUnit,
+    AddModelToNode,
     Node,
     Object3D,
     ModelObject3D,
     Property,
     PropertyGroup,
+    PropertyDisplaySettings,
     PropertyToString,
     PropertyType,
+    IsNumericPropertyType,
+    IsMeasurePropertyType,
+    GetMeasureUnitSymbol,
+    DateToIsoString,
+    ParseDateString,
+    ConvertPropertyUnit,
+    PropertyQueryOperator,
+    PropertyQuery,
     GetTriangleArea,
     GetTetrahedronSignedVolume,
     CalculateVolume,
     CalculateSurfaceArea,
+    Skin,
+    VertexSkinWeight,
     TopologyVertex,
     TopologyEdge,
     TopologyTriangleEdge,
@@ -295,6 +355,18 @@ export {
     Topology,
     Triangle,
     Unit,
+    MassUnit,
+    AngleUnit,
+    UnitSystem,
+    GetUnitSymbol,
+    GetUnitMeters,
+    GetUnitScale,
+    IsMetricUnit,
+    GetMassUnitSymbol,
+    GetMassUnitKilograms,
+    IsMetricMassUnit,
+    GetAngleUnitSymbol,
+    GetAngleUnitRadians,
     ParameterListBuilder,
     ParameterListParser,
     CreateUrlBuilder,
@@ -308,7 +380,12 @@ export {
     ThreeMaterialHandler,
     ThreeMeshMaterialHandler,
     ConvertModelToThreeObject,
+    ConvertModelAnimationsToThreeClips,
     MaterialGeometryType,
+    ModelLoadPhase,
+    FileLoadProgress,
+    ModelLoadProgress,
+    ModelLoadPolicy,
     ThreeModelLoader,
     ThreeColorConverter,
     ThreeLinearToSRGBColorConverter,
@@ -318,11 +395,13 @@ export {
     ConvertThreeColorToColor,
     ConvertColorToThreeColor,
     ConvertThreeGeometryToMesh,
+    ConvertThreePointsGeometryToMesh,
     CreateHighlightMaterial,
     CreateHighlightMaterials,
     DisposeThreeObjects,
     GetLineSegmentsProjectedDistance,
     ShadingType,
+    AnimationPlayer,
     Camera,
     CameraIsEqual3D,
     NavigationMode,
@@ -351,15 +430,36 @@ export {
     Init3DViewerFromUrlList,
     Init3DViewerFromFileList,
     Init3DViewerElements,
+    IsFirstPersonNavigationMode,
+    FirstPersonSettings,
+    FirstPersonNavigation,
+    MeasurementType,
+    SnapType,
+    MeasurementPoint,
+    Measurement,
+    GetMeasurementPointCount,
+    CalculateCircleFromPoints,
+    CalculateMeasurement,
+    MeasurementToString,
+    GetSnappedMeasurementPoint,
+    Measurer,
     MouseInteraction,
     TouchInteraction,
     ClickDetector,
     Navigation,
     NavigationType,
+    MaxSectionPlaneCount,
+    SectionMode,
+    SectionPlane,
+    SectionBox,
+    SectionState,
+    Sectioning,
     EnvironmentSettings,
     ShadingModel,
+    ViewCube,
     CameraValidator,
     UpVector,
+    StandardView,
     Viewer,
     GetDefaultCamera,
     TraverseThreeObject,
@@ -0,0 +1,160 @@
+/**
+ * Animated property of a node.
+ * @enum
+ */
+export const AnimationPath =
+{
+    /** Translation of the node, three values per keyframe. */
+    Translation : 1,
+    /** Rotation of the node as a quaternion (x, y, z, w), four values per keyframe. */
+    Rotation : 2,
+    /** Scale of the node, three values per keyframe. */
+    Scale : 3,
+    /** Morph target weights of the meshes of the node, one value per morph target per keyframe. */
+    Weights : 4
+};
+
+/**
+ * Interpolation between the keyframes of an animation track.
+ * @enum
+ */
+export const AnimationInterpolation =
+{
+    /** The value of the previous keyframe is used until the next keyframe. */
+    Step : 1,
+    /** Linear interpolation (spherical linear for rotations). */
+    Linear : 2,
+    /** Cubic spline, every keyframe has an in-tangent, a value and an out-tangent. */
+    CubicSpline : 3
+};
+
+/**
+ * Keyframes of one animated property of a node.
+ */
+export class AnimationTrack
+{
+    /**
+     * @param {number} nodeId Id of the animated node.
+     * @param {AnimationPath} path The animated property.
+     * @param {AnimationInterpolation} [interpolation] Interpolation, linear if not specified.
+     */
+    constructor (nodeId, path, interpolation)
+    {
+        this.nodeId = nodeId;
+        this.path = path;
+        this.interpolation = (interpolation !== undefined ? interpolation : AnimationInterpolation.Linear);
+        this.times = [];
+        this.values = [];
+    }
+
+    KeyframeCount ()
+    {
+        return this.times.length;
+    }
+
+    /**
+     * Adds a keyframe to the end of the track.
+     * @param {number} time Time of the keyframe in seconds.
+     * @param {number[]} values Values of the keyframe. For cubic splines it contains the in-tangent,
+     * the value and the out-tangent after each other.
+     */
+    AddKeyframe (time, values)
+    {
+        this.times.push (time);
+        for (let value of values) {
+            this.values.push (value);
+        }
+    }
+
+    /**
+     * Returns the number of values of a keyframe without the tangents.
+     * @returns {number}
+     */
+    GetValueSize ()
+    {
+        if (this.times.length === 0) {
+            return 0;
+        }
+        let valueSize = this.values.length / this.times.length;
+        if (this.interpolation === AnimationInterpolation.CubicSpline) {
+            valueSize /= 3;
+        }
+        return valueSize;
+    }
+
+    GetEndTime ()
+    {
+        if (this.times.length === 0) {
+            return 0.0;
+        }
+        return this.times[this.times.length - 1];
+    }
+
+    Clone ()
+    {
+        let cloned = new AnimationTrack (this.nodeId, this.path, this.interpolation);
+        cloned.times = this.times.slice ();
+        cloned.values = this.values.slice ();
+        return cloned;
+    }
+}
+
+/**
+ * Named animation, a set of tracks played together.
+ */
+export class AnimationClip
+{
+    constructor (name)
+    {
+        this.name = name;
+        this.tracks = [];
+    }
+
+    GetName ()
+    {
+        return this.name;
+    }
+
+    SetName (name)
+    {
+        this.name = name;
+    }
+
+    AddTrack (track)
+    {
+        this.tracks.push (track);
+        return this.tracks.length - 1;
+    }
+
+    TrackCount ()
+    {
+        return this.tracks.length;
+    }
+
+    GetTrack (index)
+    {
+        return this.tracks[index];
+    }
+
+    /**
+     * Returns the length of the clip in seconds, the time of its last keyframe.
+     * @returns {number}
+     */
+    GetDuration ()
+    {
+        let duration = 0.0;
+        for (let track of this.tracks) {
+            duration = Math.max (duration, track.GetEndTime ());
+        }
+        return duration;
+    }
+
+    Clone ()
+    {
+        let cloned = new AnimationClip (this.name);
+        for (let track of this.tracks) {
+            cloned.AddTrack (track.Clone ());
+        }
+        return cloned;
+    }
+}
@@ -209,6 +209,29 @@ export class PhysicalMaterial extends FaceMaterial
         this.metalness = 0.0; // 0.0 .. 1.0
         this.roughness = 1.0; // 0.0 .. 1.0
         this.metalnessMap = null;
+
+        this.emissiveStrength = 1.0; // multiplier of the emissive color
+        this.unlit = false;
+        this.ior = 1.5;
+
+        this.transmission = 0.0; // 0.0 .. 1.0
+        this.transmissionMap = null;
+
+        this.clearcoat = 0.0; // 0.0 .. 1.0
+        this.clearcoatRoughness = 0.0; // 0.0 .. 1.0
+        this.clearcoatMap = null;
+        this.clearcoatRoughnessMap = null;
+        this.clearcoatNormalMap = null;
+
+        this.sheenColor = new RGBColor (0, 0, 0);
+        this.sheenRoughness = 0.0; // 0.0 .. 1.0
+        this.sheenColorMap = null;
+        this.sheenRoughnessMap = null;
+
+        this.thickness = 0.0; // in model units
+        this.thicknessMap = null;
+        this.attenuationDistance = Infinity; // in model units
+        this.attenuationColor = new RGBColor (255, 255, 255);
     }
 
     IsEqual (rhs)
@@ -225,8 +248,83 @@ export class PhysicalMaterial extends FaceMaterial
         if (!TextureMapIsEqual (this.metalnessMap, rhs.metalnessMap)) {
             return false;
         }
+        if (!IsEqual (this.emissiveStrength, rhs.emissiveStrength)) {
+            return false;
+        }
+        if (this.unlit !== rhs.unlit) {
+            return false;
+        }
+        if (!IsEqual (this.ior, rhs.ior)) {
+            return false;
+        }
+        if (!IsEqual (this.transmission, rhs.transmission)) {
+            return false;
+        }
+        if (!TextureMapIsEqual (this.transmissionMap, rhs.transmissionMap)) {
+            return false;
+        }
+        if (!IsEqual (this.clearcoat, rhs.clearcoat)) {
+            return false;
+        }
+        if (!IsEqual (this.clearcoatRoughness, rhs.clearcoatRoughness)) {
+            return false;
+        }
+        if (!TextureMapIsEqual (this.clearcoatMap, rhs.clearcoatMap)) {
+            return false;
+        }
+        if (!TextureMapIsEqual (this.clearcoatRoughnessMap, rhs.clearcoatRoughnessMap)) {
+            return false;
+        }
+        if (!TextureMapIsEqual (this.clearcoatNormalMap, rhs.clearcoatNormalMap)) {
+            return false;
+        }
+        if (!RGBColorIsEqual (this.sheenColor, rhs.sheenColor)) {
+            return false;
+        }
+        if (!IsEqual (this.sheenRoughness, rhs.sheenRoughness)) {
+            return false;
+        }
+        if (!TextureMapIsEqual (this.sheenColorMap, rhs.sheenColorMap)) {
+            return false;
+        }
+        if (!TextureMapIsEqual (this.sheenRoughnessMap, rhs.sheenRoughnessMap)) {
+            return false;
+        }
+        if (!IsEqual (this.thickness, rhs.thickness)) {
+            return false;
+        }
+        if (!TextureMapIsEqual (this.thicknessMap, rhs.thicknessMap)) {
+            return false;
+        }
+        if (this.attenuationDistance !== rhs.attenuationDistance && !IsEqual (this.attenuationDistance, rhs.attenuationDistance)) {
+            return false;
+        }
+        if (!RGBColorIsEqual (this.attenuationColor, rhs.attenuationColor)) {
+            return false;
+        }
         return true;
     }
+
+    HasAdvancedParameters ()
+    {
+        // parameters that a simple metallic-roughness material can't represent
+        if (!IsEqual (this.ior, 1.5)) {
+            return true;
+        }
+        if (this.transmission > 0.0 || this.transmissionMap !== null) {
+            return true;
+        }
+        if (this.clearcoat > 0.0 || this.clearcoatMap !== null) {
+            return true;
+        }
+        if (!RGBColorIsEqual (this.sheenColor, new RGBColor (0, 0, 0)) || this.sheenColorMap !== null) {
+            return true;
+        }
+        if (this.thickness > 0.0 || this.thicknessMap !== null) {
+            return true;
+        }
+        return false;
+    }
 }
 
 export function TextureIsEqual (a, b)
@@ -11,6 +11,10 @@ export class Mesh extends ModelObject3D
         this.uvs = [];
         this.lines = [];
         this.triangles = [];
+        this.points = [];
+        this.skinWeights = [];
+        this.morphTargets = [];
+        this.morphWeights = [];
     }
 
     VertexCount ()
@@ -52,6 +56,21 @@ export class Mesh extends ModelObject3D
         return this.triangles.length;
     }
 
+    PointCount ()
+    {
+        return this.points.length;
+    }
+
+    SkinWeightCount ()
+    {
+        return this.skinWeights.length;
+    }
+
+    MorphTargetCount ()
+    {
+        return this.morphTargets.length;
+    }
+
     AddVertex (vertex)
     {
         this.vertices.push (vertex);
@@ -138,6 +157,54 @@ SetNormal (index, normal)
         return this.triangles[index];
     }
 
+    AddPoint (point)
+    {
+        this.points.push (point);
+        return this.points.length - 1;
+    }
+
+    GetPoint (index)
+    {
+        return this.points[index];
+    }
+
+    AddSkinWeight (skinWeight)
+    {
+        this.skinWeights.push (skinWeight);
+        return this.skinWeights.length - 1;
+    }
+
+    GetSkinWeight (index)
+    {
+        return this.skinWeights[index];
+    }
+
+    HasSkinWeights ()
+    {
+        return this.vertices.length > 0 && this.skinWeights.length === this.vertices.length;
+    }
+
+    AddMorphTarget (morphTarget)
+    {
+        this.morphTargets.push (morphTarget);
+        return this.morphTargets.length - 1;
+    }
+
+    GetMorphTarget (index)
+    {
+        return this.morphTargets[index];
+    }
+
+    GetMorphWeights ()
+    {
+        return this.morphWeights;
+    }
+
+    SetMorphWeights (morphWeights)
+    {
+        this.morphWeights = morphWeights;
+    }
+
     EnumerateVertices (onVertex)
     {
         for (const vertex of this.vertices) {
@@ -199,6 +266,22 @@ SetNormal (index, normal)
             cloned.AddTriangle (triangle.Clone ());
         }
 
+        for (let i = 0; i < this.PointCount (); i++) {
+            let point = this.GetPoint (i);
+            cloned.AddPoint (point.Clone ());
+        }
+
+        for (let i = 0; i < this.SkinWeightCount (); i++) {
+            let skinWeight = this.GetSkinWeight (i);
+            cloned.AddSkinWeight (skinWeight.Clone ());
+        }
+
+        for (let i = 0; i < this.MorphTargetCount (); i++) {
+            let morphTarget = this.GetMorphTarget (i);
+            cloned.AddMorphTarget (morphTarget.Clone ());
+        }
+        cloned.SetMorphWeights (this.morphWeights.slice ());
+
         return cloned;
     }
 }
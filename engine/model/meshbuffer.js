@@ -2,6 +2,22 @@ import { Coord2D, CoordIsEqual2D } from '../geometry/coord2d.js';
 import { CoordIsEqual3D } from '../geometry/coord3d.js';
 import { RGBColor, RGBColorIsEqual } from './color.js';
 
+function GetCoordBounds (coords)
+{
+    let min = [Infinity, Infinity, Infinity];
+    let max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < coords.length / 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            min[j] = Math.min (min[j], coords[i * 3 + j]);
+            max[j] = Math.max (max[j], coords[i * 3 + j]);
+        }
+    }
+    return {
+        min : min,
+        max : max
+    };
+}
+
 export class MeshPrimitiveBuffer
 {
     constructor ()
@@ -11,30 +27,30 @@ export class MeshPrimitiveBuffer
         this.colors = [];
         this.normals = [];
         this.uvs = [];
+        this.joints = [];
+        this.weights = [];
+        this.morphTargets = [];
         this.material = null;
     }
 
     GetBounds ()
     {
-        let min = [Infinity, Infinity, Infinity];
-        let max = [-Infinity, -Infinity, -Infinity];
-        for (let i = 0; i < this.vertices.length / 3; i++) {
-            for (let j = 0; j < 3; j++) {
-                min[j] = Math.min (min[j], this.vertices[i * 3 + j]);
-                max[j] = Math.max (max[j], this.vertices[i * 3 + j]);
-            }
-        }
-        return {
-            min : min,
-            max : max
-        };
+        return GetCoordBounds (this.vertices);
+    }
+
+    GetMorphTargetBounds (index)
+    {
+        return GetCoordBounds (this.morphTargets[index].vertices);
     }
 
-    GetByteLength (indexTypeSize, numberTypeSize)
+    GetByteLength (indexTypeSize, numberTypeSize, jointTypeSize)
     {
         let indexCount = this.indices.length;
-        let numberCount = this.vertices.length + this.colors.length + this.normals.length + this.uvs.length;
-        return indexCount * indexTypeSize + numberCount * numberTypeSize;
+        let numberCount = this.vertices.length + this.colors.length + this.normals.length + this.uvs.length + this.weights.length;
+        for (let morphTarget of this.morphTargets) {
+            numberCount += morphTarget.vertices.length + morphTarget.normals.length;
+        }
+        return indexCount * indexTypeSize + numberCount * numberTypeSize + this.joints.length * jointTypeSize;
     }
 }
 
@@ -55,12 +71,12 @@ export class MeshBuffer
         return this.primitives[index];
     }
 
-    GetByteLength (indexTypeSize, numberTypeSize)
+    GetByteLength (indexTypeSize, numberTypeSize, jointTypeSize)
     {
         let byteLength = 0;
         for (let i = 0; i < this.primitives.length; i++) {
             let primitive = this.primitives[i];
-            byteLength += primitive.GetByteLength (indexTypeSize, numberTypeSize);
+            byteLength += primitive.GetByteLength (indexTypeSize, numberTypeSize, jointTypeSize);
         }
         return byteLength;
     }
@@ -92,6 +108,16 @@ export function ConvertMeshToMeshBuffer (mesh)
             }
         }
 
+        function PushDisplacement (values, displacements, index)
+        {
+            if (index < displacements.length) {
+                let displacement = displacements[index];
+                values.push (displacement.x, displacement.y, displacement.z);
+            } else {
+                values.push (0.0, 0.0, 0.0);
+            }
+        }
+
         function AddVertex (mesh, indices, primitiveBuffer)
         {
             let forceColors = mesh.VertexColorCount () > 0;
@@ -116,6 +142,18 @@ export function ConvertMeshToMeshBuffer (mesh)
                 primitiveBuffer.uvs.push (uv.x, uv.y);
             }
 
+            if (mesh.HasSkinWeights ()) {
+                let skinWeight = mesh.GetSkinWeight (indices.vertex);
+                primitiveBuffer.joints.push (...skinWeight.joints);
+                primitiveBuffer.weights.push (...skinWeight.weights);
+            }
+
+            for (let i = 0; i < mesh.MorphTargetCount (); i++) {
+                let morphTarget = mesh.GetMorphTarget (i);
+                PushDisplacement (primitiveBuffer.morphTargets[i].vertices, morphTarget.vertices, indices.vertex);
+                PushDisplacement (primitiveBuffer.morphTargets[i].normals, morphTarget.normals, indices.normal);
+            }
+
             return {
                 index : primitiveVertexIndex,
                 color : color,
@@ -202,6 +240,12 @@ export function ConvertMeshToMeshBuffer (mesh)
         if (primitiveBuffer === null || primitiveBuffer.material !== triangle.mat) {
             primitiveBuffer = new MeshPrimitiveBuffer ();
             primitiveBuffer.material = triangle.mat;
+            for (let morphTargetIndex = 0; morphTargetIndex < mesh.MorphTargetCount (); morphTargetIndex++) {
+                primitiveBuffer.morphTargets.push ({
+                    vertices : [],
+                    normals : []
+                });
+            }
             meshVertexToPrimitiveVertices = new Map ();
             meshBuffer.primitives.push (primitiveBuffer);
         }
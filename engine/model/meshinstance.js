@@ -80,6 +80,11 @@ export class MeshInstance extends ModelObject3D
         return this.mesh.TriangleCount ();
     }
 
+    PointCount ()
+    {
+        return this.mesh.PointCount ();
+    }
+
     EnumerateVertices (onVertex)
     {
         let transformation = this.node.GetWorldTransformation ();
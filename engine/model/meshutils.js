@@ -1,9 +1,10 @@
 import { CrossVector3D, SubCoord3D } from '../geometry/coord3d.js';
+import { Matrix } from '../geometry/matrix.js';
 import { Transformation } from '../geometry/transformation.js';
 
 export function IsEmptyMesh (mesh)
 {
-    return mesh.LineCount () === 0 && mesh.TriangleCount () === 0;
+    return mesh.LineCount () === 0 && mesh.TriangleCount () === 0 && mesh.PointCount () === 0;
 }
 
 export function CalculateTriangleNormal (v0, v1, v2)
@@ -40,6 +41,51 @@ export function TransformMesh (mesh, transformation)
                 normal.y = transformed.y;
                 normal.z = transformed.z;
             }
+            for (let i = 0; i < mesh.MorphTargetCount (); i++) {
+                TransformCoords (mesh.GetMorphTarget (i).normals, normalTransformation);
+            }
+        }
+    }
+
+    if (mesh.MorphTargetCount () > 0) {
+        // morph targets store displacements, so the translation doesn't affect them
+        let matrixValues = transformation.GetMatrix ().Get ().slice ();
+        matrixValues[12] = 0.0;
+        matrixValues[13] = 0.0;
+        matrixValues[14] = 0.0;
+        let directionTransformation = new Transformation (new Matrix (matrixValues));
+        for (let i = 0; i < mesh.MorphTargetCount (); i++) {
+            TransformCoords (mesh.GetMorphTarget (i).vertices, directionTransformation);
+        }
+    }
+}
+
+function TransformCoords (coords, transformation)
+{
+    for (let coord of coords) {
+        let transformed = transformation.TransformCoord3D (coord);
+        coord.x = transformed.x;
+        coord.y = transformed.y;
+        coord.z = transformed.z;
+    }
+}
+
+export function ScaleMesh (mesh, scale)
+{
+    // uniform scaling doesn't change the normals, so only the vertices are modified
+    for (let i = 0; i < mesh.VertexCount (); i++) {
+        let vertex = mesh.GetVertex (i);
+        vertex.x *= scale;
+        vertex.y *= scale;
+        vertex.z *= scale;
+    }
+    for (let i = 0; i < mesh.MorphTargetCount (); i++) {
+        let morphTarget = mesh.GetMorphTarget (i);
+        for (let j = 0; j < morphTarget.VertexCount (); j++) {
+            let vertex = morphTarget.GetVertex (j);
+            vertex.x *= scale;
+            vertex.y *= scale;
+            vertex.z *= scale;
         }
     }
 }
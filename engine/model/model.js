@@ -1,6 +1,7 @@
 import { MeshInstance, MeshInstanceId } from './meshinstance.js';
 import { Node } from './node.js';
 import { ModelObject3D } from './object.js';
+import { PropertyQuery } from './propertyquery.js';
 import { Unit } from './unit.js';
 
 export class Model extends ModelObject3D
@@ -12,6 +13,8 @@ export class Model extends ModelObject3D
         this.root = new Node ();
         this.materials = [];
         this.meshes = [];
+        this.animations = [];
+        this.skins = [];
     }
 
     GetUnit ()
@@ -29,6 +32,17 @@ export class Model extends ModelObject3D
         return this.root;
     }
 
+    FindNodeById (nodeId)
+    {
+        let foundNode = null;
+        this.root.Enumerate ((node) => {
+            if (node.GetId () === nodeId) {
+                foundNode = node;
+            }
+        });
+        return foundNode;
+    }
+
     NodeCount ()
     {
         let count = 0;
@@ -120,6 +134,15 @@ export class Model extends ModelObject3D
         return count;
     }
 
+    PointCount ()
+    {
+        let count = 0;
+        this.EnumerateMeshInstances ((meshInstance) => {
+            count += meshInstance.PointCount ();
+        });
+        return count;
+    }
+
     AddMaterial (material)
     {
         this.materials.push (material);
@@ -144,6 +167,11 @@ export class Model extends ModelObject3D
         return meshIndex;
     }
 
+    ReplaceMesh (index, mesh)
+    {
+        this.meshes[index] = mesh;
+    }
+
     RemoveMesh (index)
     {
         this.meshes.splice (index, 1);
@@ -164,14 +192,41 @@ export class Model extends ModelObject3D
         return this.meshes[index];
     }
 
+    AnimationCount ()
+    {
+        return this.animations.length;
+    }
+
+    AddAnimation (animation)
+    {
+        this.animations.push (animation);
+        return this.animations.length - 1;
+    }
+
+    GetAnimation (index)
+    {
+        return this.animations[index];
+    }
+
+    SkinCount ()
+    {
+        return this.skins.length;
+    }
+
+    AddSkin (skin)
+    {
+        this.skins.push (skin);
+        return this.skins.length - 1;
+    }
+
+    GetSkin (index)
+    {
+        return this.skins[index];
+    }
+
     GetMeshInstance (instanceId)
     {
-        let foundNode = null;
-        this.root.Enumerate ((node) => {
-            if (node.GetId () === instanceId.nodeId) {
-                foundNode = node;
-            }
-        });
+        let foundNode = this.FindNodeById (instanceId.nodeId);
         if (foundNode === null) {
             return null;
         }
@@ -184,6 +239,37 @@ export class Model extends ModelObject3D
         return new MeshInstance (id, foundNode, foundMesh);
     }
 
+    /**
+     * Finds the mesh instances with properties matching the query. The result can be used to
+     * change the visibility or the highlight of the meshes in the viewer.
+     * @param {PropertyQuery|object|object[]} query A {@link PropertyQuery}, the parameters of a
+     * query, or an array of them. In case of an array every query must match.
+     * @returns {MeshInstanceId[]}
+     */
+    FindMeshInstances (query)
+    {
+        let queries = (Array.isArray (query) ? query : [query]).map ((item) => {
+            return (item instanceof PropertyQuery ? item : new PropertyQuery (item));
+        });
+
+        // meshes are checked only once, even if they have multiple instances
+        let meshIndexToMatch = new Map ();
+        let result = [];
+        this.EnumerateMeshInstances ((meshInstance) => {
+            let meshIndex = meshInstance.GetId ().meshIndex;
+            if (!meshIndexToMatch.has (meshIndex)) {
+                let isMatch = queries.every ((propertyQuery) => {
+                    return propertyQuery.IsObjectMatch (meshInstance);
+                });
+                meshIndexToMatch.set (meshIndex, isMatch);
+            }
+            if (meshIndexToMatch.get (meshIndex)) {
+                result.push (meshInstance.GetId ());
+            }
+        });
+        return result;
+    }
+
     EnumerateMeshes (onMesh)
     {
         for (const mesh of this.meshes) {
@@ -16,6 +16,7 @@ class ModelFinalizer
 
         this.defaultLineMaterialIndex = null;
         this.defaultMaterialIndex = null;
+        this.degenerateTriangles = [];
     }
 
     Finalize (model)
@@ -25,6 +26,10 @@ class ModelFinalizer
         this.FinalizeMeshes (model);
         this.FinalizeMaterials (model);
         this.FinalizeNodes (model);
+
+        return {
+            degenerateTriangles : this.degenerateTriangles
+        };
     }
 
     FinalizeMaterials (model)
@@ -33,17 +38,25 @@ class ModelFinalizer
             return;
         }
 
+        function UpdateMaterialVertexColors (materialHasVertexColors, materialIndex, hasVertexColors)
+        {
+            if (!materialHasVertexColors.has (materialIndex)) {
+                materialHasVertexColors.set (materialIndex, hasVertexColors);
+            } else if (!hasVertexColors) {
+                materialHasVertexColors.set (materialIndex, false);
+            }
+        }
+
         let materialHasVertexColors = new Map ();
         for (let meshIndex = 0; meshIndex < model.MeshCount (); meshIndex++) {
             let mesh = model.GetMesh (meshIndex);
             for (let triangleIndex = 0; triangleIndex < mesh.TriangleCount (); triangleIndex++) {
                 let triangle = mesh.GetTriangle (triangleIndex);
-                let hasVertexColors = triangle.HasVertexColors ();
-                if (!materialHasVertexColors.has (triangle.mat)) {
-                    materialHasVertexColors.set (triangle.mat, hasVertexColors);
-                } else if (!hasVertexColors) {
-                    materialHasVertexColors.set (triangle.mat, false);
-                }
+                UpdateMaterialVertexColors (materialHasVertexColors, triangle.mat, triangle.HasVertexColors ());
+            }
+            for (let pointIndex = 0; pointIndex < mesh.PointCount (); pointIndex++) {
+                let point = mesh.GetPoint (pointIndex);
+                UpdateMaterialVertexColors (materialHasVertexColors, point.mat, point.HasVertexColor ());
             }
         }
 
@@ -57,6 +70,7 @@ class ModelFinalizer
     {
         for (let meshIndex = 0; meshIndex < model.MeshCount (); meshIndex++) {
             let mesh = model.GetMesh (meshIndex);
+            this.CountDegenerateTriangles (mesh);
             if (IsEmptyMesh (mesh)) {
                 model.RemoveMesh (meshIndex);
                 meshIndex = meshIndex - 1;
@@ -66,6 +80,44 @@ class ModelFinalizer
         }
     }
 
+    CountDegenerateTriangles (mesh)
+    {
+        function IsValidVertexIndex (mesh, index)
+        {
+            return Number.isInteger (index) && index >= 0 && index < mesh.VertexCount ();
+        }
+
+        function IsDegenerateTriangle (mesh, triangle)
+        {
+            // triangles with invalid indices are not degenerate, they are reported by the model check
+            if (!IsValidVertexIndex (mesh, triangle.v0) || !IsValidVertexIndex (mesh, triangle.v1) || !IsValidVertexIndex (mesh, triangle.v2)) {
+                return false;
+            }
+            if (triangle.v0 === triangle.v1 || triangle.v1 === triangle.v2 || triangle.v0 === triangle.v2) {
+                return true;
+            }
+            let v0 = mesh.GetVertex (triangle.v0);
+            let v1 = mesh.GetVertex (triangle.v1);
+            let v2 = mesh.GetVertex (triangle.v2);
+            return CoordIsEqual3D (v0, v1) || CoordIsEqual3D (v1, v2) || CoordIsEqual3D (v0, v2);
+        }
+
+        // the triangles are kept as they are, so the model matches the file
+        let degenerateCount = 0;
+        for (let i = 0; i < mesh.TriangleCount (); i++) {
+            if (IsDegenerateTriangle (mesh, mesh.GetTriangle (i))) {
+                degenerateCount += 1;
+            }
+        }
+
+        if (degenerateCount > 0) {
+            this.degenerateTriangles.push ({
+                meshName : mesh.GetName (),
+                triangleCount : degenerateCount
+            });
+        }
+    }
+
     FinalizeMesh (model, mesh)
     {
         function CalculateCurveNormals (mesh)
@@ -154,6 +206,13 @@ class ModelFinalizer
             }
         }
 
+        for (let i = 0; i < mesh.PointCount (); i++) {
+            let point = mesh.GetPoint (i);
+            if (point.mat === null) {
+                point.mat = this.GetDefaultMaterialIndex (model, MaterialSource.DefaultFace);
+            }
+        }
+
         if (meshStatus.calculateCurveNormals) {
             CalculateCurveNormals (mesh);
         }
@@ -183,9 +242,18 @@ class ModelFinalizer
     {
         let rootNode = model.GetRootNode ();
 
+        // joints of skins are needed even if they don't contain anything
+        let jointNodeIds = new Set ();
+        for (let i = 0; i < model.SkinCount (); i++) {
+            let skin = model.GetSkin (i);
+            for (let j = 0; j < skin.JointCount (); j++) {
+                jointNodeIds.add (skin.GetJointNodeId (j));
+            }
+        }
+
         let emptyNodes = [];
         rootNode.EnumerateChildren ((node) => {
-            if (node.IsEmpty ()) {
+            if (node.IsEmpty () && !jointNodeIds.has (node.GetId ())) {
                 emptyNodes.push (node);
             }
         });
@@ -197,7 +265,7 @@ class ModelFinalizer
                 continue;
             }
             parentNode.RemoveChildNode (node);
-            if (parentNode.IsEmpty ()) {
+            if (parentNode.IsEmpty () && !jointNodeIds.has (parentNode.GetId ())) {
                 emptyNodes.push (parentNode);
             }
         }
@@ -231,13 +299,14 @@ class ModelFinalizer
     {
         this.defaultLineMaterialIndex = null;
         this.defaultMaterialIndex = null;
+        this.degenerateTriangles = [];
     }
 }
 
 export function FinalizeModel (model, params)
 {
     let finalizer = new ModelFinalizer (params);
-    finalizer.Finalize (model);
+    return finalizer.Finalize (model);
 }
 
 export function CheckModel (model)
@@ -326,6 +395,22 @@ export function CheckModel (model)
             return true;
         }
 
+        function CheckPoint (model, mesh, point)
+        {
+            if (!IsCorrectIndex (point.v, mesh.VertexCount ())) {
+                return false;
+            }
+            if (point.HasVertexColor ()) {
+                if (!IsCorrectIndex (point.c, mesh.VertexColorCount ())) {
+                    return false;
+                }
+            }
+            if (!IsCorrectIndex (point.mat, model.MaterialCount ())) {
+                return false;
+            }
+            return true;
+        }
+
         for (let i = 0; i < mesh.VertexCount (); i++) {
             let vertex = mesh.GetVertex (i);
             if (!IsCorrectNumber (vertex.x)) {
@@ -382,6 +467,13 @@ export function CheckModel (model)
             }
         }
 
+        for (let i = 0; i < mesh.PointCount (); i++) {
+            let point = mesh.GetPoint (i);
+            if (!CheckPoint (model, mesh, point)) {
+                return false;
+            }
+        }
+
         return true;
     }
 
@@ -1,9 +1,14 @@
 import { BoundingBoxCalculator3D } from '../geometry/box3d.js';
 import { Octree } from '../geometry/octree.js';
-import { MaterialSource } from './material.js';
-import { IsEmptyMesh } from './meshutils.js';
+import { Transformation } from '../geometry/transformation.js';
+import { AnimationPath } from './animation.js';
+import { MaterialSource, MaterialType } from './material.js';
+import { IsEmptyMesh, ScaleMesh, TransformMesh } from './meshutils.js';
 import { Model } from './model.js';
+import { Node } from './node.js';
+import { ConvertPropertyUnit } from './property.js';
 import { Topology } from './topology.js';
+import { GetUnitScale, Unit } from './unit.js';
 
 export function IsModelEmpty (model)
 {
@@ -119,3 +124,257 @@ export function ReplaceDefaultMaterialsColor (model, color, lineColor)
         }
     }
 }
+
+export function ReplaceNodeMeshesFromModel (targetModel, targetNode, sourceModel)
+{
+    function GetNodeIndexPath (node)
+    {
+        let indexPath = [];
+        while (node.HasParent ()) {
+            let parentNode = node.GetParent ();
+            indexPath.unshift (parentNode.GetChildNodes ().indexOf (node));
+            node = parentNode;
+        }
+        return indexPath;
+    }
+
+    function FindNodeByIndexPath (model, indexPath)
+    {
+        let node = model.GetRootNode ();
+        for (let childIndex of indexPath) {
+            if (childIndex >= node.ChildNodeCount ()) {
+                return null;
+            }
+            node = node.GetChildNode (childIndex);
+        }
+        return node;
+    }
+
+    function HasSameHierarchy (aNode, bNode)
+    {
+        if (aNode.MeshIndexCount () !== bNode.MeshIndexCount () || aNode.ChildNodeCount () !== bNode.ChildNodeCount ()) {
+            return false;
+        }
+        for (let i = 0; i < aNode.ChildNodeCount (); i++) {
+            if (!HasSameHierarchy (aNode.GetChildNode (i), bNode.GetChildNode (i))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    function GetTargetMaterialIndex (sourceMaterialIndex, materialIndexMap)
+    {
+        if (sourceMaterialIndex === null) {
+            return null;
+        }
+        if (materialIndexMap.has (sourceMaterialIndex)) {
+            return materialIndexMap.get (sourceMaterialIndex);
+        }
+        let sourceMaterial = sourceModel.GetMaterial (sourceMaterialIndex);
+        let targetMaterialIndex = null;
+        for (let i = 0; i < targetModel.MaterialCount (); i++) {
+            if (targetModel.GetMaterial (i).IsEqual (sourceMaterial)) {
+                targetMaterialIndex = i;
+                break;
+            }
+        }
+        if (targetMaterialIndex === null) {
+            targetMaterialIndex = targetModel.AddMaterial (sourceMaterial);
+        }
+        materialIndexMap.set (sourceMaterialIndex, targetMaterialIndex);
+        return targetMaterialIndex;
+    }
+
+    function ReplaceMeshes (targetNode, sourceNode, materialIndexMap, replacedMeshIndices)
+    {
+        let targetInverseMatrix = targetNode.GetWorldTransformation ().GetMatrix ().Invert ();
+        for (let i = 0; i < targetNode.MeshIndexCount (); i++) {
+            let targetMeshIndex = targetNode.GetMeshIndex (i);
+            if (targetInverseMatrix === null || replacedMeshIndices.indexOf (targetMeshIndex) !== -1) {
+                continue;
+            }
+            // The source mesh is moved to the coordinate system of the target node
+            let mesh = sourceModel.GetMesh (sourceNode.GetMeshIndex (i)).Clone ();
+            let transformation = sourceNode.GetWorldTransformation ();
+            transformation.AppendMatrix (targetInverseMatrix);
+            TransformMesh (mesh, transformation);
+            for (let j = 0; j < mesh.TriangleCount (); j++) {
+                let triangle = mesh.GetTriangle (j);
+                triangle.SetMaterial (GetTargetMaterialIndex (triangle.mat, materialIndexMap));
+            }
+            for (let j = 0; j < mesh.LineCount (); j++) {
+                let line = mesh.GetLine (j);
+                line.SetMaterial (GetTargetMaterialIndex (line.mat, materialIndexMap));
+            }
+            for (let j = 0; j < mesh.PointCount (); j++) {
+                let point = mesh.GetPoint (j);
+                point.SetMaterial (GetTargetMaterialIndex (point.mat, materialIndexMap));
+            }
+            targetModel.ReplaceMesh (targetMeshIndex, mesh);
+            replacedMeshIndices.push (targetMeshIndex);
+        }
+        for (let i = 0; i < targetNode.ChildNodeCount (); i++) {
+            ReplaceMeshes (targetNode.GetChildNode (i), sourceNode.GetChildNode (i), materialIndexMap, replacedMeshIndices);
+        }
+    }
+
+    // The source model must be an import of the same file, so the node with the same index path
+    // has the same structure. Meshes shared with nodes outside of the subtree are replaced, too.
+    let sourceNode = FindNodeByIndexPath (sourceModel, GetNodeIndexPath (targetNode));
+    if (sourceNode === null || !HasSameHierarchy (targetNode, sourceNode)) {
+        return null;
+    }
+
+    let replacedMeshIndices = [];
+    ReplaceMeshes (targetNode, sourceNode, new Map (), replacedMeshIndices);
+    return replacedMeshIndices;
+}
+
+export function ScaleTransformationTranslation (transformation, scale)
+{
+    let matrix = transformation.GetMatrix ().Clone ();
+    let values = matrix.Get ();
+    values[12] *= scale;
+    values[13] *= scale;
+    values[14] *= scale;
+    return new Transformation (matrix);
+}
+
+/**
+ * Converts the model to another length unit. Vertices, translations of the nodes, animations and
+ * inverse bind matrices, material thicknesses and attenuation distances, and length, area and volume properties are scaled. Nothing happens if the unit of the model is unknown.
+ * @param {Model} model The model to convert.
+ * @param {Unit} targetUnit The new unit of the model.
+ * @returns {boolean} True if the model was converted.
+ */
+export function ConvertModelUnit (model, targetUnit)
+{
+    function ConvertProperties (element, sourceUnit, targetUnit)
+    {
+        for (let groupIndex = 0; groupIndex < element.PropertyGroupCount (); groupIndex++) {
+            let group = element.GetPropertyGroup (groupIndex);
+            for (let propertyIndex = 0; propertyIndex < group.PropertyCount (); propertyIndex++) {
+                ConvertPropertyUnit (group.GetProperty (propertyIndex), sourceUnit, targetUnit);
+            }
+        }
+    }
+
+    let sourceUnit = model.GetUnit ();
+    if (sourceUnit === Unit.Unknown || targetUnit === Unit.Unknown || sourceUnit === targetUnit) {
+        return false;
+    }
+
+    let scale = GetUnitScale (sourceUnit, targetUnit);
+    model.EnumerateMeshes ((mesh) => {
+        ScaleMesh (mesh, scale);
+        ConvertProperties (mesh, sourceUnit, targetUnit);
+    });
+    model.GetRootNode ().Enumerate ((node) => {
+        node.SetTransformation (ScaleTransformationTranslation (node.GetTransformation (), scale));
+    });
+    for (let i = 0; i < model.MaterialCount (); i++) {
+        let material = model.GetMaterial (i);
+        if (material.type === MaterialType.Physical) {
+            material.thickness *= scale;
+            material.attenuationDistance *= scale;
+        }
+    }
+    for (let i = 0; i < model.AnimationCount (); i++) {
+        let animation = model.GetAnimation (i);
+        for (let j = 0; j < animation.TrackCount (); j++) {
+            let track = animation.GetTrack (j);
+            if (track.path === AnimationPath.Translation) {
+                track.values = track.values.map ((value) => value * scale);
+            }
+        }
+    }
+    for (let i = 0; i < model.SkinCount (); i++) {
+        let skin = model.GetSkin (i);
+        for (let j = 0; j < skin.JointCount (); j++) {
+            let inverseBindTransformation = new Transformation (skin.GetInverseBindMatrix (j));
+            skin.SetInverseBindMatrix (j, ScaleTransformationTranslation (inverseBindTransformation, scale).GetMatrix ());
+        }
+    }
+    ConvertProperties (model, sourceUnit, targetUnit);
+    model.SetUnit (targetUnit);
+    return true;
+}
+
+/**
+ * Adds the content of another model under a node. The materials and the meshes are appended to
+ * the target model, the transformation and the meshes of the source root node are added to the given
+ * node, and its child nodes are copied with new ids. Animations and skins are copied with the new
+ * node ids. The model level property groups are not copied.
+ * @param {Model} targetModel The model to add to.
+ * @param {Node} targetNode A node of the target model.
+ * @param {Model} sourceModel The model to add.
+ */
+export function AddModelToNode (targetModel, targetNode, sourceModel)
+{
+    function CopyNodeContent (sourceNode, targetNode, meshIndexOffset, skinIndexOffset, nodeIdMap)
+    {
+        nodeIdMap.set (sourceNode.GetId (), targetNode.GetId ());
+        targetNode.SetTransformation (sourceNode.GetTransformation ().Clone ());
+        if (sourceNode.GetSkinIndex () !== null) {
+            targetNode.SetSkinIndex (sourceNode.GetSkinIndex () + skinIndexOffset);
+        }
+        for (let meshIndex of sourceNode.GetMeshIndices ()) {
+            targetNode.AddMeshIndex (meshIndex + meshIndexOffset);
+        }
+        for (let sourceChildNode of sourceNode.GetChildNodes ()) {
+            let targetChildNode = new Node ();
+            targetChildNode.SetName (sourceChildNode.GetName ());
+            targetNode.AddChildNode (targetChildNode);
+            CopyNodeContent (sourceChildNode, targetChildNode, meshIndexOffset, skinIndexOffset, nodeIdMap);
+        }
+    }
+
+    function OffsetMaterial (material, materialIndexOffset)
+    {
+        return (material !== null ? material + materialIndexOffset : null);
+    }
+
+    let materialIndexOffset = targetModel.MaterialCount ();
+    for (let i = 0; i < sourceModel.MaterialCount (); i++) {
+        targetModel.AddMaterial (sourceModel.GetMaterial (i));
+    }
+
+    let meshIndexOffset = targetModel.MeshCount ();
+    sourceModel.EnumerateMeshes ((mesh) => {
+        for (let i = 0; i < mesh.TriangleCount (); i++) {
+            let triangle = mesh.GetTriangle (i);
+            triangle.SetMaterial (OffsetMaterial (triangle.mat, materialIndexOffset));
+        }
+        for (let i = 0; i < mesh.LineCount (); i++) {
+            let line = mesh.GetLine (i);
+            line.SetMaterial (OffsetMaterial (line.mat, materialIndexOffset));
+        }
+        for (let i = 0; i < mesh.PointCount (); i++) {
+            let point = mesh.GetPoint (i);
+            point.SetMaterial (OffsetMaterial (point.mat, materialIndexOffset));
+        }
+        targetModel.AddMesh (mesh);
+    });
+
+    let skinIndexOffset = targetModel.SkinCount ();
+    let nodeIdMap = new Map ();
+    CopyNodeContent (sourceModel.GetRootNode (), targetNode, meshIndexOffset, skinIndexOffset, nodeIdMap);
+
+    for (let i = 0; i < sourceModel.SkinCount (); i++) {
+        let skin = sourceModel.GetSkin (i).Clone ();
+        for (let j = 0; j < skin.JointCount (); j++) {
+            skin.SetJointNodeId (j, nodeIdMap.get (skin.GetJointNodeId (j)));
+        }
+        targetModel.AddSkin (skin);
+    }
+
+    for (let i = 0; i < sourceModel.AnimationCount (); i++) {
+        let animation = sourceModel.GetAnimation (i).Clone ();
+        for (let j = 0; j < animation.TrackCount (); j++) {
+            let track = animation.GetTrack (j);
+            track.nodeId = nodeIdMap.get (track.nodeId);
+        }
+        targetModel.AddAnimation (animation);
+    }
+}
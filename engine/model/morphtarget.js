@@ -0,0 +1,78 @@
+/**
+ * Morph target (blend shape) of a mesh. It stores displacements relative to the base geometry,
+ * the vertex and normal arrays are parallel to the vertices and normals of the mesh. Missing
+ * entries at the end of the arrays mean zero displacement.
+ */
+export class MorphTarget
+{
+    constructor (name)
+    {
+        this.name = name;
+        this.vertices = [];
+        this.normals = [];
+    }
+
+    GetName ()
+    {
+        return this.name;
+    }
+
+    SetName (name)
+    {
+        this.name = name;
+    }
+
+    VertexCount ()
+    {
+        return this.vertices.length;
+    }
+
+    AddVertex (vertex)
+    {
+        this.vertices.push (vertex);
+        return this.vertices.length - 1;
+    }
+
+    SetVertex (index, vertex)
+    {
+        this.vertices[index] = vertex;
+    }
+
+    GetVertex (index)
+    {
+        return this.vertices[index];
+    }
+
+    NormalCount ()
+    {
+        return this.normals.length;
+    }
+
+    AddNormal (normal)
+    {
+        this.normals.push (normal);
+        return this.normals.length - 1;
+    }
+
+    SetNormal (index, normal)
+    {
+        this.normals[index] = normal;
+    }
+
+    GetNormal (index)
+    {
+        return this.normals[index];
+    }
+
+    Clone ()
+    {
+        let cloned = new MorphTarget (this.name);
+        for (let vertex of this.vertices) {
+            cloned.AddVertex (vertex.Clone ());
+        }
+        for (let normal of this.normals) {
+            cloned.AddNormal (normal.Clone ());
+        }
+        return cloned;
+    }
+}
@@ -25,6 +25,7 @@ export class Node
 
         this.childNodes = [];
         this.meshIndices = [];
+        this.skinIndex = null;
 
         this.idGenerator = new NodeIdGenerator ();
         this.id = this.idGenerator.GenerateId ();
@@ -86,6 +87,16 @@ export class Node
         this.transformation = transformation;
     }
 
+    GetSkinIndex ()
+    {
+        return this.skinIndex;
+    }
+
+    SetSkinIndex (skinIndex)
+    {
+        this.skinIndex = skinIndex;
+    }
+
     AddChildNode (node)
     {
         node.parent = this;
@@ -40,6 +40,11 @@ export class Object3D
         return 0;
     }
 
+    PointCount ()
+    {
+        return 0;
+    }
+
     EnumerateVertices (onVertex)
     {
 
@@ -0,0 +1,34 @@
+export class Point
+{
+    constructor (v)
+    {
+        this.v = v;
+        this.c = null;
+        this.mat = null;
+    }
+
+    HasVertexColor ()
+    {
+        return this.c !== null;
+    }
+
+    SetVertexColor (c)
+    {
+        this.c = c;
+        return this;
+    }
+
+    SetMaterial (mat)
+    {
+        this.mat = mat;
+        return this;
+    }
+
+    Clone ()
+    {
+        let cloned = new Point (this.v);
+        cloned.SetVertexColor (this.c);
+        cloned.SetMaterial (this.mat);
+        return cloned;
+    }
+}
@@ -1,6 +1,7 @@
 import { EscapeHtmlChars } from '../core/core.js';
 import { RGBColorToHexString } from './color.js';
 import { Loc } from '../core/localization.js';
+import { Unit, UnitSystem, MassUnit, AngleUnit, GetUnitSymbol, GetUnitMeters, GetUnitScale, IsMetricUnit, GetMassUnitSymbol, GetMassUnitKilograms, IsMetricMassUnit, GetAngleUnitSymbol } from './unit.js';
 
 export const PropertyType =
 {
@@ -9,26 +10,59 @@ export const PropertyType =
     Number : 3,
     Boolean : 4,
     Percent : 5,
-    Color : 6
+    Color : 6,
+    Length : 7,
+    Area : 8,
+    Volume : 9,
+    Mass : 10,
+    Angle : 11,
+    Date : 12,
+    Url : 13
 };
 
+const LengthDimensions = new Map ([
+    [PropertyType.Length, 1],
+    [PropertyType.Area, 2],
+    [PropertyType.Volume, 3]
+]);
+
+export function IsNumericPropertyType (type)
+{
+    return type === PropertyType.Integer || type === PropertyType.Number || type === PropertyType.Percent || IsMeasurePropertyType (type);
+}
+
+export function IsMeasurePropertyType (type)
+{
+    return LengthDimensions.has (type) || type === PropertyType.Mass || type === PropertyType.Angle;
+}
+
 export class Property
 {
-    constructor (type, name, value)
+    /**
+     * @param {PropertyType} type Type of the property.
+     * @param {string} name Name of the property.
+     * @param {any} value Value of the property, a Date object for dates.
+     * @param {any} [unit] Unit of the value. It's a {@link Unit} for length, area and volume (unknown
+     * means the unit of the model), a {@link MassUnit} for mass, an {@link AngleUnit} for angle, and
+     * a unit symbol string for integer and number values.
+     */
+    constructor (type, name, value, unit)
     {
         this.type = type;
         this.name = name;
         this.value = value;
+        this.unit = (unit !== undefined ? unit : null);
     }
 
     Clone ()
     {
-        const clonable = (this.type === PropertyType.Color);
-        if (clonable) {
-            return new Property (this.type, this.name, this.value.Clone ());
-        } else {
-            return new Property (this.type, this.name, this.value);
+        let clonedValue = this.value;
+        if (this.type === PropertyType.Color) {
+            clonedValue = this.value.Clone ();
+        } else if (this.type === PropertyType.Date) {
+            clonedValue = new Date (this.value.getTime ());
         }
+        return new Property (this.type, this.name, clonedValue, this.unit);
     }
 }
 
@@ -65,23 +99,223 @@ export class PropertyGroup
     }
 }
 
-export function PropertyToString (property)
+/**
+ * Settings for displaying property values.
+ */
+export class PropertyDisplaySettings
+{
+    /**
+     * @param {Unit} [modelUnit] Unit of the model, used for measures without their own unit.
+     * @param {UnitSystem} [unitSystem] Unit system of the displayed measures, original if not specified.
+     */
+    constructor (modelUnit, unitSystem)
+    {
+        this.modelUnit = (modelUnit !== undefined ? modelUnit : Unit.Unknown);
+        this.unitSystem = (unitSystem !== undefined ? unitSystem : UnitSystem.Original);
+    }
+}
+
+const MetricDisplayUnits = new Map ([
+    [Unit.Inch, Unit.Millimeter],
+    [Unit.Foot, Unit.Meter],
+    [Unit.Yard, Unit.Meter],
+    [Unit.Mile, Unit.Kilometer]
+]);
+
+const ImperialDisplayUnits = new Map ([
+    [Unit.Micrometer, Unit.Inch],
+    [Unit.Millimeter, Unit.Inch],
+    [Unit.Centimeter, Unit.Inch],
+    [Unit.Meter, Unit.Foot],
+    [Unit.Kilometer, Unit.Mile]
+]);
+
+function GetDisplayLengthUnit (unit, unitSystem)
+{
+    if (unit === Unit.Unknown) {
+        return unit;
+    } else if (unitSystem === UnitSystem.Metric && !IsMetricUnit (unit)) {
+        return MetricDisplayUnits.get (unit);
+    } else if (unitSystem === UnitSystem.Imperial && IsMetricUnit (unit)) {
+        return ImperialDisplayUnits.get (unit);
+    }
+    return unit;
+}
+
+function GetDisplayMassUnit (massUnit, unitSystem)
+{
+    if (massUnit === null || massUnit === MassUnit.Unknown) {
+        return massUnit;
+    } else if (unitSystem === UnitSystem.Metric && massUnit === MassUnit.Pound) {
+        return MassUnit.Kilogram;
+    } else if (unitSystem === UnitSystem.Imperial && IsMetricMassUnit (massUnit)) {
+        return MassUnit.Pound;
+    }
+    return massUnit;
+}
+
+export function GetMeasureUnitSymbol (type, unit)
+{
+    if (LengthDimensions.has (type)) {
+        let symbol = GetUnitSymbol (unit);
+        let dimension = LengthDimensions.get (type);
+        if (symbol !== null && dimension === 2) {
+            symbol += '\u00b2';
+        } else if (symbol !== null && dimension === 3) {
+            symbol += '\u00b3';
+        }
+        return symbol;
+    } else if (type === PropertyType.Mass) {
+        return GetMassUnitSymbol (unit);
+    } else if (type === PropertyType.Angle) {
+        return GetAngleUnitSymbol (unit);
+    }
+    return null;
+}
+
+/**
+ * Converts a length, area or volume property to the given unit in place. Other properties are not
+ * changed.
+ * @param {Property} property The property.
+ * @param {Unit} defaultUnit Unit of the value if the property doesn't have its own unit.
+ * @param {Unit} targetUnit The new unit of the property.
+ */
+export function ConvertPropertyUnit (property, defaultUnit, targetUnit)
+{
+    if (!LengthDimensions.has (property.type) || targetUnit === Unit.Unknown) {
+        return;
+    }
+    let unit = (property.unit !== null && property.unit !== Unit.Unknown ? property.unit : defaultUnit);
+    if (unit === Unit.Unknown) {
+        return;
+    }
+    property.value *= Math.pow (GetUnitScale (unit, targetUnit), LengthDimensions.get (property.type));
+    property.unit = targetUnit;
+}
+
+function MeasureToString (property, settings)
+{
+    let value = property.value;
+    let symbol = null;
+    if (LengthDimensions.has (property.type)) {
+        let dimension = LengthDimensions.get (property.type);
+        let unit = (property.unit !== null && property.unit !== Unit.Unknown ? property.unit : settings.modelUnit);
+        let displayUnit = GetDisplayLengthUnit (unit, settings.unitSystem);
+        if (displayUnit !== unit) {
+            value *= Math.pow (GetUnitMeters (unit) / GetUnitMeters (displayUnit), dimension);
+        }
+        symbol = GetMeasureUnitSymbol (property.type, displayUnit);
+    } else if (property.type === PropertyType.Mass) {
+        let displayUnit = GetDisplayMassUnit (property.unit, settings.unitSystem);
+        if (displayUnit !== property.unit) {
+            value *= GetMassUnitKilograms (property.unit) / GetMassUnitKilograms (displayUnit);
+        }
+        symbol = GetMeasureUnitSymbol (property.type, displayUnit);
+    } else if (property.type === PropertyType.Angle) {
+        symbol = GetMeasureUnitSymbol (property.type, property.unit);
+        if (property.unit === AngleUnit.Degree) {
+            return NumberToString (value, null) + symbol;
+        }
+    }
+    return NumberToString (value, symbol);
+}
+
+function NumberToString (value, unit)
+{
+    let str = value.toLocaleString (undefined, {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    return AddUnit (str, unit);
+}
+
+function AddUnit (str, unit)
+{
+    if (unit === null) {
+        return str;
+    }
+    // unit symbols can come from the imported file
+    return str + ' ' + EscapeHtmlChars (unit);
+}
+
+function HasTime (date)
+{
+    return date.getHours () !== 0 || date.getMinutes () !== 0 || date.getSeconds () !== 0;
+}
+
+function DateToString (date)
+{
+    return HasTime (date) ? date.toLocaleString () : date.toLocaleDateString ();
+}
+
+/**
+ * Converts a date to an ISO 8601 string in local time, without the time part for dates at midnight.
+ * @param {Date} date The date.
+ * @returns {string}
+ */
+export function DateToIsoString (date)
+{
+    function Pad (num)
+    {
+        return num.toString ().padStart (2, '0');
+    }
+
+    let str = date.getFullYear ().toString () + '-' + Pad (date.getMonth () + 1) + '-' + Pad (date.getDate ());
+    if (HasTime (date)) {
+        str += 'T' + Pad (date.getHours ()) + ':' + Pad (date.getMinutes ()) + ':' + Pad (date.getSeconds ());
+    }
+    return str;
+}
+
+/**
+ * Parses an ISO 8601 date string. Dates without time mean the local day.
+ * @param {string} str The date string.
+ * @returns {Date} The parsed date, or null if the string is not a valid date.
+ */
+export function ParseDateString (str)
 {
+    // date only strings would be parsed as UTC, but they mean a local day
+    if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[-+]\d{2}:\d{2})?)?$/.test (str)) {
+        return null;
+    }
+    let date = new Date (str.length === 10 ? str + 'T00:00:00' : str);
+    if (isNaN (date.getTime ())) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Converts the value of a property to a displayable string.
+ * @param {Property} property The property.
+ * @param {PropertyDisplaySettings} [settings] Display settings, measures without their own unit
+ * are displayed without a unit if not specified.
+ * @returns {string}
+ */
+export function PropertyToString (property, settings)
+{
+    if (settings === undefined || settings === null) {
+        settings = new PropertyDisplaySettings ();
+    }
+
     if (property.type === PropertyType.Text) {
         return EscapeHtmlChars (property.value);
     } else if (property.type === PropertyType.Integer) {
-        return property.value.toLocaleString ();
+        return AddUnit (property.value.toLocaleString (), property.unit);
     } else if (property.type === PropertyType.Number) {
-        return property.value.toLocaleString (undefined, {
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        });
+        return NumberToString (property.value, property.unit);
     } else if (property.type === PropertyType.Boolean) {
         return property.value ? Loc ('True') : Loc ('False');
     } else if (property.type === PropertyType.Percent) {
         return parseInt (property.value * 100, 10).toString () + '%';
     } else if (property.type === PropertyType.Color) {
         return '#' + RGBColorToHexString (property.value);
+    } else if (IsMeasurePropertyType (property.type)) {
+        return MeasureToString (property, settings);
+    } else if (property.type === PropertyType.Date) {
+        return DateToString (property.value);
+    } else if (property.type === PropertyType.Url) {
+        return EscapeHtmlChars (property.value);
     }
     return null;
 }
@@ -0,0 +1,244 @@
+import { IsEqual } from '../geometry/geometry.js';
+import { RGBColorToHexString } from './color.js';
+import { DateToIsoString, IsNumericPropertyType, ParseDateString, PropertyType } from './property.js';
+
+/**
+ * Operator of a property query.
+ * @enum
+ */
+export const PropertyQueryOperator =
+{
+    /** The property value is equal to the query value. */
+    Equal : 1,
+    /** The property value is not equal to the query value. */
+    NotEqual : 2,
+    /** The numeric or date property value is less than the query value. */
+    Less : 3,
+    /** The numeric or date property value is less than or equal to the query value. */
+    LessOrEqual : 4,
+    /** The numeric or date property value is greater than the query value. */
+    Greater : 5,
+    /** The numeric or date property value is greater than or equal to the query value. */
+    GreaterOrEqual : 6,
+    /** The property value as text contains the query value. */
+    Contains : 7,
+    /** The property value as text starts with the query value. */
+    StartsWith : 8,
+    /** The property value as text ends with the query value. */
+    EndsWith : 9,
+    /** The property value as text matches the query value as a regular expression. An invalid pattern matches nothing. */
+    Matches : 10,
+    /** The property exists, the query value is not used. */
+    Exists : 11
+};
+
+function GetPropertyValueText (property)
+{
+    if (property.type === PropertyType.Text) {
+        return property.value;
+    } else if (property.type === PropertyType.Boolean) {
+        return property.value ? 'true' : 'false';
+    } else if (property.type === PropertyType.Color) {
+        return '#' + RGBColorToHexString (property.value);
+    } else if (property.type === PropertyType.Date) {
+        return DateToIsoString (property.value);
+    }
+    return property.value.toString ();
+}
+
+function GetPropertyValueNumber (property)
+{
+    if (IsNumericPropertyType (property.type)) {
+        return property.value;
+    } else if (property.type === PropertyType.Date) {
+        return property.value.getTime ();
+    }
+    return null;
+}
+
+function GetQueryValueNumber (value, propertyType)
+{
+    if (propertyType === PropertyType.Date) {
+        // dates are compared by their time stamps, date only strings mean a local day like in the importers
+        let date = null;
+        if (value instanceof Date) {
+            date = value;
+        } else if (typeof value === 'number') {
+            date = new Date (value);
+        } else if (typeof value === 'string') {
+            date = ParseDateString (value);
+        }
+        if (date === null || isNaN (date.getTime ())) {
+            return null;
+        }
+        return date.getTime ();
+    }
+    if (typeof value === 'number') {
+        return value;
+    } else if (typeof value === 'string') {
+        let number = parseFloat (value);
+        return isNaN (number) ? null : number;
+    }
+    return null;
+}
+
+function GetQueryValueText (value)
+{
+    if (value === null || value === undefined) {
+        return '';
+    } else if (typeof value === 'boolean') {
+        return value ? 'true' : 'false';
+    }
+    return value.toString ();
+}
+
+/**
+ * Condition for searching elements by their properties. All of the fields are optional: a missing
+ * group or name matches any property group or property, and without a value the query checks only
+ * that the property exists.
+ */
+export class PropertyQuery
+{
+    /**
+     * @param {object} [parameters] Parameters of the query.
+     * @param {string} [parameters.group] Name of the property group.
+     * @param {string} [parameters.name] Name of the property.
+     * @param {any} [parameters.value] Value to compare with. It can be a string, a number, a
+     * boolean, a Date, or a RegExp for the matches operator.
+     * @param {PropertyQueryOperator} [parameters.operator] Comparison operator, equal if not
+     * specified (or exists if there is no value).
+     * @param {boolean} [parameters.caseSensitive] Compare texts case sensitively, false by default.
+     */
+    constructor (parameters)
+    {
+        let params = parameters || {};
+        this.group = (params.group !== undefined ? params.group : null);
+        this.name = (params.name !== undefined ? params.name : null);
+        this.value = (params.value !== undefined ? params.value : null);
+        if (params.operator !== undefined) {
+            this.operator = params.operator;
+        } else {
+            this.operator = (this.value !== null ? PropertyQueryOperator.Equal : PropertyQueryOperator.Exists);
+        }
+        this.caseSensitive = (params.caseSensitive !== undefined ? params.caseSensitive : false);
+    }
+
+    /**
+     * Returns true if any property of the object (model, mesh or mesh instance) matches the query.
+     * @param {ModelObject3D} object The object to check.
+     * @returns {boolean}
+     */
+    IsObjectMatch (object)
+    {
+        for (let groupIndex = 0; groupIndex < object.PropertyGroupCount (); groupIndex++) {
+            let group = object.GetPropertyGroup (groupIndex);
+            if (this.group !== null && group.name !== this.group) {
+                continue;
+            }
+            for (let propertyIndex = 0; propertyIndex < group.PropertyCount (); propertyIndex++) {
+                let property = group.GetProperty (propertyIndex);
+                if (this.name !== null && property.name !== this.name) {
+                    continue;
+                }
+                if (this.IsPropertyMatch (property)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Returns true if the value of the property matches the query. The group and the name are
+     * not checked.
+     * @param {Property} property The property to check.
+     * @returns {boolean}
+     */
+    IsPropertyMatch (property)
+    {
+        if (this.operator === PropertyQueryOperator.Exists) {
+            return true;
+        } else if (this.operator === PropertyQueryOperator.Equal) {
+            return this.IsValueEqual (property);
+        } else if (this.operator === PropertyQueryOperator.NotEqual) {
+            return !this.IsValueEqual (property);
+        } else if (this.operator === PropertyQueryOperator.Less || this.operator === PropertyQueryOperator.LessOrEqual ||
+            this.operator === PropertyQueryOperator.Greater || this.operator === PropertyQueryOperator.GreaterOrEqual)
+        {
+            return this.IsValueInRange (property);
+        } else if (this.operator === PropertyQueryOperator.Matches) {
+            let regExp = this.value;
+            if (!(regExp instanceof RegExp)) {
+                // an invalid pattern doesn't match anything
+                try {
+                    regExp = new RegExp (GetQueryValueText (this.value), this.caseSensitive ? '' : 'i');
+                } catch (err) {
+                    return false;
+                }
+            }
+            // global and sticky expressions would continue from the previous match
+            regExp.lastIndex = 0;
+            return regExp.test (GetPropertyValueText (property));
+        }
+
+        let propertyText = GetPropertyValueText (property);
+        let queryText = GetQueryValueText (this.value);
+        if (!this.caseSensitive) {
+            propertyText = propertyText.toLowerCase ();
+            queryText = queryText.toLowerCase ();
+        }
+        if (this.operator === PropertyQueryOperator.Contains) {
+            return propertyText.indexOf (queryText) !== -1;
+        } else if (this.operator === PropertyQueryOperator.StartsWith) {
+            return propertyText.startsWith (queryText);
+        } else if (this.operator === PropertyQueryOperator.EndsWith) {
+            return propertyText.endsWith (queryText);
+        }
+        return false;
+    }
+
+    IsValueEqual (property)
+    {
+        let propertyNumber = GetPropertyValueNumber (property);
+        if (propertyNumber !== null) {
+            let queryNumber = GetQueryValueNumber (this.value, property.type);
+            return queryNumber !== null && IsEqual (propertyNumber, queryNumber);
+        } else if (property.type === PropertyType.Boolean) {
+            if (typeof this.value === 'boolean') {
+                return property.value === this.value;
+            }
+            return GetPropertyValueText (property) === GetQueryValueText (this.value).toLowerCase ();
+        }
+        let propertyText = GetPropertyValueText (property);
+        let queryText = GetQueryValueText (this.value);
+        if (property.type === PropertyType.Color && !queryText.startsWith ('#')) {
+            queryText = '#' + queryText;
+        }
+        if (!this.caseSensitive || property.type === PropertyType.Color) {
+            return propertyText.toLowerCase () === queryText.toLowerCase ();
+        }
+        return propertyText === queryText;
+    }
+
+    IsValueInRange (property)
+    {
+        let propertyNumber = GetPropertyValueNumber (property);
+        if (propertyNumber === null) {
+            return false;
+        }
+        let queryNumber = GetQueryValueNumber (this.value, property.type);
+        if (queryNumber === null) {
+            return false;
+        }
+        if (this.operator === PropertyQueryOperator.Less) {
+            return propertyNumber < queryNumber && !IsEqual (propertyNumber, queryNumber);
+        } else if (this.operator === PropertyQueryOperator.LessOrEqual) {
+            return propertyNumber < queryNumber || IsEqual (propertyNumber, queryNumber);
+        } else if (this.operator === PropertyQueryOperator.Greater) {
+            return propertyNumber > queryNumber && !IsEqual (propertyNumber, queryNumber);
+        } else if (this.operator === PropertyQueryOperator.GreaterOrEqual) {
+            return propertyNumber > queryNumber || IsEqual (propertyNumber, queryNumber);
+        }
+        return false;
+    }
+}
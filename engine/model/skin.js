@@ -0,0 +1,92 @@
+/**
+ * Skeleton of a skinned mesh. The joints are nodes of the model, every joint has an inverse bind
+ * matrix that transforms from the space of the mesh to the space of the joint in bind pose.
+ */
+export class Skin
+{
+    constructor (name)
+    {
+        this.name = name;
+        this.joints = [];
+        this.inverseBindMatrices = [];
+    }
+
+    GetName ()
+    {
+        return this.name;
+    }
+
+    SetName (name)
+    {
+        this.name = name;
+    }
+
+    /**
+     * Adds a joint to the skin.
+     * @param {number} nodeId Id of the joint node.
+     * @param {Matrix} inverseBindMatrix The inverse bind matrix of the joint.
+     * @returns {number} The index of the joint in the skin.
+     */
+    AddJoint (nodeId, inverseBindMatrix)
+    {
+        this.joints.push (nodeId);
+        this.inverseBindMatrices.push (inverseBindMatrix);
+        return this.joints.length - 1;
+    }
+
+    JointCount ()
+    {
+        return this.joints.length;
+    }
+
+    GetJointNodeId (index)
+    {
+        return this.joints[index];
+    }
+
+    SetJointNodeId (index, nodeId)
+    {
+        this.joints[index] = nodeId;
+    }
+
+    GetInverseBindMatrix (index)
+    {
+        return this.inverseBindMatrices[index];
+    }
+
+    SetInverseBindMatrix (index, matrix)
+    {
+        this.inverseBindMatrices[index] = matrix;
+    }
+
+    Clone ()
+    {
+        let cloned = new Skin (this.name);
+        for (let i = 0; i < this.joints.length; i++) {
+            cloned.AddJoint (this.joints[i], this.inverseBindMatrices[i].Clone ());
+        }
+        return cloned;
+    }
+}
+
+/**
+ * Joint influences of a vertex. Joint indices refer to the joints of the skin of the node that
+ * contains the mesh.
+ */
+export class VertexSkinWeight
+{
+    /**
+     * @param {number[]} joints Indices of the influencing joints (four values).
+     * @param {number[]} weights Weights of the influencing joints (four values).
+     */
+    constructor (joints, weights)
+    {
+        this.joints = joints;
+        this.weights = weights;
+    }
+
+    Clone ()
+    {
+        return new VertexSkinWeight (this.joints.slice (), this.weights.slice ());
+    }
+}
@@ -5,5 +5,120 @@ export const Unit =
     Centimeter : 2,
     Meter : 3,
     Inch : 4,
-    Foot : 5
+    Foot : 5,
+    Micrometer : 6,
+    Kilometer : 7,
+    Yard : 8,
+    Mile : 9
 };
+
+export const MassUnit =
+{
+    Unknown : 0,
+    Gram : 1,
+    Kilogram : 2,
+    Tonne : 3,
+    Pound : 4
+};
+
+export const AngleUnit =
+{
+    Unknown : 0,
+    Radian : 1,
+    Degree : 2
+};
+
+/**
+ * Unit system used to display measures.
+ * @enum
+ */
+export const UnitSystem =
+{
+    /** Measures are displayed in their own unit. */
+    Original : 1,
+    /** Imperial measures are converted to metric units. */
+    Metric : 2,
+    /** Metric measures are converted to imperial units. */
+    Imperial : 3
+};
+
+const UnitInfos = new Map ([
+    [Unit.Micrometer, { symbol : '\u00b5m', meters : 0.000001, metric : true }],
+    [Unit.Millimeter, { symbol : 'mm', meters : 0.001, metric : true }],
+    [Unit.Centimeter, { symbol : 'cm', meters : 0.01, metric : true }],
+    [Unit.Meter, { symbol : 'm', meters : 1.0, metric : true }],
+    [Unit.Kilometer, { symbol : 'km', meters : 1000.0, metric : true }],
+    [Unit.Inch, { symbol : 'in', meters : 0.0254, metric : false }],
+    [Unit.Foot, { symbol : 'ft', meters : 0.3048, metric : false }],
+    [Unit.Yard, { symbol : 'yd', meters : 0.9144, metric : false }],
+    [Unit.Mile, { symbol : 'mi', meters : 1609.344, metric : false }]
+]);
+
+const MassUnitInfos = new Map ([
+    [MassUnit.Gram, { symbol : 'g', kilograms : 0.001, metric : true }],
+    [MassUnit.Kilogram, { symbol : 'kg', kilograms : 1.0, metric : true }],
+    [MassUnit.Tonne, { symbol : 't', kilograms : 1000.0, metric : true }],
+    [MassUnit.Pound, { symbol : 'lb', kilograms : 0.45359237, metric : false }]
+]);
+
+const AngleUnitInfos = new Map ([
+    [AngleUnit.Radian, { symbol : 'rad', radians : 1.0 }],
+    [AngleUnit.Degree, { symbol : '\u00b0', radians : Math.PI / 180.0 }]
+]);
+
+export function GetUnitSymbol (unit)
+{
+    return UnitInfos.has (unit) ? UnitInfos.get (unit).symbol : null;
+}
+
+export function GetUnitMeters (unit)
+{
+    return UnitInfos.has (unit) ? UnitInfos.get (unit).meters : null;
+}
+
+/**
+ * Returns the multiplier that converts values from one length unit to another, or 1.0 if any of
+ * the units is unknown.
+ * @param {Unit} fromUnit Source unit.
+ * @param {Unit} toUnit Target unit.
+ * @returns {number}
+ */
+export function GetUnitScale (fromUnit, toUnit)
+{
+    let fromMeters = GetUnitMeters (fromUnit);
+    let toMeters = GetUnitMeters (toUnit);
+    if (fromMeters === null || toMeters === null) {
+        return 1.0;
+    }
+    return fromMeters / toMeters;
+}
+
+export function IsMetricUnit (unit)
+{
+    return UnitInfos.has (unit) && UnitInfos.get (unit).metric;
+}
+
+export function GetMassUnitSymbol (massUnit)
+{
+    return MassUnitInfos.has (massUnit) ? MassUnitInfos.get (massUnit).symbol : null;
+}
+
+export function GetMassUnitKilograms (massUnit)
+{
+    return MassUnitInfos.has (massUnit) ? MassUnitInfos.get (massUnit).kilograms : null;
+}
+
+export function IsMetricMassUnit (massUnit)
+{
+    return MassUnitInfos.has (massUnit) && MassUnitInfos.get (massUnit).metric;
+}
+
+export function GetAngleUnitSymbol (angleUnit)
+{
+    return AngleUnitInfos.has (angleUnit) ? AngleUnitInfos.get (angleUnit).symbol : null;
+}
+
+export function GetAngleUnitRadians (angleUnit)
+{
+    return AngleUnitInfos.has (angleUnit) ? AngleUnitInfos.get (angleUnit).radians : null;
+}
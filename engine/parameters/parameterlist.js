@@ -2,6 +2,8 @@ import { Coord3D } from '../geometry/coord3d.js';
 import { RGBAColor, RGBColor } from '../model/color.js';
 import { Camera, ProjectionMode } from '../viewer/camera.js';
 import { EdgeSettings } from '../viewer/viewermodel.js';
+import { MaxSectionPlaneCount, SectionBox, SectionMode, SectionPlane, SectionState } from '../viewer/sectioning.js';
+import { TessellationQuality, TessellationSettings } from '../import/tessellation.js';
 
 export let ParameterConverter =
 {
@@ -222,6 +224,121 @@ export let ParameterConverter =
             this.StringToInteger (paramParts[4])
         );
         return edgeSettings;
+    },
+
+    TessellationSettingsToString : function (tessellationSettings)
+    {
+        if (tessellationSettings === null) {
+            return null;
+        }
+        let qualityNames = {
+            [TessellationQuality.Coarse] : 'coarse',
+            [TessellationQuality.Normal] : 'normal',
+            [TessellationQuality.Fine] : 'fine'
+        };
+        let tessellationParameters = [qualityNames[tessellationSettings.quality]];
+        if (tessellationSettings.linearDeflection !== null || tessellationSettings.angularDeflection !== null) {
+            tessellationParameters.push (
+                this.NumberToString (tessellationSettings.GetLinearDeflection ()),
+                this.NumberToString (tessellationSettings.GetAngularDeflection ())
+            );
+        }
+        return tessellationParameters.join (',');
+    },
+
+    StringToTessellationSettings : function (str)
+    {
+        if (str === null || str.length === 0) {
+            return null;
+        }
+        let paramParts = str.split (',');
+        if (paramParts.length !== 1 && paramParts.length !== 3) {
+            return null;
+        }
+        let qualities = {
+            coarse : TessellationQuality.Coarse,
+            normal : TessellationQuality.Normal,
+            fine : TessellationQuality.Fine
+        };
+        if (qualities[paramParts[0]] === undefined) {
+            return null;
+        }
+        let tessellationSettings = new TessellationSettings (qualities[paramParts[0]]);
+        if (paramParts.length === 3) {
+            let linearDeflection = this.StringToNumber (paramParts[1]);
+            let angularDeflection = this.StringToNumber (paramParts[2]);
+            if (isNaN (linearDeflection) || isNaN (angularDeflection) || linearDeflection <= 0.0 || angularDeflection <= 0.0) {
+                return null;
+            }
+            tessellationSettings.linearDeflection = linearDeflection;
+            tessellationSettings.angularDeflection = angularDeflection;
+        }
+        return tessellationSettings;
+    },
+
+    SectionStateToString : function (sectionState)
+    {
+        if (sectionState === null) {
+            return null;
+        }
+        let CoordToString = (coord) => {
+            return [this.NumberToString (coord.x), this.NumberToString (coord.y), this.NumberToString (coord.z)].join (',');
+        };
+        let showCaps = sectionState.showCaps ? 'on' : 'off';
+        if (sectionState.mode === SectionMode.Planes) {
+            let sectionParameters = ['planes', showCaps];
+            for (let plane of sectionState.planes) {
+                sectionParameters.push (CoordToString (plane.origin), CoordToString (plane.normal));
+            }
+            return sectionParameters.join (',');
+        } else if (sectionState.mode === SectionMode.Box) {
+            return ['box', showCaps, CoordToString (sectionState.box.min), CoordToString (sectionState.box.max)].join (',');
+        }
+        return ['none', showCaps].join (',');
+    },
+
+    StringToSectionState : function (str)
+    {
+        if (str === null || str.length === 0) {
+            return null;
+        }
+        let paramParts = str.split (',');
+        if (paramParts.length < 2) {
+            return null;
+        }
+        let StringsToCoord = (index) => {
+            return new Coord3D (
+                this.StringToNumber (paramParts[index]),
+                this.StringToNumber (paramParts[index + 1]),
+                this.StringToNumber (paramParts[index + 2])
+            );
+        };
+        for (let i = 2; i < paramParts.length; i++) {
+            if (isNaN (this.StringToNumber (paramParts[i]))) {
+                return null;
+            }
+        }
+        let showCaps = paramParts[1] === 'on' ? true : false;
+        let coordCount = paramParts.length - 2;
+        if (paramParts[0] === 'planes') {
+            if (coordCount === 0 || coordCount % 6 !== 0 || coordCount / 6 > MaxSectionPlaneCount) {
+                return null;
+            }
+            let planes = [];
+            for (let i = 2; i < paramParts.length; i += 6) {
+                planes.push (new SectionPlane (StringsToCoord (i), StringsToCoord (i + 3)));
+            }
+            return new SectionState (SectionMode.Planes, planes, null, showCaps);
+        } else if (paramParts[0] === 'box') {
+            if (coordCount !== 6) {
+                return null;
+            }
+            let box = new SectionBox (StringsToCoord (2), StringsToCoord (5));
+            return new SectionState (SectionMode.Box, [], box, showCaps);
+        } else if (paramParts[0] === 'none') {
+            return new SectionState (SectionMode.None, [], null, showCaps);
+        }
+        return null;
     }
 };
 
@@ -281,6 +398,18 @@ export class ParameterListBuilder
         return this;
     }
 
+    AddTessellationSettings (tessellationSettings)
+    {
+        this.AddUrlPart ('tessellation', ParameterConverter.TessellationSettingsToString (tessellationSettings));
+        return this;
+    }
+
+    AddSectionState (sectionState)
+    {
+        this.AddUrlPart ('section', ParameterConverter.SectionStateToString (sectionState));
+        return this;
+    }
+
     AddUrlPart (keyword, urlPart)
     {
         if (keyword === null || urlPart === null) {
@@ -362,6 +491,18 @@ export class ParameterListParser
         return ParameterConverter.StringToEdgeSettings (edgeSettingsParams);
     }
 
+    GetTessellationSettings ()
+    {
+        let tessellationParams = this.GetKeywordParams ('tessellation');
+        return ParameterConverter.StringToTessellationSettings (tessellationParams);
+    }
+
+    GetSectionState ()
+    {
+        let sectionParams = this.GetKeywordParams ('section');
+        return ParameterConverter.StringToSectionState (sectionParams);
+    }
+
     GetKeywordParams (keyword)
     {
         if (this.paramList === null || this.paramList.length === 0) {
@@ -0,0 +1,205 @@
+/**
+ * Phase of a model load.
+ * @enum
+ */
+export const ModelLoadPhase =
+{
+    /** Model files are downloaded or read from the disk. */
+    Download : 1,
+    /** Archives are decompressed. */
+    Decompress : 2,
+    /** The main file is imported. */
+    Import : 3,
+    /** The imported model is converted to three.js objects. */
+    Visualize : 4,
+    /** Textures of the model are loaded. */
+    Textures : 5
+};
+
+const PhaseRatioRanges = new Map ([
+    [ModelLoadPhase.Download, [0.0, 0.6]],
+    [ModelLoadPhase.Decompress, [0.6, 0.65]],
+    [ModelLoadPhase.Import, [0.65, 0.85]],
+    [ModelLoadPhase.Visualize, [0.85, 0.9]],
+    [ModelLoadPhase.Textures, [0.9, 1.0]]
+]);
+
+/**
+ * Load progress of a single file.
+ */
+export class FileLoadProgress
+{
+    /**
+     * @param {string} name Name of the file.
+     */
+    constructor (name)
+    {
+        this.name = name;
+        this.loadedBytes = 0;
+        this.totalBytes = null;
+        this.finished = false;
+    }
+
+    /**
+     * Returns the ratio of the loaded bytes between 0.0 and 1.0, or null if the size of the file
+     * is not known.
+     * @returns {number}
+     */
+    GetRatio ()
+    {
+        if (this.finished) {
+            return 1.0;
+        }
+        if (this.totalBytes === null || this.totalBytes === 0) {
+            return null;
+        }
+        return Math.min (this.loadedBytes / this.totalBytes, 1.0);
+    }
+
+    Finish ()
+    {
+        if (this.totalBytes === null) {
+            this.totalBytes = this.loadedBytes;
+        } else {
+            this.loadedBytes = this.totalBytes;
+        }
+        this.finished = true;
+    }
+}
+
+/**
+ * Progress of a model load. An instance is passed to the onProgress callback of
+ * {@link ThreeModelLoader}, it is updated during the whole load.
+ */
+export class ModelLoadProgress
+{
+    constructor ()
+    {
+        this.phase = ModelLoadPhase.Download;
+        this.files = [];
+        this.currentFileIndex = null;
+        this.texturesLoaded = 0;
+        this.texturesNeeded = 0;
+    }
+
+    /**
+     * Returns the number of loaded bytes of all files.
+     * @returns {number}
+     */
+    GetLoadedBytes ()
+    {
+        let loadedBytes = 0;
+        for (let file of this.files) {
+            loadedBytes += file.loadedBytes;
+        }
+        return loadedBytes;
+    }
+
+    /**
+     * Returns the number of bytes of all files, or null if the size of any of them is not known yet.
+     * @returns {number}
+     */
+    GetTotalBytes ()
+    {
+        let totalBytes = 0;
+        for (let file of this.files) {
+            if (file.totalBytes === null) {
+                return null;
+            }
+            totalBytes += file.totalBytes;
+        }
+        return totalBytes;
+    }
+
+    /**
+     * Returns the ratio of the downloaded data between 0.0 and 1.0. If the size of some files is not
+     * known, it is estimated based on the number of files.
+     * @returns {number}
+     */
+    GetDownloadRatio ()
+    {
+        if (this.phase !== ModelLoadPhase.Download) {
+            return 1.0;
+        }
+        if (this.files.length === 0) {
+            return 0.0;
+        }
+        let totalBytes = this.GetTotalBytes ();
+        if (totalBytes !== null && totalBytes > 0) {
+            return Math.min (this.GetLoadedBytes () / totalBytes, 1.0);
+        }
+        let ratio = 0.0;
+        for (let file of this.files) {
+            let fileRatio = file.GetRatio ();
+            if (fileRatio !== null) {
+                ratio += fileRatio;
+            }
+        }
+        return ratio / this.files.length;
+    }
+
+    /**
+     * Returns an estimation of the overall progress between 0.0 and 1.0.
+     * @returns {number}
+     */
+    GetRatio ()
+    {
+        let range = PhaseRatioRanges.get (this.phase);
+        let phaseRatio = 0.0;
+        if (this.phase === ModelLoadPhase.Download) {
+            phaseRatio = this.GetDownloadRatio ();
+        } else if (this.phase === ModelLoadPhase.Textures && this.texturesNeeded > 0) {
+            phaseRatio = this.texturesLoaded / this.texturesNeeded;
+        }
+        return range[0] + (range[1] - range[0]) * phaseRatio;
+    }
+
+    SetPhase (phase)
+    {
+        if (this.phase === ModelLoadPhase.Download) {
+            for (let file of this.files) {
+                file.Finish ();
+            }
+            this.currentFileIndex = null;
+        }
+        this.phase = phase;
+    }
+
+    SetFiles (fileNames)
+    {
+        this.files = fileNames.map ((fileName) => {
+            return new FileLoadProgress (fileName);
+        });
+    }
+
+    StartFile (fileIndex, contentSize)
+    {
+        if (this.currentFileIndex !== null) {
+            this.files[this.currentFileIndex].Finish ();
+        }
+        this.currentFileIndex = fileIndex;
+        if (contentSize !== null) {
+            let file = this.files[fileIndex];
+            file.totalBytes = contentSize;
+            file.Finish ();
+        }
+    }
+
+    UpdateFile (loadedBytes, totalBytes)
+    {
+        if (this.currentFileIndex === null) {
+            return;
+        }
+        let file = this.files[this.currentFileIndex];
+        file.loadedBytes = loadedBytes;
+        if (totalBytes > 0) {
+            file.totalBytes = totalBytes;
+        }
+    }
+
+    UpdateTextures (texturesLoaded, texturesNeeded)
+    {
+        this.texturesLoaded = texturesLoaded;
+        this.texturesNeeded = texturesNeeded;
+    }
+}
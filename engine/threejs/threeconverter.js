@@ -1,6 +1,7 @@
 import { RunTasksBatch } from '../core/taskrunner.js';
 import { IsEqual } from '../geometry/geometry.js';
 import { CreateObjectUrl, CreateObjectUrlWithMimeType } from '../io/bufferutils.js';
+import { AnimationInterpolation, AnimationPath } from '../model/animation.js';
 import { MaterialSource, MaterialType } from '../model/material.js';
 import { MeshInstance, MeshInstanceId } from '../model/meshinstance.js';
 import { IsEmptyMesh } from '../model/meshutils.js';
@@ -10,7 +11,8 @@ import * as THREE from 'https://cdn.jsdelivr.net/npm/three@0.132.0/build/three.m
 export const MaterialGeometryType =
 {
 	Line : 1,
-	Face : 2
+	Face : 2,
+	Point : 3
 };
 
 export class ModelToThreeConversionParams
@@ -18,6 +20,8 @@ export class ModelToThreeConversionParams
 	constructor ()
 	{
 		this.forceMediumpForMaterials = false;
+		this.pointSize = 2.0;
+		this.meshInstanceFilter = null;
 	}
 }
 
@@ -48,7 +52,7 @@ export class ThreeConversionStateHandler
 	OnTextureLoaded ()
 	{
 		this.texturesLoaded += 1;
-		this.callbacks.onTextureLoaded ();
+		this.callbacks.onTextureLoaded (this.texturesLoaded, this.texturesNeeded);
 		this.Finish ();
 	}
 
@@ -80,6 +84,7 @@ export class ThreeNodeTree
 		let matrix = node.GetTransformation ().GetMatrix ();
 		let threeMatrix = new THREE.Matrix4 ().fromArray (matrix.Get ());
 		threeNode.applyMatrix4 (threeMatrix);
+		threeNode.userData.originalNodeId = node.GetId ();
 
 		for (let childNode of node.GetChildNodes ()) {
 			let threeChildNode = new THREE.Object3D ();
@@ -114,6 +119,7 @@ export class ThreeMaterialHandler
 		this.shadingType = GetShadingType (model);
 		this.modelToThreeLineMaterial = new Map ();
 		this.modelToThreeMaterial = new Map ();
+		this.modelToThreePointMaterial = new Map ();
 	}
 
 	GetThreeMaterial (modelMaterialIndex, geometryType)
@@ -130,6 +136,12 @@ export class ThreeMaterialHandler
 				this.modelToThreeLineMaterial.set (modelMaterialIndex, threeMaterial);
 			}
 			return this.modelToThreeLineMaterial.get (modelMaterialIndex);
+		} else if (geometryType === MaterialGeometryType.Point) {
+			if (!this.modelToThreePointMaterial.has (modelMaterialIndex)) {
+				let threeMaterial = this.CreateThreePointMaterial (modelMaterialIndex);
+				this.modelToThreePointMaterial.set (modelMaterialIndex, threeMaterial);
+			}
+			return this.modelToThreePointMaterial.get (modelMaterialIndex);
 		} else {
 			return null;
 		}
@@ -156,6 +168,10 @@ export class ThreeMaterialHandler
 			materialParams.precision = 'mediump';
 		}
 
+		if (material.type === MaterialType.Physical && material.unlit) {
+			return this.CreateThreeUnlitMaterial (material, materialParams);
+		}
+
 		let threeMaterial = null;
 		if (this.shadingType === ShadingType.Phong) {
 			threeMaterial = new THREE.MeshPhongMaterial (materialParams);
@@ -171,7 +187,12 @@ export class ThreeMaterialHandler
 				});
 			}
 		} else if (this.shadingType === ShadingType.Physical) {
-			threeMaterial = new THREE.MeshStandardMaterial (materialParams);
+			if (material.type === MaterialType.Physical && material.HasAdvancedParameters ()) {
+				threeMaterial = new THREE.MeshPhysicalMaterial (materialParams);
+				this.SetThreePhysicalParameters (threeMaterial, material);
+			} else {
+				threeMaterial = new THREE.MeshStandardMaterial (materialParams);
+			}
 			if (material.type === MaterialType.Physical) {
 				threeMaterial.metalness = material.metalness;
 				threeMaterial.roughness = material.roughness;
@@ -186,6 +207,9 @@ export class ThreeMaterialHandler
 
 		let emissiveColor = ConvertColorToThreeColor (material.emissive);
 		threeMaterial.emissive = emissiveColor;
+		if (material.type === MaterialType.Physical) {
+			threeMaterial.emissiveIntensity = material.emissiveStrength;
+		}
 
 		this.LoadFaceTexture (threeMaterial, material.diffuseMap, (threeTexture) => {
 			if (!material.multiplyDiffuseMap) {
@@ -211,6 +235,58 @@ export class ThreeMaterialHandler
 		return threeMaterial;
 	}
 
+	CreateThreeUnlitMaterial (material, materialParams)
+	{
+		let threeMaterial = new THREE.MeshBasicMaterial (materialParams);
+		this.LoadFaceTexture (threeMaterial, material.diffuseMap, (threeTexture) => {
+			if (!material.multiplyDiffuseMap) {
+				threeMaterial.color.setRGB (1.0, 1.0, 1.0);
+			}
+			threeMaterial.map = threeTexture;
+		});
+		return threeMaterial;
+	}
+
+	SetThreePhysicalParameters (threeMaterial, material)
+	{
+		threeMaterial.ior = material.ior;
+
+		threeMaterial.transmission = material.transmission;
+		this.LoadFaceTexture (threeMaterial, material.transmissionMap, (threeTexture) => {
+			threeMaterial.transmissionMap = threeTexture;
+		});
+
+		threeMaterial.clearcoat = material.clearcoat;
+		threeMaterial.clearcoatRoughness = material.clearcoatRoughness;
+		this.LoadFaceTexture (threeMaterial, material.clearcoatMap, (threeTexture) => {
+			threeMaterial.clearcoatMap = threeTexture;
+		});
+		this.LoadFaceTexture (threeMaterial, material.clearcoatRoughnessMap, (threeTexture) => {
+			threeMaterial.clearcoatRoughnessMap = threeTexture;
+		});
+		this.LoadFaceTexture (threeMaterial, material.clearcoatNormalMap, (threeTexture) => {
+			threeMaterial.clearcoatNormalMap = threeTexture;
+		});
+
+		let sheenColor = ConvertColorToThreeColor (material.sheenColor);
+		threeMaterial.sheen = (sheenColor.getHex () !== 0 || material.sheenColorMap !== null ? 1.0 : 0.0);
+		threeMaterial.sheenColor = sheenColor;
+		threeMaterial.sheenRoughness = material.sheenRoughness;
+		this.LoadFaceTexture (threeMaterial, material.sheenColorMap, (threeTexture) => {
+			threeMaterial.sheenColorMap = threeTexture;
+		});
+		this.LoadFaceTexture (threeMaterial, material.sheenRoughnessMap, (threeTexture) => {
+			threeMaterial.sheenRoughnessMap = threeTexture;
+		});
+
+		threeMaterial.thickness = material.thickness;
+		threeMaterial.attenuationDistance = material.attenuationDistance;
+		threeMaterial.attenuationColor = ConvertColorToThreeColor (material.attenuationColor);
+		this.LoadFaceTexture (threeMaterial, material.thicknessMap, (threeTexture) => {
+			threeMaterial.thicknessMap = threeTexture;
+		});
+	}
+
 	CreateThreeLineMaterial (materialIndex)
 	{
 		let material = this.model.GetMaterial (materialIndex);
@@ -233,6 +309,36 @@ export class ThreeMaterialHandler
 		return threeMaterial;
 	}
 
+	CreateThreePointMaterial (materialIndex)
+	{
+		let material = this.model.GetMaterial (materialIndex);
+		let baseColor = ConvertColorToThreeColor (material.color);
+		if (material.vertexColors) {
+			baseColor.setRGB (1.0, 1.0, 1.0);
+		}
+
+		let materialParams = {
+			color : baseColor,
+			vertexColors : material.vertexColors,
+			opacity : material.opacity,
+			transparent : material.transparent,
+			size : this.conversionParams.pointSize,
+			sizeAttenuation : false
+		};
+
+		if (this.conversionParams.forceMediumpForMaterials) {
+			materialParams.precision = 'mediump';
+		}
+
+		let threeMaterial = new THREE.PointsMaterial (materialParams);
+		if (material.source !== MaterialSource.Model) {
+			threeMaterial.userData.source = material.source;
+			this.conversionOutput.defaultMaterials.push (threeMaterial);
+		}
+
+		return threeMaterial;
+	}
+
 	LoadFaceTexture (threeMaterial, texture, onTextureLoaded)
 	{
 		function SetTextureParameters (texture, threeTexture)
@@ -286,6 +392,8 @@ export class ThreeMeshMaterialHandler
 			this.itemVertexCount = 3;
 		} else if (geometryType === MaterialGeometryType.Line) {
 			this.itemVertexCount = 2;
+		} else if (geometryType === MaterialGeometryType.Point) {
+			this.itemVertexCount = 1;
 		}
 
 		this.meshThreeMaterials = [];
@@ -323,8 +431,123 @@ export class ThreeMeshMaterialHandler
 	}
 }
 
+/**
+ * Converts the animations of the model to three.js animation clips. The tracks are bound to the
+ * objects of the converted node hierarchy by uuid. Cubic splines are converted to linear
+ * interpolation between the keyframe values.
+ * @param {Model} model The model.
+ * @param {THREE.Object3D} threeRootNode The converted object of the model.
+ * @returns {THREE.AnimationClip[]}
+ */
+export function ConvertModelAnimationsToThreeClips (model, threeRootNode)
+{
+	function GetKeyframeValues (track)
+	{
+		if (track.interpolation !== AnimationInterpolation.CubicSpline) {
+			return track.values;
+		}
+		let valueSize = track.GetValueSize ();
+		let values = [];
+		for (let i = 0; i < track.KeyframeCount (); i++) {
+			let valueStart = (i * 3 + 1) * valueSize;
+			for (let j = 0; j < valueSize; j++) {
+				values.push (track.values[valueStart + j]);
+			}
+		}
+		return values;
+	}
+
+	function CreateThreeTrack (track, threeNode)
+	{
+		let values = GetKeyframeValues (track);
+		let interpolation = (track.interpolation === AnimationInterpolation.Step ? THREE.InterpolateDiscrete : THREE.InterpolateLinear);
+		if (track.path === AnimationPath.Translation) {
+			return new THREE.VectorKeyframeTrack (threeNode.uuid + '.position', track.times, values, interpolation);
+		} else if (track.path === AnimationPath.Rotation) {
+			return new THREE.QuaternionKeyframeTrack (threeNode.uuid + '.quaternion', track.times, values, interpolation);
+		} else if (track.path === AnimationPath.Scale) {
+			return new THREE.VectorKeyframeTrack (threeNode.uuid + '.scale', track.times, values, interpolation);
+		} else if (track.path === AnimationPath.Weights) {
+			return new THREE.NumberKeyframeTrack (threeNode.uuid + '.morphTargetInfluences', track.times, values, interpolation);
+		}
+		return null;
+	}
+
+	let nodeIdToThreeNode = new Map ();
+	threeRootNode.traverse ((threeObject) => {
+		if (threeObject.userData.originalNodeId !== undefined) {
+			nodeIdToThreeNode.set (threeObject.userData.originalNodeId, threeObject);
+		}
+	});
+
+	let threeClips = [];
+	for (let i = 0; i < model.AnimationCount (); i++) {
+		let animation = model.GetAnimation (i);
+		let threeTracks = [];
+		for (let j = 0; j < animation.TrackCount (); j++) {
+			let track = animation.GetTrack (j);
+			let threeNode = nodeIdToThreeNode.get (track.nodeId);
+			if (threeNode === undefined || track.KeyframeCount () === 0) {
+				continue;
+			}
+			if (track.path === AnimationPath.Weights) {
+				// Weights belong to the meshes of the node, not to the node object itself
+				for (let threeChild of threeNode.children) {
+					if (threeChild.isMesh && threeChild.morphTargetInfluences !== undefined) {
+						threeTracks.push (CreateThreeTrack (track, threeChild));
+					}
+				}
+			} else {
+				threeTracks.push (CreateThreeTrack (track, threeNode));
+			}
+		}
+		threeClips.push (new THREE.AnimationClip (animation.GetName (), animation.GetDuration (), threeTracks));
+	}
+	return threeClips;
+}
+
+function BindThreeSkinnedMeshes (model, threeRootNode)
+{
+	let nodeIdToThreeNode = new Map ();
+	let threeSkinnedMeshes = [];
+	threeRootNode.traverse ((threeObject) => {
+		if (threeObject.userData.originalNodeId !== undefined) {
+			nodeIdToThreeNode.set (threeObject.userData.originalNodeId, threeObject);
+		}
+		if (threeObject.isSkinnedMesh) {
+			threeSkinnedMeshes.push (threeObject);
+		}
+	});
+	if (threeSkinnedMeshes.length === 0) {
+		return;
+	}
+
+	threeRootNode.updateMatrixWorld (true);
+	for (let threeSkinnedMesh of threeSkinnedMeshes) {
+		let node = threeSkinnedMesh.userData.originalMeshInstance.node;
+		let skin = model.GetSkin (node.GetSkinIndex ());
+		let bones = [];
+		let boneInverses = [];
+		for (let i = 0; i < skin.JointCount (); i++) {
+			bones.push (nodeIdToThreeNode.get (skin.GetJointNodeId (i)));
+			boneInverses.push (new THREE.Matrix4 ().fromArray (skin.GetInverseBindMatrix (i).Get ()));
+		}
+		threeSkinnedMesh.bind (new THREE.Skeleton (bones, boneInverses), threeSkinnedMesh.matrixWorld);
+	}
+}
+
 export function ConvertModelToThreeObject (model, conversionParams, conversionOutput, callbacks)
 {
+	function PushMorphDisplacement (threeValues, displacements, index)
+	{
+		if (index < displacements.length) {
+			let displacement = displacements[index];
+			threeValues.push (displacement.x, displacement.y, displacement.z);
+		} else {
+			threeValues.push (0.0, 0.0, 0.0);
+		}
+	}
+
 	function CreateThreeTriangleMesh (meshInstance, materialHandler)
 	{
 		let mesh = meshInstance.mesh;
@@ -343,6 +566,9 @@ export function ConvertModelToThreeObject (model, conversionParams, conversionOu
 			return aTriangle.mat - bTriangle.mat;
 		});
 
+		let isSkinned = (meshInstance.node.GetSkinIndex () !== null && mesh.HasSkinWeights ());
+		let morphTargetCount = mesh.MorphTargetCount ();
+
 		let threeGeometry = new THREE.BufferGeometry ();
 		let meshMaterialHandler = new ThreeMeshMaterialHandler (threeGeometry, MaterialGeometryType.Face, materialHandler);
 
@@ -350,6 +576,14 @@ export function ConvertModelToThreeObject (model, conversionParams, conversionOu
 		let vertexColors = [];
 		let normals = [];
 		let uvs = [];
+		let skinIndices = [];
+		let skinWeights = [];
+		let morphVertices = [];
+		let morphNormals = [];
+		for (let i = 0; i < morphTargetCount; i++) {
+			morphVertices.push ([]);
+			morphNormals.push ([]);
+		}
 
 		let meshHasVertexColors = (mesh.VertexColorCount () > 0);
 		let meshHasUVs = (mesh.TextureUVCount () > 0);
@@ -393,6 +627,24 @@ export function ConvertModelToThreeObject (model, conversionParams, conversionOu
 				uvs.push (0.0, 0.0, 0.0, 0.0, 0.0, 0.0);
 			}
 
+			if (isSkinned) {
+				for (let vertexIndex of [triangle.v0, triangle.v1, triangle.v2]) {
+					let skinWeight = mesh.GetSkinWeight (vertexIndex);
+					skinIndices.push (...skinWeight.joints);
+					skinWeights.push (...skinWeight.weights);
+				}
+			}
+
+			for (let i = 0; i < morphTargetCount; i++) {
+				let morphTarget = mesh.GetMorphTarget (i);
+				for (let vertexIndex of [triangle.v0, triangle.v1, triangle.v2]) {
+					PushMorphDisplacement (morphVertices[i], morphTarget.vertices, vertexIndex);
+				}
+				for (let normalIndex of [triangle.n0, triangle.n1, triangle.n2]) {
+					PushMorphDisplacement (morphNormals[i], morphTarget.normals, normalIndex);
+				}
+			}
+
 			meshMaterialHandler.ProcessItem (processedTriangleCount, triangle.mat);
 			processedTriangleCount += 1;
 		}
@@ -406,8 +658,34 @@ export function ConvertModelToThreeObject (model, conversionParams, conversionOu
 		if (uvs.length !== 0) {
 			threeGeometry.setAttribute ('uv', new THREE.Float32BufferAttribute (uvs, 2));
 		}
+		if (isSkinned) {
+			threeGeometry.setAttribute ('skinIndex', new THREE.Uint16BufferAttribute (skinIndices, 4));
+			threeGeometry.setAttribute ('skinWeight', new THREE.Float32BufferAttribute (skinWeights, 4));
+		}
+		if (morphTargetCount > 0) {
+			threeGeometry.morphAttributes.position = [];
+			threeGeometry.morphAttributes.normal = [];
+			for (let i = 0; i < morphTargetCount; i++) {
+				let morphVertexAttribute = new THREE.Float32BufferAttribute (morphVertices[i], 3);
+				morphVertexAttribute.name = mesh.GetMorphTarget (i).GetName ();
+				threeGeometry.morphAttributes.position.push (morphVertexAttribute);
+				threeGeometry.morphAttributes.normal.push (new THREE.Float32BufferAttribute (morphNormals[i], 3));
+			}
+			threeGeometry.morphTargetsRelative = true;
+		}
 
-		let threeMesh = new THREE.Mesh (threeGeometry, meshMaterialHandler.meshThreeMaterials);
+		let threeMesh = null;
+		if (isSkinned) {
+			threeMesh = new THREE.SkinnedMesh (threeGeometry, meshMaterialHandler.meshThreeMaterials);
+		} else {
+			threeMesh = new THREE.Mesh (threeGeometry, meshMaterialHandler.meshThreeMaterials);
+		}
+		if (morphTargetCount > 0) {
+			let morphWeights = mesh.GetMorphWeights ();
+			for (let i = 0; i < morphTargetCount && i < morphWeights.length; i++) {
+				threeMesh.morphTargetInfluences[i] = morphWeights[i];
+			}
+		}
 		threeMesh.name = mesh.GetName ();
 		threeMesh.userData = {
 			originalMeshInstance : meshInstance,
@@ -468,6 +746,61 @@ export function ConvertModelToThreeObject (model, conversionParams, conversionOu
 		return threeLine;
 	}
 
+	function CreateThreePointMesh (meshInstance, materialHandler)
+	{
+		let mesh = meshInstance.mesh;
+		let pointCount = mesh.PointCount ();
+		if (pointCount === 0) {
+			return null;
+		}
+
+		let pointIndices = [];
+		for (let i = 0; i < pointCount; i++) {
+			pointIndices.push (i);
+		}
+		pointIndices.sort ((a, b) => {
+			let aPoint = mesh.GetPoint (a);
+			let bPoint = mesh.GetPoint (b);
+			return aPoint.mat - bPoint.mat;
+		});
+
+		let threeGeometry = new THREE.BufferGeometry ();
+		let meshMaterialHandler = new ThreeMeshMaterialHandler (threeGeometry, MaterialGeometryType.Point, materialHandler);
+
+		let vertices = [];
+		let vertexColors = [];
+		let meshHasVertexColors = (mesh.VertexColorCount () > 0);
+		let processedPointCount = 0;
+		for (let pointIndex of pointIndices) {
+			let point = mesh.GetPoint (pointIndex);
+			let vertex = mesh.GetVertex (point.v);
+			vertices.push (vertex.x, vertex.y, vertex.z);
+			if (point.HasVertexColor ()) {
+				let color = ConvertColorToThreeColor (mesh.GetVertexColor (point.c));
+				vertexColors.push (color.r, color.g, color.b);
+			} else if (meshHasVertexColors) {
+				vertexColors.push (0.0, 0.0, 0.0);
+			}
+			meshMaterialHandler.ProcessItem (processedPointCount, point.mat);
+			processedPointCount += 1;
+		}
+		meshMaterialHandler.Finalize (processedPointCount);
+
+		threeGeometry.setAttribute ('position', new THREE.Float32BufferAttribute (vertices, 3));
+		if (vertexColors.length !== 0) {
+			threeGeometry.setAttribute ('color', new THREE.Float32BufferAttribute (vertexColors, 3));
+		}
+
+		let threePoints = new THREE.Points (threeGeometry, meshMaterialHandler.meshThreeMaterials);
+		threePoints.name = mesh.GetName ();
+		threePoints.userData = {
+			originalMeshInstance : meshInstance,
+			originalMaterials : meshMaterialHandler.meshOriginalMaterials,
+			threeMaterials : null
+		};
+		return threePoints;
+	}
+
 	function ConvertMesh (threeObject, meshInstance, materialHandler)
 	{
 		if (IsEmptyMesh (meshInstance.mesh)) {
@@ -483,12 +816,22 @@ export function ConvertModelToThreeObject (model, conversionParams, conversionOu
 		if (lineMesh !== null) {
 			threeObject.add (lineMesh);
 		}
+
+		let pointMesh = CreateThreePointMesh (meshInstance, materialHandler);
+		if (pointMesh !== null) {
+			threeObject.add (pointMesh);
+		}
 	}
 
 	function ConvertNodeHierarchy (threeRootNode, model, materialHandler, stateHandler)
 	{
 		let nodeTree = new ThreeNodeTree (model, threeRootNode);
 		let threeNodeItems = nodeTree.GetNodeItems ();
+		if (conversionParams.meshInstanceFilter !== null) {
+			threeNodeItems = threeNodeItems.filter ((nodeItem) => {
+				return conversionParams.meshInstanceFilter (nodeItem.meshInstance);
+			});
+		}
 
 		RunTasksBatch (threeNodeItems.length, 100, {
 			runTask : (firstMeshInstanceIndex, lastMeshInstanceIndex, onReady) => {
@@ -499,6 +842,8 @@ export function ConvertModelToThreeObject (model, conversionParams, conversionOu
 				onReady ();
 			},
 			onReady : () => {
+				BindThreeSkinnedMeshes (model, threeRootNode);
+				threeRootNode.animations = ConvertModelAnimationsToThreeClips (model, threeRootNode);
 				stateHandler.OnModelLoaded (threeRootNode);
 			}
 		});
@@ -1,20 +1,88 @@
 import { Direction } from '../geometry/geometry.js';
-import { Importer } from '../import/importer.js';
+import { Importer, ImportError, ImportErrorCode } from '../import/importer.js';
+import { ImporterOcct } from '../import/importerocct.js';
 import { RevokeObjectUrl } from '../io/bufferutils.js';
 import { MaterialSource } from '../model/material.js';
+import { Model } from '../model/model.js';
+import { ConvertModelUnit, ReplaceNodeMeshesFromModel } from '../model/modelutils.js';
 import { ConvertModelToThreeObject, ModelToThreeConversionOutput, ModelToThreeConversionParams } from './threeconverter.js';
-import { ConvertColorToThreeColor, HasHighpDriverIssue } from './threeutils.js';
+import { ModelLoadPhase, ModelLoadProgress } from './modelloadprogress.js';
+import { ConvertColorToThreeColor, DisposeThreeObjects, HasHighpDriverIssue } from './threeutils.js';
 
 const THREE = window.THREE;
 
+/**
+ * Determines what happens when a model load is requested while another one is in progress.
+ * @enum
+ */
+export const ModelLoadPolicy =
+{
+    /** The new load is dropped. */
+    Ignore : 1,
+    /** The new load starts when the current one is finished. */
+    Queue : 2,
+    /** The current load is cancelled and the new load starts immediately. */
+    Replace : 3
+};
+
+function IsEqualTessellation (a, b)
+{
+    return a.GetLinearDeflection () === b.GetLinearDeflection () && a.GetAngularDeflection () === b.GetAngularDeflection ();
+}
+
+// the copy shares the nodes, the materials and the meshes, but meshes can be replaced in it
+// without modifying the original model
+function CreateStagingModel (model)
+{
+    let stagingModel = new Model ();
+    stagingModel.SetUnit (model.GetUnit ());
+    stagingModel.root = model.GetRootNode ();
+    for (let i = 0; i < model.MaterialCount (); i++) {
+        stagingModel.AddMaterial (model.GetMaterial (i));
+    }
+    for (let i = 0; i < model.MeshCount (); i++) {
+        stagingModel.AddMesh (model.GetMesh (i));
+    }
+    for (let i = 0; i < model.AnimationCount (); i++) {
+        stagingModel.AddAnimation (model.GetAnimation (i));
+    }
+    for (let i = 0; i < model.SkinCount (); i++) {
+        stagingModel.AddSkin (model.GetSkin (i));
+    }
+    return stagingModel;
+}
+
+function ApplyStagingModel (model, stagingModel, meshIndices)
+{
+    for (let i = model.MaterialCount (); i < stagingModel.MaterialCount (); i++) {
+        model.AddMaterial (stagingModel.GetMaterial (i));
+    }
+    for (let meshIndex of meshIndices) {
+        model.ReplaceMesh (meshIndex, stagingModel.GetMesh (meshIndex));
+    }
+}
+
+function RevokeObjectUrls (objectUrls)
+{
+    for (let objectUrl of objectUrls) {
+        RevokeObjectUrl (objectUrl);
+    }
+}
+
 export class ThreeModelLoader
 {
     constructor ()
     {
         this.importer = new Importer ();
         this.inProgress = false;
+        this.loadPolicy = ModelLoadPolicy.Ignore;
+        this.currentLoad = null;
+        this.loadQueue = [];
         this.defaultMaterials = null;
         this.objectUrls = null;
+        this.importSettings = null;
+        this.importResult = null;
+        this.retessellatedModel = null;
         this.hasHighpDriverIssue = HasHighpDriverIssue ();
     }
 
@@ -23,26 +91,110 @@ export class ThreeModelLoader
         return this.inProgress;
     }
 
+    SetLoadPolicy (loadPolicy)
+    {
+        this.loadPolicy = loadPolicy;
+    }
+
     LoadModel (inputFiles, settings, callbacks)
+    {
+        this.RequestLoad (callbacks, () => {
+            this.StartLoad (inputFiles, settings, callbacks);
+        });
+    }
+
+    RequestLoad (callbacks, startLoad)
     {
         if (this.inProgress) {
-            return;
+            if (this.loadPolicy === ModelLoadPolicy.Queue) {
+                this.loadQueue.push ({
+                    callbacks : callbacks,
+                    startLoad : startLoad
+                });
+                if (callbacks.onLoadQueued) {
+                    callbacks.onLoadQueued ();
+                }
+                return;
+            } else if (this.loadPolicy === ModelLoadPolicy.Replace && this.currentLoad !== null) {
+                this.CancelCurrentLoad ();
+            } else {
+                if (callbacks.onLoadIgnored) {
+                    callbacks.onLoadIgnored ();
+                }
+                return;
+            }
+        }
+
+        startLoad ();
+    }
+
+    CancelLoad ()
+    {
+        let queuedLoads = this.loadQueue;
+        this.loadQueue = [];
+        if (this.currentLoad !== null) {
+            this.CancelCurrentLoad ();
+        }
+        for (let queuedLoad of queuedLoads) {
+            if (queuedLoad.callbacks.onLoadCancelled) {
+                queuedLoad.callbacks.onLoadCancelled ();
+            }
+        }
+    }
+
+    StartLoad (inputFiles, settings, callbacks)
+    {
+        let load = {
+            callbacks : callbacks,
+            importer : this.importer,
+            importState : null,
+            output : null,
+            cancelled : false
+        };
+
+        let progress = new ModelLoadProgress ();
+        function OnProgress ()
+        {
+            if (!load.cancelled && callbacks.onProgress) {
+                callbacks.onProgress (progress);
+            }
         }
 
         this.inProgress = true;
+        this.currentLoad = load;
+        this.importSettings = settings;
+        this.importResult = null;
+        this.retessellatedModel = null;
         this.RevokeObjectUrls ();
-        this.importer.ImportFiles (inputFiles, settings, {
+        load.importState = this.importer.ImportFiles (inputFiles, settings, {
             onLoadStart : () => {
                 callbacks.onLoadStart ();
             },
             onFileListProgress : (current, total) => {
+                let files = this.importer.GetFileList ().GetFiles ();
+                if (progress.files.length === 0) {
+                    progress.SetFiles (files.map ((file) => {
+                        return file.name;
+                    }));
+                }
+                let file = files[current];
+                progress.StartFile (current, file.content !== null ? file.content.byteLength : null);
                 callbacks.onFileListProgress (current, total);
+                OnProgress ();
             },
             onFileLoadProgress : (current, total) => {
+                progress.UpdateFile (current, total);
                 callbacks.onFileLoadProgress (current, total);
+                OnProgress ();
+            },
+            onDecompressStart : () => {
+                progress.SetPhase (ModelLoadPhase.Decompress);
+                OnProgress ();
             },
             onImportStart : () => {
+                progress.SetPhase (ModelLoadPhase.Import);
                 callbacks.onImportStart ();
+                OnProgress ();
             },
             onSelectMainFile : (fileNames, selectFile) => {
                 if (!callbacks.onSelectMainFile) {
@@ -52,17 +204,32 @@ export class ThreeModelLoader
                 }
             },
             onImportSuccess : (importResult) => {
+                progress.SetPhase (ModelLoadPhase.Visualize);
                 callbacks.onVisualizationStart ();
+                OnProgress ();
                 let params = new ModelToThreeConversionParams ();
                 params.forceMediumpForMaterials = this.hasHighpDriverIssue;
                 let output = new ModelToThreeConversionOutput ();
+                load.output = output;
                 ConvertModelToThreeObject (importResult.model, params, output, {
-                    onTextureLoaded : () => {
-                        callbacks.onTextureLoaded ();
+                    onTextureLoaded : (texturesLoaded, texturesNeeded) => {
+                        if (!load.cancelled) {
+                            progress.SetPhase (ModelLoadPhase.Textures);
+                            progress.UpdateTextures (texturesLoaded, texturesNeeded);
+                            callbacks.onTextureLoaded ();
+                            OnProgress ();
+                        }
                     },
                     onModelLoaded : (threeObject) => {
+                        if (load.cancelled) {
+                            // textures started after the cancel created new object urls
+                            RevokeObjectUrls (output.objectUrls);
+                            DisposeThreeObjects (threeObject);
+                            return;
+                        }
                         this.defaultMaterials = output.defaultMaterials;
                         this.objectUrls = output.objectUrls;
+                        this.importResult = importResult;
                         if (importResult.upVector === Direction.X) {
                             let rotation = new THREE.Quaternion ().setFromAxisAngle (new THREE.Vector3 (0.0, 0.0, 1.0), Math.PI / 2.0);
                             threeObject.quaternion.multiply (rotation);
@@ -71,13 +238,179 @@ export class ThreeModelLoader
                             threeObject.quaternion.multiply (rotation);
                         }
                         callbacks.onModelFinished (importResult, threeObject);
-                        this.inProgress = false;
+                        this.FinishLoad ();
                     }
                 });
             },
             onImportError : (importError) => {
                 callbacks.onLoadError (importError);
-                this.inProgress = false;
+                this.FinishLoad ();
+            }
+        });
+    }
+
+    CancelCurrentLoad ()
+    {
+        let load = this.currentLoad;
+        load.cancelled = true;
+        this.currentLoad = null;
+        this.inProgress = false;
+
+        // stops file requests, workers and texture loads of this load only, so the next load
+        // can start on the same importer right away
+        if (load.importer === this.importer) {
+            if (load.importState !== null) {
+                this.importer.AbortImport (load.importState);
+            } else {
+                this.importer.Abort ();
+            }
+        } else if (load.importer !== null) {
+            load.importer.Abort (load.importState);
+        }
+        if (load.output !== null) {
+            RevokeObjectUrls (load.output.objectUrls);
+        }
+
+        if (load.callbacks.onLoadCancelled) {
+            load.callbacks.onLoadCancelled ();
+        }
+    }
+
+    FinishLoad ()
+    {
+        this.currentLoad = null;
+        this.inProgress = false;
+        if (this.loadQueue.length > 0) {
+            let nextLoad = this.loadQueue.shift ();
+            nextLoad.startLoad ();
+        }
+    }
+
+    RetessellateNode (nodeId, tessellationSettings, callbacks)
+    {
+        this.RequestLoad (callbacks, () => {
+            this.StartRetessellation (nodeId, tessellationSettings, callbacks);
+        });
+    }
+
+    StartRetessellation (nodeId, tessellationSettings, callbacks)
+    {
+        let load = {
+            callbacks : callbacks,
+            importer : null,
+            importState : null,
+            output : null,
+            cancelled : false
+        };
+
+        const OnError = (code, message) => {
+            let error = new ImportError (code);
+            error.message = message;
+            if (this.importResult !== null) {
+                error.mainFile = this.importResult.mainFile;
+            }
+            callbacks.onRetessellationError (error);
+            this.FinishLoad ();
+        };
+
+        // the meshes are replaced in the model only when the conversion is finished and not cancelled,
+        // so a cancelled retessellation leaves the model in sync with the scene
+        const ReplaceNodeMeshes = (model, node, sourceModel) => {
+            let stagingModel = CreateStagingModel (model);
+            let meshIndices = ReplaceNodeMeshesFromModel (stagingModel, node, sourceModel);
+            if (meshIndices === null) {
+                OnError (ImportErrorCode.ImportFailed, null);
+                return;
+            }
+            let params = new ModelToThreeConversionParams ();
+            params.forceMediumpForMaterials = this.hasHighpDriverIssue;
+            params.meshInstanceFilter = (meshInstance) => {
+                return meshIndices.indexOf (meshInstance.GetId ().meshIndex) !== -1;
+            };
+            let output = new ModelToThreeConversionOutput ();
+            load.output = output;
+            ConvertModelToThreeObject (stagingModel, params, output, {
+                onTextureLoaded : () => {
+                },
+                onModelLoaded : (threeObject) => {
+                    if (load.cancelled) {
+                        RevokeObjectUrls (output.objectUrls);
+                        DisposeThreeObjects (threeObject);
+                        return;
+                    }
+                    ApplyStagingModel (model, stagingModel, meshIndices);
+                    this.defaultMaterials = this.defaultMaterials.concat (output.defaultMaterials);
+                    this.objectUrls = this.objectUrls.concat (output.objectUrls);
+                    callbacks.onRetessellationFinished (threeObject, meshIndices);
+                    this.FinishLoad ();
+                }
+            });
+        };
+
+        this.inProgress = true;
+        this.currentLoad = load;
+        if (this.importResult === null) {
+            OnError (ImportErrorCode.FailedToLoadFile, null);
+            return;
+        }
+
+        // Nodes of federated models can't be mapped back to a single file
+        if (this.importResult.mainFile === null) {
+            OnError (ImportErrorCode.NoImportableFile, null);
+            return;
+        }
+
+        // The original file is kept in the file list of the importer until the next load
+        let model = this.importResult.model;
+        let node = model.FindNodeById (nodeId);
+        let mainFile = this.importer.GetFileList ().FindFileByPath (this.importResult.mainFile);
+        if (node === null || mainFile === null || mainFile.content === null) {
+            OnError (ImportErrorCode.FailedToLoadFile, null);
+            return;
+        }
+
+        // occt can only tessellate the whole file, so the result is kept for the
+        // next nodes retessellated with the same settings
+        let retessellatedModel = this.retessellatedModel;
+        if (retessellatedModel !== null && IsEqualTessellation (retessellatedModel.tessellationSettings, tessellationSettings)) {
+            ReplaceNodeMeshes (model, node, retessellatedModel.model);
+            return;
+        }
+
+        let occtImporter = new ImporterOcct ();
+        if (!occtImporter.CanImportExtension (mainFile.extension)) {
+            OnError (ImportErrorCode.NoImportableFile, null);
+            return;
+        }
+
+        load.importer = occtImporter;
+        load.importState = occtImporter.Import (mainFile.name, mainFile.extension, mainFile.content, {
+            getDefaultLineMaterialColor : () => {
+                return this.importSettings.defaultLineColor;
+            },
+            getDefaultMaterialColor : () => {
+                return this.importSettings.defaultColor;
+            },
+            getTessellationSettings : () => {
+                return tessellationSettings;
+            },
+            getFileBuffer : (filePath) => {
+                return null;
+            },
+            onSuccess : () => {
+                let sourceModel = occtImporter.GetModel ();
+                ConvertModelUnit (sourceModel, model.GetUnit ());
+                this.retessellatedModel = {
+                    tessellationSettings : tessellationSettings.Clone (),
+                    model : sourceModel
+                };
+                ReplaceNodeMeshes (model, node, sourceModel);
+            },
+            onError : () => {
+                OnError (ImportErrorCode.ImportFailed, occtImporter.GetErrorMessage ());
+            },
+            onComplete : () => {
+                occtImporter.Clear ();
             }
         });
     }
@@ -112,14 +445,13 @@ export class ThreeModelLoader
         if (this.objectUrls === null) {
             return;
         }
-        for (let objectUrl of this.objectUrls) {
-            RevokeObjectUrl (objectUrl);
-        }
+        RevokeObjectUrls (this.objectUrls);
         this.objectUrls = null;
     }
 
     Destroy ()
     {
+        this.CancelLoad ();
         this.RevokeObjectUrls ();
         this.importer = null;
     }
@@ -4,6 +4,7 @@ import { Segment2D, SegmentPointDistance2D } from '../geometry/line2d.js';
 import { RGBColorFromFloatComponents } from '../model/color.js';
 import { MaterialType } from '../model/material.js';
 import { Mesh } from '../model/mesh.js';
+import { Point } from '../model/point.js';
 import { Triangle } from '../model/triangle.js';
 
 const THREE = window.THREE;
@@ -211,6 +212,46 @@ export function ConvertThreeGeometryToMesh (threeGeometry, materialIndex, colorC
     return mesh;
 }
 
+export function ConvertThreePointsGeometryToMesh (threeGeometry, materialIndex, colorConverter)
+{
+    let mesh = new Mesh ();
+
+    let vertices = threeGeometry.attributes.position.array;
+    let vertexItemSize = threeGeometry.attributes.position.itemSize || 3;
+    for (let i = 0; i < vertices.length; i += vertexItemSize) {
+        let x = vertices[i];
+        let y = vertices[i + 1];
+        let z = vertices[i + 2];
+        mesh.AddVertex (new Coord3D (x, y, z));
+    }
+
+    let hasVertexColors = (threeGeometry.attributes.color !== undefined);
+    if (hasVertexColors) {
+        let colors = threeGeometry.attributes.color.array;
+        let colorItemSize = threeGeometry.attributes.color.itemSize || 3;
+        for (let i = 0; i < colors.length; i += colorItemSize) {
+            let threeColor = new THREE.Color (colors[i], colors[i + 1], colors[i + 2]);
+            if (colorConverter !== null) {
+                threeColor = colorConverter.Convert (threeColor);
+            }
+            mesh.AddVertexColor (ConvertThreeColorToColor (threeColor));
+        }
+    }
+
+    for (let i = 0; i < mesh.VertexCount (); i++) {
+        let point = new Point (i);
+        if (hasVertexColors) {
+            point.SetVertexColor (i);
+        }
+        if (materialIndex !== null) {
+            point.SetMaterial (materialIndex);
+        }
+        mesh.AddPoint (point);
+    }
+
+    return mesh;
+}
+
 export function CreateHighlightMaterial (originalMaterial, highlightColor, withPolygonOffset)
 {
     let material = null;
@@ -228,6 +269,12 @@ export function CreateHighlightMaterial (originalMaterial, highlightColor, withP
         material = new THREE.LineBasicMaterial ({
             color : ConvertColorToThreeColor (highlightColor)
         });
+    } else if (originalMaterial.type === 'PointsMaterial') {
+        material = new THREE.PointsMaterial ({
+            color : ConvertColorToThreeColor (highlightColor),
+            size : originalMaterial.size,
+            sizeAttenuation : originalMaterial.sizeAttenuation
+        });
     }
     if (material !== null && withPolygonOffset) {
         material.polygonOffset = true;
@@ -260,7 +307,7 @@ export function DisposeThreeObjects (mainObject)
     }
 
     mainObject.traverse ((obj) => {
-        if (obj.isMesh || obj.isLineSegments) {
+        if (obj.isMesh || obj.isLineSegments || obj.isPoints) {
             if (Array.isArray (obj.material)) {
                 for (let material of obj.material) {
                     material.dispose ();
@@ -0,0 +1,215 @@
+const THREE = window.THREE;
+
+/**
+ * Plays the animation clips of a three.js object. The clips are taken from the animations array
+ * of the object, the callback is called after every change of the animated state.
+ */
+export class AnimationPlayer
+{
+    constructor (onUpdate)
+    {
+        this.onUpdate = onUpdate;
+        this.object = null;
+        this.mixer = null;
+        this.clips = [];
+        this.action = null;
+        this.clipIndex = null;
+        this.loop = true;
+        this.speed = 1.0;
+        this.playing = false;
+        this.lastFrameTime = null;
+        this.frameRequest = null;
+    }
+
+    SetObject (object)
+    {
+        this.Clear ();
+        if (object.animations === undefined || object.animations.length === 0) {
+            return;
+        }
+        this.object = object;
+        this.clips = object.animations;
+        this.mixer = new THREE.AnimationMixer (object);
+        this.mixer.addEventListener ('finished', () => {
+            this.StopFrames ();
+            this.onUpdate ();
+        });
+    }
+
+    Clear ()
+    {
+        this.StopFrames ();
+        if (this.mixer !== null) {
+            this.mixer.stopAllAction ();
+            this.mixer.uncacheRoot (this.object);
+        }
+        this.object = null;
+        this.mixer = null;
+        this.clips = [];
+        this.action = null;
+        this.clipIndex = null;
+    }
+
+    ClipCount ()
+    {
+        return this.clips.length;
+    }
+
+    GetClipName (index)
+    {
+        return this.clips[index].name;
+    }
+
+    GetClipDuration (index)
+    {
+        return this.clips[index].duration;
+    }
+
+    GetClipIndex ()
+    {
+        return this.clipIndex;
+    }
+
+    Play (index)
+    {
+        if (this.mixer === null) {
+            return;
+        }
+        if (index === undefined || index === null) {
+            index = (this.clipIndex !== null ? this.clipIndex : 0);
+        }
+        if (index < 0 || index >= this.clips.length) {
+            return;
+        }
+        if (index !== this.clipIndex) {
+            this.SelectClip (index);
+        } else if (!this.action.isRunning () && this.action.time >= this.action.getClip ().duration) {
+            // a finished clip starts again from the beginning
+            this.action.reset ();
+        }
+        this.action.paused = false;
+        this.action.play ();
+        this.StartFrames ();
+    }
+
+    Pause ()
+    {
+        if (this.action === null) {
+            return;
+        }
+        this.action.paused = true;
+        this.StopFrames ();
+    }
+
+    Stop ()
+    {
+        if (this.mixer === null) {
+            return;
+        }
+        this.StopFrames ();
+        // stopping restores the original state of the animated objects
+        this.mixer.stopAllAction ();
+        this.action = null;
+        this.clipIndex = null;
+        this.onUpdate ();
+    }
+
+    Seek (time)
+    {
+        if (this.mixer === null) {
+            return;
+        }
+        if (this.action === null) {
+            this.SelectClip (0);
+            this.action.paused = true;
+            this.action.play ();
+        }
+        let duration = this.action.getClip ().duration;
+        this.action.time = Math.min (Math.max (time, 0.0), duration);
+        this.mixer.update (0.0);
+        this.onUpdate ();
+    }
+
+    GetTime ()
+    {
+        if (this.action === null) {
+            return 0.0;
+        }
+        return this.action.time;
+    }
+
+    IsPlaying ()
+    {
+        return this.playing;
+    }
+
+    SetLoop (loop)
+    {
+        this.loop = loop;
+        if (this.action !== null) {
+            this.SetActionLoop (this.action);
+        }
+    }
+
+    SetSpeed (speed)
+    {
+        this.speed = speed;
+        if (this.mixer !== null) {
+            this.mixer.timeScale = speed;
+        }
+    }
+
+    SelectClip (index)
+    {
+        this.mixer.stopAllAction ();
+        this.mixer.timeScale = this.speed;
+        this.action = this.mixer.clipAction (this.clips[index]);
+        this.action.clampWhenFinished = true;
+        this.SetActionLoop (this.action);
+        this.clipIndex = index;
+    }
+
+    SetActionLoop (action)
+    {
+        if (this.loop) {
+            action.setLoop (THREE.LoopRepeat, Infinity);
+        } else {
+            action.setLoop (THREE.LoopOnce, 1);
+        }
+    }
+
+    StartFrames ()
+    {
+        if (this.playing) {
+            return;
+        }
+
+        const Frame = (frameTime) => {
+            if (!this.playing) {
+                return;
+            }
+            if (this.lastFrameTime !== null) {
+                this.mixer.update ((frameTime - this.lastFrameTime) / 1000.0);
+                this.onUpdate ();
+            }
+            this.lastFrameTime = frameTime;
+            if (this.playing) {
+                this.frameRequest = requestAnimationFrame (Frame);
+            }
+        };
+
+        this.playing = true;
+        this.lastFrameTime = null;
+        this.frameRequest = requestAnimationFrame (Frame);
+    }
+
+    StopFrames ()
+    {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame (this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.playing = false;
+        this.lastFrameTime = null;
+    }
+}
@@ -10,7 +10,11 @@ export const NavigationMode =
     /** Fixed up vector. */
 	FixedUpVector : 1,
     /** Free orbit. */
-	FreeOrbit : 2
+	FreeOrbit : 2,
+    /** First-person flying with keyboard movement and mouse look. */
+	Fly : 3,
+    /** First-person walking on the floor of the model with keyboard movement and mouse look. */
+	Walk : 4
 };
 
 /**
@@ -4,11 +4,96 @@ import { InputFilesFromFileObjects, InputFilesFromUrls } from '../import/importe
 import { ImportErrorCode, ImportSettings } from '../import/importer.js';
 import { TransformFileHostUrls } from '../io/fileutils.js';
 import { ParameterConverter } from '../parameters/parameterlist.js';
+import { ModelLoadPhase } from '../threejs/modelloadprogress.js';
 import { ThreeModelLoader } from '../threejs/threemodelloader.js';
+import { AddDiv, ShowDomElement } from './domutils.js';
 import { Viewer } from './viewer.js';
 import { EnvironmentSettings } from './shadingmodel.js';
 import { Loc } from '../core/localization.js';
 
+let embeddedViewerCount = 0;
+
+// the element is hidden on the screen, but screen readers can still read it
+function AddVisuallyHiddenDiv (parentElement)
+{
+    let div = AddDiv (parentElement);
+    div.style.position = 'absolute';
+    div.style.width = '1px';
+    div.style.height = '1px';
+    div.style.margin = '-1px';
+    div.style.padding = '0';
+    div.style.border = '0';
+    div.style.overflow = 'hidden';
+    div.style.clip = 'rect(0 0 0 0)';
+    div.style.whiteSpace = 'nowrap';
+    return div;
+}
+
+function FormatByteCount (byteCount)
+{
+    if (byteCount < 1024 * 1024) {
+        return (byteCount / 1024).toFixed (1) + ' KB';
+    }
+    return (byteCount / (1024 * 1024)).toFixed (1) + ' MB';
+}
+
+class LoadProgressOverlay
+{
+    constructor (parentElement)
+    {
+        this.mainDiv = AddDiv (parentElement, 'ov_progress');
+        this.textDiv = AddDiv (this.mainDiv, 'ov_progress_text');
+        this.barDiv = AddDiv (this.mainDiv, 'ov_progress_bar');
+        this.barDiv.style.height = '6px';
+        this.barDiv.style.marginTop = '6px';
+        this.barDiv.style.background = 'rgba(128, 128, 128, 0.3)';
+        this.barFillDiv = AddDiv (this.barDiv, 'ov_progress_bar_fill');
+        this.barFillDiv.style.height = '100%';
+        this.barFillDiv.style.width = '0%';
+        this.barFillDiv.style.background = 'rgb(51, 147, 189)';
+    }
+
+    SetText (text)
+    {
+        this.textDiv.innerHTML = text;
+    }
+
+    ShowBar (show)
+    {
+        ShowDomElement (this.barDiv, show);
+    }
+
+    Update (progress)
+    {
+        let text = null;
+        if (progress.phase === ModelLoadPhase.Download) {
+            text = Loc ('Loading model...');
+            let loadedBytes = progress.GetLoadedBytes ();
+            let totalBytes = progress.GetTotalBytes ();
+            if (totalBytes !== null) {
+                text += ' (' + FormatByteCount (loadedBytes) + ' / ' + FormatByteCount (totalBytes) + ')';
+            } else if (loadedBytes > 0) {
+                text += ' (' + FormatByteCount (loadedBytes) + ')';
+            }
+        } else if (progress.phase === ModelLoadPhase.Decompress) {
+            text = Loc ('Decompressing files...');
+        } else if (progress.phase === ModelLoadPhase.Import) {
+            text = Loc ('Importing model...');
+        } else if (progress.phase === ModelLoadPhase.Visualize) {
+            text = Loc ('Visualizing model...');
+        } else if (progress.phase === ModelLoadPhase.Textures) {
+            text = Loc ('Loading textures...');
+        }
+        this.SetText (text);
+        this.barFillDiv.style.width = (progress.GetRatio () * 100.0).toFixed (1) + '%';
+    }
+
+    Remove ()
+    {
+        this.mainDiv.remove ();
+    }
+}
+
 /**
  * This is the main object for embedding the viewer on a website.
  */
@@ -29,6 +114,24 @@ export class EmbeddedViewer
      * if the imported model doesn't specify any color.
      * @param {EdgeSettings} [parameters.edgeSettings] Edge settings.
      * @param {EnvironmentSettings} [parameters.environmentSettings] Environment settings.
+     * @param {number} [parameters.pointSize] Size of the points of point clouds in pixels.
+     * @param {SectionState} [parameters.sectionState] Section planes or section box to cut the model with.
+     * @param {string} [parameters.ariaLabel] Accessible name of the viewer canvas for screen readers.
+     * @param {boolean} [parameters.reducedMotion] Disables camera animations. If not specified, the
+     * reduced motion preference of the operating system is used.
+     * @param {boolean} [parameters.viewCube] Shows a clickable view cube in the corner of the viewer.
+     * @param {TessellationSettings} [parameters.tessellationSettings] Tessellation quality of B-rep
+     * models (STEP, IGES, BREP, 3DM, FCStd).
+     * @param {Unit} [parameters.targetUnit] Unit to convert the loaded models to. Models with
+     * unknown units are not converted.
+     * @param {boolean} [parameters.federated] Load every importable file as a separate model next
+     * to each other instead of selecting one main file. See {@link EmbeddedViewer#GetFederatedModels}.
+     * @param {string[]} [parameters.federatedFiles] Names of the files to load in federated mode.
+     * All of the importable files are loaded if not specified.
+     * @param {ModelLoadPolicy} [parameters.loadPolicy] What to do when a model is loaded while the
+     * previous one is still loading. By default the new load is ignored.
+     * @param {function} [parameters.onProgress] Callback that is called with a {@link ModelLoadProgress}
+     * object whenever the progress of the model load changes.
      * @param {function} [parameters.onModelLoaded] Callback that is called when the model with all
      * of the textures is fully loaded.
     */
@@ -40,9 +143,22 @@ export class EmbeddedViewer
             this.parameters = parameters;
         }
 
+        embeddedViewerCount += 1;
         this.canvas = document.createElement ('canvas');
+        this.canvas.tabIndex = 0;
+        this.canvas.setAttribute ('role', 'application');
+        this.canvas.setAttribute ('aria-label', this.parameters.ariaLabel ? this.parameters.ariaLabel : Loc ('3D model viewer'));
         this.parentElement.appendChild (this.canvas);
 
+        this.keyboardHelpDiv = AddVisuallyHiddenDiv (this.parentElement);
+        this.keyboardHelpDiv.id = 'ov_keyboard_help_' + embeddedViewerCount.toString ();
+        this.keyboardHelpDiv.textContent = Loc ('Use the arrow keys to orbit, Shift and the arrow keys to pan, and the plus and minus keys to zoom. Press F to fit the model to the window, and the number keys from 1 to 6 for the front, back, left, right, top and bottom views, or 0 for the isometric view.');
+        this.canvas.setAttribute ('aria-describedby', this.keyboardHelpDiv.id);
+
+        this.statusDiv = AddVisuallyHiddenDiv (this.parentElement);
+        this.statusDiv.setAttribute ('role', 'status');
+        this.statusDiv.setAttribute ('aria-live', 'polite');
+
         this.viewer = new Viewer ();
         this.viewer.Init (this.canvas);
 
@@ -66,8 +182,31 @@ export class EmbeddedViewer
             this.viewer.SetEnvironmentMapSettings (this.parameters.environmentSettings);
         }
 
+        if (this.parameters.pointSize) {
+            this.viewer.SetPointSize (this.parameters.pointSize);
+        }
+
+        if (this.parameters.sectionState) {
+            this.viewer.SetSectionState (this.parameters.sectionState);
+        }
+
+        if (IsDefined (this.parameters.reducedMotion)) {
+            this.viewer.SetReducedMotion (this.parameters.reducedMotion);
+        }
+
+        if (this.parameters.viewCube) {
+            this.viewer.ShowViewCube (true);
+        }
+
         this.model = null;
+        this.federatedModels = [];
+        this.hiddenFederatedModels = new Set ();
+        this.importDiagnostics = [];
+        this.progressOverlay = null;
         this.modelLoader = new ThreeModelLoader ();
+        if (this.parameters.loadPolicy) {
+            this.modelLoader.SetLoadPolicy (this.parameters.loadPolicy);
+        }
 
         window.addEventListener ('resize', () => {
             this.Resize ();
@@ -110,7 +249,6 @@ export class EmbeddedViewer
             return;
         }
 
-        this.viewer.Clear ();
         let settings = new ImportSettings ();
         if (this.parameters.defaultColor) {
             settings.defaultColor = this.parameters.defaultColor;
@@ -118,28 +256,48 @@ export class EmbeddedViewer
         if (this.parameters.defaultLineColor) {
             settings.defaultLineColor = this.parameters.defaultLineColor;
         }
+        if (this.parameters.tessellationSettings) {
+            settings.tessellationSettings = this.parameters.tessellationSettings;
+        }
+        if (this.parameters.targetUnit) {
+            settings.targetUnit = this.parameters.targetUnit;
+        }
+        if (this.parameters.federated) {
+            settings.federated = true;
+            if (this.parameters.federatedFiles) {
+                settings.federatedFiles = this.parameters.federatedFiles;
+            }
+        }
 
-        this.model = null;
-        let progressDiv = null;
         this.modelLoader.LoadModel (inputFiles, settings, {
             onLoadStart : () => {
+                this.viewer.Clear ();
+                this.model = null;
+                this.federatedModels = [];
+                this.hiddenFederatedModels.clear ();
+                this.importDiagnostics = [];
                 this.canvas.style.display = 'none';
-                progressDiv = document.createElement ('div');
-                progressDiv.innerHTML = Loc ('Loading model...');
-                this.parentElement.appendChild (progressDiv);
+                this.RemoveProgressOverlay ();
+                this.progressOverlay = new LoadProgressOverlay (this.parentElement);
+                this.progressOverlay.SetText (Loc ('Loading model...'));
+                this.Announce (Loc ('Loading model...'));
             },
             onFileListProgress : (current, total) => {
             },
             onFileLoadProgress : (current, total) => {
             },
             onImportStart : () => {
-                progressDiv.innerHTML = Loc ('Importing model...');
             },
             onVisualizationStart : () => {
-                progressDiv.innerHTML = Loc ('Visualizing model...');
+            },
+            onProgress : (progress) => {
+                this.progressOverlay.Update (progress);
+                if (this.parameters.onProgress) {
+                    this.parameters.onProgress (progress);
+                }
             },
             onModelFinished : (importResult, threeObject) => {
-                this.parentElement.removeChild (progressDiv);
+                this.RemoveProgressOverlay ();
                 this.canvas.style.display = 'inherit';
                 this.viewer.SetMainObject (threeObject);
                 let boundingSphere = this.viewer.GetBoundingSphere ((meshUserData) => {
@@ -154,6 +312,12 @@ export class EmbeddedViewer
                 }
 
                 this.model = importResult.model;
+                this.viewer.SetMeasurementUnit (this.model.GetUnit ());
+                if (importResult.federatedModels !== null) {
+                    this.federatedModels = importResult.federatedModels;
+                }
+                this.importDiagnostics = importResult.diagnostics;
+                this.Announce (Loc ('Model loaded.'));
                 if (this.parameters.onModelLoaded) {
                     this.parameters.onModelLoaded ();
                 }
@@ -173,7 +337,63 @@ export class EmbeddedViewer
                 if (importError.message !== null) {
                     message += ' (' + importError.message + ')';
                 }
-                progressDiv.innerHTML = message;
+                this.importDiagnostics = importError.diagnostics;
+                this.progressOverlay.SetText (message);
+                this.progressOverlay.ShowBar (false);
+                this.Announce (message);
+            },
+            onLoadCancelled : () => {
+                if (this.progressOverlay !== null) {
+                    this.RemoveProgressOverlay ();
+                    this.canvas.style.display = 'inherit';
+                }
+                this.Announce (Loc ('Model loading cancelled.'));
+            }
+        });
+    }
+
+    /**
+     * Cancels the model load in progress and all of the queued loads.
+     */
+    CancelLoad ()
+    {
+        this.modelLoader.CancelLoad ();
+    }
+
+    /**
+     * Tessellates the meshes of a node of the loaded B-rep model (STEP, IGES, BREP) again with the
+     * given settings, and replaces them in the scene. The camera, and the visibility and highlight
+     * state of the meshes are kept. Meshes shared with other nodes are updated everywhere.
+     * @param {number} nodeId Id of the node in the loaded model.
+     * @param {TessellationSettings} tessellationSettings Tessellation settings to use.
+     * @param {object} [callbacks] Callbacks for the result.
+     * @param {function} [callbacks.onFinished] Called with the indices of the replaced meshes.
+     * @param {function} [callbacks.onError] Called with an {@link ImportError} if the operation fails.
+     * @param {function} [callbacks.onCancelled] Called if the operation is ignored or cancelled because
+     * of another load, see the loadPolicy parameter of the constructor.
+     */
+    RetessellateNode (nodeId, tessellationSettings, callbacks)
+    {
+        const OnCancelled = () => {
+            if (callbacks && callbacks.onCancelled) {
+                callbacks.onCancelled ();
+            }
+        };
+        this.modelLoader.RetessellateNode (nodeId, tessellationSettings, {
+            onLoadIgnored : OnCancelled,
+            onLoadCancelled : OnCancelled,
+            onRetessellationFinished : (threeObject, meshIndices) => {
+                this.viewer.ReplaceMeshes (threeObject, (meshUserData) => {
+                    return meshIndices.indexOf (meshUserData.originalMeshInstance.id.meshIndex) !== -1;
+                });
+                if (callbacks && callbacks.onFinished) {
+                    callbacks.onFinished (meshIndices);
+                }
+            },
+            onRetessellationError : (importError) => {
+                if (callbacks && callbacks.onError) {
+                    callbacks.onError (importError);
+                }
             }
         });
     }
@@ -196,6 +416,75 @@ export class EmbeddedViewer
         return this.model;
     }
 
+    /**
+     * Returns the models of a federated load in the order of loading. Every model is a top level
+     * node of the loaded model, already converted to its unit and to the Y up coordinate system.
+     * The list is empty if the viewer is not in federated mode.
+     * @returns {FederatedModel[]}
+     */
+    GetFederatedModels ()
+    {
+        return this.federatedModels;
+    }
+
+    /**
+     * Shows or hides a model of a federated load.
+     * @param {number} index Index of the model in the federated model list.
+     * @param {boolean} visible Visibility of the model.
+     */
+    SetFederatedModelVisibility (index, visible)
+    {
+        let nodeId = this.federatedModels[index].nodeId;
+        if (visible) {
+            this.hiddenFederatedModels.delete (nodeId);
+        } else {
+            this.hiddenFederatedModels.add (nodeId);
+        }
+        this.viewer.SetModelsVisibility ((meshUserData) => {
+            let node = meshUserData.originalMeshInstance.node;
+            while (node.HasParent () && node.GetParent ().HasParent ()) {
+                node = node.GetParent ();
+            }
+            return !this.hiddenFederatedModels.has (node.GetId ());
+        });
+    }
+
+    /**
+     * Returns the visibility of a model of a federated load.
+     * @param {number} index Index of the model in the federated model list.
+     * @returns {boolean}
+     */
+    IsFederatedModelVisible (index)
+    {
+        return !this.hiddenFederatedModels.has (this.federatedModels[index].nodeId);
+    }
+
+    /**
+     * Places a model of a federated load. The transformation is applied after the up axis
+     * correction of the model, and it's stored in the node of the model, so exporters write the
+     * model at the new place.
+     * @param {number} index Index of the model in the federated model list.
+     * @param {Transformation} transformation Placement of the model in the unit of the loaded model.
+     */
+    SetFederatedModelTransformation (index, transformation)
+    {
+        let federatedModel = this.federatedModels[index];
+        let node = this.model.FindNodeById (federatedModel.nodeId);
+        let nodeTransformation = federatedModel.baseTransformation.Clone ().Append (transformation);
+        node.SetTransformation (nodeTransformation);
+        this.viewer.SetNodeTransformation (federatedModel.nodeId, nodeTransformation);
+    }
+
+    /**
+     * Returns the diagnostics of the last model load. It contains the reason of the failure if the
+     * load has failed, and the warnings (missing files, unsupported features etc.) otherwise.
+     * @returns {ImportDiagnostic[]}
+     */
+    GetImportDiagnostics ()
+    {
+        return this.importDiagnostics;
+    }
+
     /**
      * This method must be called when the size of the parent element changes to make sure that the
      * context has the same dimensions as the parent element.
@@ -207,15 +496,32 @@ export class EmbeddedViewer
         this.viewer.Resize (width, height);
     }
 
+    Announce (text)
+    {
+        this.statusDiv.textContent = text;
+    }
+
+    RemoveProgressOverlay ()
+    {
+        if (this.progressOverlay !== null) {
+            this.progressOverlay.Remove ();
+            this.progressOverlay = null;
+        }
+    }
+
     /**
      * Frees up all the memory that is allocated by the viewer. You should call this function if
      * yo don't need the viewer anymore.
      */
     Destroy ()
     {
+        this.RemoveProgressOverlay ();
+        this.keyboardHelpDiv.remove ();
+        this.statusDiv.remove ();
         this.modelLoader.Destroy ();
         this.viewer.Destroy ();
         this.model = null;
+        this.federatedModels = [];
     }
 }
 
@@ -307,6 +613,36 @@ export function Init3DViewerElements (onReady)
             }
         }
 
+        let pointSize = null;
+        let pointSizeParams = element.getAttribute ('pointsize');
+        if (pointSizeParams) {
+            pointSize = ParameterConverter.StringToNumber (pointSizeParams);
+        }
+
+        let tessellationSettings = null;
+        let tessellationParams = element.getAttribute ('tessellation');
+        if (tessellationParams) {
+            tessellationSettings = ParameterConverter.StringToTessellationSettings (tessellationParams);
+        }
+
+        let sectionState = null;
+        let sectionParams = element.getAttribute ('section');
+        if (sectionParams) {
+            sectionState = ParameterConverter.StringToSectionState (sectionParams);
+        }
+
+        let reducedMotion = null;
+        let reducedMotionParams = element.getAttribute ('reducedmotion');
+        if (reducedMotionParams) {
+            reducedMotion = (reducedMotionParams === 'true');
+        }
+
+        let viewCube = false;
+        let viewCubeParams = element.getAttribute ('viewcube');
+        if (viewCubeParams) {
+            viewCube = (viewCubeParams === 'true');
+        }
+
         let modelUrls = null;
         let modelParams = element.getAttribute ('model');
         if (modelParams) {
@@ -320,7 +656,13 @@ export function Init3DViewerElements (onReady)
             defaultLineColor : defaultLineColor,
             defaultColor : defaultColor,
             edgeSettings : edgeSettings,
-            environmentSettings : environmentSettings
+            environmentSettings : environmentSettings,
+            pointSize : pointSize,
+            tessellationSettings : tessellationSettings,
+            sectionState : sectionState,
+            ariaLabel : element.getAttribute ('arialabel'),
+            reducedMotion : reducedMotion,
+            viewCube : viewCube
         });
     }
 
@@ -0,0 +1,375 @@
+import { Coord2D, CoordDistance2D, SubCoord2D } from '../geometry/coord2d.js';
+import { Coord3D, CrossVector3D, DotVector3D, SubCoord3D, VectorAngle3D } from '../geometry/coord3d.js';
+import { DegRad, IsZero } from '../geometry/geometry.js';
+import { NavigationMode } from './camera.js';
+import { GetDomElementClientCoordinates } from './domutils.js';
+
+// forward, right and upward components of the movement for the keys
+const KeyDirections = new Map ([
+    ['KeyW', [1.0, 0.0, 0.0]],
+    ['ArrowUp', [1.0, 0.0, 0.0]],
+    ['KeyS', [-1.0, 0.0, 0.0]],
+    ['ArrowDown', [-1.0, 0.0, 0.0]],
+    ['KeyD', [0.0, 1.0, 0.0]],
+    ['ArrowRight', [0.0, 1.0, 0.0]],
+    ['KeyA', [0.0, -1.0, 0.0]],
+    ['ArrowLeft', [0.0, -1.0, 0.0]],
+    ['KeyE', [0.0, 0.0, 1.0]],
+    ['PageUp', [0.0, 0.0, 1.0]],
+    ['KeyQ', [0.0, 0.0, -1.0]],
+    ['PageDown', [0.0, 0.0, -1.0]]
+]);
+
+const RunKeys = new Set (['ShiftLeft', 'ShiftRight']);
+const RunSpeedMultiplier = 3.0;
+const LookDegreesPerPixel = 0.2;
+const JoystickRadiusInPixels = 50.0;
+const MinLookAngle = 1.0 * DegRad;
+const MaxLookAngle = 179.0 * DegRad;
+// the eye falls down to floors at most this many eye heights below it
+const MaxFallHeightRatio = 20.0;
+
+export function IsFirstPersonNavigationMode (navigationMode)
+{
+    return navigationMode === NavigationMode.Fly || navigationMode === NavigationMode.Walk;
+}
+
+/**
+ * Settings of the fly and walk navigation modes. Lengths are in the unit of the model.
+ */
+export class FirstPersonSettings
+{
+    /**
+     * @param {number} [speed] Movement speed in model units per second. It is calculated from the
+     * size of the model if not specified.
+     * @param {number} [eyeHeight] Height of the eye above the floor in walk mode. It is 1.7 meters
+     * if the unit of the model is known, otherwise it is calculated from the size of the model.
+     * @param {boolean} [gravity] Keep the eye at eye height above the floor in walk mode.
+     * @param {boolean} [collision] Stop the movement at the meshes of the model.
+     */
+    constructor (speed, eyeHeight, gravity, collision)
+    {
+        this.speed = (speed !== undefined ? speed : null);
+        this.eyeHeight = (eyeHeight !== undefined ? eyeHeight : null);
+        this.gravity = (gravity !== undefined ? gravity : true);
+        this.collision = (collision !== undefined ? collision : true);
+    }
+
+    /**
+     * Creates a clone of the object.
+     * @returns {FirstPersonSettings}
+     */
+    Clone ()
+    {
+        return new FirstPersonSettings (this.speed, this.eyeHeight, this.gravity, this.collision);
+    }
+}
+
+export class FirstPersonNavigation
+{
+    constructor (callbacks)
+    {
+        this.callbacks = callbacks;
+        this.settings = new FirstPersonSettings (1.0, 1.7, true, true);
+        this.pressedKeys = new Set ();
+        this.isRunning = false;
+        this.joystick = null;
+        this.lookTouch = null;
+        this.fallSpeed = 0.0;
+        this.frameRequest = null;
+        this.lastFrameTime = null;
+    }
+
+    SetSettings (settings)
+    {
+        this.settings = settings;
+    }
+
+    Start ()
+    {
+        this.fallSpeed = 0.0;
+        this.StartFrames ();
+    }
+
+    Stop ()
+    {
+        this.pressedKeys.clear ();
+        this.isRunning = false;
+        this.joystick = null;
+        this.lookTouch = null;
+        this.StopFrames ();
+    }
+
+    KeyDown (code)
+    {
+        if (RunKeys.has (code)) {
+            this.isRunning = true;
+            return true;
+        }
+        if (!KeyDirections.has (code)) {
+            return false;
+        }
+        this.pressedKeys.add (code);
+        this.StartFrames ();
+        return true;
+    }
+
+    KeyUp (code)
+    {
+        if (RunKeys.has (code)) {
+            this.isRunning = false;
+            return true;
+        }
+        return this.pressedKeys.delete (code);
+    }
+
+    Look (moveX, moveY)
+    {
+        let camera = this.callbacks.getCamera ();
+        let radAngleX = moveX * LookDegreesPerPixel * DegRad;
+        let radAngleY = moveY * LookDegreesPerPixel * DegRad;
+
+        camera.center.Rotate (camera.up, -radAngleX, camera.eye);
+
+        let viewDirection = SubCoord3D (camera.center, camera.eye);
+        let horizontalDirection = CrossVector3D (viewDirection, camera.up).Normalize ();
+        let originalAngle = VectorAngle3D (viewDirection, camera.up);
+        let newAngle = originalAngle + radAngleY;
+        // looking back from a too steep direction is always allowed
+        let isInRange = newAngle > MinLookAngle && newAngle < MaxLookAngle;
+        let isGettingBack = (originalAngle <= MinLookAngle && radAngleY > 0.0) || (originalAngle >= MaxLookAngle && radAngleY < 0.0);
+        if (isInRange || isGettingBack) {
+            camera.center.Rotate (horizontalDirection, -radAngleY, camera.eye);
+        }
+    }
+
+    Step (ratio)
+    {
+        this.Move (ratio * this.settings.speed, 0.0, 0.0);
+        // the frames apply the gravity after the step
+        this.StartFrames ();
+    }
+
+    Move (forward, right, upward)
+    {
+        let camera = this.callbacks.getCamera ();
+        let navigationMode = this.callbacks.getNavigationMode ();
+        let upDirection = camera.up.Clone ().Normalize ();
+        let viewDirection = SubCoord3D (camera.center, camera.eye).Normalize ();
+        let forwardDirection = viewDirection;
+        if (navigationMode === NavigationMode.Walk) {
+            // walking moves on the floor, looking up or down doesn't lift the eye
+            let upComponent = DotVector3D (viewDirection, upDirection);
+            forwardDirection = SubCoord3D (viewDirection, upDirection.Clone ().MultiplyScalar (upComponent)).Normalize ();
+            upward = 0.0;
+        }
+        let rightDirection = CrossVector3D (viewDirection, upDirection).Normalize ();
+
+        let movement = new Coord3D (0.0, 0.0, 0.0);
+        movement.Offset (forwardDirection, forward);
+        movement.Offset (rightDirection, right);
+        movement.Offset (upDirection, upward);
+        let distance = movement.Length ();
+        if (IsZero (distance)) {
+            return;
+        }
+
+        if (this.settings.collision) {
+            distance = this.LimitByCollision (movement, distance);
+            if (IsZero (distance)) {
+                return;
+            }
+        }
+        camera.eye.Offset (movement, distance);
+        camera.center.Offset (movement, distance);
+    }
+
+    LimitByCollision (direction, distance)
+    {
+        let camera = this.callbacks.getCamera ();
+        let margin = this.settings.eyeHeight * 0.15;
+        let origins = [camera.eye];
+        if (this.callbacks.getNavigationMode () === NavigationMode.Walk) {
+            // the body is checked, too, so it's not possible to walk through low obstacles
+            origins.push (camera.eye.Clone ().Offset (camera.up, -this.settings.eyeHeight * 0.6));
+        }
+        for (let origin of origins) {
+            let obstacleDistance = this.callbacks.getCollisionDistance (origin, direction.Clone ().Normalize (), distance + margin);
+            if (obstacleDistance !== null) {
+                distance = Math.min (distance, Math.max (obstacleDistance - margin, 0.0));
+            }
+        }
+        return distance;
+    }
+
+    // returns true while the eye is falling down to the floor
+    ApplyGravity (deltaTime)
+    {
+        if (this.callbacks.getNavigationMode () !== NavigationMode.Walk || !this.settings.gravity) {
+            this.fallSpeed = 0.0;
+            return false;
+        }
+
+        let camera = this.callbacks.getCamera ();
+        let downDirection = camera.up.Clone ().Normalize ().MultiplyScalar (-1.0);
+        let maxFloorDistance = this.settings.eyeHeight * (1.0 + MaxFallHeightRatio);
+        let floorDistance = this.callbacks.getCollisionDistance (camera.eye.Clone (), downDirection, maxFloorDistance);
+        if (floorDistance === null) {
+            this.fallSpeed = 0.0;
+            return false;
+        }
+
+        let floorGap = floorDistance - this.settings.eyeHeight;
+        if (floorGap <= 0.0) {
+            // stepping up to stairs, or standing on the floor
+            camera.eye.Offset (downDirection, floorGap);
+            camera.center.Offset (downDirection, floorGap);
+            this.fallSpeed = 0.0;
+            return false;
+        }
+
+        // the acceleration is scaled to the eye height to be independent from the unit
+        let acceleration = 9.81 / 1.7 * this.settings.eyeHeight;
+        this.fallSpeed += acceleration * deltaTime;
+        let drop = Math.min (this.fallSpeed * deltaTime, floorGap);
+        camera.eye.Offset (downDirection, drop);
+        camera.center.Offset (downDirection, drop);
+        if (drop >= floorGap) {
+            this.fallSpeed = 0.0;
+            return false;
+        }
+        return true;
+    }
+
+    TouchStart (canvas, ev)
+    {
+        // a finger on the left half of the canvas is a joystick for moving, on the right half it looks around
+        for (let touch of ev.changedTouches) {
+            let position = GetDomElementClientCoordinates (canvas, touch.pageX, touch.pageY);
+            if (position.x < canvas.clientWidth / 2.0) {
+                if (this.joystick === null) {
+                    this.joystick = {
+                        id : touch.identifier,
+                        start : position,
+                        current : position
+                    };
+                    this.StartFrames ();
+                }
+            } else if (this.lookTouch === null) {
+                this.lookTouch = {
+                    id : touch.identifier,
+                    previous : position
+                };
+            }
+        }
+    }
+
+    TouchMove (canvas, ev)
+    {
+        let isLooking = false;
+        for (let touch of ev.changedTouches) {
+            let position = GetDomElementClientCoordinates (canvas, touch.pageX, touch.pageY);
+            if (this.joystick !== null && touch.identifier === this.joystick.id) {
+                this.joystick.current = position;
+            } else if (this.lookTouch !== null && touch.identifier === this.lookTouch.id) {
+                let moveDiff = SubCoord2D (position, this.lookTouch.previous);
+                this.Look (moveDiff.x, moveDiff.y);
+                this.lookTouch.previous = position;
+                isLooking = true;
+            }
+        }
+        return isLooking;
+    }
+
+    TouchEnd (canvas, ev)
+    {
+        for (let touch of ev.changedTouches) {
+            if (this.joystick !== null && touch.identifier === this.joystick.id) {
+                this.joystick = null;
+            } else if (this.lookTouch !== null && touch.identifier === this.lookTouch.id) {
+                this.lookTouch = null;
+            }
+        }
+    }
+
+    GetJoystickDirection ()
+    {
+        let offset = SubCoord2D (this.joystick.current, this.joystick.start);
+        let length = CoordDistance2D (this.joystick.current, this.joystick.start);
+        if (length > JoystickRadiusInPixels) {
+            offset = new Coord2D (offset.x * JoystickRadiusInPixels / length, offset.y * JoystickRadiusInPixels / length);
+        }
+        return new Coord2D (offset.x / JoystickRadiusInPixels, offset.y / JoystickRadiusInPixels);
+    }
+
+    Frame (deltaTime)
+    {
+        let forward = 0.0;
+        let right = 0.0;
+        let upward = 0.0;
+        for (let code of this.pressedKeys) {
+            let direction = KeyDirections.get (code);
+            forward += direction[0];
+            right += direction[1];
+            upward += direction[2];
+        }
+        if (this.joystick !== null) {
+            let joystickDirection = this.GetJoystickDirection ();
+            forward -= joystickDirection.y;
+            right += joystickDirection.x;
+        }
+
+        // the direction is normalized, so moving diagonally is not faster, but a partially
+        // pushed joystick still moves slower
+        let directionLength = Math.sqrt (forward * forward + right * right + upward * upward);
+        if (directionLength > 1.0) {
+            forward /= directionLength;
+            right /= directionLength;
+            upward /= directionLength;
+        }
+
+        let distance = this.settings.speed * deltaTime;
+        if (this.isRunning) {
+            distance *= RunSpeedMultiplier;
+        }
+        this.Move (forward * distance, right * distance, upward * distance);
+        let isFalling = this.ApplyGravity (deltaTime);
+        this.callbacks.onUpdate ();
+        return this.pressedKeys.size > 0 || this.joystick !== null || isFalling;
+    }
+
+    StartFrames ()
+    {
+        if (this.frameRequest !== null) {
+            return;
+        }
+
+        const FrameCallback = (frameTime) => {
+            let needMoreFrames = true;
+            if (this.lastFrameTime !== null) {
+                // long pauses (e.g. hidden browser tab) are not caught up
+                let deltaTime = Math.min ((frameTime - this.lastFrameTime) / 1000.0, 0.1);
+                needMoreFrames = this.Frame (deltaTime);
+            }
+            this.lastFrameTime = frameTime;
+            if (needMoreFrames) {
+                this.frameRequest = requestAnimationFrame (FrameCallback);
+            } else {
+                this.frameRequest = null;
+                this.lastFrameTime = null;
+            }
+        };
+
+        this.lastFrameTime = null;
+        this.frameRequest = requestAnimationFrame (FrameCallback);
+    }
+
+    StopFrames ()
+    {
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame (this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.lastFrameTime = null;
+    }
+}
@@ -0,0 +1,673 @@
+import { Coord2D, CoordDistance2D } from '../geometry/coord2d.js';
+import { AddCoord3D, Coord3D, CoordDistance3D, CrossVector3D, DotVector3D, SubCoord3D } from '../geometry/coord3d.js';
+import { IsZero, RadDeg } from '../geometry/geometry.js';
+import { Property, PropertyDisplaySettings, PropertyToString, PropertyType } from '../model/property.js';
+import { AngleUnit, Unit } from '../model/unit.js';
+
+const THREE = window.THREE;
+
+const SnapThresholdInPixels = 10.0;
+const AnnotationColor = 0xd03030;
+const AnnotationRenderOrder = 1000000;
+const LabelHeight = 0.04;
+
+/**
+ * Measurement type.
+ * @enum
+ */
+export const MeasurementType =
+{
+    /** Distance between two points. */
+    Distance : 1,
+    /** Angle of three points, the second point is the vertex of the angle. */
+    Angle : 2,
+    /** Radius and diameter of the circle through three points. */
+    Radius : 3,
+    /** Distance between two faces, measured from the center of the second face. */
+    FaceDistance : 4
+};
+
+/**
+ * Type of the feature a measurement point is snapped to.
+ * @enum
+ */
+export const SnapType =
+{
+    /** The point is on the surface, it is not snapped. */
+    Surface : 0,
+    /** Vertex of a triangle. */
+    Vertex : 1,
+    /** Midpoint of a triangle edge. */
+    EdgeMidpoint : 2,
+    /** Center of a planar face. */
+    FaceCenter : 3
+};
+
+/**
+ * Picked point of a measurement.
+ */
+export class MeasurementPoint
+{
+    /**
+     * @param {Coord3D} position Position of the point.
+     * @param {SnapType} snapType Type of the feature the point is snapped to.
+     * @param {Coord3D} faceCenter Center of the planar face the point is picked on.
+     * @param {Coord3D} faceNormal Normal vector of the face the point is picked on.
+     */
+    constructor (position, snapType, faceCenter, faceNormal)
+    {
+        this.position = position;
+        this.snapType = snapType;
+        this.faceCenter = faceCenter;
+        this.faceNormal = faceNormal;
+    }
+
+    /**
+     * Creates a clone of the object.
+     * @returns {MeasurementPoint}
+     */
+    Clone ()
+    {
+        return new MeasurementPoint (this.position.Clone (), this.snapType, this.faceCenter.Clone (), this.faceNormal.Clone ());
+    }
+}
+
+/**
+ * Result of a measurement. Lengths are in the unit of the model, angles are in degrees.
+ */
+export class Measurement
+{
+    /**
+     * @param {MeasurementType} type Type of the measurement.
+     * @param {Coord3D[]} points Measured points. For face distance these are the two face centers
+     * and the projection of the second center to the plane of the first face.
+     * @param {number} value Distance, angle or radius depending on the type.
+     * @param {Unit|AngleUnit} unit Unit of the value.
+     */
+    constructor (type, points, value, unit)
+    {
+        this.type = type;
+        this.points = points;
+        this.value = value;
+        this.unit = unit;
+        this.center = null;
+        this.diameter = null;
+        this.angle = null;
+    }
+
+    /**
+     * Creates a clone of the object.
+     * @returns {Measurement}
+     */
+    Clone ()
+    {
+        let cloned = new Measurement (this.type, this.points.map ((point) => point.Clone ()), this.value, this.unit);
+        cloned.center = (this.center !== null ? this.center.Clone () : null);
+        cloned.diameter = this.diameter;
+        cloned.angle = this.angle;
+        return cloned;
+    }
+}
+
+/**
+ * Returns the number of picked points needed for a measurement type.
+ * @param {MeasurementType} type Type of the measurement.
+ * @returns {number}
+ */
+export function GetMeasurementPointCount (type)
+{
+    if (type === MeasurementType.Angle || type === MeasurementType.Radius) {
+        return 3;
+    }
+    return 2;
+}
+
+function VectorAngleInDegrees (a, b)
+{
+    let aLength = a.Length ();
+    let bLength = b.Length ();
+    if (IsZero (aLength) || IsZero (bLength)) {
+        return null;
+    }
+    let cosAngle = DotVector3D (a, b) / (aLength * bLength);
+    return Math.acos (Math.min (Math.max (cosAngle, -1.0), 1.0)) * RadDeg;
+}
+
+/**
+ * Calculates the circle that goes through three points.
+ * @param {Coord3D} a First point.
+ * @param {Coord3D} b Second point.
+ * @param {Coord3D} c Third point.
+ * @returns {{center: Coord3D, radius: number}} The circle, or null if the points are collinear.
+ */
+export function CalculateCircleFromPoints (a, b, c)
+{
+    let ab = SubCoord3D (b, a);
+    let ac = SubCoord3D (c, a);
+    let normal = CrossVector3D (ab, ac);
+    let normalLengthSquared = DotVector3D (normal, normal);
+    if (IsZero (normalLengthSquared)) {
+        return null;
+    }
+    let abPart = CrossVector3D (normal, ab).MultiplyScalar (DotVector3D (ac, ac));
+    let acPart = CrossVector3D (ac, normal).MultiplyScalar (DotVector3D (ab, ab));
+    let offset = AddCoord3D (abPart, acPart).MultiplyScalar (1.0 / (2.0 * normalLengthSquared));
+    let center = AddCoord3D (a, offset);
+    return {
+        center : center,
+        radius : CoordDistance3D (center, a)
+    };
+}
+
+/**
+ * Calculates a measurement from picked points.
+ * @param {MeasurementType} type Type of the measurement.
+ * @param {MeasurementPoint[]} points Picked points, see {@link GetMeasurementPointCount}.
+ * @param {Unit} unit Unit of the model.
+ * @returns {Measurement} The measurement, or null if it can't be calculated from the points.
+ */
+export function CalculateMeasurement (type, points, unit)
+{
+    if (points.length !== GetMeasurementPointCount (type)) {
+        return null;
+    }
+
+    let positions = points.map ((point) => point.position.Clone ());
+    if (type === MeasurementType.Distance) {
+        return new Measurement (type, positions, CoordDistance3D (positions[0], positions[1]), unit);
+    } else if (type === MeasurementType.Angle) {
+        let angle = VectorAngleInDegrees (SubCoord3D (positions[0], positions[1]), SubCoord3D (positions[2], positions[1]));
+        if (angle === null) {
+            return null;
+        }
+        return new Measurement (type, positions, angle, AngleUnit.Degree);
+    } else if (type === MeasurementType.Radius) {
+        let circle = CalculateCircleFromPoints (positions[0], positions[1], positions[2]);
+        if (circle === null) {
+            return null;
+        }
+        let measurement = new Measurement (type, positions, circle.radius, unit);
+        measurement.center = circle.center;
+        measurement.diameter = 2.0 * circle.radius;
+        return measurement;
+    } else if (type === MeasurementType.FaceDistance) {
+        let normal = points[0].faceNormal.Clone ().Normalize ();
+        let centers = points.map ((point) => point.faceCenter.Clone ());
+        let signedDistance = DotVector3D (SubCoord3D (centers[1], centers[0]), normal);
+        let projected = centers[1].Clone ().Offset (normal, -signedDistance);
+        let measurement = new Measurement (type, [centers[0], centers[1], projected], Math.abs (signedDistance), unit);
+        // parallel faces have zero angle between them, independently from their orientation
+        let angle = VectorAngleInDegrees (points[0].faceNormal, points[1].faceNormal);
+        if (angle !== null) {
+            measurement.angle = Math.min (angle, 180.0 - angle);
+        }
+        return measurement;
+    }
+    return null;
+}
+
+/**
+ * Converts the value of a measurement to a displayable string.
+ * @param {Measurement} measurement The measurement.
+ * @returns {string}
+ */
+export function MeasurementToString (measurement)
+{
+    let settings = new PropertyDisplaySettings (measurement.type === MeasurementType.Angle ? Unit.Unknown : measurement.unit);
+    if (measurement.type === MeasurementType.Angle) {
+        return PropertyToString (new Property (PropertyType.Angle, null, measurement.value, measurement.unit), settings);
+    }
+    let lengthText = PropertyToString (new Property (PropertyType.Length, null, measurement.value, null), settings);
+    if (measurement.type === MeasurementType.Radius) {
+        let diameterText = PropertyToString (new Property (PropertyType.Length, null, measurement.diameter, null), settings);
+        return 'R ' + lengthText + ', \u2300 ' + diameterText;
+    }
+    return lengthText;
+}
+
+function Vector3ToCoord3D (vector)
+{
+    return new Coord3D (vector.x, vector.y, vector.z);
+}
+
+function Coord3DToVector3 (coord)
+{
+    return new THREE.Vector3 (coord.x, coord.y, coord.z);
+}
+
+function GetScreenCoordinates (position, camera, width, height)
+{
+    let projected = position.clone ().project (camera);
+    return new Coord2D (
+        (projected.x + 1.0) * width / 2.0,
+        -(projected.y - 1.0) * height / 2.0
+    );
+}
+
+// position keys of the triangles, so the triangles with common vertices can be found
+const GeometryVertexTriangles = new WeakMap ();
+
+function GetVertexIndex (geometry, triangleIndex, cornerIndex)
+{
+    let vertexIndex = triangleIndex * 3 + cornerIndex;
+    if (geometry.index !== null) {
+        return geometry.index.getX (vertexIndex);
+    }
+    return vertexIndex;
+}
+
+function GetPositionKey (position, vertexIndex, tolerance)
+{
+    let x = Math.round (position.getX (vertexIndex) / tolerance);
+    let y = Math.round (position.getY (vertexIndex) / tolerance);
+    let z = Math.round (position.getZ (vertexIndex) / tolerance);
+    return x + '/' + y + '/' + z;
+}
+
+function GetVertexTriangles (geometry, tolerance)
+{
+    if (GeometryVertexTriangles.has (geometry)) {
+        return GeometryVertexTriangles.get (geometry);
+    }
+    let position = geometry.attributes.position;
+    let triangleCount = (geometry.index !== null ? geometry.index.count : position.count) / 3;
+    let vertexTriangles = new Map ();
+    for (let triangleIndex = 0; triangleIndex < triangleCount; triangleIndex++) {
+        for (let cornerIndex = 0; cornerIndex < 3; cornerIndex++) {
+            let key = GetPositionKey (position, GetVertexIndex (geometry, triangleIndex, cornerIndex), tolerance);
+            if (!vertexTriangles.has (key)) {
+                vertexTriangles.set (key, []);
+            }
+            vertexTriangles.get (key).push (triangleIndex);
+        }
+    }
+    GeometryVertexTriangles.set (geometry, vertexTriangles);
+    return vertexTriangles;
+}
+
+function GetLocalTriangle (geometry, triangleIndex)
+{
+    let position = geometry.attributes.position;
+    let triangle = new THREE.Triangle ();
+    let vertices = [triangle.a, triangle.b, triangle.c];
+    for (let cornerIndex = 0; cornerIndex < 3; cornerIndex++) {
+        vertices[cornerIndex].fromBufferAttribute (position, GetVertexIndex (geometry, triangleIndex, cornerIndex));
+    }
+    return triangle;
+}
+
+// the area weighted center of the connected coplanar triangles around the given one
+function GetPlanarFaceCenter (geometry, triangleIndex)
+{
+    if (geometry.boundingSphere === null) {
+        geometry.computeBoundingSphere ();
+    }
+    let tolerance = Math.max (geometry.boundingSphere.radius * 1.0e-6, 1.0e-12);
+    let vertexTriangles = GetVertexTriangles (geometry, tolerance);
+    let position = geometry.attributes.position;
+
+    let startPlane = new THREE.Plane ();
+    GetLocalTriangle (geometry, triangleIndex).getPlane (startPlane);
+    let planeTolerance = tolerance * 1000.0;
+
+    let center = new THREE.Vector3 ();
+    let triangleCenter = new THREE.Vector3 ();
+    let planeNormal = new THREE.Vector3 ();
+    let areaSum = 0.0;
+    let visited = new Set ([triangleIndex]);
+    let stack = [triangleIndex];
+    while (stack.length > 0) {
+        let currentIndex = stack.pop ();
+        let triangle = GetLocalTriangle (geometry, currentIndex);
+        let area = triangle.getArea ();
+        triangle.getMidpoint (triangleCenter);
+        center.addScaledVector (triangleCenter, area);
+        areaSum += area;
+
+        for (let cornerIndex = 0; cornerIndex < 3; cornerIndex++) {
+            let key = GetPositionKey (position, GetVertexIndex (geometry, currentIndex, cornerIndex), tolerance);
+            for (let neighbourIndex of vertexTriangles.get (key)) {
+                if (visited.has (neighbourIndex)) {
+                    continue;
+                }
+                visited.add (neighbourIndex);
+                let neighbour = GetLocalTriangle (geometry, neighbourIndex);
+                if (neighbour.getArea () === 0.0) {
+                    continue;
+                }
+                neighbour.getNormal (planeNormal);
+                if (planeNormal.dot (startPlane.normal) < 0.9999) {
+                    continue;
+                }
+                if (Math.abs (startPlane.distanceToPoint (neighbour.a)) > planeTolerance) {
+                    continue;
+                }
+                stack.push (neighbourIndex);
+            }
+        }
+    }
+
+    if (areaSum === 0.0) {
+        return GetLocalTriangle (geometry, triangleIndex).getMidpoint (center);
+    }
+    return center.multiplyScalar (1.0 / areaSum);
+}
+
+/**
+ * Snaps a mesh intersection to the closest vertex, edge midpoint or face center if it is close
+ * enough on the screen.
+ * @param {object} intersection three.js intersection of a mesh.
+ * @param {object} camera three.js camera.
+ * @param {number} width Width of the canvas.
+ * @param {number} height Height of the canvas.
+ * @param {Coord2D} mouseCoords Mouse position on the canvas.
+ * @returns {MeasurementPoint}
+ */
+export function GetSnappedMeasurementPoint (intersection, camera, width, height, mouseCoords)
+{
+    let mesh = intersection.object;
+    let geometry = mesh.geometry;
+    let triangleIndex = intersection.faceIndex;
+
+    // the vertex positions are taken from the mesh to follow skinning and morph targets
+    let vertices = [];
+    for (let cornerIndex = 0; cornerIndex < 3; cornerIndex++) {
+        let vertex = new THREE.Vector3 ();
+        let vertexIndex = GetVertexIndex (geometry, triangleIndex, cornerIndex);
+        if (mesh.getVertexPosition) {
+            mesh.getVertexPosition (vertexIndex, vertex);
+        } else {
+            vertex.fromBufferAttribute (geometry.attributes.position, vertexIndex);
+        }
+        vertices.push (vertex.applyMatrix4 (mesh.matrixWorld));
+    }
+
+    let faceNormal = new THREE.Vector3 ();
+    THREE.Triangle.getNormal (vertices[0], vertices[1], vertices[2], faceNormal);
+    let faceCenter = GetPlanarFaceCenter (geometry, triangleIndex).applyMatrix4 (mesh.matrixWorld);
+
+    let candidates = [];
+    for (let i = 0; i < 3; i++) {
+        let next = vertices[(i + 1) % 3];
+        candidates.push ({ position : vertices[i], snapType : SnapType.Vertex });
+        candidates.push ({ position : vertices[i].clone ().add (next).multiplyScalar (0.5), snapType : SnapType.EdgeMidpoint });
+    }
+    candidates.push ({ position : faceCenter, snapType : SnapType.FaceCenter });
+
+    let snapped = { position : intersection.point, snapType : SnapType.Surface };
+    let minDistance = SnapThresholdInPixels;
+    for (let candidate of candidates) {
+        let screenCoords = GetScreenCoordinates (candidate.position, camera, width, height);
+        let distance = CoordDistance2D (screenCoords, mouseCoords);
+        if (distance < minDistance) {
+            minDistance = distance;
+            snapped = candidate;
+        }
+    }
+
+    return new MeasurementPoint (
+        Vector3ToCoord3D (snapped.position),
+        snapped.snapType,
+        Vector3ToCoord3D (faceCenter),
+        Vector3ToCoord3D (faceNormal)
+    );
+}
+
+function CreateLabelSprite (text)
+{
+    let fontSize = 32;
+    let padding = 8;
+    let canvas = document.createElement ('canvas');
+    let context = canvas.getContext ('2d');
+    context.font = fontSize + 'px sans-serif';
+    canvas.width = Math.ceil (context.measureText (text).width) + 2 * padding;
+    canvas.height = fontSize + 2 * padding;
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    context.fillRect (0, 0, canvas.width, canvas.height);
+    context.font = fontSize + 'px sans-serif';
+    context.fillStyle = '#' + new THREE.Color (AnnotationColor).getHexString ();
+    context.textBaseline = 'middle';
+    context.fillText (text, padding, canvas.height / 2.0);
+
+    let texture = new THREE.CanvasTexture (canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    let material = new THREE.SpriteMaterial ({
+        map : texture,
+        depthTest : false,
+        depthWrite : false,
+        sizeAttenuation : false
+    });
+    let sprite = new THREE.Sprite (material);
+    sprite.scale.set (LabelHeight * canvas.width / canvas.height, LabelHeight, 1.0);
+    sprite.renderOrder = AnnotationRenderOrder + 1;
+    return sprite;
+}
+
+function CreatePointsObject (positions)
+{
+    let geometry = new THREE.BufferGeometry ().setFromPoints (positions);
+    let material = new THREE.PointsMaterial ({
+        color : AnnotationColor,
+        size : 8.0,
+        sizeAttenuation : false,
+        depthTest : false,
+        depthWrite : false
+    });
+    let points = new THREE.Points (geometry, material);
+    points.renderOrder = AnnotationRenderOrder;
+    return points;
+}
+
+function CreateLinesObject (positions)
+{
+    let geometry = new THREE.BufferGeometry ().setFromPoints (positions);
+    let material = new THREE.LineBasicMaterial ({
+        color : AnnotationColor,
+        depthTest : false,
+        depthWrite : false
+    });
+    let lines = new THREE.LineSegments (geometry, material);
+    lines.renderOrder = AnnotationRenderOrder;
+    return lines;
+}
+
+function CreateAnnotation (measurement)
+{
+    let annotation = new THREE.Object3D ();
+    let points = measurement.points.map ((point) => Coord3DToVector3 (point));
+    let linePositions = [];
+    let labelPosition = null;
+    if (measurement.type === MeasurementType.Distance) {
+        linePositions.push (points[0], points[1]);
+        labelPosition = points[0].clone ().add (points[1]).multiplyScalar (0.5);
+    } else if (measurement.type === MeasurementType.Angle) {
+        linePositions.push (points[1], points[0], points[1], points[2]);
+        labelPosition = points[1];
+    } else if (measurement.type === MeasurementType.Radius) {
+        let center = Coord3DToVector3 (measurement.center);
+        let xAxis = points[0].clone ().sub (center);
+        let normal = points[1].clone ().sub (center).cross (xAxis).normalize ();
+        let yAxis = normal.clone ().cross (xAxis);
+        let segmentCount = 64;
+        for (let i = 0; i < segmentCount; i++) {
+            for (let j = i; j <= i + 1; j++) {
+                let angle = 2.0 * Math.PI * j / segmentCount;
+                linePositions.push (center.clone ().addScaledVector (xAxis, Math.cos (angle)).addScaledVector (yAxis, Math.sin (angle)));
+            }
+        }
+        linePositions.push (center, points[0]);
+        points.push (center);
+        labelPosition = center;
+    } else if (measurement.type === MeasurementType.FaceDistance) {
+        // the distance is shown as the perpendicular from the second face center to the first face
+        linePositions.push (points[1], points[2]);
+        labelPosition = points[1].clone ().add (points[2]).multiplyScalar (0.5);
+    }
+
+    annotation.add (CreatePointsObject (points));
+    annotation.add (CreateLinesObject (linePositions));
+    let label = CreateLabelSprite (MeasurementToString (measurement));
+    label.position.copy (labelPosition);
+    annotation.add (label);
+    return annotation;
+}
+
+function DisposeAnnotation (annotation)
+{
+    annotation.traverse ((obj) => {
+        if (obj.isSprite) {
+            obj.material.map.dispose ();
+            obj.material.dispose ();
+        } else if (obj.isPoints || obj.isLineSegments) {
+            obj.material.dispose ();
+            obj.geometry.dispose ();
+        }
+    });
+    if (annotation.parent !== null) {
+        annotation.parent.remove (annotation);
+    }
+}
+
+export class Measurer
+{
+    constructor (scene, extraModel)
+    {
+        this.scene = scene;
+        this.extraModel = extraModel;
+        this.type = null;
+        this.unit = Unit.Unknown;
+        this.pendingPoints = [];
+        this.hoverPoint = null;
+        this.markerObject = null;
+        this.measurements = [];
+        this.annotations = [];
+        this.onMeasurement = null;
+    }
+
+    SetMeasurementHandler (onMeasurement)
+    {
+        this.onMeasurement = onMeasurement;
+    }
+
+    IsActive ()
+    {
+        return this.type !== null;
+    }
+
+    GetType ()
+    {
+        return this.type;
+    }
+
+    SetType (type)
+    {
+        this.type = type;
+        this.pendingPoints = [];
+        this.hoverPoint = null;
+        this.UpdateMarkers ();
+    }
+
+    GetUnit ()
+    {
+        return this.unit;
+    }
+
+    SetUnit (unit)
+    {
+        this.unit = unit;
+    }
+
+    SetHoverPoint (point)
+    {
+        this.hoverPoint = point;
+        this.UpdateMarkers ();
+    }
+
+    AddPoint (point)
+    {
+        if (this.type === null) {
+            return null;
+        }
+        this.pendingPoints.push (point.Clone ());
+        let measurement = null;
+        if (this.pendingPoints.length === GetMeasurementPointCount (this.type)) {
+            measurement = CalculateMeasurement (this.type, this.pendingPoints, this.unit);
+            this.pendingPoints = [];
+            if (measurement !== null) {
+                this.AddMeasurement (measurement);
+            }
+        }
+        this.UpdateMarkers ();
+        return measurement;
+    }
+
+    AddMeasurement (measurement)
+    {
+        this.measurements.push (measurement);
+        let annotation = CreateAnnotation (measurement);
+        this.extraModel.AddObject (annotation);
+        this.annotations.push (annotation);
+        if (this.onMeasurement !== null) {
+            this.onMeasurement (measurement.Clone ());
+        }
+    }
+
+    GetMeasurements ()
+    {
+        return this.measurements.map ((measurement) => measurement.Clone ());
+    }
+
+    RemoveMeasurement (index)
+    {
+        if (index < 0 || index >= this.measurements.length) {
+            return;
+        }
+        DisposeAnnotation (this.annotations[index]);
+        this.measurements.splice (index, 1);
+        this.annotations.splice (index, 1);
+    }
+
+    ClearMeasurements ()
+    {
+        this.ClearAnnotations ();
+        this.measurements = [];
+        this.pendingPoints = [];
+        this.UpdateMarkers ();
+    }
+
+    ClearAnnotations ()
+    {
+        for (let annotation of this.annotations) {
+            DisposeAnnotation (annotation);
+        }
+        this.annotations = [];
+    }
+
+    CreateAnnotations ()
+    {
+        for (let measurement of this.measurements) {
+            let annotation = CreateAnnotation (measurement);
+            this.extraModel.AddObject (annotation);
+            this.annotations.push (annotation);
+        }
+    }
+
+    UpdateMarkers ()
+    {
+        if (this.markerObject !== null) {
+            DisposeAnnotation (this.markerObject);
+            this.markerObject = null;
+        }
+        let positions = this.pendingPoints.map ((point) => Coord3DToVector3 (point.position));
+        if (this.type !== null && this.hoverPoint !== null) {
+            positions.push (Coord3DToVector3 (this.hoverPoint.position));
+        }
+        if (positions.length === 0) {
+            return;
+        }
+        this.markerObject = new THREE.Object3D ();
+        this.markerObject.add (CreatePointsObject (positions));
+        this.scene.add (this.markerObject);
+    }
+}
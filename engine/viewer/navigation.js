@@ -4,6 +4,7 @@ import { DegRad, IsGreater, IsLower, IsZero } from '../geometry/geometry.js';
 import { ParabolicTweenFunction, TweenCoord3D } from '../geometry/tween.js';
 import { CameraIsEqual3D, NavigationMode } from './camera.js';
 import { GetDomElementClientCoordinates } from './domutils.js';
+import { FirstPersonNavigation, IsFirstPersonNavigationMode } from './firstpersonnavigation.js';
 
 export class MouseInteraction
 {
@@ -250,23 +251,62 @@ export class Navigation
 		this.onMouseClick = null;
 		this.onMouseMove = null;
 		this.onContext = null;
+		this.dragHandler = null;
+		this.isDragging = false;
+		this.getCollisionDistance = null;
+		this.onShortcut = null;
+		this.reducedMotion = false;
+
+		this.firstPerson = new FirstPersonNavigation ({
+			getCamera : () => {
+				return this.camera;
+			},
+			getNavigationMode : () => {
+				return this.navigationMode;
+			},
+			getCollisionDistance : (origin, direction, maxDistance) => {
+				if (this.getCollisionDistance === null) {
+					return null;
+				}
+				return this.getCollisionDistance (origin, direction, maxDistance);
+			},
+			onUpdate : () => {
+				this.Update ();
+			}
+		});
 
+		// the listeners are kept to remove them when the navigation is destroyed
+		this.eventListeners = [];
 		if (this.canvas.addEventListener) {
-			this.canvas.addEventListener ('mousedown', this.OnMouseDown.bind (this));
-			this.canvas.addEventListener ('wheel', this.OnMouseWheel.bind (this));
-			this.canvas.addEventListener ('touchstart', this.OnTouchStart.bind (this));
-			this.canvas.addEventListener ('touchmove', this.OnTouchMove.bind (this));
-			this.canvas.addEventListener ('touchcancel', this.OnTouchEnd.bind (this));
-			this.canvas.addEventListener ('touchend', this.OnTouchEnd.bind (this));
-			this.canvas.addEventListener ('contextmenu', this.OnContextMenu.bind (this));
+			this.AddEventListener (this.canvas, 'mousedown', this.OnMouseDown);
+			this.AddEventListener (this.canvas, 'wheel', this.OnMouseWheel);
+			this.AddEventListener (this.canvas, 'touchstart', this.OnTouchStart);
+			this.AddEventListener (this.canvas, 'touchmove', this.OnTouchMove);
+			this.AddEventListener (this.canvas, 'touchcancel', this.OnTouchEnd);
+			this.AddEventListener (this.canvas, 'touchend', this.OnTouchEnd);
+			this.AddEventListener (this.canvas, 'contextmenu', this.OnContextMenu);
+			this.AddEventListener (this.canvas, 'keydown', this.OnKeyDown);
+			this.AddEventListener (this.canvas, 'keyup', this.OnKeyUp);
+			this.AddEventListener (this.canvas, 'blur', this.OnBlur);
 		}
 		if (document.addEventListener) {
-			document.addEventListener ('mousemove', this.OnMouseMove.bind (this));
-			document.addEventListener ('mouseup', this.OnMouseUp.bind (this));
-			document.addEventListener ('mouseleave', this.OnMouseLeave.bind (this));
+			this.AddEventListener (document, 'mousemove', this.OnMouseMove);
+			this.AddEventListener (document, 'mouseup', this.OnMouseUp);
+			this.AddEventListener (document, 'mouseleave', this.OnMouseLeave);
 		}
 	}
 
+	AddEventListener (target, type, handler)
+	{
+		let listener = handler.bind (this);
+		target.addEventListener (type, listener);
+		this.eventListeners.push ({
+			target : target,
+			type : type,
+			listener : listener
+		});
+	}
+
 	SetMouseClickHandler (onMouseClick)
 	{
 		this.onMouseClick = onMouseClick;
@@ -282,6 +322,36 @@ export class Navigation
 		this.onContext = onContext;
 	}
 
+	// the drag handler can take over left button drags from the navigation, for example to move gizmos
+	SetDragHandler (dragHandler)
+	{
+		this.dragHandler = dragHandler;
+	}
+
+	// the collision handler returns the distance of the model from a point in a direction,
+	// or null if the model is not hit within the max distance
+	SetCollisionHandler (getCollisionDistance)
+	{
+		this.getCollisionDistance = getCollisionDistance;
+	}
+
+	SetFirstPersonSettings (settings)
+	{
+		this.firstPerson.SetSettings (settings);
+	}
+
+	// the shortcut handler gets the keys of the focused canvas that are not used for navigation,
+	// and returns true if it handled the key
+	SetShortcutHandler (onShortcut)
+	{
+		this.onShortcut = onShortcut;
+	}
+
+	SetReducedMotion (reducedMotion)
+	{
+		this.reducedMotion = reducedMotion;
+	}
+
 	GetNavigationMode ()
 	{
 		return this.navigationMode;
@@ -290,6 +360,11 @@ export class Navigation
 	SetNavigationMode (navigationMode)
 	{
 		this.navigationMode = navigationMode;
+		if (IsFirstPersonNavigationMode (navigationMode)) {
+			this.firstPerson.Start ();
+		} else {
+			this.firstPerson.Stop ();
+		}
 	}
 
 	GetCamera ()
@@ -322,7 +397,7 @@ export class Navigation
 			return;
 		}
 
-		if (stepCount === 0 || CameraIsEqual3D (this.camera, newCamera)) {
+		if (stepCount === 0 || this.reducedMotion || CameraIsEqual3D (this.camera, newCamera)) {
 			this.camera = newCamera;
 		} else {
 			let tweenFunc = ParabolicTweenFunction;
@@ -339,13 +414,13 @@ export class Navigation
 		this.Update ();
 	}
 
-	GetFitToSphereCamera (center, radius)
+	GetFitToSphereCamera (center, radius, camera)
 	{
 		if (IsZero (radius)) {
 			return null;
 		}
 
-		let fitCamera = this.camera.Clone ();
+		let fitCamera = (camera !== undefined ? camera : this.camera).Clone ();
 
 		let offsetToOrigo = SubCoord3D (fitCamera.center, center);
 		fitCamera.eye = SubCoord3D (fitCamera.eye, offsetToOrigo);
@@ -369,6 +444,9 @@ export class Navigation
 
 		this.mouse.Down (this.canvas, ev);
 		this.clickDetector.Start (this.mouse.GetPosition ());
+		if (this.dragHandler !== null && ev.which === 1) {
+			this.isDragging = this.dragHandler.onDragStart (this.mouse.GetPosition ());
+		}
 	}
 
 	OnMouseMove (ev)
@@ -384,9 +462,21 @@ export class Navigation
 			return;
 		}
 
+		if (this.isDragging) {
+			this.dragHandler.onDrag (this.mouse.GetPosition ());
+			this.Update ();
+			return;
+		}
+
 		let moveDiff = this.mouse.GetMoveDiff ();
 		let mouseButton = this.mouse.GetButton ();
 
+		if (IsFirstPersonNavigationMode (this.navigationMode)) {
+			this.firstPerson.Look (moveDiff.x, moveDiff.y);
+			this.Update ();
+			return;
+		}
+
 		let navigationType = NavigationType.None;
 		if (mouseButton === 1) {
 			if (ev.ctrlKey) {
@@ -419,6 +509,7 @@ export class Navigation
 	{
 		this.mouse.Up (this.canvas, ev);
 		this.clickDetector.End ();
+		this.EndDrag ();
 
 		if (this.clickDetector.IsClick ()) {
 			let mouseCoords = this.mouse.GetPosition ();
@@ -430,6 +521,7 @@ export class Navigation
 	{
 		this.mouse.Leave (this.canvas, ev);
 		this.clickDetector.Cancel ();
+		this.EndDrag ();
 	}
 
 	OnTouchStart (ev)
@@ -438,6 +530,9 @@ export class Navigation
 
 		this.touch.Start (this.canvas, ev);
 		this.clickDetector.Start (this.touch.GetPosition ());
+		if (IsFirstPersonNavigationMode (this.navigationMode)) {
+			this.firstPerson.TouchStart (this.canvas, ev);
+		}
 	}
 
 	OnTouchMove (ev)
@@ -446,6 +541,12 @@ export class Navigation
 
 		this.touch.Move (this.canvas, ev);
 		this.clickDetector.Move (this.touch.GetPosition ());
+		if (IsFirstPersonNavigationMode (this.navigationMode)) {
+			if (this.firstPerson.TouchMove (this.canvas, ev)) {
+				this.Update ();
+			}
+			return;
+		}
 		if (!this.touch.IsFingerDown ()) {
 			return;
 		}
@@ -480,6 +581,9 @@ export class Navigation
 
 		this.touch.End (this.canvas, ev);
 		this.clickDetector.End ();
+		if (IsFirstPersonNavigationMode (this.navigationMode)) {
+			this.firstPerson.TouchEnd (this.canvas, ev);
+		}
 
 		if (this.clickDetector.IsClick ()) {
 			let touchCoords = this.touch.GetPosition ();
@@ -495,6 +599,12 @@ export class Navigation
 		params.preventDefault ();
 
 		let delta = -params.deltaY / 40;
+		if (IsFirstPersonNavigationMode (this.navigationMode)) {
+			this.firstPerson.Step (delta < 0 ? -0.25 : 0.25);
+			this.Update ();
+			return;
+		}
+
 		let ratio = 0.1;
 		if (delta < 0) {
 			ratio = ratio * -1.0;
@@ -504,6 +614,80 @@ export class Navigation
 		this.Update ();
 	}
 
+	OnKeyDown (ev)
+	{
+		if (ev.ctrlKey || ev.altKey || ev.metaKey) {
+			return;
+		}
+		// the keys move the camera only while the canvas has the focus, so other viewers
+		// and the scrolling of the page are not affected
+		if (IsFirstPersonNavigationMode (this.navigationMode)) {
+			if (this.firstPerson.KeyDown (ev.code)) {
+				ev.preventDefault ();
+				return;
+			}
+		} else if (this.NavigateByKey (ev.code, ev.shiftKey)) {
+			ev.preventDefault ();
+			this.Update ();
+			return;
+		}
+		if (this.onShortcut !== null && this.onShortcut (ev.code)) {
+			ev.preventDefault ();
+		}
+	}
+
+	NavigateByKey (code, shiftKey)
+	{
+		let orbitAngle = 5.0;
+		let panDistance = 0.05 * CoordDistance3D (this.camera.eye, this.camera.center);
+		let zoomRatio = 0.1;
+		let moveX = 0.0;
+		let moveY = 0.0;
+		if (code === 'ArrowLeft') {
+			moveX = -1.0;
+		} else if (code === 'ArrowRight') {
+			moveX = 1.0;
+		} else if (code === 'ArrowUp') {
+			moveY = -1.0;
+		} else if (code === 'ArrowDown') {
+			moveY = 1.0;
+		} else if (code === 'Equal' || code === 'NumpadAdd' || code === 'PageUp') {
+			this.Zoom (zoomRatio);
+			return true;
+		} else if (code === 'Minus' || code === 'NumpadSubtract' || code === 'PageDown') {
+			this.Zoom (-zoomRatio);
+			return true;
+		} else {
+			return false;
+		}
+
+		// the arrows move the model like dragging it with the mouse
+		if (shiftKey) {
+			this.Pan (moveX * panDistance, moveY * panDistance);
+		} else {
+			this.Orbit (moveX * orbitAngle, moveY * orbitAngle);
+		}
+		return true;
+	}
+
+	OnKeyUp (ev)
+	{
+		if (!IsFirstPersonNavigationMode (this.navigationMode)) {
+			return;
+		}
+		if (this.firstPerson.KeyUp (ev.code)) {
+			ev.preventDefault ();
+		}
+	}
+
+	OnBlur (ev)
+	{
+		// the key up events are lost while the canvas is not focused
+		if (IsFirstPersonNavigationMode (this.navigationMode)) {
+			this.firstPerson.Stop ();
+		}
+	}
+
 	OnContextMenu (ev)
 	{
 		ev.preventDefault ();
@@ -558,6 +742,14 @@ export class Navigation
 		this.camera.eye.Offset (direction, move);
 	}
 
+	EndDrag ()
+	{
+		if (this.isDragging) {
+			this.isDragging = false;
+			this.dragHandler.onDragEnd ();
+		}
+	}
+
 	Update ()
 	{
 		this.callbacks.onUpdate ();
@@ -581,4 +773,13 @@ export class Navigation
 			this.onContext (globalCoords, localCoords);
 		}
 	}
+
+	Destroy ()
+	{
+		this.firstPerson.Stop ();
+		for (let eventListener of this.eventListeners) {
+			eventListener.target.removeEventListener (eventListener.type, eventListener.listener);
+		}
+		this.eventListeners = [];
+	}
 }
@@ -0,0 +1,743 @@
+import { Coord3D } from '../geometry/coord3d.js';
+
+const THREE = window.THREE;
+
+export const MaxSectionPlaneCount = 6;
+
+const GizmoColor = 0x3393bd;
+const GizmoRenderOrder = 1000000;
+
+/**
+ * Section mode.
+ * @enum
+ */
+export const SectionMode =
+{
+    /** The model is not sectioned. */
+    None : 0,
+    /** The model is cut by arbitrary section planes. */
+    Planes : 1,
+    /** The model is cut by an axis-aligned section box. */
+    Box : 2
+};
+
+/**
+ * Section plane object. The part of the model on the side the normal points to is cut away.
+ */
+export class SectionPlane
+{
+    /**
+     * @param {Coord3D} origin A point on the plane.
+     * @param {Coord3D} normal Normal vector of the plane.
+     */
+    constructor (origin, normal)
+    {
+        this.origin = origin;
+        this.normal = normal;
+    }
+
+    /**
+     * Creates a clone of the object.
+     * @returns {SectionPlane}
+     */
+    Clone ()
+    {
+        return new SectionPlane (this.origin.Clone (), this.normal.Clone ());
+    }
+}
+
+/**
+ * Axis-aligned section box object. The part of the model outside of the box is cut away.
+ */
+export class SectionBox
+{
+    /**
+     * @param {Coord3D} min Minimum corner of the box.
+     * @param {Coord3D} max Maximum corner of the box.
+     */
+    constructor (min, max)
+    {
+        this.min = min;
+        this.max = max;
+    }
+
+    /**
+     * Creates a clone of the object.
+     * @returns {SectionBox}
+     */
+    Clone ()
+    {
+        return new SectionBox (this.min.Clone (), this.max.Clone ());
+    }
+}
+
+/**
+ * Section state object.
+ */
+export class SectionState
+{
+    /**
+     * @param {SectionMode} mode Section mode.
+     * @param {SectionPlane[]} planes Section planes, they are used in planes mode. At most six
+     * planes are allowed.
+     * @param {SectionBox} box Section box, it is used in box mode.
+     * @param {boolean} showCaps Fill the cut faces of solids with the color of their material.
+     */
+    constructor (mode, planes, box, showCaps)
+    {
+        this.mode = mode;
+        this.planes = planes;
+        this.box = box;
+        this.showCaps = showCaps;
+    }
+
+    /**
+     * Returns the planes that cut the model in the current mode. In box mode these are the six
+     * faces of the box in +X, -X, +Y, -Y, +Z, -Z order.
+     * @returns {SectionPlane[]}
+     */
+    GetSectionPlanes ()
+    {
+        if (this.mode === SectionMode.Planes) {
+            return this.planes;
+        } else if (this.mode === SectionMode.Box && this.box !== null) {
+            let min = this.box.min;
+            let max = this.box.max;
+            let center = new Coord3D ((min.x + max.x) / 2.0, (min.y + max.y) / 2.0, (min.z + max.z) / 2.0);
+            return [
+                new SectionPlane (new Coord3D (max.x, center.y, center.z), new Coord3D (1.0, 0.0, 0.0)),
+                new SectionPlane (new Coord3D (min.x, center.y, center.z), new Coord3D (-1.0, 0.0, 0.0)),
+                new SectionPlane (new Coord3D (center.x, max.y, center.z), new Coord3D (0.0, 1.0, 0.0)),
+                new SectionPlane (new Coord3D (center.x, min.y, center.z), new Coord3D (0.0, -1.0, 0.0)),
+                new SectionPlane (new Coord3D (center.x, center.y, max.z), new Coord3D (0.0, 0.0, 1.0)),
+                new SectionPlane (new Coord3D (center.x, center.y, min.z), new Coord3D (0.0, 0.0, -1.0))
+            ];
+        }
+        return [];
+    }
+
+    /**
+     * Creates a clone of the object.
+     * @returns {SectionState}
+     */
+    Clone ()
+    {
+        let planes = [];
+        for (let plane of this.planes) {
+            planes.push (plane.Clone ());
+        }
+        let box = (this.box !== null ? this.box.Clone () : null);
+        return new SectionState (this.mode, planes, box, this.showCaps);
+    }
+}
+
+function SetThreePlane (threePlane, sectionPlane)
+{
+    // three.js keeps the positive side of the plane, so the normal is flipped
+    let normal = new THREE.Vector3 (sectionPlane.normal.x, sectionPlane.normal.y, sectionPlane.normal.z).normalize ().negate ();
+    let origin = new THREE.Vector3 (sectionPlane.origin.x, sectionPlane.origin.y, sectionPlane.origin.z);
+    threePlane.setFromNormalAndCoplanarPoint (normal, origin);
+}
+
+function IsObjectVisible (object)
+{
+    let current = object;
+    while (current !== null) {
+        if (!current.visible) {
+            return false;
+        }
+        current = current.parent;
+    }
+    return true;
+}
+
+// the original material is used for highlighted meshes, so highlighting doesn't change the caps
+function GetFirstMaterial (mesh)
+{
+    let material = (mesh.userData.threeMaterials ? mesh.userData.threeMaterials : mesh.material);
+    if (Array.isArray (material)) {
+        return material[0];
+    }
+    return material;
+}
+
+// merges the triangles of the meshes in world coordinates, only the positions are needed for the stencil
+function CreateMergedGeometry (meshes)
+{
+    let vertexCount = 0;
+    let indexCount = 0;
+    for (let mesh of meshes) {
+        let geometry = mesh.geometry;
+        vertexCount += geometry.attributes.position.count;
+        indexCount += (geometry.index !== null ? geometry.index.count : geometry.attributes.position.count);
+    }
+
+    let geometry = new THREE.BufferGeometry ();
+    geometry.setAttribute ('position', new THREE.BufferAttribute (new Float32Array (vertexCount * 3), 3));
+    geometry.setIndex (new THREE.BufferAttribute (new Uint32Array (indexCount), 1));
+    WriteMergedGeometry (geometry, meshes);
+    return geometry;
+}
+
+// the buffers of the merged geometry are overwritten, so moved meshes don't need new buffers
+function WriteMergedGeometry (geometry, meshes)
+{
+    let positions = geometry.attributes.position.array;
+    let indices = geometry.index.array;
+    let vertex = new THREE.Vector3 ();
+    let vertexOffset = 0;
+    let indexOffset = 0;
+    for (let mesh of meshes) {
+        mesh.updateWorldMatrix (true, false);
+        let position = mesh.geometry.attributes.position;
+        for (let i = 0; i < position.count; i++) {
+            vertex.fromBufferAttribute (position, i).applyMatrix4 (mesh.matrixWorld);
+            positions[(vertexOffset + i) * 3] = vertex.x;
+            positions[(vertexOffset + i) * 3 + 1] = vertex.y;
+            positions[(vertexOffset + i) * 3 + 2] = vertex.z;
+        }
+        // mirrored meshes are flipped back, so every triangle counts with the same sign in the stencil
+        let index = mesh.geometry.index;
+        let count = (index !== null ? index.count : position.count);
+        let isMirrored = (mesh.matrixWorld.determinant () < 0.0);
+        for (let i = 0; i < count; i++) {
+            let sourceIndex = i;
+            if (isMirrored) {
+                sourceIndex = i - i % 3 + [0, 2, 1][i % 3];
+            }
+            let vertexIndex = (index !== null ? index.getX (sourceIndex) : sourceIndex);
+            indices[indexOffset + i] = vertexOffset + vertexIndex;
+        }
+        vertexOffset += position.count;
+        indexOffset += count;
+    }
+
+    geometry.attributes.position.needsUpdate = true;
+    geometry.index.needsUpdate = true;
+}
+
+function CreateStencilMaterial (clippingPlane, side, stencilOp)
+{
+    let material = new THREE.MeshBasicMaterial ();
+    material.depthWrite = false;
+    material.depthTest = false;
+    material.colorWrite = false;
+    material.stencilWrite = true;
+    material.stencilFunc = THREE.AlwaysStencilFunc;
+    material.stencilFail = stencilOp;
+    material.stencilZFail = stencilOp;
+    material.stencilZPass = stencilOp;
+    material.side = side;
+    material.clippingPlanes = [clippingPlane];
+    return material;
+}
+
+// the parameter of the point on the axis which is the closest to the ray, or null if they are parallel
+function GetClosestAxisParameter (ray, axisOrigin, axisDirection)
+{
+    let w0 = new THREE.Vector3 ().subVectors (axisOrigin, ray.origin);
+    let b = axisDirection.dot (ray.direction);
+    let denom = 1.0 - b * b;
+    if (denom < 1.0e-6) {
+        return null;
+    }
+    let d = axisDirection.dot (w0);
+    let e = ray.direction.dot (w0);
+    return (b * e - d) / denom;
+}
+
+export class Sectioning
+{
+    constructor (scene, mainModel)
+    {
+        this.scene = scene;
+        this.mainModel = mainModel;
+        this.state = new SectionState (SectionMode.None, [], null, true);
+        this.clippingPlanes = [];
+        this.materialsClipped = false;
+        this.needToUpdateMaterials = false;
+        this.needToUpdateCaps = false;
+        this.needToUpdateCapGeometries = false;
+        this.needToUpdateGizmos = false;
+
+        this.capObject = null;
+        this.capMeshes = [];
+        this.capMaterials = [];
+        this.capGeometries = [];
+        this.capStencilGroups = [];
+        this.capCenter = new THREE.Vector3 ();
+
+        this.showGizmos = false;
+        this.gizmoObject = null;
+        this.drag = null;
+        this.onChange = null;
+    }
+
+    SetChangeHandler (onChange)
+    {
+        this.onChange = onChange;
+    }
+
+    GetState ()
+    {
+        return this.state.Clone ();
+    }
+
+    SetState (state)
+    {
+        if (state === null || state.mode === SectionMode.None) {
+            this.state = new SectionState (SectionMode.None, [], null, state !== null ? state.showCaps : this.state.showCaps);
+        } else {
+            this.state = state.Clone ();
+            if (this.state.planes.length > MaxSectionPlaneCount) {
+                this.state.planes.splice (MaxSectionPlaneCount);
+            }
+        }
+        this.UpdatePlanes ();
+        this.needToUpdateCaps = true;
+    }
+
+    AddPlane (origin, normal)
+    {
+        if (this.state.mode !== SectionMode.Planes) {
+            this.state = new SectionState (SectionMode.Planes, [], null, this.state.showCaps);
+        }
+        if (this.state.planes.length >= MaxSectionPlaneCount) {
+            return -1;
+        }
+        this.state.planes.push (new SectionPlane (origin.Clone (), normal.Clone ().Normalize ()));
+        this.UpdatePlanes ();
+        return this.state.planes.length - 1;
+    }
+
+    RemovePlane (index)
+    {
+        if (this.state.mode !== SectionMode.Planes || index < 0 || index >= this.state.planes.length) {
+            return;
+        }
+        this.state.planes.splice (index, 1);
+        if (this.state.planes.length === 0) {
+            this.state.mode = SectionMode.None;
+        }
+        this.UpdatePlanes ();
+    }
+
+    SetBox (min, max)
+    {
+        let box = new SectionBox (
+            new Coord3D (Math.min (min.x, max.x), Math.min (min.y, max.y), Math.min (min.z, max.z)),
+            new Coord3D (Math.max (min.x, max.x), Math.max (min.y, max.y), Math.max (min.z, max.z))
+        );
+        this.state = new SectionState (SectionMode.Box, [], box, this.state.showCaps);
+        this.UpdatePlanes ();
+    }
+
+    ShowGizmos (show)
+    {
+        this.showGizmos = show;
+        this.needToUpdateGizmos = true;
+    }
+
+    GetClippingPlanes ()
+    {
+        return this.clippingPlanes;
+    }
+
+    // materials of the model have changed (highlight, edges), they need the clipping planes
+    Invalidate ()
+    {
+        this.needToUpdateMaterials = true;
+    }
+
+    // meshes, their transformation or their visibility have changed, caps are built again
+    InvalidateModel ()
+    {
+        this.needToUpdateMaterials = true;
+        this.needToUpdateCaps = true;
+    }
+
+    // only the transformations of the meshes have changed (animation), the existing stencil
+    // geometries are overwritten instead of building the caps again
+    InvalidateTransformations ()
+    {
+        this.needToUpdateCapGeometries = true;
+    }
+
+    // the size of the model has changed, gizmos are built again for the new size
+    InvalidateGizmos ()
+    {
+        this.needToUpdateGizmos = true;
+    }
+
+    UpdatePlanes ()
+    {
+        let sectionPlanes = this.state.GetSectionPlanes ();
+        if (sectionPlanes.length !== this.clippingPlanes.length) {
+            // the same array is shared by the materials, so it is modified in place
+            this.clippingPlanes.length = 0;
+            for (let i = 0; i < sectionPlanes.length; i++) {
+                this.clippingPlanes.push (new THREE.Plane ());
+            }
+            this.needToUpdateMaterials = true;
+            this.needToUpdateCaps = true;
+            this.needToUpdateGizmos = true;
+        }
+        for (let i = 0; i < sectionPlanes.length; i++) {
+            SetThreePlane (this.clippingPlanes[i], sectionPlanes[i]);
+        }
+    }
+
+    Update ()
+    {
+        if (this.needToUpdateMaterials) {
+            this.UpdateMaterials ();
+            this.needToUpdateMaterials = false;
+        }
+        if (this.needToUpdateCaps || this.needToUpdateGizmos) {
+            let boundingSphere = null;
+            if (this.clippingPlanes.length > 0) {
+                boundingSphere = this.mainModel.GetBoundingSphere ((meshUserData) => {
+                    return true;
+                });
+            }
+            if (this.needToUpdateCaps) {
+                this.ClearCaps ();
+                if (boundingSphere !== null && this.state.showCaps) {
+                    this.CreateCaps (boundingSphere);
+                }
+                this.needToUpdateCaps = false;
+                this.needToUpdateCapGeometries = false;
+            }
+            if (this.needToUpdateGizmos) {
+                this.ClearGizmos ();
+                if (boundingSphere !== null && this.showGizmos) {
+                    this.CreateGizmos (boundingSphere);
+                }
+                this.needToUpdateGizmos = false;
+            }
+        }
+        if (this.needToUpdateCapGeometries) {
+            this.UpdateCapGeometries ();
+            this.needToUpdateCapGeometries = false;
+        }
+        this.UpdateCaps ();
+        this.UpdateGizmos ();
+    }
+
+    UpdateMaterials ()
+    {
+        if (this.clippingPlanes.length === 0 && !this.materialsClipped) {
+            return;
+        }
+
+        let clippingPlanes = (this.clippingPlanes.length > 0 ? this.clippingPlanes : null);
+        let SetMaterialsClipping = (materials) => {
+            if (!Array.isArray (materials)) {
+                materials.clippingPlanes = clippingPlanes;
+                return;
+            }
+            for (let material of materials) {
+                material.clippingPlanes = clippingPlanes;
+            }
+        };
+
+        this.mainModel.EnumerateMeshesAndLines ((mesh) => {
+            SetMaterialsClipping (mesh.material);
+            if (mesh.userData.threeMaterials) {
+                SetMaterialsClipping (mesh.userData.threeMaterials);
+            }
+        });
+        this.mainModel.EnumerateEdges ((edge) => {
+            SetMaterialsClipping (edge.material);
+        });
+        this.materialsClipped = (clippingPlanes !== null);
+    }
+
+    CreateCaps (boundingSphere)
+    {
+        // The cut faces are filled with the stencil technique: the back faces of the mesh increment,
+        // the front faces decrement the stencil buffer, so it's non-zero where the cap is visible.
+        // The visible meshes are merged by color, so there is one stencil geometry and one cap
+        // for every color and plane, and the stencil is cleared only after those caps.
+        let colorToMeshes = new Map ();
+        this.mainModel.EnumerateMeshes ((mesh) => {
+            // skinned and morphed meshes are deformed on the gpu, so the stencil meshes can't follow them
+            if (mesh.isSkinnedMesh || mesh.morphTargetInfluences !== undefined || !IsObjectVisible (mesh)) {
+                return;
+            }
+            let material = GetFirstMaterial (mesh);
+            let colorKey = (material.color ? material.color.getHex () : 0);
+            if (!colorToMeshes.has (colorKey)) {
+                colorToMeshes.set (colorKey, []);
+            }
+            colorToMeshes.get (colorKey).push (mesh);
+        });
+        if (colorToMeshes.size === 0) {
+            return;
+        }
+
+        let capSize = boundingSphere.radius * 2.2;
+        this.capCenter.copy (boundingSphere.center);
+        let capGeometry = new THREE.PlaneGeometry (capSize, capSize);
+        this.capGeometries.push (capGeometry);
+        this.capObject = new THREE.Object3D ();
+
+        let stencilMaterials = [];
+        for (let plane of this.clippingPlanes) {
+            let backMaterial = CreateStencilMaterial (plane, THREE.BackSide, THREE.IncrementWrapStencilOp);
+            let frontMaterial = CreateStencilMaterial (plane, THREE.FrontSide, THREE.DecrementWrapStencilOp);
+            stencilMaterials.push ([backMaterial, frontMaterial]);
+            this.capMaterials.push (backMaterial, frontMaterial);
+        }
+
+        let planeCount = this.clippingPlanes.length;
+        let groupIndex = 0;
+        for (let [colorKey, meshes] of colorToMeshes) {
+            let stencilGeometry = CreateMergedGeometry (meshes);
+            this.capGeometries.push (stencilGeometry);
+            this.capStencilGroups.push ({
+                geometry : stencilGeometry,
+                meshes : meshes
+            });
+            for (let i = 0; i < planeCount; i++) {
+                let renderOrder = 1 + (groupIndex * planeCount + i) * 2;
+                for (let stencilMaterial of stencilMaterials[i]) {
+                    let stencilMesh = new THREE.Mesh (stencilGeometry, stencilMaterial);
+                    stencilMesh.frustumCulled = false;
+                    stencilMesh.renderOrder = renderOrder;
+                    this.capObject.add (stencilMesh);
+                }
+
+                let capMaterial = new THREE.MeshPhongMaterial ({
+                    color : colorKey,
+                    side : THREE.DoubleSide,
+                    clippingPlanes : this.clippingPlanes.filter ((plane, index) => index !== i),
+                    stencilWrite : true,
+                    stencilRef : 0,
+                    stencilFunc : THREE.NotEqualStencilFunc,
+                    stencilFail : THREE.ReplaceStencilOp,
+                    stencilZFail : THREE.ReplaceStencilOp,
+                    stencilZPass : THREE.ReplaceStencilOp
+                });
+                let capMesh = new THREE.Mesh (capGeometry, capMaterial);
+                capMesh.frustumCulled = false;
+                capMesh.renderOrder = renderOrder + 1;
+                capMesh.userData.sectionPlaneIndex = i;
+                capMesh.onAfterRender = (renderer) => {
+                    renderer.clearStencil ();
+                };
+                this.capObject.add (capMesh);
+                this.capMeshes.push (capMesh);
+                this.capMaterials.push (capMaterial);
+            }
+            groupIndex += 1;
+        }
+
+        this.scene.add (this.capObject);
+    }
+
+    UpdateCaps ()
+    {
+        if (this.capObject === null) {
+            return;
+        }
+
+        // the planes can move without building the caps again, so only the caps are placed
+        let zAxis = new THREE.Vector3 (0.0, 0.0, 1.0);
+        let capTransforms = [];
+        for (let plane of this.clippingPlanes) {
+            let position = new THREE.Vector3 ();
+            plane.projectPoint (this.capCenter, position);
+            let quaternion = new THREE.Quaternion ().setFromUnitVectors (zAxis, plane.normal);
+            capTransforms.push ({
+                position : position,
+                quaternion : quaternion
+            });
+        }
+
+        for (let capMesh of this.capMeshes) {
+            let capTransform = capTransforms[capMesh.userData.sectionPlaneIndex];
+            capMesh.position.copy (capTransform.position);
+            capMesh.quaternion.copy (capTransform.quaternion);
+        }
+    }
+
+    UpdateCapGeometries ()
+    {
+        for (let stencilGroup of this.capStencilGroups) {
+            WriteMergedGeometry (stencilGroup.geometry, stencilGroup.meshes);
+        }
+    }
+
+    ClearCaps ()
+    {
+        if (this.capObject === null) {
+            return;
+        }
+        for (let material of this.capMaterials) {
+            material.dispose ();
+        }
+        for (let geometry of this.capGeometries) {
+            geometry.dispose ();
+        }
+        this.scene.remove (this.capObject);
+        this.capObject = null;
+        this.capMeshes = [];
+        this.capMaterials = [];
+        this.capGeometries = [];
+        this.capStencilGroups = [];
+    }
+
+    CreateGizmos (boundingSphere)
+    {
+        let gizmoLength = boundingSphere.radius * 0.3;
+        let coneLength = gizmoLength * 0.3;
+        let material = new THREE.MeshBasicMaterial ({
+            color : GizmoColor,
+            depthTest : false,
+            depthWrite : false
+        });
+
+        this.gizmoObject = new THREE.Object3D ();
+        for (let i = 0; i < this.clippingPlanes.length; i++) {
+            // the handles point to +Y in their local coordinate system
+            let handle = new THREE.Object3D ();
+            let shaft = new THREE.Mesh (new THREE.CylinderGeometry (coneLength * 0.1, coneLength * 0.1, gizmoLength - coneLength), material);
+            shaft.position.set (0.0, (gizmoLength - coneLength) / 2.0, 0.0);
+            let cone = new THREE.Mesh (new THREE.ConeGeometry (coneLength * 0.4, coneLength), material);
+            cone.position.set (0.0, gizmoLength - coneLength / 2.0, 0.0);
+            let pickSphere = new THREE.Mesh (new THREE.SphereGeometry (coneLength), new THREE.MeshBasicMaterial ({ visible : false }));
+            pickSphere.position.set (0.0, gizmoLength - coneLength / 2.0, 0.0);
+            for (let part of [shaft, cone, pickSphere]) {
+                part.renderOrder = GizmoRenderOrder;
+                handle.add (part);
+            }
+            handle.userData.sectionPlaneIndex = i;
+            this.gizmoObject.add (handle);
+        }
+        this.scene.add (this.gizmoObject);
+    }
+
+    UpdateGizmos ()
+    {
+        if (this.gizmoObject === null) {
+            return;
+        }
+        let yAxis = new THREE.Vector3 (0.0, 1.0, 0.0);
+        let sectionPlanes = this.state.GetSectionPlanes ();
+        for (let handle of this.gizmoObject.children) {
+            let sectionPlane = sectionPlanes[handle.userData.sectionPlaneIndex];
+            let normal = new THREE.Vector3 (sectionPlane.normal.x, sectionPlane.normal.y, sectionPlane.normal.z).normalize ();
+            handle.position.set (sectionPlane.origin.x, sectionPlane.origin.y, sectionPlane.origin.z);
+            handle.quaternion.setFromUnitVectors (yAxis, normal);
+        }
+    }
+
+    ClearGizmos ()
+    {
+        if (this.gizmoObject === null) {
+            return;
+        }
+        let materials = new Set ();
+        this.gizmoObject.traverse ((obj) => {
+            if (obj.isMesh) {
+                materials.add (obj.material);
+                obj.geometry.dispose ();
+            }
+        });
+        for (let material of materials) {
+            material.dispose ();
+        }
+        this.scene.remove (this.gizmoObject);
+        this.gizmoObject = null;
+        this.drag = null;
+    }
+
+    StartDrag (mouseCoords, camera, width, height)
+    {
+        if (this.gizmoObject === null) {
+            return false;
+        }
+
+        let raycaster = this.CreateRaycaster (mouseCoords, camera, width, height);
+        let intersections = raycaster.intersectObject (this.gizmoObject, true);
+        if (intersections.length === 0) {
+            return false;
+        }
+
+        let handle = intersections[0].object.parent;
+        let planeIndex = handle.userData.sectionPlaneIndex;
+        let sectionPlane = this.state.GetSectionPlanes ()[planeIndex];
+        let axisOrigin = new THREE.Vector3 (sectionPlane.origin.x, sectionPlane.origin.y, sectionPlane.origin.z);
+        let axisDirection = new THREE.Vector3 (sectionPlane.normal.x, sectionPlane.normal.y, sectionPlane.normal.z).normalize ();
+        let startParameter = GetClosestAxisParameter (raycaster.ray, axisOrigin, axisDirection);
+        if (startParameter === null) {
+            return false;
+        }
+
+        this.drag = {
+            planeIndex : planeIndex,
+            axisOrigin : axisOrigin,
+            axisDirection : axisDirection,
+            startParameter : startParameter,
+            startState : this.state.Clone ()
+        };
+        return true;
+    }
+
+    Drag (mouseCoords, camera, width, height)
+    {
+        if (this.drag === null) {
+            return;
+        }
+
+        let raycaster = this.CreateRaycaster (mouseCoords, camera, width, height);
+        let parameter = GetClosestAxisParameter (raycaster.ray, this.drag.axisOrigin, this.drag.axisDirection);
+        if (parameter === null) {
+            return;
+        }
+
+        let offset = parameter - this.drag.startParameter;
+        let startState = this.drag.startState;
+        if (this.state.mode === SectionMode.Planes) {
+            let startPlane = startState.planes[this.drag.planeIndex];
+            this.state.planes[this.drag.planeIndex].origin = startPlane.origin.Clone ().Offset (startPlane.normal, offset);
+        } else if (this.state.mode === SectionMode.Box) {
+            // the box faces are in +X, -X, +Y, -Y, +Z, -Z order
+            let component = ['x', 'y', 'z'][Math.floor (this.drag.planeIndex / 2)];
+            let min = startState.box.min[component];
+            let max = startState.box.max[component];
+            if (this.drag.planeIndex % 2 === 0) {
+                this.state.box.max[component] = Math.max (max + offset, min);
+            } else {
+                this.state.box.min[component] = Math.min (min - offset, max);
+            }
+        }
+
+        this.UpdatePlanes ();
+        if (this.onChange !== null) {
+            this.onChange (this.GetState ());
+        }
+    }
+
+    EndDrag ()
+    {
+        this.drag = null;
+    }
+
+    CreateRaycaster (mouseCoords, camera, width, height)
+    {
+        let mousePos = new THREE.Vector2 ();
+        mousePos.x = (mouseCoords.x / width) * 2 - 1;
+        mousePos.y = -(mouseCoords.y / height) * 2 + 1;
+        let raycaster = new THREE.Raycaster ();
+        raycaster.setFromCamera (mousePos, camera);
+        return raycaster;
+    }
+
+    Clear ()
+    {
+        this.ClearCaps ();
+        this.ClearGizmos ();
+    }
+}
@@ -0,0 +1,144 @@
+import { CrossVector3D, DotVector3D, SubCoord3D } from '../geometry/coord3d.js';
+import { Loc } from '../core/localization.js';
+import { AddDiv } from './domutils.js';
+
+// the cube is built in a coordinate system where x is right, y is down and z is front,
+// the same way as css transforms work, so faces are seen from the outside in front view
+const ViewCubeFaces = [
+    { name : 'Front', transform : 'translateZ', normal : [0, 0, 1], xAxis : [1, 0, 0], yAxis : [0, 1, 0] },
+    { name : 'Back', transform : 'rotateY(180deg) translateZ', normal : [0, 0, -1], xAxis : [-1, 0, 0], yAxis : [0, 1, 0] },
+    { name : 'Right', transform : 'rotateY(90deg) translateZ', normal : [1, 0, 0], xAxis : [0, 0, -1], yAxis : [0, 1, 0] },
+    { name : 'Left', transform : 'rotateY(-90deg) translateZ', normal : [-1, 0, 0], xAxis : [0, 0, 1], yAxis : [0, 1, 0] },
+    { name : 'Top', transform : 'rotateX(90deg) translateZ', normal : [0, -1, 0], xAxis : [1, 0, 0], yAxis : [0, 0, 1] },
+    { name : 'Bottom', transform : 'rotateX(-90deg) translateZ', normal : [0, 1, 0], xAxis : [1, 0, 0], yAxis : [0, 0, -1] }
+];
+
+/**
+ * Clickable cube overlay that shows the orientation of the camera. Clicking on a face, an edge or
+ * a corner of the cube selects the view from that direction.
+ */
+export class ViewCube
+{
+    /**
+     * @param {HTMLElement} parentElement The element to place the cube in. It should be the
+     * positioned container of the viewer canvas.
+     * @param {object} callbacks Callbacks for the cube.
+     * @param {function} callbacks.onViewSelected Called with the front, right and up ratios of
+     * the eye direction when a part of the cube is clicked.
+     * @param {number} [size] Size of the cube in pixels.
+     */
+    constructor (parentElement, callbacks, size)
+    {
+        this.callbacks = callbacks;
+        this.size = (size !== undefined ? size : 70);
+
+        this.mainDiv = AddDiv (parentElement, 'ov_view_cube');
+        this.mainDiv.setAttribute ('aria-hidden', 'true');
+        this.mainDiv.style.position = 'absolute';
+        this.mainDiv.style.top = '10px';
+        this.mainDiv.style.right = '10px';
+        this.mainDiv.style.width = this.size + 'px';
+        this.mainDiv.style.height = this.size + 'px';
+        this.mainDiv.style.userSelect = 'none';
+
+        this.cubeDiv = AddDiv (this.mainDiv, 'ov_view_cube_cube');
+        this.cubeDiv.style.width = '100%';
+        this.cubeDiv.style.height = '100%';
+        this.cubeDiv.style.transformStyle = 'preserve-3d';
+
+        for (let face of ViewCubeFaces) {
+            this.CreateFace (face);
+        }
+    }
+
+    CreateFace (face)
+    {
+        let faceDiv = AddDiv (this.cubeDiv, 'ov_view_cube_face');
+        faceDiv.style.position = 'absolute';
+        faceDiv.style.left = '0px';
+        faceDiv.style.top = '0px';
+        faceDiv.style.width = this.size + 'px';
+        faceDiv.style.height = this.size + 'px';
+        faceDiv.style.boxSizing = 'border-box';
+        faceDiv.style.border = '1px solid rgba(80, 80, 80, 0.8)';
+        faceDiv.style.background = 'rgba(240, 240, 240, 0.8)';
+        faceDiv.style.transform = face.transform + '(' + (this.size / 2.0) + 'px)';
+        faceDiv.style.backfaceVisibility = 'hidden';
+        faceDiv.style.display = 'grid';
+        faceDiv.style.gridTemplateColumns = '20% 60% 20%';
+        faceDiv.style.gridTemplateRows = '20% 60% 20%';
+
+        // the middle of the face selects the face, the sides select the edges and the corners select the corners
+        for (let row = -1; row <= 1; row++) {
+            for (let col = -1; col <= 1; col++) {
+                let cellDiv = AddDiv (faceDiv, 'ov_view_cube_cell');
+                cellDiv.style.display = 'flex';
+                cellDiv.style.alignItems = 'center';
+                cellDiv.style.justifyContent = 'center';
+                cellDiv.style.cursor = 'pointer';
+                if (row === 0 && col === 0) {
+                    cellDiv.textContent = Loc (face.name);
+                    cellDiv.style.fontSize = Math.round (this.size / 6.0) + 'px';
+                    cellDiv.style.fontFamily = 'sans-serif';
+                    cellDiv.style.color = 'rgb(60, 60, 60)';
+                    cellDiv.style.overflow = 'hidden';
+                }
+                cellDiv.addEventListener ('mouseenter', () => {
+                    cellDiv.style.background = 'rgba(51, 147, 189, 0.6)';
+                });
+                cellDiv.addEventListener ('mouseleave', () => {
+                    cellDiv.style.background = '';
+                });
+
+                let x = face.normal[0] + col * face.xAxis[0] + row * face.yAxis[0];
+                let y = face.normal[1] + col * face.xAxis[1] + row * face.yAxis[1];
+                let z = face.normal[2] + col * face.xAxis[2] + row * face.yAxis[2];
+                cellDiv.addEventListener ('click', (ev) => {
+                    ev.preventDefault ();
+                    this.callbacks.onViewSelected (z, x, -y);
+                });
+            }
+        }
+    }
+
+    /**
+     * Rotates the cube to match the camera.
+     * @param {Camera} camera The camera of the viewer.
+     * @param {object} axes The front, right and up directions of the model.
+     */
+    Update (camera, axes)
+    {
+        let viewDirection = SubCoord3D (camera.center, camera.eye).Normalize ();
+        let cameraRight = CrossVector3D (viewDirection, camera.up).Normalize ();
+        let cameraUp = CrossVector3D (cameraRight, viewDirection);
+
+        // css coordinates are right, down and towards the viewer
+        function ToScreen (direction, multiplier)
+        {
+            return [
+                DotVector3D (direction, cameraRight) * multiplier,
+                -DotVector3D (direction, cameraUp) * multiplier,
+                -DotVector3D (direction, viewDirection) * multiplier
+            ];
+        }
+
+        let xColumn = ToScreen (axes.right, 1.0);
+        let yColumn = ToScreen (axes.up, -1.0);
+        let zColumn = ToScreen (axes.front, 1.0);
+        let matrix = [
+            xColumn[0], xColumn[1], xColumn[2], 0.0,
+            yColumn[0], yColumn[1], yColumn[2], 0.0,
+            zColumn[0], zColumn[1], zColumn[2], 0.0,
+            0.0, 0.0, 0.0, 1.0
+        ];
+        this.cubeDiv.style.transform = 'matrix3d(' + matrix.join (',') + ')';
+    }
+
+    /**
+     * Removes the cube from the page.
+     */
+    Remove ()
+    {
+        this.mainDiv.remove ();
+    }
+}
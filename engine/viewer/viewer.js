@@ -1,15 +1,107 @@
-import { Coord3D, CoordDistance3D, SubCoord3D } from '../geometry/coord3d.js';
-import { DegRad, Direction, IsEqual } from '../geometry/geometry.js';
+import { Coord3D, CoordDistance3D, CrossVector3D, SubCoord3D } from '../geometry/coord3d.js';
+import { DegRad, Direction, IsEqual, IsZero } from '../geometry/geometry.js';
 import { ColorComponentToFloat } from '../model/color.js';
+import { GetUnitScale, Unit } from '../model/unit.js';
+import { ParameterConverter } from '../parameters/parameterlist.js';
 import { CreateHighlightMaterials, ShadingType } from '../threejs/threeutils.js';
+import { AnimationPlayer } from './animationplayer.js';
 import { Camera, NavigationMode, ProjectionMode } from './camera.js';
 import { GetDomElementInnerDimensions } from './domutils.js';
+import { FirstPersonSettings, IsFirstPersonNavigationMode } from './firstpersonnavigation.js';
+import { GetSnappedMeasurementPoint, Measurer } from './measurement.js';
 import { Navigation } from './navigation.js';
+import { Sectioning } from './sectioning.js';
 import { ShadingModel } from './shadingmodel.js';
-import { ViewerModel, ViewerMainModel } from './viewermodel.js';
+import { ViewCube } from './viewcube.js';
+import { IntersectionMode, ViewerModel, ViewerMainModel } from './viewermodel.js';
 
 const THREE = window.THREE;
 
+// meshes can be given with a filter function on the mesh user data or with an array of mesh instance ids
+function CreateMeshFilter (meshes)
+{
+    if (typeof meshes === 'function') {
+        return meshes;
+    }
+    let meshInstanceKeys = new Set ();
+    for (let meshInstanceId of meshes) {
+        meshInstanceKeys.add (meshInstanceId.GetKey ());
+    }
+    return (meshUserData) => {
+        return meshInstanceKeys.has (meshUserData.originalMeshInstance.id.GetKey ());
+    };
+}
+
+export const StandardView =
+{
+    Front : 1,
+    Back : 2,
+    Left : 3,
+    Right : 4,
+    Top : 5,
+    Bottom : 6,
+    IsometricFrontRightTop : 7,
+    IsometricFrontLeftTop : 8,
+    IsometricBackRightTop : 9,
+    IsometricBackLeftTop : 10,
+    IsometricFrontRightBottom : 11,
+    IsometricFrontLeftBottom : 12,
+    IsometricBackRightBottom : 13,
+    IsometricBackLeftBottom : 14
+};
+
+// front, right and up ratios of the eye direction for every standard view
+const StandardViewDirections = new Map ([
+    [StandardView.Front, [1.0, 0.0, 0.0]],
+    [StandardView.Back, [-1.0, 0.0, 0.0]],
+    [StandardView.Left, [0.0, -1.0, 0.0]],
+    [StandardView.Right, [0.0, 1.0, 0.0]],
+    [StandardView.Top, [0.0, 0.0, 1.0]],
+    [StandardView.Bottom, [0.0, 0.0, -1.0]],
+    [StandardView.IsometricFrontRightTop, [1.0, 1.0, 1.0]],
+    [StandardView.IsometricFrontLeftTop, [1.0, -1.0, 1.0]],
+    [StandardView.IsometricBackRightTop, [-1.0, 1.0, 1.0]],
+    [StandardView.IsometricBackLeftTop, [-1.0, -1.0, 1.0]],
+    [StandardView.IsometricFrontRightBottom, [1.0, 1.0, -1.0]],
+    [StandardView.IsometricFrontLeftBottom, [1.0, -1.0, -1.0]],
+    [StandardView.IsometricBackRightBottom, [-1.0, 1.0, -1.0]],
+    [StandardView.IsometricBackLeftBottom, [-1.0, -1.0, -1.0]]
+]);
+
+const StandardViewShortcuts = new Map ([
+    ['Digit1', StandardView.Front],
+    ['Digit2', StandardView.Back],
+    ['Digit3', StandardView.Left],
+    ['Digit4', StandardView.Right],
+    ['Digit5', StandardView.Top],
+    ['Digit6', StandardView.Bottom],
+    ['Numpad1', StandardView.Front],
+    ['Numpad2', StandardView.Back],
+    ['Numpad3', StandardView.Left],
+    ['Numpad4', StandardView.Right],
+    ['Numpad5', StandardView.Top],
+    ['Numpad6', StandardView.Bottom],
+    ['Digit0', StandardView.IsometricFrontRightTop],
+    ['Numpad0', StandardView.IsometricFrontRightTop]
+]);
+
+// the direction from the model to the eye in front view, it is similar to the default cameras
+function GetFrontDirection (upDirection)
+{
+    if (upDirection === Direction.Y) {
+        return new Coord3D (0.0, 0.0, 1.0);
+    }
+    return new Coord3D (0.0, -1.0, 0.0);
+}
+
+function IsReducedMotionPreferred ()
+{
+    if (!window.matchMedia) {
+        return false;
+    }
+    return window.matchMedia ('(prefers-reduced-motion: reduce)').matches;
+}
+
 export function GetDefaultCamera (direction)
 {
     let fieldOfView = 45.0;
@@ -146,6 +238,62 @@ export class UpVector
         return null;
     }
 
+    Level (oldCamera)
+    {
+        this.isFixed = true;
+        this.isFlipped = false;
+        let newCamera = oldCamera.Clone ();
+        newCamera.up = GetDefaultCamera (this.direction).up;
+        return newCamera;
+    }
+
+    GetViewAxes ()
+    {
+        let up = GetDefaultCamera (this.direction).up;
+        if (this.isFlipped) {
+            up.MultiplyScalar (-1.0);
+        }
+        let front = GetFrontDirection (this.direction);
+        let right = CrossVector3D (front.Clone ().MultiplyScalar (-1.0), up);
+        return {
+            front : front,
+            right : right,
+            up : up
+        };
+    }
+
+    GetStandardViewCamera (view, oldCamera)
+    {
+        if (!StandardViewDirections.has (view)) {
+            return null;
+        }
+        let ratios = StandardViewDirections.get (view);
+        return this.GetViewCamera (ratios[0], ratios[1], ratios[2], oldCamera);
+    }
+
+    GetViewCamera (frontRatio, rightRatio, upRatio, oldCamera)
+    {
+        let axes = this.GetViewAxes ();
+        // views from the top or the bottom are tilted a bit to the front, so the up vector can stay the same
+        if (IsZero (frontRatio) && IsZero (rightRatio)) {
+            frontRatio = 0.001;
+        }
+        let eyeDirection = new Coord3D (0.0, 0.0, 0.0);
+        eyeDirection.Offset (axes.front, frontRatio);
+        eyeDirection.Offset (axes.right, rightRatio);
+        eyeDirection.Offset (axes.up, upRatio);
+        if (IsZero (eyeDirection.Length ())) {
+            return null;
+        }
+        eyeDirection.Normalize ();
+
+        let distance = CoordDistance3D (oldCamera.center, oldCamera.eye);
+        let newCamera = oldCamera.Clone ();
+        newCamera.up = axes.up;
+        newCamera.eye = oldCamera.center.Clone ().Offset (eyeDirection, distance);
+        return newCamera;
+    }
+
     Flip (oldCamera)
     {
         this.isFlipped = !this.isFlipped;
@@ -160,7 +308,6 @@ export class Viewer
     constructor ()
     {
         //THREE.ColorManagement.enabled = false;
-        console.log("iuhuuihuihi");
         this.canvas = null;
         this.renderer = null;
         this.scene = null;
@@ -172,8 +319,19 @@ export class Viewer
         this.shadingModel = null;
         this.navigation = null;
         this.upVector = null;
+        this.animationPlayer = null;
+        this.sectioning = null;
+        this.measurer = null;
+        this.viewCube = null;
+        this.viewpoints = new Map ();
+        this.meshesVisibility = null;
+        this.modelsVisibility = null;
+        this.firstPersonSettings = new FirstPersonSettings ();
+        this.onMouseClick = null;
+        this.onMouseMove = null;
         this.settings = {
-            animationSteps : 40
+            animationSteps : 40,
+            pointSize : 2.0
         };
     }
 
@@ -184,11 +342,13 @@ export class Viewer
 
         let parameters = {
             canvas : this.canvas,
-            antialias : true
+            antialias : true,
+            stencil : true
         };
 
         this.renderer = new THREE.WebGLRenderer (parameters);
         this.renderer.outputColorSpace = THREE.LinearSRGBColorSpace;
+        this.renderer.localClippingEnabled = true;
 
         if (window.devicePixelRatio) {
             this.renderer.setPixelRatio (window.devicePixelRatio);
@@ -199,21 +359,27 @@ export class Viewer
         this.scene = new THREE.Scene ();
         this.mainModel = new ViewerMainModel (this.scene);
         this.extraModel = new ViewerModel (this.scene);
+        this.sectioning = new Sectioning (this.scene, this.mainModel);
+        this.measurer = new Measurer (this.scene, this.extraModel);
 
         this.InitNavigation ();
         this.InitShading ();
+        this.animationPlayer = new AnimationPlayer (() => {
+            this.sectioning.InvalidateTransformations ();
+            this.Render ();
+        });
 
         this.Render ();
     }
 
     SetMouseClickHandler (onMouseClick)
     {
-        this.navigation.SetMouseClickHandler (onMouseClick);
+        this.onMouseClick = onMouseClick;
     }
 
     SetMouseMoveHandler (onMouseMove)
     {
-        this.navigation.SetMouseMoveHandler (onMouseMove);
+        this.onMouseMove = onMouseMove;
     }
 
     SetContextMenuHandler (onContext)
@@ -225,6 +391,7 @@ export class Viewer
     {
         let newEdgeSettings = edgeSettings.Clone ();
         this.mainModel.SetEdgeSettings (newEdgeSettings);
+        this.sectioning.Invalidate ();
         this.Render ();
     }
 
@@ -310,6 +477,108 @@ export class Viewer
         this.Render ();
     }
 
+    FitToWindow (animation)
+    {
+        let boundingSphere = this.GetBoundingSphere ((meshUserData) => {
+            return true;
+        });
+        this.FitSphereToWindow (boundingSphere, animation);
+    }
+
+    SetStandardView (view, animation)
+    {
+        let newCamera = this.upVector.GetStandardViewCamera (view, this.navigation.GetCamera ());
+        this.MoveToViewCamera (newCamera, animation);
+    }
+
+    SetViewDirection (frontRatio, rightRatio, upRatio, animation)
+    {
+        let newCamera = this.upVector.GetViewCamera (frontRatio, rightRatio, upRatio, this.navigation.GetCamera ());
+        this.MoveToViewCamera (newCamera, animation);
+    }
+
+    MoveToViewCamera (newCamera, animation)
+    {
+        if (newCamera === null) {
+            return;
+        }
+        let boundingSphere = this.GetBoundingSphere ((meshUserData) => {
+            return true;
+        });
+        if (boundingSphere !== null) {
+            let center = new Coord3D (boundingSphere.center.x, boundingSphere.center.y, boundingSphere.center.z);
+            newCamera = this.navigation.GetFitToSphereCamera (center, boundingSphere.radius, newCamera);
+        }
+        this.navigation.MoveCamera (newCamera, animation ? this.settings.animationSteps : 0);
+    }
+
+    SetReducedMotion (reducedMotion)
+    {
+        this.navigation.SetReducedMotion (reducedMotion);
+    }
+
+    ShowViewCube (show)
+    {
+        if (show && this.viewCube === null) {
+            this.viewCube = new ViewCube (this.canvas.parentElement, {
+                onViewSelected : (frontRatio, rightRatio, upRatio) => {
+                    this.SetViewDirection (frontRatio, rightRatio, upRatio, true);
+                }
+            });
+            this.viewCube.Update (this.navigation.GetCamera (), this.upVector.GetViewAxes ());
+        } else if (!show && this.viewCube !== null) {
+            this.viewCube.Remove ();
+            this.viewCube = null;
+        }
+    }
+
+    SaveViewpoint (name)
+    {
+        let cameraString = ParameterConverter.CameraToString (this.navigation.GetCamera ());
+        this.viewpoints.set (name, cameraString);
+        return cameraString;
+    }
+
+    RestoreViewpoint (name, animation)
+    {
+        if (!this.viewpoints.has (name)) {
+            return false;
+        }
+        let camera = ParameterConverter.StringToCamera (this.viewpoints.get (name));
+        if (camera === null) {
+            return false;
+        }
+        if (animation && IsEqual (camera.fov, this.navigation.GetCamera ().fov)) {
+            this.navigation.MoveCamera (camera, this.settings.animationSteps);
+        } else {
+            this.SetCamera (camera);
+        }
+        return true;
+    }
+
+    GetViewpoint (name)
+    {
+        if (!this.viewpoints.has (name)) {
+            return null;
+        }
+        return this.viewpoints.get (name);
+    }
+
+    SetViewpoint (name, cameraString)
+    {
+        this.viewpoints.set (name, cameraString);
+    }
+
+    RemoveViewpoint (name)
+    {
+        this.viewpoints.delete (name);
+    }
+
+    GetViewpointNames ()
+    {
+        return Array.from (this.viewpoints.keys ());
+    }
+
     FitSphereToWindow (boundingSphere, animation)
     {
         if (boundingSphere === null) {
@@ -361,6 +630,15 @@ export class Viewer
     SetNavigationMode (navigationMode)
     {
         let oldCamera = this.navigation.GetCamera ();
+        if (IsFirstPersonNavigationMode (navigationMode)) {
+            // first-person modes start from the current position, only the up vector is leveled
+            let newCamera = this.upVector.Level (oldCamera);
+            this.navigation.MoveCamera (newCamera, 0);
+            this.UpdateFirstPersonSettings ();
+            this.navigation.SetNavigationMode (navigationMode);
+            this.Render ();
+            return;
+        }
         let newCamera = this.upVector.SetFixed (navigationMode === NavigationMode.FixedUpVector, oldCamera);
         this.navigation.SetNavigationMode (navigationMode);
         if (newCamera !== null) {
@@ -369,6 +647,39 @@ export class Viewer
         this.Render ();
     }
 
+    GetFirstPersonSettings ()
+    {
+        return this.firstPersonSettings.Clone ();
+    }
+
+    SetFirstPersonSettings (firstPersonSettings)
+    {
+        this.firstPersonSettings = firstPersonSettings.Clone ();
+        this.UpdateFirstPersonSettings ();
+    }
+
+    UpdateFirstPersonSettings ()
+    {
+        // unspecified values are calculated from the size and the unit of the model
+        let settings = this.firstPersonSettings.Clone ();
+        let boundingSphere = this.GetBoundingSphere ((meshUserData) => {
+            return true;
+        });
+        let radius = (boundingSphere !== null ? boundingSphere.radius : 1.0);
+        if (settings.speed === null) {
+            settings.speed = radius * 0.25;
+        }
+        if (settings.eyeHeight === null) {
+            let unit = this.measurer.GetUnit ();
+            if (unit !== Unit.Unknown) {
+                settings.eyeHeight = 1.7 * GetUnitScale (Unit.Meter, unit);
+            } else {
+                settings.eyeHeight = radius * 0.02;
+            }
+        }
+        this.navigation.SetFirstPersonSettings (settings);
+    }
+
     SetUpVector (upDirection, animate)
     {
         let oldCamera = this.navigation.GetCamera ();
@@ -415,15 +726,62 @@ export class Viewer
         }
 
         this.shadingModel.UpdateByCamera (navigationCamera);
+        this.sectioning.Update ();
+        if (this.viewCube !== null) {
+            this.viewCube.Update (navigationCamera, this.upVector.GetViewAxes ());
+        }
         this.renderer.render (this.scene, this.camera);
     }
 
+    SetPointSize (pointSize)
+    {
+        this.settings.pointSize = pointSize;
+        this.UpdatePointSize ();
+        this.Render ();
+    }
+
+    GetPointSize ()
+    {
+        return this.settings.pointSize;
+    }
+
+    UpdatePointSize ()
+    {
+        this.mainModel.EnumeratePoints ((points) => {
+            for (let material of points.material) {
+                material.size = this.settings.pointSize;
+            }
+            if (points.userData.threeMaterials !== null) {
+                for (let material of points.userData.threeMaterials) {
+                    material.size = this.settings.pointSize;
+                }
+            }
+        });
+    }
+
     SetMainObject (object)
     {
         const shadingType = GetShadingTypeOfObject (object);
         this.mainModel.SetMainObject (object);
+        this.meshesVisibility = null;
+        this.modelsVisibility = null;
+        this.animationPlayer.SetObject (object);
         this.shadingModel.SetShadingType (shadingType);
+        this.UpdatePointSize ();
+        this.sectioning.InvalidateModel ();
+        this.sectioning.InvalidateGizmos ();
+        if (IsFirstPersonNavigationMode (this.GetNavigationMode ())) {
+            this.UpdateFirstPersonSettings ();
+        }
+
+        this.Render ();
+    }
 
+    ReplaceMeshes (object, needToReplace)
+    {
+        this.mainModel.ReplaceMeshes (object, needToReplace);
+        this.UpdatePointSize ();
+        this.sectioning.InvalidateModel ();
         this.Render ();
     }
 
@@ -435,19 +793,218 @@ export class Viewer
 
     Clear ()
     {
+        this.animationPlayer.Clear ();
+        this.sectioning.Clear ();
+        this.measurer.ClearMeasurements ();
         this.mainModel.Clear ();
+        this.meshesVisibility = null;
+        this.modelsVisibility = null;
         this.extraModel.Clear ();
         this.Render ();
     }
 
     ClearExtra ()
     {
+        // measurement annotations are in the extra model, but they are kept until they are removed
+        this.measurer.ClearAnnotations ();
         this.extraModel.Clear ();
+        this.measurer.CreateAnnotations ();
         this.Render ();
     }
 
-    SetMeshesVisibility (isVisible)
+    GetAnimationCount ()
     {
+        return this.animationPlayer.ClipCount ();
+    }
+
+    GetAnimationName (index)
+    {
+        return this.animationPlayer.GetClipName (index);
+    }
+
+    GetAnimationDuration (index)
+    {
+        return this.animationPlayer.GetClipDuration (index);
+    }
+
+    PlayAnimation (index)
+    {
+        this.animationPlayer.Play (index);
+    }
+
+    PauseAnimation ()
+    {
+        this.animationPlayer.Pause ();
+    }
+
+    StopAnimation ()
+    {
+        this.animationPlayer.Stop ();
+    }
+
+    SeekAnimation (time)
+    {
+        this.animationPlayer.Seek (time);
+    }
+
+    GetAnimationTime ()
+    {
+        return this.animationPlayer.GetTime ();
+    }
+
+    IsAnimationPlaying ()
+    {
+        return this.animationPlayer.IsPlaying ();
+    }
+
+    SetAnimationLoop (loop)
+    {
+        this.animationPlayer.SetLoop (loop);
+    }
+
+    SetAnimationSpeed (speed)
+    {
+        this.animationPlayer.SetSpeed (speed);
+    }
+
+    GetSectionState ()
+    {
+        return this.sectioning.GetState ();
+    }
+
+    SetSectionState (sectionState)
+    {
+        this.sectioning.SetState (sectionState);
+        this.Render ();
+    }
+
+    AddSectionPlane (origin, normal)
+    {
+        let index = this.sectioning.AddPlane (origin, normal);
+        this.Render ();
+        return index;
+    }
+
+    RemoveSectionPlane (index)
+    {
+        this.sectioning.RemovePlane (index);
+        this.Render ();
+    }
+
+    SetSectionBox (min, max)
+    {
+        this.sectioning.SetBox (min, max);
+        this.Render ();
+    }
+
+    ClearSection ()
+    {
+        this.sectioning.SetState (null);
+        this.Render ();
+    }
+
+    ShowSectionGizmos (show)
+    {
+        this.sectioning.ShowGizmos (show);
+        this.Render ();
+    }
+
+    SetSectionChangeHandler (onSectionChange)
+    {
+        this.sectioning.SetChangeHandler (onSectionChange);
+    }
+
+    GetMeasurementType ()
+    {
+        return this.measurer.GetType ();
+    }
+
+    SetMeasurementType (measurementType)
+    {
+        this.measurer.SetType (measurementType);
+        this.Render ();
+    }
+
+    SetMeasurementUnit (unit)
+    {
+        this.measurer.SetUnit (unit);
+        if (IsFirstPersonNavigationMode (this.GetNavigationMode ())) {
+            this.UpdateFirstPersonSettings ();
+        }
+    }
+
+    SetMeasurementHandler (onMeasurement)
+    {
+        this.measurer.SetMeasurementHandler (onMeasurement);
+    }
+
+    GetMeasurementPointUnderMouse (mouseCoords)
+    {
+        let intersection = this.GetMeshIntersectionUnderMouse (IntersectionMode.MeshOnly, mouseCoords);
+        if (intersection === null) {
+            return null;
+        }
+        let canvasSize = this.GetCanvasSize ();
+        return GetSnappedMeasurementPoint (intersection, this.camera, canvasSize.width, canvasSize.height, mouseCoords);
+    }
+
+    AddMeasurementPoint (measurementPoint)
+    {
+        let measurement = this.measurer.AddPoint (measurementPoint);
+        this.Render ();
+        return measurement;
+    }
+
+    GetMeasurements ()
+    {
+        return this.measurer.GetMeasurements ();
+    }
+
+    RemoveMeasurement (index)
+    {
+        this.measurer.RemoveMeasurement (index);
+        this.Render ();
+    }
+
+    ClearMeasurements ()
+    {
+        this.measurer.ClearMeasurements ();
+        this.Render ();
+    }
+
+    SetNodeTransformation (nodeId, transformation)
+    {
+        let matrix = new THREE.Matrix4 ().fromArray (transformation.GetMatrix ().Get ());
+        if (this.mainModel.SetNodeTransformation (nodeId, matrix)) {
+            this.sectioning.InvalidateModel ();
+            this.Render ();
+        }
+    }
+
+    SetMeshesVisibility (meshes)
+    {
+        this.meshesVisibility = CreateMeshFilter (meshes);
+        this.UpdateMeshesVisibility ();
+    }
+
+    // hides whole models independently of the visibility of the meshes, a mesh is visible only if both filters allow it
+    SetModelsVisibility (meshes)
+    {
+        this.modelsVisibility = CreateMeshFilter (meshes);
+        this.UpdateMeshesVisibility ();
+    }
+
+    UpdateMeshesVisibility ()
+    {
+        const isVisible = (meshUserData) => {
+            if (this.meshesVisibility !== null && !this.meshesVisibility (meshUserData)) {
+                return false;
+            }
+            if (this.modelsVisibility !== null && !this.modelsVisibility (meshUserData)) {
+                return false;
+            }
+            return true;
+        };
         this.mainModel.EnumerateMeshesAndLines ((mesh) => {
             let visible = isVisible (mesh.userData);
             if (mesh.visible !== visible) {
@@ -460,11 +1017,13 @@ export class Viewer
                 edge.visible = visible;
             }
         });
+        this.sectioning.InvalidateModel ();
         this.Render ();
     }
 
-    SetMeshesHighlight (highlightColor, isHighlighted)
+    SetMeshesHighlight (highlightColor, meshes)
     {
+        let isHighlighted = CreateMeshFilter (meshes);
         let withPolygonOffset = this.mainModel.HasLinesOrEdges ();
         this.mainModel.EnumerateMeshesAndLines ((mesh) => {
             let highlighted = isHighlighted (mesh.userData);
@@ -481,6 +1040,7 @@ export class Viewer
             }
         });
 
+        this.sectioning.Invalidate ();
         this.Render ();
     }
 
@@ -496,7 +1056,7 @@ export class Viewer
     GetMeshIntersectionUnderMouse (intersectionMode, mouseCoords)
     {
         let canvasSize = this.GetCanvasSize ();
-        let intersection = this.mainModel.GetMeshIntersectionUnderMouse (intersectionMode, mouseCoords, this.camera, canvasSize.width, canvasSize.height);
+        let intersection = this.mainModel.GetMeshIntersectionUnderMouse (intersectionMode, mouseCoords, this.camera, canvasSize.width, canvasSize.height, this.sectioning.GetClippingPlanes ());
         if (intersection === null) {
             return null;
         }
@@ -534,10 +1094,78 @@ export class Viewer
                 this.Render ();
             }
         });
+        this.navigation.SetMouseClickHandler ((button, mouseCoords) => {
+            this.OnMouseClick (button, mouseCoords);
+        });
+        this.navigation.SetMouseMoveHandler ((mouseCoords) => {
+            this.OnMouseMove (mouseCoords);
+        });
+        this.navigation.SetReducedMotion (IsReducedMotionPreferred ());
+        this.navigation.SetShortcutHandler ((code) => {
+            return this.OnShortcut (code);
+        });
+        this.navigation.SetCollisionHandler ((origin, direction, maxDistance) => {
+            let intersection = this.mainModel.GetMeshIntersectionOfRay (origin, direction, maxDistance, this.sectioning.GetClippingPlanes ());
+            if (intersection === null) {
+                return null;
+            }
+            return intersection.distance;
+        });
+        this.navigation.SetDragHandler ({
+            onDragStart : (mouseCoords) => {
+                let canvasSize = this.GetCanvasSize ();
+                return this.sectioning.StartDrag (mouseCoords, this.camera, canvasSize.width, canvasSize.height);
+            },
+            onDrag : (mouseCoords) => {
+                let canvasSize = this.GetCanvasSize ();
+                this.sectioning.Drag (mouseCoords, this.camera, canvasSize.width, canvasSize.height);
+            },
+            onDragEnd : () => {
+                this.sectioning.EndDrag ();
+            }
+        });
 
         this.upVector = new UpVector ();
     }
 
+    OnShortcut (code)
+    {
+        if (code === 'KeyF' || code === 'Home') {
+            this.FitToWindow (true);
+            return true;
+        } else if (StandardViewShortcuts.has (code)) {
+            this.SetStandardView (StandardViewShortcuts.get (code), true);
+            return true;
+        }
+        return false;
+    }
+
+    OnMouseClick (button, mouseCoords)
+    {
+        // while measuring, left clicks pick the measurement points
+        if (button === 1 && this.measurer.IsActive ()) {
+            let measurementPoint = this.GetMeasurementPointUnderMouse (mouseCoords);
+            if (measurementPoint !== null) {
+                this.AddMeasurementPoint (measurementPoint);
+            }
+            return;
+        }
+        if (this.onMouseClick !== null) {
+            this.onMouseClick (button, mouseCoords);
+        }
+    }
+
+    OnMouseMove (mouseCoords)
+    {
+        if (this.measurer.IsActive ()) {
+            this.measurer.SetHoverPoint (this.GetMeasurementPointUnderMouse (mouseCoords));
+            this.Render ();
+        }
+        if (this.onMouseMove !== null) {
+            this.onMouseMove (mouseCoords);
+        }
+    }
+
     InitShading  ()
     {
         this.shadingModel = new ShadingModel (this.scene);
@@ -595,6 +1223,10 @@ export class Viewer
 
     Destroy ()
     {
+        this.ShowViewCube (false);
+        if (this.navigation !== null) {
+            this.navigation.Destroy ();
+        }
         this.Clear ();
         this.renderer.dispose ();
     }
@@ -11,6 +11,16 @@ export const IntersectionMode =
     MeshAndLine : 2
 };
 
+function IsPointClipped (point, clippingPlanes)
+{
+    for (let plane of clippingPlanes) {
+        if (plane.distanceToPoint (point) < 0.0) {
+            return true;
+        }
+    }
+    return false;
+}
+
 export function SetThreeMeshPolygonOffset (mesh, offset)
 {
     function SetMaterialsPolygonOffset (materials, offset)
@@ -200,6 +210,101 @@ export class ViewerMainModel
         this.UpdatePolygonOffset ();
     }
 
+    ReplaceMeshes (newObject, needToReplace)
+    {
+        // The new objects are moved under the parents of the old ones with the same mesh
+        // instance id, and inherit their visibility and highlight state.
+        function GetOwnMaterials (mesh)
+        {
+            let materials = (mesh.userData.threeMaterials !== null ? mesh.userData.threeMaterials : mesh.material);
+            return Array.isArray (materials) ? materials : [materials];
+        }
+
+        let keyToState = new Map ();
+        let oldMaterials = new Set ();
+        let oldMeshes = [];
+        this.EnumerateMeshesAndLines ((mesh) => {
+            if (needToReplace (mesh.userData)) {
+                oldMeshes.push (mesh);
+            }
+        });
+        for (let oldMesh of oldMeshes) {
+            let key = oldMesh.userData.originalMeshInstance.id.GetKey ();
+            if (!keyToState.has (key)) {
+                keyToState.set (key, {
+                    parent : oldMesh.parent,
+                    visible : oldMesh.visible,
+                    highlightMaterials : new Map ()
+                });
+            }
+            let state = keyToState.get (key);
+            if (oldMesh.userData.threeMaterials !== null) {
+                state.highlightMaterials.set (oldMesh.type, oldMesh.material[0]);
+            }
+            for (let material of GetOwnMaterials (oldMesh)) {
+                oldMaterials.add (material);
+            }
+            oldMesh.parent.remove (oldMesh);
+            oldMesh.geometry.dispose ();
+        }
+
+        let newMeshes = [];
+        newObject.traverse ((obj) => {
+            if ((obj.isMesh || obj.isLineSegments || obj.isPoints) && needToReplace (obj.userData)) {
+                newMeshes.push (obj);
+            }
+        });
+        for (let newMesh of newMeshes) {
+            let state = keyToState.get (newMesh.userData.originalMeshInstance.id.GetKey ());
+            if (state === undefined) {
+                continue;
+            }
+            newMesh.visible = state.visible;
+            if (state.highlightMaterials.has (newMesh.type)) {
+                let highlightMaterial = state.highlightMaterials.get (newMesh.type);
+                newMesh.userData.threeMaterials = newMesh.material;
+                newMesh.material = newMesh.material.map (() => highlightMaterial);
+            }
+            state.parent.add (newMesh);
+        }
+
+        // Materials are shared between meshes, so only the ones without remaining users are disposed
+        this.EnumerateMeshesAndLines ((mesh) => {
+            for (let material of GetOwnMaterials (mesh)) {
+                oldMaterials.delete (material);
+            }
+        });
+        for (let material of oldMaterials) {
+            material.dispose ();
+        }
+
+        if (this.edgeSettings.showEdges) {
+            this.ClearEdgeModel ();
+            this.GenerateEdgeModel ();
+        }
+    }
+
+    SetNodeTransformation (nodeId, matrix)
+    {
+        let found = false;
+        this.mainModel.Traverse ((obj) => {
+            if (!found && obj.userData.originalNodeId === nodeId) {
+                obj.matrix.copy (matrix);
+                obj.matrix.decompose (obj.position, obj.quaternion, obj.scale);
+                found = true;
+            }
+        });
+        if (!found) {
+            return false;
+        }
+
+        if (this.edgeSettings.showEdges) {
+            this.ClearEdgeModel ();
+            this.GenerateEdgeModel ();
+        }
+        return true;
+    }
+
     GetBoundingBox (needToProcess)
     {
         let hasMesh = false;
@@ -262,6 +367,15 @@ export class ViewerMainModel
         });
     }
 
+    EnumeratePoints (enumerator)
+    {
+        this.mainModel.Traverse ((obj) => {
+            if (obj.isPoints) {
+                enumerator (obj);
+            }
+        });
+    }
+
     EnumerateMeshesAndLines (enumerator)
     {
         this.mainModel.Traverse ((obj) => {
@@ -269,6 +383,8 @@ export class ViewerMainModel
                 enumerator (obj);
             } else if (obj.isLineSegments) {
                 enumerator (obj);
+            } else if (obj.isPoints) {
+                enumerator (obj);
             }
         });
     }
@@ -298,7 +414,7 @@ export class ViewerMainModel
         }
     }
 
-    GetMeshIntersectionUnderMouse (intersectionMode, mouseCoords, camera, width, height)
+    GetMeshIntersectionUnderMouse (intersectionMode, mouseCoords, camera, width, height, clippingPlanes)
     {
         if (this.mainModel.IsEmpty ()) {
             return null;
@@ -316,12 +432,35 @@ export class ViewerMainModel
         raycaster.setFromCamera (mousePos, camera);
         raycaster.params.Line.threshold = 10.0;
 
+        return this.GetFirstIntersection (raycaster, intersectionMode, mouseCoords, camera, width, height, clippingPlanes);
+    }
+
+    GetMeshIntersectionOfRay (origin, direction, maxDistance, clippingPlanes)
+    {
+        if (this.mainModel.IsEmpty ()) {
+            return null;
+        }
+
+        // hits farther than the max distance are skipped, so distant meshes are not tested in detail
+        let raycaster = new THREE.Raycaster (
+            new THREE.Vector3 (origin.x, origin.y, origin.z),
+            new THREE.Vector3 (direction.x, direction.y, direction.z).normalize ()
+        );
+        raycaster.far = maxDistance;
+        return this.GetFirstIntersection (raycaster, IntersectionMode.MeshOnly, null, null, null, null, clippingPlanes);
+    }
+
+    GetFirstIntersection (raycaster, intersectionMode, mouseCoords, camera, width, height, clippingPlanes)
+    {
         let iSectObjects = raycaster.intersectObject (this.mainModel.GetRootObject (), true);
         for (let i = 0; i < iSectObjects.length; i++) {
             let iSectObject = iSectObjects[i];
             if (!iSectObject.object.visible) {
                 continue;
             }
+            if (clippingPlanes && IsPointClipped (iSectObject.point, clippingPlanes)) {
+                continue;
+            }
             if (iSectObject.object.isMesh) {
                 return iSectObject;
             } else if (iSectObject.object.isLineSegments) {